@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import './ContentGenerator.css';
 
 interface Topic {
@@ -16,12 +16,98 @@ interface GeneratedContent {
   timestamp: string;
 }
 
+interface StreamedPost {
+  id: string;
+  body: string;
+  hashtags: string[];
+}
+
+interface StreamEvent {
+  event: string;
+  data: any;
+}
+
+// Split a Server-Sent Events buffer into complete events and the unfinished remainder
+const parseEventStream = (buffer: string): { events: StreamEvent[]; rest: string } => {
+  const blocks = buffer.split('\n\n');
+  const rest = blocks.pop() || '';
+  const events = blocks
+    .map(block => {
+      let event = 'message';
+      let data = '';
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event: ')) {
+          event = line.slice(7);
+        } else if (line.startsWith('data: ')) {
+          data += line.slice(6);
+        }
+      });
+      return data ? { event, data: JSON.parse(data) } : null;
+    })
+    .filter((item): item is StreamEvent => item !== null);
+
+  return { events, rest };
+};
+
+// Read a string value from JSON that may still be arriving; null until its key has been written
+const extractPartialString = (raw: string, key: string): string | null => {
+  const match = raw.match(new RegExp(`"${key}"\\s*:\\s*"`));
+  if (!match || match.index === undefined) {
+    return null;
+  }
+
+  let text = '';
+  const escapes: Record<string, string> = { n: '\n', t: '\t', r: '', '"': '"', '\\': '\\', '/': '/' };
+  for (let i = match.index + match[0].length; i < raw.length; i++) {
+    const char = raw[i];
+    if (char === '"') {
+      break;
+    }
+    if (char === '\\') {
+      const next = raw[i + 1];
+      if (next === undefined) {
+        break;
+      }
+      if (next === 'u') {
+        const code = raw.slice(i + 2, i + 6);
+        if (code.length < 4) {
+          break;
+        }
+        text += String.fromCharCode(parseInt(code, 16));
+        i += 5;
+      } else {
+        text += escapes[next] ?? next;
+        i += 1;
+      }
+      continue;
+    }
+    text += char;
+  }
+  return text;
+};
+
+// Posts arrive as JSON; show the body as it is written, even before the JSON is complete.
+// Bilingual posts write "bodyAr" and "bodyEn" instead, shown one after the other like the saved post.
+const extractPartialBody = (raw: string): string => {
+  const body = extractPartialString(raw, 'body');
+  if (body !== null) {
+    return body;
+  }
+  return [extractPartialString(raw, 'bodyAr'), extractPartialString(raw, 'bodyEn')]
+    .filter((part): part is string => part !== null)
+    .join('\n\n');
+};
+
 const ContentGenerator: React.FC = () => {
   const [topics, setTopics] = useState<Topic[]>([]);
   const [selectedTopic, setSelectedTopic] = useState<string>('');
+  const [language, setLanguage] = useState<string>('en');
   const [generatedContent, setGeneratedContent] = useState<GeneratedContent[]>([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string>('');
+  const [streamingText, setStreamingText] = useState<string>('');
+  const [streamStatus, setStreamStatus] = useState<string>('');
+  const abortControllerRef = useRef<AbortController | null>(null);
 
   // Fallback marine topics data
   const fallbackTopics: Topic[] = useMemo(() => [
@@ -191,48 +277,132 @@ const ContentGenerator: React.FC = () => {
     }));
   };
 
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+  const streamContent = async (topicName: string, signal: AbortSignal) => {
+    const variations = 2;
+    const params = new URLSearchParams({
+      topicId: selectedTopic,
+      contentType: 'text',
+      language,
+      variations: String(variations)
+    });
+
+    const response = await fetch(`/api/content/generate/stream?${params}`, {
+      headers: {
+        Accept: 'text/event-stream',
+        Authorization: `Bearer ${localStorage.getItem('token')}`
+      },
+      signal
+    });
+
+    if (!response.ok || !response.body) {
+      throw new Error('API generation failed');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let raw = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+
+      const parsed = parseEventStream(buffer + decoder.decode(value, { stream: true }));
+      buffer = parsed.rest;
+
+      for (const { event, data } of parsed.events) {
+        switch (event) {
+          case 'start':
+            setStreamStatus('Writing...');
+            break;
+          case 'token':
+            raw += data.text;
+            setStreamingText(extractPartialBody(raw));
+            break;
+          case 'reset':
+            // A fallback provider or a format correction started over
+            raw = '';
+            setStreamingText('');
+            setStreamStatus(`Retrying with ${data.provider}...`);
+            break;
+          case 'parsed':
+            setStreamingText(data.content.body);
+            setStreamStatus('Saving...');
+            break;
+          case 'image':
+            setStreamStatus(data.status === 'started' ? 'Generating image...' : 'Saving...');
+            break;
+          case 'saved':
+            raw = '';
+            setStreamStatus(data.variation < variations ? 'Writing next variation...' : 'Saving...');
+            break;
+          case 'done':
+            setGeneratedContent(prev => [
+              ...data.content.map((post: StreamedPost) => ({
+                id: post.id,
+                content: post.body,
+                hashtags: post.hashtags,
+                topic: topicName,
+                timestamp: new Date().toISOString()
+              })),
+              ...prev
+            ]);
+            break;
+          case 'error':
+            throw new Error(data.message);
+          default:
+            break;
+        }
+      }
+    }
+  };
+
   const handleGenerateContent = async () => {
     if (!selectedTopic) {
       setError('Please select a topic first');
       return;
     }
 
+    const selectedTopicData = topics.find(t => t.id === selectedTopic);
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
     setLoading(true);
     setError('');
+    setStreamingText('');
+    setStreamStatus('Connecting...');
 
     try {
-      // Try to generate content via API
-      const response = await fetch('/api/content/generate', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          topicId: selectedTopic,
-          count: 2
-        })
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        setGeneratedContent(prev => [...data.content, ...prev]);
-      } else {
-        throw new Error('API generation failed');
-      }
+      // Try to stream content from the API
+      await streamContent(selectedTopicData ? selectedTopicData.name : '', controller.signal);
     } catch (error) {
-      console.log('Using fallback content generation');
-      // Use fallback content generation
-      const selectedTopicData = topics.find(t => t.id === selectedTopic);
-      if (selectedTopicData) {
-        const fallbackContent = generateFallbackContent(selectedTopicData.name);
-        setGeneratedContent(prev => [...fallbackContent, ...prev]);
-        console.log('Fallback content generated successfully');
+      if (controller.signal.aborted) {
+        setError('Generation cancelled');
+      } else {
+        console.log('Using fallback content generation');
+        // Use fallback content generation
+        if (selectedTopicData) {
+          const fallbackContent = generateFallbackContent(selectedTopicData.name);
+          setGeneratedContent(prev => [...fallbackContent, ...prev]);
+          console.log('Fallback content generated successfully');
+        }
       }
     } finally {
+      abortControllerRef.current = null;
       setLoading(false);
+      setStreamingText('');
+      setStreamStatus('');
     }
   };
 
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const copyToClipboard = (content: string) => {
     navigator.clipboard.writeText(content);
     // You could add a toast notification here
@@ -263,6 +433,20 @@ const ContentGenerator: React.FC = () => {
           </select>
         </div>
 
+        <div className="topic-selection">
+          <label htmlFor="language-select">Language:</label>
+          <select
+            id="language-select"
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            className="topic-select"
+          >
+            <option value="en">English</option>
+            <option value="ar">العربية (Arabic)</option>
+            <option value="bilingual">Bilingual (Arabic + English)</option>
+          </select>
+        </div>
+
         <button
           onClick={handleGenerateContent}
           disabled={loading || !selectedTopic}
@@ -271,6 +455,12 @@ const ContentGenerator: React.FC = () => {
           {loading ? '🔄 Generating...' : '✨ Generate Content'}
         </button>
 
+        {loading && (
+          <button onClick={handleCancel} className="cancel-btn">
+            ✖ Cancel
+          </button>
+        )}
+
         {error && (
           <div className="error-message">
             {error}
@@ -279,6 +469,18 @@ const ContentGenerator: React.FC = () => {
       </div>
 
       <div className="content-results">
+        {loading && (
+          <div className="content-card streaming-card" aria-live="polite">
+            <div className="content-header">
+              <span className="topic-badge">{streamStatus}</span>
+            </div>
+            <div className="content-text" dir="auto">
+              {streamingText}
+              <span className="streaming-cursor">▍</span>
+            </div>
+          </div>
+        )}
+
         {generatedContent.length > 0 && (
           <h2>Generated Content ({generatedContent.length})</h2>
         )}
@@ -292,7 +494,7 @@ const ContentGenerator: React.FC = () => {
               </span>
             </div>
             
-            <div className="content-text">
+            <div className="content-text" dir="auto">
               {content.content}
             </div>
             
@@ -313,7 +515,7 @@ const ContentGenerator: React.FC = () => {
           </div>
         ))}
         
-        {generatedContent.length === 0 && (
+        {generatedContent.length === 0 && !loading && (
           <div className="empty-state">
             <p>🎯 Select a topic and generate content to get started!</p>
           </div>
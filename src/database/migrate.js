@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// 001_baseline.up.sql / 001_baseline.down.sql
+const MIGRATION_FILE_PATTERN = /^(\d{3,})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary key for pg_advisory_lock so the API and workers never migrate concurrently
+const MIGRATION_LOCK_KEY = 7314001;
+
+/**
+ * Versioned schema migration runner
+ * Applies numbered up/down SQL scripts and records them in the schema_migrations ledger
+ */
+class Migrator {
+  constructor(pool, migrationsDir = MIGRATIONS_DIR) {
+    this.pool = pool;
+    this.migrationsDir = migrationsDir;
+  }
+
+  /**
+   * Read migration scripts from disk, ordered by version
+   */
+  loadMigrations() {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(this.migrationsDir)) {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) {
+        if (file.endsWith('.sql')) {
+          logger.warn(`Ignoring migration file with unexpected name: ${file}`);
+        }
+        continue;
+      }
+
+      const [, version, name, direction] = match;
+      const existing = migrations.get(version);
+
+      if (existing && existing.name !== name) {
+        throw new Error(`Duplicate migration version ${version}: ${existing.name} and ${name}`);
+      }
+
+      const migration = existing || { version, name, up: null, down: null };
+      migration[direction] = path.join(this.migrationsDir, file);
+      migrations.set(version, migration);
+    }
+
+    return Array.from(migrations.values())
+      .map(migration => {
+        if (!migration.up) {
+          throw new Error(`Migration ${migration.version}_${migration.name} has no up script`);
+        }
+
+        const upSql = fs.readFileSync(migration.up, 'utf8');
+        return {
+          ...migration,
+          upSql,
+          checksum: crypto.createHash('sha256').update(upSql).digest('hex')
+        };
+      })
+      .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+  }
+
+  /**
+   * Create the schema_migrations ledger if needed
+   */
+  async ensureLedger(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        execution_time_ms INTEGER,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * Get applied migrations from the ledger, keyed by version
+   */
+  async getAppliedMigrations(client) {
+    const result = await client.query(
+      'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+    );
+
+    return new Map(result.rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * Run a callback on a dedicated client holding the migration lock
+   */
+  async withLock(callback) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+      try {
+        await this.ensureLedger(client);
+        return await callback(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Apply pending migrations, optionally stopping at a target version
+   */
+  async migrate({ to = null } = {}) {
+    const migrations = this.loadMigrations();
+
+    return this.withLock(async (client) => {
+      const applied = await this.getAppliedMigrations(client);
+      const completed = [];
+
+      for (const migration of migrations) {
+        if (to && parseInt(migration.version) > parseInt(to)) {
+          break;
+        }
+
+        const record = applied.get(migration.version);
+        if (record) {
+          if (record.checksum.trim() !== migration.checksum) {
+            logger.warn(`Migration ${migration.version}_${migration.name} changed after it was applied`);
+          }
+          continue;
+        }
+
+        const startTime = Date.now();
+        try {
+          await client.query('BEGIN');
+          await client.query(migration.upSql);
+          await client.query(`
+            INSERT INTO schema_migrations (version, name, checksum, execution_time_ms)
+            VALUES ($1, $2, $3, $4)
+          `, [migration.version, migration.name, migration.checksum, Date.now() - startTime]);
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          logger.error(`Migration ${migration.version}_${migration.name} failed:`, error);
+          throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+        }
+
+        logger.info(`Applied migration ${migration.version}_${migration.name}`, {
+          duration: Date.now() - startTime
+        });
+        completed.push(migration.version);
+      }
+
+      if (completed.length === 0) {
+        logger.info('Database schema is up to date');
+      }
+
+      return completed;
+    });
+  }
+
+  /**
+   * Roll back the most recently applied migrations
+   */
+  async rollback({ steps = 1 } = {}) {
+    const migrations = new Map(this.loadMigrations().map(m => [m.version, m]));
+
+    return this.withLock(async (client) => {
+      const applied = Array.from((await this.getAppliedMigrations(client)).values())
+        .sort((a, b) => parseInt(b.version) - parseInt(a.version))
+        .slice(0, steps);
+      const reverted = [];
+
+      for (const record of applied) {
+        const migration = migrations.get(record.version);
+        if (!migration || !migration.down) {
+          throw new Error(`Migration ${record.version}_${record.name} has no down script and cannot be rolled back`);
+        }
+
+        try {
+          await client.query('BEGIN');
+          await client.query(fs.readFileSync(migration.down, 'utf8'));
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [record.version]);
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          logger.error(`Rollback of ${record.version}_${record.name} failed:`, error);
+          throw new Error(`Rollback of ${record.version}_${record.name} failed: ${error.message}`);
+        }
+
+        logger.info(`Rolled back migration ${record.version}_${record.name}`);
+        reverted.push(record.version);
+      }
+
+      return reverted;
+    });
+  }
+
+  /**
+   * Get the state of every known migration
+   * @returns {Promise<Array>} Entries with state 'applied', 'pending', 'modified' or 'missing'
+   */
+  async status() {
+    const migrations = this.loadMigrations();
+
+    return this.withLock(async (client) => {
+      const applied = await this.getAppliedMigrations(client);
+
+      const entries = migrations.map(migration => {
+        const record = applied.get(migration.version);
+        let state = 'pending';
+        if (record) {
+          state = record.checksum.trim() === migration.checksum ? 'applied' : 'modified';
+        }
+
+        return {
+          version: migration.version,
+          name: migration.name,
+          state,
+          reversible: Boolean(migration.down),
+          appliedAt: record ? record.applied_at : null
+        };
+      });
+
+      // Ledger entries whose scripts are no longer on disk
+      for (const record of applied.values()) {
+        if (!migrations.some(m => m.version === record.version)) {
+          entries.push({
+            version: record.version,
+            name: record.name,
+            state: 'missing',
+            reversible: false,
+            appliedAt: record.applied_at
+          });
+        }
+      }
+
+      return entries.sort((a, b) => parseInt(a.version) - parseInt(b.version));
+    });
+  }
+}
+
+module.exports = {
+  Migrator,
+  MIGRATIONS_DIR
+};
+
+// CLI interface: npm run db:migrate | db:rollback | db:status | db:verify
+if (require.main === module) {
+  require('dotenv').config();
+  const { pool, closeDatabase } = require('./init');
+
+  const [command = 'up', arg] = process.argv.slice(2);
+  const migrator = new Migrator(pool);
+
+  const run = async () => {
+    switch (command) {
+      case 'up': {
+        const applied = await migrator.migrate({ to: arg || null });
+        console.log(applied.length > 0
+          ? `Applied ${applied.length} migration(s): ${applied.join(', ')}`
+          : 'Database schema is up to date');
+        break;
+      }
+      case 'down': {
+        const reverted = await migrator.rollback({ steps: parseInt(arg) || 1 });
+        console.log(reverted.length > 0
+          ? `Rolled back ${reverted.length} migration(s): ${reverted.join(', ')}`
+          : 'Nothing to roll back');
+        break;
+      }
+      case 'status': {
+        const entries = await migrator.status();
+        entries.forEach(entry => {
+          const appliedAt = entry.appliedAt ? new Date(entry.appliedAt).toISOString() : '';
+          console.log(`  ${entry.state.padEnd(8)} ${entry.version}_${entry.name} ${appliedAt}`);
+        });
+        break;
+      }
+      case 'verify': {
+        const { verifySchema } = require('./schema');
+        const report = await verifySchema(pool);
+        if (report.ok) {
+          console.log('Database schema matches the application');
+        } else {
+          report.missingTables.forEach(table => console.log(`  missing table  ${table}`));
+          report.missingColumns.forEach(column => console.log(`  missing column ${column}`));
+          process.exitCode = 1;
+        }
+        break;
+      }
+      default:
+        console.log('Usage: node src/database/migrate.js [up [version]|down [steps]|status|verify]');
+        console.log('  up: Apply pending migrations (optionally up to a version)');
+        console.log('  down: Roll back the last applied migration(s)');
+        console.log('  status: List applied and pending migrations');
+        console.log('  verify: Check the database for tables and columns the application expects');
+    }
+  };
+
+  run()
+    .catch(error => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => closeDatabase());
+}
@@ -0,0 +1,15 @@
+-- Rollback: Baseline schema
+-- Drops every table created by 001_baseline.up.sql. This destroys all data.
+
+DROP TABLE IF EXISTS user_insights;
+DROP TABLE IF EXISTS daily_reports;
+DROP TABLE IF EXISTS api_usage;
+DROP TABLE IF EXISTS user_preferences;
+DROP TABLE IF EXISTS post_analytics;
+DROP TABLE IF EXISTS scheduled_posts;
+DROP TABLE IF EXISTS generated_content;
+DROP TABLE IF EXISTS content_templates;
+DROP TABLE IF EXISTS content_topics;
+DROP TABLE IF EXISTS users;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -0,0 +1,3 @@
+-- Rollback: user_optimal_times cache table
+
+DROP TABLE IF EXISTS user_optimal_times;
@@ -3,8 +3,8 @@
 -- Description: Stores calculated optimal posting times for each user based on their historical performance
 
 CREATE TABLE IF NOT EXISTS user_optimal_times (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     optimal_times_data JSONB NOT NULL,
     confidence_level VARCHAR(20) DEFAULT 'medium',
     data_points_count INTEGER DEFAULT 0,
@@ -0,0 +1,19 @@
+-- Rollback: Typed user insights
+-- Only the per-user summary rows survive the rollback.
+
+DROP INDEX IF EXISTS idx_user_insights_unique_next_optimal;
+DROP INDEX IF EXISTS idx_user_insights_unique_summary;
+DROP INDEX IF EXISTS idx_user_insights_user_type;
+DROP INDEX IF EXISTS idx_user_insights_confidence;
+DROP INDEX IF EXISTS idx_user_insights_created_at;
+DROP INDEX IF EXISTS idx_user_insights_type;
+
+DELETE FROM user_insights WHERE insight_type <> 'summary';
+
+ALTER TABLE user_insights
+    DROP COLUMN IF EXISTS created_at,
+    DROP COLUMN IF EXISTS confidence_score,
+    DROP COLUMN IF EXISTS insight_data,
+    DROP COLUMN IF EXISTS insight_type;
+
+ALTER TABLE user_insights ADD CONSTRAINT user_insights_user_id_key UNIQUE (user_id);
@@ -0,0 +1,36 @@
+-- Migration: Typed user insights
+-- Created: 2024-01-31
+-- Description: Extends user_insights so it can hold several insights per user (performance
+-- analysis, next optimal time, recommendations, ...) next to the per-user summary row.
+
+ALTER TABLE user_insights
+    ADD COLUMN IF NOT EXISTS insight_type VARCHAR(50) NOT NULL DEFAULT 'summary',
+    ADD COLUMN IF NOT EXISTS insight_data JSONB,
+    ADD COLUMN IF NOT EXISTS confidence_score DECIMAL(3,2) DEFAULT 0.5 CHECK (confidence_score >= 0 AND confidence_score <= 1),
+    ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- The baseline allowed a single row per user
+ALTER TABLE user_insights DROP CONSTRAINT IF EXISTS user_insights_user_id_key;
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_user_insights_type ON user_insights(insight_type);
+CREATE INDEX IF NOT EXISTS idx_user_insights_created_at ON user_insights(created_at);
+CREATE INDEX IF NOT EXISTS idx_user_insights_confidence ON user_insights(confidence_score);
+
+-- Create composite index for common queries
+CREATE INDEX IF NOT EXISTS idx_user_insights_user_type ON user_insights(user_id, insight_type);
+
+-- Create unique constraint for certain insight types that should only have one record per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_insights_unique_summary
+    ON user_insights(user_id)
+    WHERE insight_type = 'summary';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_insights_unique_next_optimal
+    ON user_insights(user_id, insight_type)
+    WHERE insight_type = 'next_optimal_time';
+
+-- Add comments for documentation
+COMMENT ON TABLE user_insights IS 'Stores user performance insights, recommendations, and analytics data';
+COMMENT ON COLUMN user_insights.insight_type IS 'Type of insight: summary, performance_analysis, next_optimal_time, content_recommendations, etc.';
+COMMENT ON COLUMN user_insights.insight_data IS 'JSON data containing the actual insight information';
+COMMENT ON COLUMN user_insights.confidence_score IS 'Confidence level of the insight (0.0 to 1.0)';
@@ -0,0 +1,43 @@
+-- Rollback: Content templates and topic management tables
+-- Removes the seeded catalogue and any template created without template_content.
+
+DROP TABLE IF EXISTS content_generation_history;
+DROP TABLE IF EXISTS topic_trends;
+DROP TABLE IF EXISTS user_template_preferences;
+DROP TABLE IF EXISTS template_topics;
+
+DELETE FROM content_templates WHERE template_content IS NULL;
+DELETE FROM content_topics WHERE user_id IS NULL;
+
+ALTER TABLE content_templates ALTER COLUMN template_content SET NOT NULL;
+
+-- Restore variables as a text array of variable names
+ALTER TABLE content_templates ADD COLUMN variables_list TEXT[];
+UPDATE content_templates
+SET variables_list = ARRAY(SELECT jsonb_array_elements_text(variables))
+WHERE jsonb_typeof(variables) = 'array';
+ALTER TABLE content_templates DROP COLUMN variables;
+ALTER TABLE content_templates RENAME COLUMN variables_list TO variables;
+
+ALTER TABLE content_templates
+    DROP COLUMN IF EXISTS created_by,
+    DROP COLUMN IF EXISTS success_rate,
+    DROP COLUMN IF EXISTS is_active,
+    DROP COLUMN IF EXISTS is_premium,
+    DROP COLUMN IF EXISTS time_to_create,
+    DROP COLUMN IF EXISTS difficulty_level,
+    DROP COLUMN IF EXISTS estimated_engagement,
+    DROP COLUMN IF EXISTS content_category,
+    DROP COLUMN IF EXISTS industry,
+    DROP COLUMN IF EXISTS target_audience,
+    DROP COLUMN IF EXISTS style_guidelines,
+    DROP COLUMN IF EXISTS content_structure,
+    DROP COLUMN IF EXISTS description;
+
+ALTER TABLE content_topics
+    DROP COLUMN IF EXISTS created_by,
+    DROP COLUMN IF EXISTS abu_dhabi_relevance,
+    DROP COLUMN IF EXISTS seasonal_relevance,
+    DROP COLUMN IF EXISTS engagement_potential,
+    DROP COLUMN IF EXISTS trending_score,
+    DROP COLUMN IF EXISTS category;
@@ -1,55 +1,42 @@
 -- Migration: Add content templates and topic management tables
 -- Created: 2024-01-31
--- Description: This migration creates tables for managing content templates, topics, and their relationships
-
--- Content Topics Table
-CREATE TABLE IF NOT EXISTS content_topics (
-    id SERIAL PRIMARY KEY,
-    name VARCHAR(100) NOT NULL UNIQUE,
-    description TEXT,
-    category VARCHAR(50) NOT NULL DEFAULT 'general',
-    keywords TEXT[], -- Array of related keywords
-    target_audience VARCHAR(100),
-    industry VARCHAR(50),
-    trending_score DECIMAL(3,2) DEFAULT 0.0 CHECK (trending_score >= 0 AND trending_score <= 1),
-    engagement_potential DECIMAL(3,2) DEFAULT 0.5 CHECK (engagement_potential >= 0 AND engagement_potential <= 1),
-    seasonal_relevance JSONB, -- {"months": [1,2,3], "events": ["ramadan", "eid"]}
-    abu_dhabi_relevance DECIMAL(3,2) DEFAULT 0.5 CHECK (abu_dhabi_relevance >= 0 AND abu_dhabi_relevance <= 1),
-    is_active BOOLEAN DEFAULT true,
-    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-);
-
--- Content Templates Table
-CREATE TABLE IF NOT EXISTS content_templates (
-    id SERIAL PRIMARY KEY,
-    name VARCHAR(200) NOT NULL,
-    description TEXT,
-    template_type VARCHAR(50) NOT NULL DEFAULT 'text', -- text, image, video, carousel, poll
-    content_structure JSONB NOT NULL, -- Template structure with placeholders
-    variables JSONB, -- Available variables and their types
-    style_guidelines JSONB, -- Tone, voice, formatting rules
-    target_audience VARCHAR(100),
-    industry VARCHAR(50),
-    content_category VARCHAR(50), -- educational, promotional, inspirational, news, etc.
-    estimated_engagement DECIMAL(3,2) DEFAULT 0.5,
-    difficulty_level VARCHAR(20) DEFAULT 'medium', -- easy, medium, hard
-    time_to_create INTEGER DEFAULT 15, -- minutes
-    is_premium BOOLEAN DEFAULT false,
-    is_active BOOLEAN DEFAULT true,
-    usage_count INTEGER DEFAULT 0,
-    success_rate DECIMAL(3,2) DEFAULT 0.0,
-    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-);
+-- Description: Extends content topics and templates with the catalogue metadata used by the
+-- content templates service, and creates the tables for their relationships and usage history
+
+-- Content topic catalogue metadata
+ALTER TABLE content_topics
+    ADD COLUMN IF NOT EXISTS category VARCHAR(50) NOT NULL DEFAULT 'general',
+    ADD COLUMN IF NOT EXISTS trending_score DECIMAL(3,2) DEFAULT 0.0 CHECK (trending_score >= 0 AND trending_score <= 1),
+    ADD COLUMN IF NOT EXISTS engagement_potential DECIMAL(3,2) DEFAULT 0.5 CHECK (engagement_potential >= 0 AND engagement_potential <= 1),
+    ADD COLUMN IF NOT EXISTS seasonal_relevance JSONB, -- {"months": [1,2,3], "events": ["ramadan", "eid"]}
+    ADD COLUMN IF NOT EXISTS abu_dhabi_relevance DECIMAL(3,2) DEFAULT 0.5 CHECK (abu_dhabi_relevance >= 0 AND abu_dhabi_relevance <= 1),
+    ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Content template structure and guidelines
+ALTER TABLE content_templates
+    ADD COLUMN IF NOT EXISTS description TEXT,
+    ADD COLUMN IF NOT EXISTS content_structure JSONB, -- Template structure with placeholders
+    ADD COLUMN IF NOT EXISTS style_guidelines JSONB, -- Tone, voice, formatting rules
+    ADD COLUMN IF NOT EXISTS target_audience VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS industry VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS content_category VARCHAR(50), -- educational, promotional, inspirational, news, etc.
+    ADD COLUMN IF NOT EXISTS estimated_engagement DECIMAL(3,2) DEFAULT 0.5,
+    ADD COLUMN IF NOT EXISTS difficulty_level VARCHAR(20) DEFAULT 'medium', -- easy, medium, hard
+    ADD COLUMN IF NOT EXISTS time_to_create INTEGER DEFAULT 15, -- minutes
+    ADD COLUMN IF NOT EXISTS is_premium BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true,
+    ADD COLUMN IF NOT EXISTS success_rate DECIMAL(3,2) DEFAULT 0.0,
+    ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Templates created by the service describe their variables as JSON and may omit template_content
+ALTER TABLE content_templates ALTER COLUMN variables TYPE JSONB USING to_jsonb(variables);
+ALTER TABLE content_templates ALTER COLUMN template_content DROP NOT NULL;
 
 -- Template-Topic Relationships
 CREATE TABLE IF NOT EXISTS template_topics (
-    id SERIAL PRIMARY KEY,
-    template_id INTEGER NOT NULL REFERENCES content_templates(id) ON DELETE CASCADE,
-    topic_id INTEGER NOT NULL REFERENCES content_topics(id) ON DELETE CASCADE,
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    template_id UUID NOT NULL REFERENCES content_templates(id) ON DELETE CASCADE,
+    topic_id UUID NOT NULL REFERENCES content_topics(id) ON DELETE CASCADE,
     relevance_score DECIMAL(3,2) DEFAULT 0.5,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(template_id, topic_id)
@@ -57,9 +44,9 @@ CREATE TABLE IF NOT EXISTS template_topics (
 
 -- User Template Preferences
 CREATE TABLE IF NOT EXISTS user_template_preferences (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    template_id INTEGER NOT NULL REFERENCES content_templates(id) ON DELETE CASCADE,
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    template_id UUID NOT NULL REFERENCES content_templates(id) ON DELETE CASCADE,
     preference_score DECIMAL(3,2) DEFAULT 0.5,
     last_used TIMESTAMP WITH TIME ZONE,
     usage_count INTEGER DEFAULT 0,
@@ -71,8 +58,8 @@ CREATE TABLE IF NOT EXISTS user_template_preferences (
 
 -- Topic Trends Tracking
 CREATE TABLE IF NOT EXISTS topic_trends (
-    id SERIAL PRIMARY KEY,
-    topic_id INTEGER NOT NULL REFERENCES content_topics(id) ON DELETE CASCADE,
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    topic_id UUID NOT NULL REFERENCES content_topics(id) ON DELETE CASCADE,
     trend_date DATE NOT NULL,
     search_volume INTEGER DEFAULT 0,
     social_mentions INTEGER DEFAULT 0,
@@ -86,11 +73,11 @@ CREATE TABLE IF NOT EXISTS topic_trends (
 
 -- Content Generation History
 CREATE TABLE IF NOT EXISTS content_generation_history (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    template_id INTEGER REFERENCES content_templates(id) ON DELETE SET NULL,
-    topic_id INTEGER REFERENCES content_topics(id) ON DELETE SET NULL,
-    generated_content_id INTEGER REFERENCES generated_content(id) ON DELETE CASCADE,
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    template_id UUID REFERENCES content_templates(id) ON DELETE SET NULL,
+    topic_id UUID REFERENCES content_topics(id) ON DELETE SET NULL,
+    generated_content_id UUID REFERENCES generated_content(id) ON DELETE CASCADE,
     generation_parameters JSONB, -- Parameters used for generation
     generation_time_ms INTEGER,
     success BOOLEAN DEFAULT true,
@@ -130,45 +117,11 @@ CREATE INDEX IF NOT EXISTS idx_content_gen_history_template ON content_generatio
 CREATE INDEX IF NOT EXISTS idx_content_gen_history_topic ON content_generation_history(topic_id);
 CREATE INDEX IF NOT EXISTS idx_content_gen_history_created ON content_generation_history(created_at DESC);
 
--- Add triggers for updated_at timestamps
-CREATE OR REPLACE FUNCTION update_content_topics_updated_at()
-RETURNS TRIGGER AS $$
-BEGIN
-    NEW.updated_at = CURRENT_TIMESTAMP;
-    RETURN NEW;
-END;
-$$ LANGUAGE plpgsql;
-
-CREATE TRIGGER trigger_update_content_topics_updated_at
-    BEFORE UPDATE ON content_topics
-    FOR EACH ROW
-    EXECUTE FUNCTION update_content_topics_updated_at();
-
-CREATE OR REPLACE FUNCTION update_content_templates_updated_at()
-RETURNS TRIGGER AS $$
-BEGIN
-    NEW.updated_at = CURRENT_TIMESTAMP;
-    RETURN NEW;
-END;
-$$ LANGUAGE plpgsql;
-
-CREATE TRIGGER trigger_update_content_templates_updated_at
-    BEFORE UPDATE ON content_templates
-    FOR EACH ROW
-    EXECUTE FUNCTION update_content_templates_updated_at();
-
-CREATE OR REPLACE FUNCTION update_user_template_preferences_updated_at()
-RETURNS TRIGGER AS $$
-BEGIN
-    NEW.updated_at = CURRENT_TIMESTAMP;
-    RETURN NEW;
-END;
-$$ LANGUAGE plpgsql;
-
-CREATE TRIGGER trigger_update_user_template_preferences_updated_at
+-- content_topics and content_templates already use the shared trigger from the baseline
+DROP TRIGGER IF EXISTS update_user_template_preferences_updated_at ON user_template_preferences;
+CREATE TRIGGER update_user_template_preferences_updated_at
     BEFORE UPDATE ON user_template_preferences
-    FOR EACH ROW
-    EXECUTE FUNCTION update_user_template_preferences_updated_at();
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 -- Add comments for documentation
 COMMENT ON TABLE content_topics IS 'Stores content topics and their metadata for content generation';
@@ -179,7 +132,7 @@ COMMENT ON TABLE topic_trends IS 'Tracks trending data for topics over time';
 COMMENT ON TABLE content_generation_history IS 'Logs content generation attempts and results';
 
 -- Insert default content topics for Abu Dhabi market
-INSERT INTO content_topics (name, description, category, keywords, target_audience, industry, abu_dhabi_relevance, seasonal_relevance) VALUES
+INSERT INTO content_topics (title, description, category, keywords, target_audience, industry, abu_dhabi_relevance, seasonal_relevance) VALUES
 ('UAE Business Growth', 'Topics related to business development and growth in the UAE', 'business', ARRAY['UAE', 'business', 'growth', 'entrepreneurship', 'startup'], 'entrepreneurs', 'business', 0.9, '{"months": [1,2,3,9,10,11], "events": ["new_year", "business_season"]}'),
 ('Abu Dhabi Innovation', 'Innovation and technology developments in Abu Dhabi', 'technology', ARRAY['Abu Dhabi', 'innovation', 'technology', 'smart city', 'AI'], 'professionals', 'technology', 1.0, '{"months": [1,2,3,4,5,6,7,8,9,10,11,12]}'),
 ('Ramadan Business Tips', 'Business advice and tips during Ramadan', 'business', ARRAY['Ramadan', 'business', 'productivity', 'work-life balance'], 'professionals', 'general', 0.8, '{"months": [3,4], "events": ["ramadan"]}'),
@@ -242,14 +195,33 @@ INSERT INTO content_templates (name, description, template_type, content_structu
  'general', 'inspirational', 0.7);
 
 -- Link templates to relevant topics
-INSERT INTO template_topics (template_id, topic_id, relevance_score) VALUES
-(1, 1, 0.9), (1, 4, 0.8), (1, 7, 0.7),
-(2, 10, 0.9), (2, 4, 0.8), (2, 1, 0.7),
-(3, 5, 0.8), (3, 6, 0.7), (3, 7, 0.9),
-(4, 8, 0.7), (4, 9, 0.6), (4, 1, 0.5),
-(5, 1, 0.8), (5, 4, 0.7), (5, 9, 0.6),
-(6, 1, 0.6), (6, 2, 0.5), (6, 5, 0.4),
-(7, 2, 0.7), (7, 5, 0.6), (7, 1, 0.5),
-(8, 4, 0.8), (8, 10, 0.9), (8, 8, 0.6);
-
-COMMIT;
\ No newline at end of file
+INSERT INTO template_topics (template_id, topic_id, relevance_score)
+SELECT t.id, ct.id, link.relevance_score
+FROM (VALUES
+    ('Business Insight Post', 'UAE Business Growth', 0.9),
+    ('Business Insight Post', 'UAE Leadership', 0.8),
+    ('Business Insight Post', 'UAE Economic Insights', 0.7),
+    ('Success Story Template', 'UAE Success Stories', 0.9),
+    ('Success Story Template', 'UAE Leadership', 0.8),
+    ('Success Story Template', 'UAE Business Growth', 0.7),
+    ('Industry News Update', 'Digital Transformation UAE', 0.8),
+    ('Industry News Update', 'Sustainability Abu Dhabi', 0.7),
+    ('Industry News Update', 'UAE Economic Insights', 0.9),
+    ('Question & Engagement', 'Cultural Diversity UAE', 0.7),
+    ('Question & Engagement', 'Future of Work UAE', 0.6),
+    ('Question & Engagement', 'UAE Business Growth', 0.5),
+    ('Tips & Advice', 'UAE Business Growth', 0.8),
+    ('Tips & Advice', 'UAE Leadership', 0.7),
+    ('Tips & Advice', 'Future of Work UAE', 0.6),
+    ('Company Update', 'UAE Business Growth', 0.6),
+    ('Company Update', 'Abu Dhabi Innovation', 0.5),
+    ('Company Update', 'Digital Transformation UAE', 0.4),
+    ('Event Announcement', 'Abu Dhabi Innovation', 0.7),
+    ('Event Announcement', 'Digital Transformation UAE', 0.6),
+    ('Event Announcement', 'UAE Business Growth', 0.5),
+    ('Quote & Reflection', 'UAE Leadership', 0.8),
+    ('Quote & Reflection', 'UAE Success Stories', 0.9),
+    ('Quote & Reflection', 'Cultural Diversity UAE', 0.6)
+) AS link(template_name, topic_title, relevance_score)
+JOIN content_templates t ON t.name = link.template_name AND t.user_id IS NULL
+JOIN content_topics ct ON ct.title = link.topic_title AND ct.user_id IS NULL;
@@ -0,0 +1,52 @@
+-- Rollback: Reconcile schema with application queries
+
+DROP INDEX IF EXISTS idx_analytics_post_daily;
+DROP INDEX IF EXISTS idx_analytics_content_id;
+DROP INDEX IF EXISTS idx_analytics_scheduled_post;
+ALTER TABLE post_analytics
+    DROP COLUMN IF EXISTS updated_at,
+    DROP COLUMN IF EXISTS recorded_at,
+    DROP COLUMN IF EXISTS click_through_rate,
+    DROP COLUMN IF EXISTS views,
+    DROP COLUMN IF EXISTS post_type,
+    DROP COLUMN IF EXISTS content_id;
+DELETE FROM post_analytics WHERE linkedin_post_id IS NULL;
+ALTER TABLE post_analytics ALTER COLUMN linkedin_post_id SET NOT NULL;
+
+DROP INDEX IF EXISTS idx_scheduled_posts_content_id;
+ALTER TABLE scheduled_posts
+    DROP COLUMN IF EXISTS avg_engagement_rate,
+    DROP COLUMN IF EXISTS total_clicks,
+    DROP COLUMN IF EXISTS total_views,
+    DROP COLUMN IF EXISTS total_shares,
+    DROP COLUMN IF EXISTS total_comments,
+    DROP COLUMN IF EXISTS total_likes,
+    DROP COLUMN IF EXISTS optimization_applied,
+    DROP COLUMN IF EXISTS notes,
+    DROP COLUMN IF EXISTS priority,
+    DROP COLUMN IF EXISTS linkedin_post_url,
+    DROP COLUMN IF EXISTS optimal_time;
+UPDATE scheduled_posts SET status = 'scheduled' WHERE status = 'pending';
+ALTER TABLE scheduled_posts ALTER COLUMN status SET DEFAULT 'scheduled';
+ALTER TABLE scheduled_posts RENAME COLUMN scheduled_for TO scheduled_time;
+
+ALTER TABLE content_topics DROP COLUMN IF EXISTS name;
+
+ALTER TABLE user_preferences
+    DROP COLUMN IF EXISTS auto_posting,
+    DROP COLUMN IF EXISTS tone;
+
+ALTER TABLE api_usage_logs DROP COLUMN IF EXISTS metadata;
+ALTER INDEX IF EXISTS idx_api_usage_logs_created_at RENAME TO idx_api_usage_created_at;
+ALTER INDEX IF EXISTS idx_api_usage_logs_user_id RENAME TO idx_api_usage_user_id;
+ALTER TABLE api_usage_logs RENAME TO api_usage;
+
+DROP TABLE IF EXISTS user_linkedin_tokens;
+
+DROP INDEX IF EXISTS idx_users_role;
+ALTER TABLE users
+    DROP COLUMN IF EXISTS last_login,
+    DROP COLUMN IF EXISTS linkedin_profile_url,
+    DROP COLUMN IF EXISTS linkedin_id,
+    DROP COLUMN IF EXISTS industry,
+    DROP COLUMN IF EXISTS role;
@@ -0,0 +1,88 @@
+-- Migration: Reconcile schema with the queries used by routes, services and workers
+-- Created: 2024-02-05
+-- Description: Adds the tables and columns the application already reads and writes but that
+-- no earlier migration defined, and aligns names that drifted between the schema and the code.
+
+-- Users: roles, LinkedIn profile details and benchmarking industry
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user', -- 'user', 'admin'
+    ADD COLUMN IF NOT EXISTS industry VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS linkedin_id VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS linkedin_profile_url VARCHAR(500),
+    ADD COLUMN IF NOT EXISTS last_login TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+
+-- LinkedIn OAuth tokens, one row per user
+CREATE TABLE IF NOT EXISTS user_linkedin_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    access_token TEXT NOT NULL,
+    refresh_token TEXT,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_linkedin_tokens_expires ON user_linkedin_tokens(expires_at);
+
+DROP TRIGGER IF EXISTS update_user_linkedin_tokens_updated_at ON user_linkedin_tokens;
+CREATE TRIGGER update_user_linkedin_tokens_updated_at
+    BEFORE UPDATE ON user_linkedin_tokens
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- API usage: the middleware and LinkedIn client log to api_usage_logs with free-form metadata
+ALTER TABLE api_usage RENAME TO api_usage_logs;
+ALTER INDEX IF EXISTS idx_api_usage_user_id RENAME TO idx_api_usage_logs_user_id;
+ALTER INDEX IF EXISTS idx_api_usage_created_at RENAME TO idx_api_usage_logs_created_at;
+ALTER TABLE api_usage_logs ADD COLUMN IF NOT EXISTS metadata JSONB;
+
+-- User preferences: default tone and automatic posting
+ALTER TABLE user_preferences
+    ADD COLUMN IF NOT EXISTS tone VARCHAR(50) DEFAULT 'professional',
+    ADD COLUMN IF NOT EXISTS auto_posting BOOLEAN DEFAULT FALSE;
+
+-- Content topics: the templates catalogue refers to topics by name
+ALTER TABLE content_topics
+    ADD COLUMN IF NOT EXISTS name VARCHAR(255) GENERATED ALWAYS AS (title) STORED;
+
+-- Scheduled posts: the scheduler works with scheduled_for and a 'pending' status
+ALTER TABLE scheduled_posts RENAME COLUMN scheduled_time TO scheduled_for;
+ALTER TABLE scheduled_posts ALTER COLUMN status SET DEFAULT 'pending';
+UPDATE scheduled_posts SET status = 'pending' WHERE status = 'scheduled';
+
+ALTER TABLE scheduled_posts
+    ADD COLUMN IF NOT EXISTS optimal_time VARCHAR(5), -- 'HH:mm' slot used for optimal scheduling
+    ADD COLUMN IF NOT EXISTS linkedin_post_url VARCHAR(500),
+    ADD COLUMN IF NOT EXISTS priority VARCHAR(10) DEFAULT 'medium', -- 'low', 'medium', 'high'
+    ADD COLUMN IF NOT EXISTS notes TEXT,
+    ADD COLUMN IF NOT EXISTS optimization_applied BOOLEAN DEFAULT FALSE,
+    -- Engagement totals rolled up from post_analytics
+    ADD COLUMN IF NOT EXISTS total_likes INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS total_comments INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS total_shares INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS total_views INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS total_clicks INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS avg_engagement_rate DECIMAL(5,2) DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_posts_content_id ON scheduled_posts(content_id);
+
+-- Post analytics: daily snapshots per scheduled post, also written for direct posts
+ALTER TABLE post_analytics ALTER COLUMN linkedin_post_id DROP NOT NULL;
+ALTER TABLE post_analytics
+    ADD COLUMN IF NOT EXISTS content_id UUID REFERENCES generated_content(id) ON DELETE CASCADE,
+    ADD COLUMN IF NOT EXISTS post_type VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS views INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS click_through_rate DECIMAL(5,2) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_analytics_scheduled_post ON post_analytics(scheduled_post_id);
+CREATE INDEX IF NOT EXISTS idx_analytics_content_id ON post_analytics(content_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_analytics_post_daily
+    ON post_analytics(scheduled_post_id, (recorded_at::date));
+
+COMMENT ON COLUMN users.role IS 'Authorization role: user or admin';
+COMMENT ON TABLE user_linkedin_tokens IS 'LinkedIn OAuth tokens used for posting and analytics';
+COMMENT ON TABLE api_usage_logs IS 'Per-request API usage for monitoring and plan limits';
+COMMENT ON COLUMN post_analytics.recorded_at IS 'Snapshot time; at most one snapshot per scheduled post per day';
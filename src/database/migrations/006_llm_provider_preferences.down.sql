@@ -0,0 +1,8 @@
+-- Rollback: Per-user LLM provider selection
+
+UPDATE generated_content SET ai_model = LEFT(ai_model, 50) WHERE LENGTH(ai_model) > 50;
+ALTER TABLE generated_content ALTER COLUMN ai_model TYPE VARCHAR(50);
+
+ALTER TABLE user_preferences
+    DROP COLUMN IF EXISTS ai_model,
+    DROP COLUMN IF EXISTS ai_provider;
@@ -0,0 +1,15 @@
+-- Migration: Per-user LLM provider selection
+-- Created: 2024-02-12
+-- Description: Lets users pick the LLM provider/model used for content generation and widens
+-- generated_content.ai_model so it can record "provider/model" identifiers.
+
+ALTER TABLE user_preferences
+    ADD COLUMN IF NOT EXISTS ai_provider VARCHAR(50), -- 'openai', 'openrouter', 'ollama'; NULL uses the server default
+    ADD COLUMN IF NOT EXISTS ai_model VARCHAR(200);
+
+-- e.g. 'openrouter/meta-llama/llama-3.1-8b-instruct:free'
+ALTER TABLE generated_content ALTER COLUMN ai_model TYPE VARCHAR(255);
+
+COMMENT ON COLUMN user_preferences.ai_provider IS 'Preferred LLM provider for content generation';
+COMMENT ON COLUMN user_preferences.ai_model IS 'Preferred model of ai_provider; NULL uses the provider default';
+COMMENT ON COLUMN generated_content.ai_model IS 'Provider and model that produced the content, as provider/model';
@@ -0,0 +1,3 @@
+-- Rollback: Structured generated content
+
+ALTER TABLE generated_content DROP COLUMN IF EXISTS structured_content;
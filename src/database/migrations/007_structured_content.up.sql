@@ -0,0 +1,8 @@
+-- Migration: Structured generated content
+-- Created: 2024-02-19
+-- Description: Stores the schema-validated JSON document (body, hashtags, slides, poll, script or
+-- document sections) returned by the content generator alongside the rendered post.
+
+ALTER TABLE generated_content ADD COLUMN IF NOT EXISTS structured_content JSONB;
+
+COMMENT ON COLUMN generated_content.structured_content IS 'Validated generator output; shape depends on content_type';
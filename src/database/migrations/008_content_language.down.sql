@@ -0,0 +1,9 @@
+-- Rollback: Content language
+
+ALTER TABLE user_preferences DROP COLUMN IF EXISTS content_language;
+
+DROP INDEX IF EXISTS idx_generated_content_language;
+
+ALTER TABLE generated_content
+    DROP COLUMN IF EXISTS language_metadata,
+    DROP COLUMN IF EXISTS language;
@@ -0,0 +1,15 @@
+-- Migration: Content language
+-- Created: 2024-02-26
+-- Description: Records whether generated content is English, Arabic or bilingual (Arabic + English)
+-- so analytics can compare languages, and lets users choose a default generation language.
+
+ALTER TABLE generated_content
+    ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'en'
+        CHECK (language IN ('en', 'ar', 'bilingual')),
+    ADD COLUMN IF NOT EXISTS language_metadata JSONB; -- direction, character and hashtag counts per script
+
+CREATE INDEX IF NOT EXISTS idx_generated_content_language ON generated_content(user_id, language);
+
+ALTER TABLE user_preferences
+    ADD COLUMN IF NOT EXISTS content_language VARCHAR(10) NOT NULL DEFAULT 'en'
+        CHECK (content_language IN ('en', 'ar', 'bilingual'));
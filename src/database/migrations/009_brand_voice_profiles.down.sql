@@ -0,0 +1,7 @@
+-- Rollback: Brand voice profiles
+
+ALTER TABLE generated_content
+    DROP COLUMN IF EXISTS voice_analysis,
+    DROP COLUMN IF EXISTS voice_score;
+
+DROP TABLE IF EXISTS brand_voice_profiles;
@@ -0,0 +1,24 @@
+-- Migration: Brand voice profiles
+-- Created: 2024-03-04
+-- Description: Stores a structured brand voice profile learned from each user's approved and posted
+-- content, and the voice consistency score given to each generated draft.
+
+CREATE TABLE IF NOT EXISTS brand_voice_profiles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    profile JSONB NOT NULL DEFAULT '{}', -- sentence length, emoji use, vocabulary, openers, CTA styles
+    banned_phrases TEXT[] NOT NULL DEFAULT '{}', -- maintained by the user, never learned
+    sample_size INTEGER NOT NULL DEFAULT 0,
+    analyzed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_brand_voice_profiles_updated_at ON brand_voice_profiles;
+CREATE TRIGGER update_brand_voice_profiles_updated_at
+    BEFORE UPDATE ON brand_voice_profiles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE generated_content
+    ADD COLUMN IF NOT EXISTS voice_score DECIMAL(5,2), -- 0-100; NULL when no profile existed
+    ADD COLUMN IF NOT EXISTS voice_analysis JSONB; -- per-dimension scores and explanation
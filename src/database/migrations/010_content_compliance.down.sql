@@ -0,0 +1,12 @@
+-- Rollback: Content compliance
+
+ALTER TABLE user_preferences
+    DROP COLUMN IF EXISTS verified_claims,
+    DROP COLUMN IF EXISTS competitor_names;
+
+DROP INDEX IF EXISTS idx_generated_content_compliance;
+
+ALTER TABLE generated_content
+    DROP COLUMN IF EXISTS compliance_checked_at,
+    DROP COLUMN IF EXISTS compliance_report,
+    DROP COLUMN IF EXISTS compliance_status;
@@ -0,0 +1,16 @@
+-- Migration: Content compliance
+-- Created: 2024-03-08
+-- Description: Stores the pre-publish compliance report for each draft, and the per-user lists the
+-- checker needs: competitors to flag and the certifications/accreditations the business may claim.
+
+ALTER TABLE generated_content
+    ADD COLUMN IF NOT EXISTS compliance_status VARCHAR(20)
+        CHECK (compliance_status IN ('passed', 'warning', 'blocked')),
+    ADD COLUMN IF NOT EXISTS compliance_report JSONB, -- blocking issues and warnings with the matched text
+    ADD COLUMN IF NOT EXISTS compliance_checked_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_generated_content_compliance ON generated_content(user_id, compliance_status);
+
+ALTER TABLE user_preferences
+    ADD COLUMN IF NOT EXISTS competitor_names TEXT[] NOT NULL DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS verified_claims TEXT[] NOT NULL DEFAULT '{}'; -- e.g. 'IMCA', 'ISO 9001'
@@ -0,0 +1,9 @@
+-- Rollback: Content similarity index
+
+DROP INDEX IF EXISTS idx_generated_content_similarity_bands;
+
+ALTER TABLE generated_content
+    DROP COLUMN IF EXISTS duplicate_of,
+    DROP COLUMN IF EXISTS similarity_score,
+    DROP COLUMN IF EXISTS similarity_bands,
+    DROP COLUMN IF EXISTS similarity_signature;
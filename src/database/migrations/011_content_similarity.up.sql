@@ -0,0 +1,13 @@
+-- Migration: Content similarity index
+-- Created: 2024-03-12
+-- Description: MinHash signatures and locality-sensitive hashing bands for near-duplicate detection
+-- against each user's posting history, and the closest earlier post found for each draft.
+
+ALTER TABLE generated_content
+    ADD COLUMN IF NOT EXISTS similarity_signature INTEGER[], -- MinHash of word pairs (2-grams)
+    ADD COLUMN IF NOT EXISTS similarity_bands INTEGER[], -- one hash per band; shared bands mark candidates
+    ADD COLUMN IF NOT EXISTS similarity_score DECIMAL(4,3), -- estimated Jaccard similarity to duplicate_of
+    ADD COLUMN IF NOT EXISTS duplicate_of UUID REFERENCES generated_content(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_generated_content_similarity_bands
+    ON generated_content USING GIN (similarity_bands);
@@ -0,0 +1,3 @@
+-- Rollback: Content revisions
+
+DROP TABLE IF EXISTS content_revisions;
@@ -0,0 +1,37 @@
+-- Migration: Content revisions
+-- Created: 2024-03-15
+-- Description: Keeps every version of a generated post (what the AI wrote, human edits, rewrites and
+-- restores) so reviewers can diff and restore versions, and so we can measure how much humans edit AI output.
+
+CREATE TABLE IF NOT EXISTS content_revisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    content_id UUID NOT NULL REFERENCES generated_content(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- owner of the content
+    revision_number INTEGER NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('ai', 'human', 'rewrite', 'restore')),
+    author_id UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for AI revisions
+    ai_model VARCHAR(200), -- provider/model for AI and rewrite revisions
+    restored_from INTEGER, -- revision number copied by a restore
+    title VARCHAR(500),
+    content_text TEXT NOT NULL,
+    hashtags TEXT[],
+    words_added INTEGER NOT NULL DEFAULT 0, -- compared with the previous revision
+    words_removed INTEGER NOT NULL DEFAULT 0,
+    ai_edit_ratio DECIMAL(5,4), -- 0-1 share of words changed since the first AI revision
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (content_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_revisions_user ON content_revisions(user_id, created_at);
+
+-- Existing posts start their history with their current text. Rows never updated since generation still
+-- hold the AI's text; for the rest the original is lost, so they are recorded as an unattributed human edit.
+INSERT INTO content_revisions (content_id, user_id, revision_number, source, ai_model, title, content_text, hashtags, created_at)
+SELECT gc.id, gc.user_id, 1,
+       CASE WHEN gc.updated_at IS NULL OR gc.updated_at <= gc.created_at THEN 'ai' ELSE 'human' END,
+       gc.ai_model, gc.title, gc.content_text, gc.hashtags, gc.created_at
+FROM generated_content gc
+WHERE gc.content_text IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM content_revisions cr WHERE cr.content_id = gc.id);
+
+UPDATE content_revisions SET ai_edit_ratio = 0 WHERE source = 'ai' AND ai_edit_ratio IS NULL;
@@ -0,0 +1,9 @@
+-- Rollback: Content series
+
+DROP INDEX IF EXISTS idx_generated_content_series;
+
+ALTER TABLE generated_content
+    DROP COLUMN IF EXISTS series_position,
+    DROP COLUMN IF EXISTS series_id;
+
+DROP TABLE IF EXISTS content_series;
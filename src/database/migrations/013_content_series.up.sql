@@ -0,0 +1,33 @@
+-- Migration: Content series
+-- Created: 2024-03-18
+-- Description: Series of posts planned from one long source document (a report or article), with the
+-- generated posts linked to the series in publishing order.
+
+CREATE TABLE IF NOT EXISTS content_series (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    topic_id UUID REFERENCES content_topics(id) ON DELETE SET NULL,
+    title VARCHAR(200) NOT NULL,
+    source_format VARCHAR(20) NOT NULL CHECK (source_format IN ('text', 'markdown', 'pdf', 'docx')),
+    source_name VARCHAR(255), -- original file name, if uploaded
+    source_text TEXT NOT NULL, -- normalized text the series was planned from
+    plan JSONB NOT NULL DEFAULT '[]', -- one entry per post: content type, angle, key points, content id
+    language VARCHAR(20),
+    ai_model VARCHAR(200), -- provider/model that planned the series
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'scheduled')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_series_user ON content_series(user_id, created_at);
+
+DROP TRIGGER IF EXISTS update_content_series_updated_at ON content_series;
+CREATE TRIGGER update_content_series_updated_at
+    BEFORE UPDATE ON content_series
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE generated_content
+    ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES content_series(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS series_position INTEGER; -- 1-based order within the series
+
+CREATE INDEX IF NOT EXISTS idx_generated_content_series ON generated_content(series_id, series_position);
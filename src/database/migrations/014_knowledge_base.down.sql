@@ -0,0 +1,7 @@
+-- Rollback: Knowledge base
+
+ALTER TABLE generated_content
+    DROP COLUMN IF EXISTS knowledge_sources;
+
+DROP TABLE IF EXISTS knowledge_chunks;
+DROP TABLE IF EXISTS knowledge_documents;
@@ -0,0 +1,48 @@
+-- Migration: Knowledge base
+-- Created: 2024-03-21
+-- Description: Per-user company knowledge (service descriptions, case studies, uploaded documents) split
+-- into passages with a full-text index, so generation can ground posts in it, and the passages each draft used.
+
+CREATE TABLE IF NOT EXISTS knowledge_documents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    source_type VARCHAR(20) NOT NULL DEFAULT 'document'
+        CHECK (source_type IN ('document', 'service', 'case_study', 'faq', 'other')),
+    source_format VARCHAR(20) NOT NULL DEFAULT 'text' CHECK (source_format IN ('text', 'markdown', 'pdf', 'docx')),
+    source_name VARCHAR(255), -- original file name, if uploaded
+    characters INTEGER NOT NULL DEFAULT 0,
+    chunk_count INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN DEFAULT true, -- inactive documents are kept but not retrieved
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_documents_user ON knowledge_documents(user_id);
+
+DROP TRIGGER IF EXISTS update_knowledge_documents_updated_at ON knowledge_documents;
+CREATE TRIGGER update_knowledge_documents_updated_at
+    BEFORE UPDATE ON knowledge_documents
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS knowledge_chunks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    document_id UUID NOT NULL REFERENCES knowledge_documents(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL, -- 0-based position in the document
+    heading VARCHAR(200), -- section the passage came from
+    content TEXT NOT NULL,
+    -- English stemming so "inspections" matches "inspection"; other scripts are indexed as written
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(heading, '')), 'A') ||
+        setweight(to_tsvector('english', content), 'B')
+    ) STORED,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (document_id, chunk_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_chunks_user ON knowledge_chunks(user_id);
+CREATE INDEX IF NOT EXISTS idx_knowledge_chunks_search ON knowledge_chunks USING GIN (search_vector);
+
+ALTER TABLE generated_content
+    ADD COLUMN IF NOT EXISTS knowledge_sources JSONB; -- knowledge passages included in the prompt
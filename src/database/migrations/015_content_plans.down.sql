@@ -0,0 +1,4 @@
+-- Rollback: Content plans
+
+DROP TABLE IF EXISTS content_plan_items;
+DROP TABLE IF EXISTS content_plans;
@@ -0,0 +1,47 @@
+-- Migration: Content plans
+-- Created: 2024-03-25
+-- Description: Month-long content calendars planned from the user's posting preferences, topics and the
+-- regional calendar. Each plan item becomes a draft booked into scheduled_posts, held for approval.
+
+CREATE TABLE IF NOT EXISTS content_plans (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    month DATE NOT NULL, -- first day of the planned month
+    status VARCHAR(20) NOT NULL DEFAULT 'planned' CHECK (status IN ('planned', 'generated', 'approved')),
+    settings JSONB NOT NULL DEFAULT '{}', -- posting frequency, days, times and content mix the plan used
+    events JSONB NOT NULL DEFAULT '[]', -- regional calendar events in the month
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, month)
+);
+
+CREATE TABLE IF NOT EXISTS content_plan_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    plan_id UUID NOT NULL REFERENCES content_plans(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL, -- 1-based order within the plan
+    scheduled_for TIMESTAMP NOT NULL,
+    optimal_time TIME,
+    topic_id UUID REFERENCES content_topics(id) ON DELETE SET NULL,
+    content_type VARCHAR(50) NOT NULL,
+    occasions JSONB NOT NULL DEFAULT '[]', -- calendar events on the publishing day
+    status VARCHAR(20) NOT NULL DEFAULT 'planned' CHECK (status IN ('planned', 'generated', 'failed', 'approved')),
+    content_id UUID REFERENCES generated_content(id) ON DELETE SET NULL,
+    scheduled_post_id UUID REFERENCES scheduled_posts(id) ON DELETE SET NULL,
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(plan_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_plans_user ON content_plans(user_id, month);
+CREATE INDEX IF NOT EXISTS idx_content_plan_items_content ON content_plan_items(content_id);
+
+DROP TRIGGER IF EXISTS update_content_plans_updated_at ON content_plans;
+CREATE TRIGGER update_content_plans_updated_at
+    BEFORE UPDATE ON content_plans
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_content_plan_items_updated_at ON content_plan_items;
+CREATE TRIGGER update_content_plan_items_updated_at
+    BEFORE UPDATE ON content_plan_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
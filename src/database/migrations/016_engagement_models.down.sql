@@ -0,0 +1,3 @@
+-- Rollback: Engagement models
+
+DROP TABLE IF EXISTS engagement_models;
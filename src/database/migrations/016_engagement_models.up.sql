@@ -0,0 +1,21 @@
+-- Migration: Engagement models
+-- Created: 2024-03-27
+-- Description: Per-user engagement prediction models fitted on the engagement rates of published posts,
+-- starting from industry averages until the user has enough history of their own.
+
+CREATE TABLE IF NOT EXISTS engagement_models (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    weights JSONB NOT NULL DEFAULT '{}', -- feature name -> engagement rate points, plus the intercept
+    prior JSONB NOT NULL DEFAULT '{}', -- base rate the model started from and where it came from
+    sample_size INTEGER NOT NULL DEFAULT 0,
+    residual_std DECIMAL(6,3) NOT NULL DEFAULT 0,
+    trained_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_engagement_models_updated_at ON engagement_models;
+CREATE TRIGGER update_engagement_models_updated_at
+    BEFORE UPDATE ON engagement_models
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
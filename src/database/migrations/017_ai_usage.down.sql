@@ -0,0 +1,7 @@
+-- Rollback: AI usage accounting
+
+ALTER TABLE user_preferences
+    DROP COLUMN IF EXISTS ai_monthly_soft_budget,
+    DROP COLUMN IF EXISTS ai_monthly_hard_budget;
+
+DROP TABLE IF EXISTS ai_usage_events;
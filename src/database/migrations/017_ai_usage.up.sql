@@ -0,0 +1,27 @@
+-- Migration: AI usage accounting
+-- Created: 2024-03-29
+-- Description: Records every LLM and image generation call with its token counts and cost, and adds
+-- per-user monthly AI budgets (NULL falls back to the server-wide defaults).
+
+CREATE TABLE IF NOT EXISTS ai_usage_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    feature VARCHAR(50) NOT NULL, -- generation, variations, rewrite, series, content_plan, auto_schedule
+    call_type VARCHAR(20) NOT NULL DEFAULT 'completion' CHECK (call_type IN ('completion', 'image')),
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(200) NOT NULL,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    total_tokens INTEGER NOT NULL DEFAULT 0,
+    images INTEGER NOT NULL DEFAULT 0,
+    cost DECIMAL(12,6) NOT NULL DEFAULT 0, -- USD from the price table at the time of the call
+    priced BOOLEAN NOT NULL DEFAULT true, -- false when the model had no price table entry
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_events_user ON ai_usage_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_events_created ON ai_usage_events(created_at);
+
+ALTER TABLE user_preferences
+    ADD COLUMN IF NOT EXISTS ai_monthly_soft_budget DECIMAL(10,2), -- USD; warn once spending passes it
+    ADD COLUMN IF NOT EXISTS ai_monthly_hard_budget DECIMAL(10,2); -- USD; generation is blocked at it
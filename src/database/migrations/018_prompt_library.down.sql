@@ -0,0 +1,7 @@
+-- Rollback: Prompt library
+
+DROP INDEX IF EXISTS idx_generated_content_prompt_versions;
+ALTER TABLE generated_content DROP COLUMN IF EXISTS prompt_version_ids;
+
+DROP TABLE IF EXISTS prompt_versions;
+DROP TABLE IF EXISTS prompt_templates;
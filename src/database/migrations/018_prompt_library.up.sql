@@ -0,0 +1,147 @@
+-- Migration: Prompt library
+-- Created: 2024-04-01
+-- Description: Versioned, editable prompts for content generation. A prompt can apply to every user or be
+-- scoped to a content type, an industry or a single user; the most specific active version is used.
+-- Generated content records the prompt versions that produced it.
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    prompt_key VARCHAR(50) NOT NULL CHECK (prompt_key IN ('system', 'content_type', 'topic')),
+    content_type VARCHAR(50), -- NULL: every content type
+    industry VARCHAR(100), -- NULL: every industry
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- NULL: every user
+    active_version INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One prompt per key and scope
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_scope ON prompt_templates (
+    prompt_key,
+    COALESCE(content_type, ''),
+    COALESCE(lower(industry), ''),
+    COALESCE(user_id, '00000000-0000-0000-0000-000000000000'::uuid)
+);
+
+CREATE TABLE IF NOT EXISTS prompt_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    template_id UUID NOT NULL REFERENCES prompt_templates(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    body TEXT NOT NULL,
+    variables TEXT[] NOT NULL DEFAULT '{}', -- variables the body uses
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(template_id, version)
+);
+
+DROP TRIGGER IF EXISTS update_prompt_templates_updated_at ON prompt_templates;
+CREATE TRIGGER update_prompt_templates_updated_at
+    BEFORE UPDATE ON prompt_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE generated_content
+    ADD COLUMN IF NOT EXISTS prompt_version_ids UUID[]; -- prompt_versions used to generate the draft
+
+CREATE INDEX IF NOT EXISTS idx_generated_content_prompt_versions ON generated_content USING GIN (prompt_version_ids);
+
+-- The prompts content generation used before the library existed
+WITH template AS (
+    INSERT INTO prompt_templates (prompt_key, content_type) VALUES ('system', NULL) RETURNING id
+)
+INSERT INTO prompt_versions (template_id, version, body, variables, notes)
+SELECT id, 1, $prompt$You are an expert LinkedIn content creator specializing in the Abu Dhabi/UAE market. You understand:
+- Local business culture and professional norms
+- Optimal posting times (8:30 AM, 1:00 PM, 8:30 PM UAE time)
+- High-engagement content formats
+- Professional Arabic and English communication styles
+
+Key guidelines:
+- Write in a {{tone}} tone
+- Focus on value-driven content that educates or inspires
+- Use relevant industry insights and local market knowledge
+- Include call-to-actions that encourage meaningful engagement
+- Respect cultural sensitivities and business etiquette
+- Optimize for LinkedIn's algorithm preferences$prompt$, ARRAY['tone'], 'Initial version' FROM template;
+
+WITH template AS (
+    INSERT INTO prompt_templates (prompt_key, content_type) VALUES ('content_type', 'text') RETURNING id
+)
+INSERT INTO prompt_versions (template_id, version, body, variables, notes)
+SELECT id, 1, $prompt$For text posts:
+- Keep content between 150-300 words for optimal engagement
+- Use line breaks and emojis strategically
+- Include 3-5 relevant hashtags
+- End with an engaging question or call-to-action$prompt$, '{}', 'Initial version' FROM template;
+
+WITH template AS (
+    INSERT INTO prompt_templates (prompt_key, content_type) VALUES ('content_type', 'multi_image') RETURNING id
+)
+INSERT INTO prompt_versions (template_id, version, body, variables, notes)
+SELECT id, 1, $prompt$For multi-image carousel posts:
+- Create content for 3-5 slides
+- Each slide should have a clear, concise message (max 50 words)
+- Use storytelling structure: hook → value → conclusion
+- Include slide titles and descriptions
+- Suggest visual elements for each slide$prompt$, '{}', 'Initial version' FROM template;
+
+WITH template AS (
+    INSERT INTO prompt_templates (prompt_key, content_type) VALUES ('content_type', 'video') RETURNING id
+)
+INSERT INTO prompt_versions (template_id, version, body, variables, notes)
+SELECT id, 1, $prompt$For video posts:
+- Create a script for 60-90 seconds
+- Strong hook in first 3 seconds
+- Include captions/subtitles suggestions
+- Clear value proposition
+- End with strong call-to-action$prompt$, '{}', 'Initial version' FROM template;
+
+WITH template AS (
+    INSERT INTO prompt_templates (prompt_key, content_type) VALUES ('content_type', 'poll') RETURNING id
+)
+INSERT INTO prompt_versions (template_id, version, body, variables, notes)
+SELECT id, 1, $prompt$For poll posts:
+- Create engaging, opinion-sparking questions
+- Provide 2-4 clear poll options
+- Include context that encourages discussion
+- Ask follow-up questions in comments$prompt$, '{}', 'Initial version' FROM template;
+
+WITH template AS (
+    INSERT INTO prompt_templates (prompt_key, content_type) VALUES ('content_type', 'document') RETURNING id
+)
+INSERT INTO prompt_versions (template_id, version, body, variables, notes)
+SELECT id, 1, $prompt$For document/PDF posts:
+- Create structured, educational content
+- Use clear headings and bullet points
+- Include actionable insights or frameworks
+- Design for easy reading and sharing$prompt$, '{}', 'Initial version' FROM template;
+
+WITH template AS (
+    INSERT INTO prompt_templates (prompt_key, content_type) VALUES ('topic', NULL) RETURNING id
+)
+INSERT INTO prompt_versions (template_id, version, body, variables, notes)
+SELECT id, 1, $prompt$Create a LinkedIn {{contentType}} post about: {{title}}
+
+{{#description}}Topic Description: {{description}}
+
+{{/description}}{{#keywords}}Key Keywords to include: {{keywords}}
+
+{{/keywords}}{{#targetAudience}}Target Audience: {{targetAudience}}
+
+{{/targetAudience}}{{#industry}}Industry Context: {{industry}}
+
+{{/industry}}{{#brandVoice}}Brand Voice Guidelines: {{brandVoice}}
+
+{{/brandVoice}}{{#excludedTopics}}Avoid these topics: {{excludedTopics}}
+
+{{/excludedTopics}}{{#voiceGuidelines}}{{voiceGuidelines}}
+
+{{/voiceGuidelines}}{{#companyKnowledge}}{{companyKnowledge}}
+
+{{/companyKnowledge}}{{#occasion}}Publishing Date: {{occasion}}. Acknowledge the occasion where it fits the topic naturally; do not turn the post into a greeting.
+
+{{/occasion}}Context: This content is for professionals in Abu Dhabi/UAE. Consider:
+- Local business environment and opportunities
+- Cultural diversity and international business presence
+- Innovation and technology adoption in the region
+- Professional development and networking culture$prompt$, ARRAY['contentType', 'title', 'description', 'keywords', 'targetAudience', 'industry', 'brandVoice', 'excludedTopics', 'voiceGuidelines', 'companyKnowledge', 'occasion'], 'Initial version' FROM template;
@@ -0,0 +1,7 @@
+-- Rollback: Image providers and brand kits
+
+DROP TABLE IF EXISTS brand_kits;
+
+ALTER TABLE user_preferences
+    DROP COLUMN IF EXISTS image_model,
+    DROP COLUMN IF EXISTS image_provider;
@@ -0,0 +1,26 @@
+-- Migration: Image providers and brand kits
+-- Created: 2024-04-03
+-- Description: Per-user image provider preference, and the brand colours, font and logo that the offline
+-- template renderer draws branded graphics with.
+
+ALTER TABLE user_preferences
+    ADD COLUMN IF NOT EXISTS image_provider VARCHAR(50), -- NULL: IMAGE_PROVIDER
+    ADD COLUMN IF NOT EXISTS image_model VARCHAR(200);
+
+CREATE TABLE IF NOT EXISTS brand_kits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    primary_color VARCHAR(7) NOT NULL DEFAULT '#0A66C2',
+    secondary_color VARCHAR(7) NOT NULL DEFAULT '#F5A623',
+    background_color VARCHAR(7) NOT NULL DEFAULT '#FFFFFF',
+    text_color VARCHAR(7) NOT NULL DEFAULT '#1D2226',
+    font_family VARCHAR(100), -- NULL: the renderer's default sans-serif stack
+    logo_path VARCHAR(500), -- logo image on local storage
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_brand_kits_updated_at ON brand_kits;
+CREATE TRIGGER update_brand_kits_updated_at
+    BEFORE UPDATE ON brand_kits
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,10 @@
+-- Rollback: Brand kit branding
+
+ALTER TABLE brand_kits
+    DROP COLUMN IF EXISTS caption_text,
+    DROP COLUMN IF EXISTS caption_bar_enabled,
+    DROP COLUMN IF EXISTS frame_enabled,
+    DROP COLUMN IF EXISTS watermark_scale,
+    DROP COLUMN IF EXISTS watermark_opacity,
+    DROP COLUMN IF EXISTS watermark_position,
+    DROP COLUMN IF EXISTS watermark_enabled;
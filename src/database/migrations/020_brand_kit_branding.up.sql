@@ -0,0 +1,16 @@
+-- Migration: Brand kit branding
+-- Created: 2024-04-10
+-- Description: Watermark, frame and caption bar settings that brand every generated or uploaded image
+-- before it is attached to a post.
+
+ALTER TABLE brand_kits
+    ADD COLUMN IF NOT EXISTS watermark_enabled BOOLEAN NOT NULL DEFAULT TRUE, -- needs a logo
+    ADD COLUMN IF NOT EXISTS watermark_position VARCHAR(20) NOT NULL DEFAULT 'bottom-right'
+        CHECK (watermark_position IN ('top-left', 'top-right', 'bottom-left', 'bottom-right', 'center')),
+    ADD COLUMN IF NOT EXISTS watermark_opacity NUMERIC(3,2) NOT NULL DEFAULT 0.80
+        CHECK (watermark_opacity >= 0 AND watermark_opacity <= 1),
+    ADD COLUMN IF NOT EXISTS watermark_scale NUMERIC(3,2) NOT NULL DEFAULT 0.15 -- logo width / image width
+        CHECK (watermark_scale >= 0.05 AND watermark_scale <= 0.5),
+    ADD COLUMN IF NOT EXISTS frame_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS caption_bar_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS caption_text VARCHAR(120); -- NULL: the post title
@@ -0,0 +1,4 @@
+-- Rollback: Carousel documents
+
+ALTER TABLE generated_content
+    DROP COLUMN IF EXISTS document_data;
@@ -0,0 +1,6 @@
+-- Migration: Carousel documents
+-- Created: 2024-04-15
+-- Description: PDF built from a carousel's slides, which LinkedIn publishes as a document post.
+
+ALTER TABLE generated_content
+    ADD COLUMN IF NOT EXISTS document_data JSONB; -- { path, format, width, height, pageCount, pages, ... }
@@ -0,0 +1,42 @@
+-- Migration: Media library
+-- Created: 2024-04-20
+-- Description: Indexed, deduplicated images with LinkedIn-sized variants, tags, and the posts that use them
+-- so unused media can be cleaned up.
+
+CREATE TABLE IF NOT EXISTS media_assets (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    content_hash VARCHAR(64) NOT NULL, -- sha256 of the file as received
+    source VARCHAR(20) NOT NULL DEFAULT 'upload' CHECK (source IN ('upload', 'generated')),
+    original_name VARCHAR(255),
+    mime_type VARCHAR(50) NOT NULL,
+    width INTEGER NOT NULL,
+    height INTEGER NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    path VARCHAR(500) NOT NULL, -- stored original, metadata stripped
+    variants JSONB NOT NULL DEFAULT '{}', -- variant name -> { path, width, height, sizeBytes, mimeType }
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    metadata JSONB NOT NULL DEFAULT '{}', -- provider, model, prompt, template and branding of generated images
+    last_used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, content_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_assets_user_created ON media_assets(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_media_assets_tags ON media_assets USING GIN (tags);
+
+-- One row per post using an asset; the number of rows is the asset's reference count
+CREATE TABLE IF NOT EXISTS content_media (
+    content_id UUID NOT NULL REFERENCES generated_content(id) ON DELETE CASCADE,
+    media_id UUID NOT NULL REFERENCES media_assets(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (content_id, media_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_media_media ON content_media(media_id);
+
+DROP TRIGGER IF EXISTS update_media_assets_updated_at ON media_assets;
+CREATE TRIGGER update_media_assets_updated_at
+    BEFORE UPDATE ON media_assets
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,4 @@
+-- Rollback: Accessibility report
+
+ALTER TABLE generated_content
+    DROP COLUMN IF EXISTS accessibility_report;
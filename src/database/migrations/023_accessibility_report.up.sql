@@ -0,0 +1,6 @@
+-- Migration: Accessibility report
+-- Created: 2024-04-24
+-- Description: Result of the accessibility check (alt text, text contrast, emoji use) of generated content.
+
+ALTER TABLE generated_content
+    ADD COLUMN IF NOT EXISTS accessibility_report JSONB; -- { status, warnings, checkedAt }
@@ -0,0 +1,157 @@
+/**
+ * Parameterized SQL builders shared by the repositories.
+ * Values are always passed as $n parameters; table and column names must come
+ * from a repository's column whitelist, never from request input.
+ */
+
+const OPERATORS = {
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  ilike: 'ILIKE'
+};
+
+const isOperatorObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+/**
+ * Build a WHERE clause from a criteria object
+ * { status: 'pending' }            -> status = $1
+ * { status: ['pending', 'failed'] } -> status = ANY($1)
+ * { posted_at: { gte: date } }    -> posted_at >= $1
+ * { error_message: null }         -> error_message IS NULL
+ * @param {Object} criteria - Column to value map
+ * @param {number} startIndex - First placeholder index
+ * @returns {Object} { clause, params, nextIndex }
+ */
+const buildWhere = (criteria = {}, startIndex = 1) => {
+  const conditions = [];
+  const params = [];
+  let index = startIndex;
+
+  for (const [column, value] of Object.entries(criteria)) {
+    if (value === undefined) {
+      continue;
+    }
+
+    if (value === null) {
+      conditions.push(`${column} IS NULL`);
+    } else if (Array.isArray(value)) {
+      conditions.push(`${column} = ANY($${index++})`);
+      params.push(value);
+    } else if (isOperatorObject(value)) {
+      for (const [operator, operand] of Object.entries(value)) {
+        const sqlOperator = OPERATORS[operator];
+        if (!sqlOperator) {
+          throw new Error(`Unsupported query operator: ${operator}`);
+        }
+        conditions.push(`${column} ${sqlOperator} $${index++}`);
+        params.push(operand);
+      }
+    } else {
+      conditions.push(`${column} = $${index++}`);
+      params.push(value);
+    }
+  }
+
+  return {
+    clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+    nextIndex: index
+  };
+};
+
+/**
+ * Build an INSERT statement
+ * @param {string} table - Table name
+ * @param {Object} data - Column to value map
+ * @param {Object} options - { returning, onConflict }
+ * @returns {Object} { text, params }
+ */
+const buildInsert = (table, data, { returning = '*', onConflict = '' } = {}) => {
+  const columns = Object.keys(data).filter(column => data[column] !== undefined);
+  if (columns.length === 0) {
+    throw new Error(`No columns provided for insert into ${table}`);
+  }
+
+  const placeholders = columns.map((_, i) => `$${i + 1}`);
+
+  return {
+    text: `
+      INSERT INTO ${table} (${columns.join(', ')})
+      VALUES (${placeholders.join(', ')})
+      ${onConflict}
+      ${returning ? `RETURNING ${returning}` : ''}
+    `,
+    params: columns.map(column => data[column])
+  };
+};
+
+/**
+ * Build an UPDATE statement
+ * @param {string} table - Table name
+ * @param {Object} data - Column to value map
+ * @param {Object} criteria - WHERE criteria (see buildWhere)
+ * @param {Object} options - { returning }
+ * @returns {Object} { text, params }
+ */
+const buildUpdate = (table, data, criteria, { returning = '*' } = {}) => {
+  const columns = Object.keys(data).filter(column => data[column] !== undefined);
+  if (columns.length === 0) {
+    throw new Error(`No columns provided for update of ${table}`);
+  }
+
+  const assignments = columns.map((column, i) => `${column} = $${i + 1}`);
+  const where = buildWhere(criteria, columns.length + 1);
+  if (!where.clause) {
+    throw new Error(`Refusing to update ${table} without criteria`);
+  }
+
+  return {
+    text: `
+      UPDATE ${table}
+      SET ${assignments.join(', ')}
+      ${where.clause}
+      ${returning ? `RETURNING ${returning}` : ''}
+    `,
+    params: [...columns.map(column => data[column]), ...where.params]
+  };
+};
+
+/**
+ * Build ORDER BY / LIMIT / OFFSET, continuing the placeholder sequence
+ * @param {Object} options - { orderBy, limit, offset }
+ * @param {number} startIndex - First placeholder index
+ * @returns {Object} { clause, params }
+ */
+const buildPagination = ({ orderBy, limit, offset } = {}, startIndex = 1) => {
+  const parts = [];
+  const params = [];
+  let index = startIndex;
+
+  if (orderBy) {
+    parts.push(`ORDER BY ${orderBy}`);
+  }
+  if (limit) {
+    parts.push(`LIMIT $${index++}`);
+    params.push(limit);
+  }
+  if (offset) {
+    parts.push(`OFFSET $${index++}`);
+    params.push(offset);
+  }
+
+  return { clause: parts.join(' '), params };
+};
+
+module.exports = {
+  OPERATORS,
+  buildWhere,
+  buildInsert,
+  buildUpdate,
+  buildPagination
+};
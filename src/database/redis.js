@@ -0,0 +1,70 @@
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+
+const CONNECTING_STATES = ['wait', 'connecting', 'connect'];
+
+let client = null;
+let reportedDown = false;
+
+// Shared Redis connection, opened on first use. Commands fail fast instead of queueing while
+// Redis is unreachable, so callers can carry on without it.
+const getRedis = () => {
+  if (!client) {
+    const retryDelay = parseInt(process.env.REDIS_RETRY_DELAY) || 1000;
+
+    client = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+      password: process.env.REDIS_PASSWORD || undefined,
+      maxRetriesPerRequest: parseInt(process.env.REDIS_MAX_RETRIES) || 3,
+      retryStrategy: (attempt) => Math.min(attempt * retryDelay, 30000),
+      enableOfflineQueue: false
+    });
+
+    client.on('ready', () => {
+      reportedDown = false;
+      logger.info('Redis connection established');
+    });
+    client.on('error', (error) => {
+      if (!reportedDown) {
+        reportedDown = true;
+        logger.warn('Redis unavailable, retrying in the background', { error: error.message });
+      }
+    });
+  }
+  return client;
+};
+
+/**
+ * The Redis connection once it is ready, or null while Redis is down
+ * A connection that is still being opened gets up to waitMs to become ready.
+ */
+const getAvailableRedis = async (waitMs = 1000) => {
+  const redis = getRedis();
+  if (CONNECTING_STATES.includes(redis.status)) {
+    await new Promise((resolve) => {
+      const timer = setTimeout(done, waitMs);
+      function done() {
+        clearTimeout(timer);
+        redis.off('ready', done);
+        redis.off('end', done);
+        resolve();
+      }
+      redis.once('ready', done);
+      redis.once('end', done);
+    });
+  }
+  return redis.status === 'ready' ? redis : null;
+};
+
+const closeRedis = async () => {
+  if (client) {
+    const closing = client;
+    client = null;
+    await closing.quit().catch(() => closing.disconnect());
+  }
+};
+
+module.exports = {
+  getRedis,
+  getAvailableRedis,
+  closeRedis
+};
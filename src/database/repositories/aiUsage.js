@@ -0,0 +1,76 @@
+const Repository = require('./base');
+const { EXPECTED_SCHEMA } = require('../schema');
+
+const TOTALS = `COUNT(*) as calls,
+             COALESCE(SUM(ue.prompt_tokens), 0) as prompt_tokens,
+             COALESCE(SUM(ue.completion_tokens), 0) as completion_tokens,
+             COALESCE(SUM(ue.total_tokens), 0) as total_tokens,
+             COALESCE(SUM(ue.images), 0) as images,
+             COALESCE(SUM(ue.cost), 0) as cost,
+             COUNT(*) FILTER (WHERE NOT ue.priced) as unpriced_calls`;
+
+/**
+ * LLM and image generation calls with their token counts and cost
+ */
+class AIUsageRepository extends Repository {
+  constructor() {
+    super('ai_usage_events', { columns: EXPECTED_SCHEMA.ai_usage_events });
+  }
+
+  /**
+   * Spending of a user since a date
+   * @returns {Promise<Object>} { calls, cost }
+   */
+  async getSpend(userId, since, client) {
+    return this.queryOne(`
+      SELECT COUNT(*) as calls, COALESCE(SUM(cost), 0) as cost
+      FROM ai_usage_events
+      WHERE user_id = $1 AND created_at >= $2
+    `, [userId, since], client);
+  }
+
+  /**
+   * Usage between two dates grouped by day, feature, model or user
+   * @param {string} groupBy - 'day', 'feature', 'model', 'user' or null for the overall totals
+   * @param {Object} filters - { userId, since, until }; without userId all users are included
+   */
+  async getBreakdown(groupBy, { userId = null, since, until }, client) {
+    const groups = {
+      day: { select: "to_char(ue.created_at, 'YYYY-MM-DD') as day", group: 'day', order: 'day' },
+      feature: { select: 'ue.feature', group: 'ue.feature', order: 'cost DESC, ue.feature' },
+      model: { select: 'ue.provider, ue.model', group: 'ue.provider, ue.model', order: 'cost DESC, ue.provider, ue.model' },
+      user: {
+        select: 'ue.user_id, u.email',
+        group: 'ue.user_id, u.email',
+        order: 'cost DESC, u.email',
+        join: 'JOIN users u ON u.id = ue.user_id'
+      }
+    };
+    const params = [since, until];
+    let where = 'ue.created_at >= $1 AND ue.created_at < $2';
+    if (userId) {
+      params.push(userId);
+      where += ` AND ue.user_id = $${params.length}`;
+    }
+
+    if (!groupBy) {
+      return this.queryOne(`
+        SELECT ${TOTALS}
+        FROM ai_usage_events ue
+        WHERE ${where}
+      `, params, client);
+    }
+
+    const { select, group, order, join = '' } = groups[groupBy];
+    return this.query(`
+      SELECT ${select}, ${TOTALS}
+      FROM ai_usage_events ue
+      ${join}
+      WHERE ${where}
+      GROUP BY ${group}
+      ORDER BY ${order}
+    `, params, client);
+  }
+}
+
+module.exports = new AIUsageRepository();
@@ -0,0 +1,504 @@
+const Repository = require('./base');
+const { EXPECTED_SCHEMA } = require('../schema');
+
+/**
+ * post_analytics snapshots plus the reporting queries built on them
+ * (daily_reports and user_insights summaries are written here as well)
+ */
+class AnalyticsRepository extends Repository {
+  constructor() {
+    super('post_analytics', { columns: EXPECTED_SCHEMA.post_analytics });
+  }
+
+  /**
+   * Upsert today's metrics snapshot for a scheduled post
+   * @param {string} scheduledPostId - Scheduled post ID
+   * @param {Object} metrics - likes, comments, shares, views, clicks, impressions, reach,
+   *                           engagementRate, clickThroughRate
+   */
+  async recordSnapshot(scheduledPostId, metrics, client) {
+    return this.queryOne(`
+      INSERT INTO post_analytics (
+        scheduled_post_id, user_id, linkedin_post_id,
+        likes, comments, shares, views, clicks,
+        impressions, reach, engagement_rate, click_through_rate,
+        recorded_at
+      )
+      SELECT sp.id, sp.user_id, sp.linkedin_post_id, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW()
+      FROM scheduled_posts sp
+      WHERE sp.id = $1
+      ON CONFLICT (scheduled_post_id, (recorded_at::date))
+      DO UPDATE SET
+        likes = EXCLUDED.likes,
+        comments = EXCLUDED.comments,
+        shares = EXCLUDED.shares,
+        views = EXCLUDED.views,
+        clicks = EXCLUDED.clicks,
+        impressions = EXCLUDED.impressions,
+        reach = EXCLUDED.reach,
+        engagement_rate = EXCLUDED.engagement_rate,
+        click_through_rate = EXCLUDED.click_through_rate,
+        last_updated = NOW(),
+        updated_at = NOW()
+      RETURNING *
+    `, [
+      scheduledPostId,
+      metrics.likes || 0,
+      metrics.comments || 0,
+      metrics.shares || 0,
+      metrics.views || 0,
+      metrics.clicks || 0,
+      metrics.impressions || 0,
+      metrics.reach || 0,
+      metrics.engagementRate || 0,
+      metrics.clickThroughRate || 0
+    ], client);
+  }
+
+  async getOverview(userId, since, client) {
+    return this.queryOne(`
+      SELECT
+        COUNT(DISTINCT sp.id) as total_posts,
+        COALESCE(SUM(sp.total_likes), 0) as total_likes,
+        COALESCE(SUM(sp.total_comments), 0) as total_comments,
+        COALESCE(SUM(sp.total_shares), 0) as total_shares,
+        COALESCE(SUM(sp.total_views), 0) as total_views,
+        COALESCE(SUM(sp.total_clicks), 0) as total_clicks,
+        COALESCE(AVG(sp.avg_engagement_rate), 0) as avg_engagement_rate,
+        COALESCE(SUM(pa.impressions), 0) as total_impressions,
+        COALESCE(SUM(pa.reach), 0) as total_reach
+      FROM scheduled_posts sp
+      LEFT JOIN post_analytics pa ON sp.id = pa.scheduled_post_id
+      WHERE sp.user_id = $1
+        AND sp.status = 'posted'
+        AND sp.posted_at >= $2
+    `, [userId, since], client);
+  }
+
+  async getTopPosts(userId, since, limit = 10, client) {
+    return this.query(`
+      SELECT
+        sp.id,
+        gc.content_text as content,
+        gc.content_type,
+        sp.posted_at,
+        sp.total_likes,
+        sp.total_comments,
+        sp.total_shares,
+        sp.total_views,
+        sp.total_clicks,
+        sp.avg_engagement_rate,
+        (sp.total_likes + sp.total_comments + sp.total_shares) as total_engagements,
+        ct.name as template_name
+      FROM scheduled_posts sp
+      JOIN generated_content gc ON sp.content_id = gc.id
+      LEFT JOIN content_templates ct ON gc.template_id = ct.id
+      WHERE sp.user_id = $1
+        AND sp.status = 'posted'
+        AND sp.posted_at >= $2
+      ORDER BY sp.avg_engagement_rate DESC, total_engagements DESC
+      LIMIT $3
+    `, [userId, since, limit], client);
+  }
+
+  async getEngagementTrends(userId, since, client) {
+    return this.query(`
+      SELECT
+        DATE(sp.posted_at) as date,
+        COUNT(sp.id) as posts_count,
+        COALESCE(SUM(sp.total_likes), 0) as likes,
+        COALESCE(SUM(sp.total_comments), 0) as comments,
+        COALESCE(SUM(sp.total_shares), 0) as shares,
+        COALESCE(AVG(sp.avg_engagement_rate), 0) as avg_engagement_rate,
+        COALESCE(SUM(pa.impressions), 0) as impressions,
+        COALESCE(SUM(pa.reach), 0) as reach
+      FROM scheduled_posts sp
+      LEFT JOIN post_analytics pa ON sp.id = pa.scheduled_post_id
+      WHERE sp.user_id = $1
+        AND sp.status = 'posted'
+        AND sp.posted_at >= $2
+      GROUP BY DATE(sp.posted_at)
+      ORDER BY date ASC
+    `, [userId, since], client);
+  }
+
+  async getContentPerformance(userId, since, client) {
+    return this.query(`
+      SELECT
+        gc.content_type,
+        ct.content_category,
+        COUNT(sp.id) as posts_count,
+        COALESCE(AVG(sp.avg_engagement_rate), 0) as avg_engagement_rate,
+        COALESCE(SUM(sp.total_likes), 0) as total_likes,
+        COALESCE(SUM(sp.total_comments), 0) as total_comments,
+        COALESCE(SUM(sp.total_shares), 0) as total_shares,
+        COALESCE(AVG(sp.total_views), 0) as avg_views
+      FROM scheduled_posts sp
+      JOIN generated_content gc ON sp.content_id = gc.id
+      LEFT JOIN content_templates ct ON gc.template_id = ct.id
+      WHERE sp.user_id = $1
+        AND sp.status = 'posted'
+        AND sp.posted_at >= $2
+      GROUP BY gc.content_type, ct.content_category
+      ORDER BY avg_engagement_rate DESC
+    `, [userId, since], client);
+  }
+
+  /**
+   * Engagement by content language (en, ar, bilingual)
+   */
+  async getLanguagePerformance(userId, since, client) {
+    return this.query(`
+      SELECT
+        gc.language,
+        COUNT(sp.id) as posts_count,
+        COALESCE(AVG(sp.avg_engagement_rate), 0) as avg_engagement_rate,
+        COALESCE(SUM(sp.total_likes), 0) as total_likes,
+        COALESCE(SUM(sp.total_comments), 0) as total_comments,
+        COALESCE(SUM(sp.total_shares), 0) as total_shares,
+        COALESCE(AVG(sp.total_views), 0) as avg_views
+      FROM scheduled_posts sp
+      JOIN generated_content gc ON sp.content_id = gc.id
+      WHERE sp.user_id = $1
+        AND sp.status = 'posted'
+        AND sp.posted_at >= $2
+      GROUP BY gc.language
+      ORDER BY avg_engagement_rate DESC
+    `, [userId, since], client);
+  }
+
+  /**
+   * Engagement by hour of day and day of week
+   */
+  async getPostingTimePerformance(userId, since, client) {
+    return this.query(`
+      SELECT
+        EXTRACT(hour FROM sp.posted_at)::int as hour,
+        EXTRACT(dow FROM sp.posted_at)::int as day_of_week,
+        COUNT(sp.id) as posts_count,
+        COALESCE(AVG(sp.avg_engagement_rate), 0) as avg_engagement_rate,
+        COALESCE(SUM(sp.total_likes + sp.total_comments + sp.total_shares), 0) as total_engagements
+      FROM scheduled_posts sp
+      WHERE sp.user_id = $1
+        AND sp.status = 'posted'
+        AND sp.posted_at >= $2
+      GROUP BY EXTRACT(hour FROM sp.posted_at), EXTRACT(dow FROM sp.posted_at)
+      ORDER BY avg_engagement_rate DESC
+    `, [userId, since], client);
+  }
+
+  /**
+   * Average engagement of posts using each hashtag (used at least twice)
+   */
+  async getHashtagPerformance(userId, since, limit = 20, client) {
+    return this.query(`
+      SELECT
+        hashtag,
+        COUNT(*) as usage_count,
+        COALESCE(AVG(avg_engagement_rate), 0) as avg_engagement_rate
+      FROM (
+        SELECT
+          sp.id,
+          sp.avg_engagement_rate,
+          unnest(string_to_array(regexp_replace(gc.content_text, '[^#\\w\\s]', '', 'g'), ' ')) as hashtag
+        FROM scheduled_posts sp
+        JOIN generated_content gc ON sp.content_id = gc.id
+        WHERE sp.user_id = $1
+          AND sp.status = 'posted'
+          AND sp.posted_at >= $2
+          AND gc.content_text ~ '#\\w+'
+      ) hashtag_data
+      WHERE hashtag LIKE '#%'
+      GROUP BY hashtag
+      HAVING COUNT(*) >= 2
+      ORDER BY avg_engagement_rate DESC
+      LIMIT $3
+    `, [userId, since, limit], client);
+  }
+
+  /**
+   * Engagement of the user's published posts per hashtag, from the hashtags stored with each post
+   * Tags are grouped case-insensitively and reported in their most used spelling.
+   */
+  async getHashtagStats(userId, since, client) {
+    return this.query(`
+      SELECT
+        mode() WITHIN GROUP (ORDER BY tag.value) as hashtag,
+        COUNT(DISTINCT sp.id) as posts_count,
+        COALESCE(SUM(pa.impressions), 0) as impressions,
+        COALESCE(SUM(sp.total_likes + sp.total_comments + sp.total_shares), 0) as engagements,
+        COALESCE(AVG(sp.avg_engagement_rate), 0) as avg_engagement_rate,
+        MAX(sp.posted_at) as last_used_at
+      FROM scheduled_posts sp
+      JOIN generated_content gc ON gc.id = sp.content_id
+      CROSS JOIN LATERAL unnest(gc.hashtags) as tag(value)
+      LEFT JOIN LATERAL (
+        SELECT SUM(impressions) as impressions
+        FROM post_analytics
+        WHERE scheduled_post_id = sp.id
+      ) pa ON true
+      WHERE sp.user_id = $1
+        AND sp.status = 'posted'
+        AND sp.posted_at >= $2
+      GROUP BY lower(tag.value)
+      ORDER BY avg_engagement_rate DESC
+    `, [userId, since], client);
+  }
+
+  /**
+   * Average engagement rate of all the user's published posts, the baseline hashtags are compared with
+   */
+  async getEngagementBaseline(userId, since, client) {
+    return this.queryOne(`
+      SELECT
+        COUNT(*) as posts_count,
+        COALESCE(AVG(sp.avg_engagement_rate), 0) as avg_engagement_rate
+      FROM scheduled_posts sp
+      WHERE sp.user_id = $1
+        AND sp.status = 'posted'
+        AND sp.posted_at >= $2
+    `, [userId, since], client);
+  }
+
+  /**
+   * Published posts with their content and latest engagement rate, the training set of the
+   * engagement prediction model
+   */
+  async getEngagementHistory(userId, since, limit = 500, client) {
+    return this.query(`
+      SELECT
+        sp.id as scheduled_post_id,
+        sp.posted_at,
+        gc.content_text, gc.structured_content, gc.content_type, gc.hashtags, gc.topic_id,
+        ct.title as topic_title,
+        pa.engagement_rate
+      FROM scheduled_posts sp
+      JOIN generated_content gc ON gc.id = sp.content_id
+      LEFT JOIN content_topics ct ON ct.id = gc.topic_id
+      JOIN LATERAL (
+        SELECT engagement_rate FROM post_analytics
+        WHERE scheduled_post_id = sp.id
+        ORDER BY recorded_at DESC
+        LIMIT 1
+      ) pa ON true
+      WHERE sp.user_id = $1
+        AND sp.status = 'posted'
+        AND sp.posted_at >= $2
+        AND pa.engagement_rate IS NOT NULL
+      ORDER BY sp.posted_at DESC
+      LIMIT $3
+    `, [userId, since, limit], client);
+  }
+
+  async getIndustryBenchmark(industry, since, client) {
+    return this.queryOne(`
+      SELECT
+        AVG(sp.avg_engagement_rate) as industry_avg_engagement,
+        PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY sp.avg_engagement_rate) as industry_median_engagement,
+        AVG(sp.total_likes + sp.total_comments + sp.total_shares) as industry_avg_engagements,
+        COUNT(DISTINCT sp.user_id) as active_users
+      FROM scheduled_posts sp
+      JOIN users u ON sp.user_id = u.id
+      WHERE u.industry = $1
+        AND sp.status = 'posted'
+        AND sp.posted_at >= $2
+    `, [industry, since], client);
+  }
+
+  async getUserBenchmark(userId, since, client) {
+    return this.queryOne(`
+      SELECT
+        AVG(sp.avg_engagement_rate) as user_avg_engagement,
+        AVG(sp.total_likes + sp.total_comments + sp.total_shares) as user_avg_engagements,
+        COUNT(sp.id) as user_posts_count
+      FROM scheduled_posts sp
+      WHERE sp.user_id = $1
+        AND sp.status = 'posted'
+        AND sp.posted_at >= $2
+    `, [userId, since], client);
+  }
+
+  /**
+   * Share of users in the industry with an average engagement at or below the user's
+   */
+  async getPercentileRank(userId, industry, since, client) {
+    const row = await this.queryOne(`
+      WITH user_avg AS (
+        SELECT AVG(avg_engagement_rate) as user_rate
+        FROM scheduled_posts
+        WHERE user_id = $1 AND status = 'posted' AND posted_at >= $2
+      ),
+      industry_rates AS (
+        SELECT
+          sp.user_id,
+          AVG(sp.avg_engagement_rate) as avg_rate
+        FROM scheduled_posts sp
+        JOIN users u ON sp.user_id = u.id
+        WHERE u.industry = $3 AND sp.status = 'posted' AND sp.posted_at >= $2
+        GROUP BY sp.user_id
+      )
+      SELECT
+        (COUNT(CASE WHEN ir.avg_rate <= ua.user_rate THEN 1 END) * 100.0 / NULLIF(COUNT(*), 0)) as percentile_rank
+      FROM industry_rates ir, user_avg ua
+    `, [userId, since, industry], client);
+
+    return row && row.percentile_rank !== null ? row.percentile_rank : 0;
+  }
+
+  async getROIMetrics(userId, since, client) {
+    return this.queryOne(`
+      SELECT
+        COUNT(DISTINCT sp.id) as total_posts,
+        COALESCE(SUM(sp.total_clicks), 0) as total_clicks,
+        COALESCE(SUM(sp.total_views), 0) as total_views,
+        COALESCE(SUM(pa.reach), 0) as total_reach,
+        COALESCE(AVG(sp.avg_engagement_rate), 0) as avg_engagement_rate,
+        -- Estimated time saved (assuming 30 minutes per manual post)
+        COUNT(DISTINCT sp.id) * 0.5 as estimated_hours_saved,
+        -- Estimated cost per post (industry average $50 per post)
+        COUNT(DISTINCT sp.id) * 50 as estimated_cost_savings
+      FROM scheduled_posts sp
+      LEFT JOIN post_analytics pa ON sp.id = pa.scheduled_post_id
+      WHERE sp.user_id = $1
+        AND sp.status = 'posted'
+        AND sp.posted_at >= $2
+    `, [userId, since], client);
+  }
+
+  /**
+   * Posts published by a user since a date with their latest metrics
+   */
+  async getUserPostPerformance(userId, since, client) {
+    return this.query(`
+      SELECT
+        sp.id,
+        sp.posted_at,
+        pa.likes, pa.comments, pa.shares, pa.impressions, pa.engagement_rate,
+        gc.content_type,
+        TO_CHAR(sp.posted_at, 'HH24') as posting_hour
+      FROM scheduled_posts sp
+      LEFT JOIN LATERAL (
+        SELECT * FROM post_analytics
+        WHERE scheduled_post_id = sp.id
+        ORDER BY recorded_at DESC
+        LIMIT 1
+      ) pa ON true
+      LEFT JOIN generated_content gc ON sp.content_id = gc.id
+      WHERE sp.user_id = $1
+        AND sp.status = 'posted'
+        AND sp.posted_at > $2
+      ORDER BY sp.posted_at DESC
+    `, [userId, since], client);
+  }
+
+  /**
+   * Averages across all posts published on a calendar date
+   */
+  async getDailySummary(date, client) {
+    return this.queryOne(`
+      SELECT
+        COUNT(DISTINCT sp.id) as posts_published,
+        AVG(pa.likes) as avg_likes,
+        AVG(pa.comments) as avg_comments,
+        AVG(pa.shares) as avg_shares,
+        AVG(pa.impressions) as avg_impressions,
+        AVG(pa.engagement_rate) as avg_engagement_rate
+      FROM scheduled_posts sp
+      LEFT JOIN post_analytics pa ON sp.id = pa.scheduled_post_id
+      WHERE DATE(sp.posted_at) = $1
+        AND sp.status = 'posted'
+    `, [date], client);
+  }
+
+  async getTopPostForDate(date, client) {
+    return this.queryOne(`
+      SELECT sp.id, pa.engagement_rate
+      FROM scheduled_posts sp
+      JOIN post_analytics pa ON sp.id = pa.scheduled_post_id
+      WHERE DATE(sp.posted_at) = $1
+        AND sp.status = 'posted'
+      ORDER BY pa.engagement_rate DESC NULLS LAST
+      LIMIT 1
+    `, [date], client);
+  }
+
+  async saveDailyReport(report, client) {
+    await this.execute(`
+      INSERT INTO daily_reports (
+        report_date, posts_published, avg_likes, avg_comments,
+        avg_shares, avg_impressions, avg_engagement_rate,
+        top_post_id, top_post_engagement
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (report_date) DO UPDATE SET
+        posts_published = EXCLUDED.posts_published,
+        avg_likes = EXCLUDED.avg_likes,
+        avg_comments = EXCLUDED.avg_comments,
+        avg_shares = EXCLUDED.avg_shares,
+        avg_impressions = EXCLUDED.avg_impressions,
+        avg_engagement_rate = EXCLUDED.avg_engagement_rate,
+        top_post_id = EXCLUDED.top_post_id,
+        top_post_engagement = EXCLUDED.top_post_engagement,
+        created_at = CURRENT_TIMESTAMP
+    `, [
+      report.reportDate,
+      report.postsPublished || 0,
+      report.avgLikes || 0,
+      report.avgComments || 0,
+      report.avgShares || 0,
+      report.avgImpressions || 0,
+      report.avgEngagementRate || 0,
+      report.topPostId || null,
+      report.topPostEngagement || 0
+    ], client);
+  }
+
+  /**
+   * Upsert the per-user performance summary insight
+   */
+  async saveUserSummary(userId, insights, client) {
+    await this.execute(`
+      INSERT INTO user_insights (
+        user_id, insight_type, best_posting_time, best_content_type,
+        avg_engagement_rate, total_posts, total_engagement,
+        recommendations, updated_at
+      ) VALUES ($1, 'summary', $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+      ON CONFLICT (user_id) WHERE insight_type = 'summary'
+      DO UPDATE SET
+        best_posting_time = EXCLUDED.best_posting_time,
+        best_content_type = EXCLUDED.best_content_type,
+        avg_engagement_rate = EXCLUDED.avg_engagement_rate,
+        total_posts = EXCLUDED.total_posts,
+        total_engagement = EXCLUDED.total_engagement,
+        recommendations = EXCLUDED.recommendations,
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      userId,
+      insights.bestPostingTime,
+      insights.bestContentType,
+      insights.avgEngagementRate,
+      insights.totalPosts,
+      insights.totalEngagement,
+      JSON.stringify(insights.recommendations)
+    ], client);
+  }
+
+  /**
+   * Delete snapshots older than the cutoff, keeping those of recently created posts
+   * @returns {Promise<number>} Deleted rows
+   */
+  async deleteStaleSnapshots(cutoff, client) {
+    return this.execute(`
+      DELETE FROM post_analytics
+      WHERE created_at < $1
+        AND (scheduled_post_id IS NULL OR scheduled_post_id NOT IN (
+          SELECT id FROM scheduled_posts WHERE status = 'posted' AND created_at > $1
+        ))
+    `, [cutoff], client);
+  }
+
+  async countUpdatedSince(since, client) {
+    return this.count({ updated_at: { gt: since } }, client);
+  }
+}
+
+module.exports = new AnalyticsRepository();
@@ -0,0 +1,192 @@
+const { pool } = require('../init');
+const { buildWhere, buildInsert, buildUpdate, buildPagination } = require('../queryBuilder');
+
+// pg returns BIGINT (COUNT, SUM) and NUMERIC (AVG, DECIMAL) as strings
+const INT8_OID = 20;
+const NUMERIC_OID = 1700;
+
+const ORDER_BY_PATTERN = /^([a-z_]+)(\s+(ASC|DESC))?(\s+NULLS\s+(FIRST|LAST))?$/i;
+
+/**
+ * Base repository for a single table
+ * Every method accepts an optional client so it can join a transaction started
+ * with withTransaction(); otherwise it runs on the shared pool.
+ */
+class Repository {
+  /**
+   * @param {string} table - Table name
+   * @param {Object} options - { columns, jsonColumns, touchUpdatedAt }
+   */
+  constructor(table, { columns, jsonColumns = [], touchUpdatedAt = true }) {
+    this.table = table;
+    this.columns = new Set(columns);
+    this.jsonColumns = new Set(jsonColumns);
+    this.touchUpdatedAt = touchUpdatedAt && this.columns.has('updated_at');
+  }
+
+  /**
+   * Map a result row: numeric strings from BIGINT/NUMERIC fields become numbers
+   * @param {Object} row - Raw row
+   * @param {Array} fields - pg field descriptors
+   * @returns {Object} Mapped row
+   */
+  mapRow(row, fields = []) {
+    const mapped = { ...row };
+
+    for (const field of fields) {
+      const value = mapped[field.name];
+      if (value !== null && value !== undefined &&
+          (field.dataTypeID === INT8_OID || field.dataTypeID === NUMERIC_OID)) {
+        mapped[field.name] = Number(value);
+      }
+    }
+
+    return mapped;
+  }
+
+  /**
+   * Run raw SQL and map the rows
+   * @returns {Promise<Array>} Mapped rows
+   */
+  async query(text, params = [], client = pool) {
+    const result = await client.query(text, params);
+    return result.rows.map(row => this.mapRow(row, result.fields));
+  }
+
+  /**
+   * Run raw SQL and return the first mapped row or null
+   */
+  async queryOne(text, params = [], client = pool) {
+    const rows = await this.query(text, params, client);
+    return rows[0] || null;
+  }
+
+  /**
+   * Run a write statement and return the number of affected rows
+   */
+  async execute(text, params = [], client = pool) {
+    const result = await client.query(text, params);
+    return result.rowCount;
+  }
+
+  /**
+   * Reject column names that are not part of this table
+   */
+  assertColumns(names) {
+    for (const name of names) {
+      if (!this.columns.has(name)) {
+        throw new Error(`Unknown column ${this.table}.${name}`);
+      }
+    }
+  }
+
+  /**
+   * Validate an ORDER BY expression against the column whitelist
+   */
+  sanitizeOrderBy(orderBy) {
+    if (!orderBy) {
+      return null;
+    }
+
+    return orderBy.split(',').map(part => {
+      const match = part.trim().match(ORDER_BY_PATTERN);
+      if (!match || !this.columns.has(match[1])) {
+        throw new Error(`Invalid order for ${this.table}: ${part.trim()}`);
+      }
+      return part.trim();
+    }).join(', ');
+  }
+
+  /**
+   * Serialize JSON columns; pg would otherwise send JS arrays as Postgres arrays
+   */
+  serialize(data) {
+    const serialized = {};
+
+    for (const [column, value] of Object.entries(data)) {
+      serialized[column] = this.jsonColumns.has(column) && value !== null && value !== undefined
+        ? JSON.stringify(value)
+        : value;
+    }
+
+    return serialized;
+  }
+
+  async findById(id, client = pool) {
+    return this.findOne({ id }, client);
+  }
+
+  async findOne(criteria, client = pool) {
+    const rows = await this.findMany(criteria, { limit: 1 }, client);
+    return rows[0] || null;
+  }
+
+  /**
+   * @param {Object} criteria - WHERE criteria (see queryBuilder.buildWhere)
+   * @param {Object} options - { orderBy, limit, offset }
+   */
+  async findMany(criteria = {}, options = {}, client = pool) {
+    this.assertColumns(Object.keys(criteria));
+    const where = buildWhere(criteria);
+    const page = buildPagination({
+      ...options,
+      orderBy: this.sanitizeOrderBy(options.orderBy)
+    }, where.nextIndex);
+
+    return this.query(
+      `SELECT * FROM ${this.table} ${where.clause} ${page.clause}`,
+      [...where.params, ...page.params],
+      client
+    );
+  }
+
+  async count(criteria = {}, client = pool) {
+    this.assertColumns(Object.keys(criteria));
+    const where = buildWhere(criteria);
+    const row = await this.queryOne(
+      `SELECT COUNT(*) as count FROM ${this.table} ${where.clause}`,
+      where.params,
+      client
+    );
+    return row.count;
+  }
+
+  async create(data, client = pool) {
+    this.assertColumns(Object.keys(data));
+    const { text, params } = buildInsert(this.table, this.serialize(data));
+    return this.queryOne(text, params, client);
+  }
+
+  async update(id, data, client = pool) {
+    const rows = await this.updateWhere({ id }, data, client);
+    return rows[0] || null;
+  }
+
+  /**
+   * @returns {Promise<Array>} Updated rows
+   */
+  async updateWhere(criteria, data, client = pool) {
+    this.assertColumns([...Object.keys(criteria), ...Object.keys(data)]);
+    const changes = this.touchUpdatedAt ? { ...data, updated_at: new Date() } : data;
+    const { text, params } = buildUpdate(this.table, this.serialize(changes), criteria);
+    return this.query(text, params, client);
+  }
+
+  async delete(id, client = pool) {
+    return (await this.deleteWhere({ id }, client)) > 0;
+  }
+
+  /**
+   * @returns {Promise<number>} Number of deleted rows
+   */
+  async deleteWhere(criteria, client = pool) {
+    this.assertColumns(Object.keys(criteria));
+    const where = buildWhere(criteria);
+    if (!where.clause) {
+      throw new Error(`Refusing to delete from ${this.table} without criteria`);
+    }
+    return this.execute(`DELETE FROM ${this.table} ${where.clause}`, where.params, client);
+  }
+}
+
+module.exports = Repository;
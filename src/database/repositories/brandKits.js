@@ -0,0 +1,30 @@
+const Repository = require('./base');
+const { buildInsert } = require('../queryBuilder');
+const { EXPECTED_SCHEMA } = require('../schema');
+
+class BrandKitsRepository extends Repository {
+  constructor() {
+    super('brand_kits', { columns: EXPECTED_SCHEMA.brand_kits });
+  }
+
+  async findByUser(userId, client) {
+    return this.findOne({ user_id: userId }, client);
+  }
+
+  /**
+   * Create the user's brand kit or update the given columns of it
+   */
+  async saveForUser(userId, data, client) {
+    const columns = Object.keys(data).filter(column => data[column] !== undefined);
+    this.assertColumns(columns);
+
+    const { text, params } = buildInsert(this.table, { ...data, user_id: userId }, {
+      onConflict: `ON CONFLICT (user_id) DO UPDATE SET ${
+        [...columns.map(column => `${column} = EXCLUDED.${column}`), 'updated_at = CURRENT_TIMESTAMP'].join(', ')
+      }`
+    });
+    return this.queryOne(text, params, client);
+  }
+}
+
+module.exports = new BrandKitsRepository();
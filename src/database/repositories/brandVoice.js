@@ -0,0 +1,42 @@
+const Repository = require('./base');
+const { EXPECTED_SCHEMA } = require('../schema');
+
+class BrandVoiceRepository extends Repository {
+  constructor() {
+    super('brand_voice_profiles', {
+      columns: EXPECTED_SCHEMA.brand_voice_profiles,
+      jsonColumns: ['profile']
+    });
+  }
+
+  async findByUser(userId, client) {
+    return this.findOne({ user_id: userId }, client);
+  }
+
+  /**
+   * Store a freshly analysed profile, keeping the user's banned phrases
+   */
+  async saveProfile(userId, profile, sampleSize, client) {
+    return this.queryOne(`
+      INSERT INTO brand_voice_profiles (user_id, profile, sample_size, analyzed_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+      ON CONFLICT (user_id)
+      DO UPDATE SET profile = EXCLUDED.profile,
+                    sample_size = EXCLUDED.sample_size,
+                    analyzed_at = EXCLUDED.analyzed_at
+      RETURNING *
+    `, [userId, JSON.stringify(profile), sampleSize], client);
+  }
+
+  async setBannedPhrases(userId, phrases, client) {
+    return this.queryOne(`
+      INSERT INTO brand_voice_profiles (user_id, banned_phrases)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id)
+      DO UPDATE SET banned_phrases = EXCLUDED.banned_phrases
+      RETURNING *
+    `, [userId, phrases], client);
+  }
+}
+
+module.exports = new BrandVoiceRepository();
@@ -0,0 +1,142 @@
+const Repository = require('./base');
+const { EXPECTED_SCHEMA } = require('../schema');
+
+class ContentRepository extends Repository {
+  constructor() {
+    super('generated_content', {
+      columns: EXPECTED_SCHEMA.generated_content,
+      jsonColumns: [
+        'image_data', 'document_data', 'structured_content', 'language_metadata', 'voice_analysis',
+        'compliance_report', 'accessibility_report', 'knowledge_sources'
+      ]
+    });
+  }
+
+  async findForUser(userId, id, client) {
+    return this.findOne({ id, user_id: userId }, client);
+  }
+
+  /**
+   * @param {Object} filters - { status, contentType, topicId, limit, offset }
+   */
+  async findByUser(userId, filters = {}, client) {
+    return this.findMany({
+      user_id: userId,
+      status: filters.status,
+      content_type: filters.contentType,
+      topic_id: filters.topicId
+    }, {
+      orderBy: 'created_at DESC',
+      limit: filters.limit,
+      offset: filters.offset
+    }, client);
+  }
+
+  /**
+   * Approved or published posts, newest first, used to learn the user's voice
+   */
+  async findVoiceSamples(userId, limit = 100, client) {
+    return this.query(`
+      SELECT gc.id, gc.content_text, gc.structured_content, gc.hashtags, gc.language
+      FROM generated_content gc
+      WHERE gc.user_id = $1
+        AND (
+          gc.status IN ('approved', 'posted')
+          OR EXISTS (
+            SELECT 1 FROM scheduled_posts sp
+            WHERE sp.content_id = gc.id AND sp.status = 'posted'
+          )
+        )
+      ORDER BY COALESCE(gc.approved_at, gc.updated_at) DESC
+      LIMIT $2
+    `, [userId, limit], client);
+  }
+
+  /**
+   * Lock a post's row until the transaction ends, so concurrent saves of it run one after another
+   */
+  async lock(contentId, client) {
+    return this.execute('SELECT id FROM generated_content WHERE id = $1 FOR UPDATE', [contentId], client);
+  }
+
+  /**
+   * Store a compliance report without touching updated_at, since the draft itself did not change
+   */
+  async saveComplianceReport(contentId, report, client) {
+    return this.execute(`
+      UPDATE generated_content
+      SET compliance_status = $1, compliance_report = $2, compliance_checked_at = $3
+      WHERE id = $4
+    `, [report.status, JSON.stringify(report), new Date(report.checkedAt), contentId], client);
+  }
+
+  async saveAccessibilityReport(contentId, report, client) {
+    return this.execute(
+      'UPDATE generated_content SET accessibility_report = $1 WHERE id = $2',
+      [JSON.stringify(report), contentId],
+      client
+    );
+  }
+
+  /**
+   * Posting history (approved, scheduled or posted) that has not been added to the similarity index
+   */
+  async findUnindexedHistory(userId, limit = 200, client) {
+    return this.query(`
+      SELECT gc.id, gc.title, gc.content_text, gc.hashtags
+      FROM generated_content gc
+      WHERE gc.user_id = $1
+        AND gc.similarity_signature IS NULL
+        AND gc.status IN ('approved', 'scheduled', 'posted')
+      ORDER BY gc.created_at DESC
+      LIMIT $2
+    `, [userId, limit], client);
+  }
+
+  /**
+   * Posting history sharing at least one similarity band with a draft
+   * @param {string|null} excludeId - The draft itself, when it is already saved
+   */
+  async findSimilarityCandidates(userId, bands, since, excludeId = null, client) {
+    return this.query(`
+      SELECT gc.id, gc.title, gc.status, gc.created_at, gc.similarity_signature,
+             sp.linkedin_post_url, sp.posted_at
+      FROM generated_content gc
+      LEFT JOIN LATERAL (
+        SELECT linkedin_post_url, posted_at FROM scheduled_posts
+        WHERE content_id = gc.id AND status = 'posted'
+        ORDER BY posted_at DESC
+        LIMIT 1
+      ) sp ON true
+      WHERE gc.user_id = $1
+        AND gc.similarity_bands && $2::integer[]
+        AND gc.status IN ('approved', 'scheduled', 'posted')
+        AND gc.created_at >= $3
+        AND ($4::uuid IS NULL OR gc.id <> $4)
+    `, [userId, bands, since, excludeId], client);
+  }
+
+  /**
+   * Store a similarity signature without touching updated_at
+   */
+  async saveSimilaritySignature(contentId, signature, bands, client) {
+    return this.execute(`
+      UPDATE generated_content
+      SET similarity_signature = $1, similarity_bands = $2
+      WHERE id = $3
+    `, [signature, bands, contentId], client);
+  }
+
+  /**
+   * Store the closest earlier post found for a draft
+   */
+  async saveSimilarityMatch(contentId, score, duplicateOf, client) {
+    return this.execute(`
+      UPDATE generated_content
+      SET similarity_score = $1, duplicate_of = $2
+      WHERE id = $3
+    `, [score, duplicateOf, contentId], client);
+  }
+}
+
+module.exports = new ContentRepository();
@@ -0,0 +1,34 @@
+const Repository = require('./base');
+const { EXPECTED_SCHEMA } = require('../schema');
+
+class EngagementModelsRepository extends Repository {
+  constructor() {
+    super('engagement_models', {
+      columns: EXPECTED_SCHEMA.engagement_models,
+      jsonColumns: ['weights', 'prior']
+    });
+  }
+
+  async findByUser(userId, client) {
+    return this.findOne({ user_id: userId }, client);
+  }
+
+  /**
+   * Replace the user's model with a freshly trained one
+   */
+  async saveModel(userId, { weights, prior, sampleSize, residualStd }, client) {
+    return this.queryOne(`
+      INSERT INTO engagement_models (user_id, weights, prior, sample_size, residual_std, trained_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+      ON CONFLICT (user_id)
+      DO UPDATE SET weights = EXCLUDED.weights,
+                    prior = EXCLUDED.prior,
+                    sample_size = EXCLUDED.sample_size,
+                    residual_std = EXCLUDED.residual_std,
+                    trained_at = EXCLUDED.trained_at
+      RETURNING *
+    `, [userId, JSON.stringify(weights), JSON.stringify(prior), sampleSize, residualStd], client);
+  }
+}
+
+module.exports = new EngagementModelsRepository();
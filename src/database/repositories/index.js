@@ -0,0 +1,27 @@
+/**
+ * Data-access layer
+ * Services and workers read and write through these repositories instead of
+ * hand-writing SQL; use withTransaction() to run several calls atomically.
+ */
+const { withTransaction } = require('../init');
+
+module.exports = {
+  withTransaction,
+  users: require('./users'),
+  topics: require('./topics'),
+  content: require('./content'),
+  scheduledPosts: require('./scheduledPosts'),
+  analytics: require('./analytics'),
+  aiUsage: require('./aiUsage'),
+  templates: require('./templates'),
+  prompts: require('./prompts'),
+  brandKits: require('./brandKits'),
+  brandVoice: require('./brandVoice'),
+  engagementModels: require('./engagementModels'),
+  revisions: require('./revisions'),
+  series: require('./series'),
+  knowledge: require('./knowledge'),
+  media: require('./media'),
+  plans: require('./plans'),
+  planItems: require('./planItems')
+};
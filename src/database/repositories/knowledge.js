@@ -0,0 +1,82 @@
+const Repository = require('./base');
+const { EXPECTED_SCHEMA } = require('../schema');
+
+class KnowledgeRepository extends Repository {
+  constructor() {
+    super('knowledge_documents', {
+      columns: EXPECTED_SCHEMA.knowledge_documents
+    });
+  }
+
+  async findForUser(userId, id, client) {
+    return this.findOne({ id, user_id: userId }, client);
+  }
+
+  async findByUser(userId, client) {
+    return this.findMany({ user_id: userId }, { orderBy: 'created_at DESC' }, client);
+  }
+
+  async findChunks(documentId, client) {
+    return this.query(`
+      SELECT id, chunk_index, heading, content
+      FROM knowledge_chunks
+      WHERE document_id = $1
+      ORDER BY chunk_index ASC
+    `, [documentId], client);
+  }
+
+  /**
+   * Store a document's passages in order
+   * @param {Array} chunks - [{ heading, text }]
+   */
+  async insertChunks(document, chunks, client) {
+    if (chunks.length === 0) {
+      return [];
+    }
+
+    const values = [];
+    const rows = chunks.map((chunk, index) => {
+      values.push(document.id, document.user_id, index, chunk.heading, chunk.text);
+      const offset = index * 5;
+      return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5})`;
+    });
+
+    return this.query(`
+      INSERT INTO knowledge_chunks (document_id, user_id, chunk_index, heading, content)
+      VALUES ${rows.join(', ')}
+      RETURNING id, chunk_index
+    `, values, client);
+  }
+
+  /**
+   * Passages of the user's active documents matching any of the search terms, best first
+   * @param {string} tsQuery - to_tsquery('english') expression, e.g. 'diving | inspection'
+   * @param {Object} options - { limit, perDocument }
+   */
+  async search(userId, tsQuery, { limit = 4, perDocument = 2 } = {}, client) {
+    return this.query(`
+      WITH matches AS (
+        SELECT kc.id, kc.document_id, kc.chunk_index, kc.heading, kc.content,
+               kd.title as document_title, kd.source_type,
+               ts_rank_cd(kc.search_vector, q.query) as rank
+        FROM knowledge_chunks kc
+        JOIN knowledge_documents kd ON kd.id = kc.document_id
+        CROSS JOIN to_tsquery('english', $2) as q(query)
+        WHERE kc.user_id = $1
+          AND kd.is_active = true
+          AND kc.search_vector @@ q.query
+      ),
+      ranked AS (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY document_id ORDER BY rank DESC) as document_rank
+        FROM matches
+      )
+      SELECT id, document_id, chunk_index, heading, content, document_title, source_type, rank
+      FROM ranked
+      WHERE document_rank <= $4
+      ORDER BY rank DESC
+      LIMIT $3
+    `, [userId, tsQuery, limit, perDocument], client);
+  }
+}
+
+module.exports = new KnowledgeRepository();
@@ -0,0 +1,141 @@
+const Repository = require('./base');
+const { buildInsert } = require('../queryBuilder');
+const { EXPECTED_SCHEMA } = require('../schema');
+
+const REFERENCE_COUNT = '(SELECT COUNT(*) FROM content_media cm WHERE cm.media_id = ma.id) as reference_count';
+
+// Filter -> condition, with ? standing for the parameter
+const MEDIA_FILTERS = {
+  source: 'ma.source = ?',
+  tag: '? = ANY(ma.tags)',
+  q: `(ma.original_name ILIKE '%' || ? || '%'
+       OR EXISTS (SELECT 1 FROM unnest(ma.tags) tag WHERE tag ILIKE '%' || ? || '%')
+       OR ma.metadata->>'prompt' ILIKE '%' || ? || '%')`
+};
+
+/**
+ * Media library: media_assets and the posts that reference them (content_media)
+ */
+class MediaRepository extends Repository {
+  constructor() {
+    super('media_assets', {
+      columns: EXPECTED_SCHEMA.media_assets,
+      jsonColumns: ['variants', 'metadata']
+    });
+  }
+
+  async findForUser(userId, id, client) {
+    return this.queryOne(`
+      SELECT ma.*, ${REFERENCE_COUNT}
+      FROM media_assets ma
+      WHERE ma.id = $1 AND ma.user_id = $2
+    `, [id, userId], client);
+  }
+
+  /**
+   * Insert an asset unless the user already has one with the same content hash
+   * @returns {Promise<Object|null>} The new row, or null when it is a duplicate
+   */
+  async createUnlessDuplicate(data, client) {
+    this.assertColumns(Object.keys(data));
+    const { text, params } = buildInsert(this.table, this.serialize(data), {
+      onConflict: 'ON CONFLICT (user_id, content_hash) DO NOTHING'
+    });
+    return this.queryOne(text, params, client);
+  }
+
+  async findByHash(userId, contentHash, client) {
+    return this.findOne({ user_id: userId, content_hash: contentHash }, client);
+  }
+
+  /**
+   * A page of the user's media, newest first, with reference counts
+   * @param {Object} filters - { q, tag, source, unused }
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { items, total }
+   */
+  async search(userId, filters = {}, { limit = 20, offset = 0 } = {}, client) {
+    const conditions = ['ma.user_id = $1'];
+    const params = [userId];
+
+    for (const [filter, condition] of Object.entries(MEDIA_FILTERS)) {
+      if (filters[filter]) {
+        params.push(filters[filter]);
+        conditions.push(condition.replace(/\?/g, `$${params.length}`));
+      }
+    }
+    if (filters.unused) {
+      conditions.push('NOT EXISTS (SELECT 1 FROM content_media cm WHERE cm.media_id = ma.id)');
+    }
+
+    const where = conditions.join(' AND ');
+    const [items, totals] = await Promise.all([
+      this.query(`
+        SELECT ma.*, ${REFERENCE_COUNT}
+        FROM media_assets ma
+        WHERE ${where}
+        ORDER BY ma.created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset], client),
+      this.queryOne(`SELECT COUNT(*) as total FROM media_assets ma WHERE ${where}`, params, client)
+    ]);
+
+    return { items, total: totals.total };
+  }
+
+  /**
+   * Posts that use an asset; scheduled is true while one of them waits to be published
+   */
+  async findReferences(mediaId, client) {
+    return this.query(`
+      SELECT gc.id, gc.title, gc.content_type, gc.status, gc.image_data, cm.created_at as linked_at,
+        EXISTS (
+          SELECT 1 FROM scheduled_posts sp
+          WHERE sp.content_id = gc.id AND sp.status IN ('pending', 'posting')
+        ) as scheduled
+      FROM content_media cm
+      JOIN generated_content gc ON gc.id = cm.content_id
+      WHERE cm.media_id = $1
+      ORDER BY cm.created_at DESC
+    `, [mediaId], client);
+  }
+
+  /**
+   * Replace the assets a post uses
+   */
+  async setContentMedia(contentId, mediaIds, client) {
+    await this.execute('DELETE FROM content_media WHERE content_id = $1', [contentId], client);
+    if (mediaIds.length === 0) {
+      return;
+    }
+
+    await this.execute(`
+      INSERT INTO content_media (content_id, media_id)
+      SELECT $1, unnest($2::uuid[])
+      ON CONFLICT DO NOTHING
+    `, [contentId, Array.from(new Set(mediaIds))], client);
+    await this.execute(
+      'UPDATE media_assets SET last_used_at = CURRENT_TIMESTAMP WHERE id = ANY($1)',
+      [mediaIds],
+      client
+    );
+  }
+
+  /**
+   * Assets no post uses that were last touched before a date
+   * @param {string} userId - Limit to one user, or null for everyone
+   */
+  async findUnused(before, userId = null, limit = 500, client) {
+    return this.query(`
+      SELECT ma.*
+      FROM media_assets ma
+      WHERE NOT EXISTS (SELECT 1 FROM content_media cm WHERE cm.media_id = ma.id)
+        AND COALESCE(ma.last_used_at, ma.created_at) < $1
+        AND ($2::uuid IS NULL OR ma.user_id = $2)
+      ORDER BY ma.created_at ASC
+      LIMIT $3
+    `, [before, userId, limit], client);
+  }
+}
+
+module.exports = new MediaRepository();
@@ -0,0 +1,13 @@
+const Repository = require('./base');
+const { EXPECTED_SCHEMA } = require('../schema');
+
+class PlanItemsRepository extends Repository {
+  constructor() {
+    super('content_plan_items', {
+      columns: EXPECTED_SCHEMA.content_plan_items,
+      jsonColumns: ['occasions']
+    });
+  }
+}
+
+module.exports = new PlanItemsRepository();
@@ -0,0 +1,74 @@
+const Repository = require('./base');
+const { EXPECTED_SCHEMA } = require('../schema');
+
+// Months are reported as 'YYYY-MM' rather than a Date at midnight in the server's timezone
+const PLAN_FIELDS = `cp.id, cp.user_id, to_char(cp.month, 'YYYY-MM') as month, cp.status, cp.settings,
+             cp.events, cp.created_at, cp.updated_at`;
+
+class PlansRepository extends Repository {
+  constructor() {
+    super('content_plans', {
+      columns: EXPECTED_SCHEMA.content_plans,
+      jsonColumns: ['settings', 'events']
+    });
+  }
+
+  async findForUser(userId, id, client) {
+    return this.queryOne(`
+      SELECT ${PLAN_FIELDS}
+      FROM content_plans cp
+      WHERE cp.id = $1 AND cp.user_id = $2
+    `, [id, userId], client);
+  }
+
+  /**
+   * @param {string} month - 'YYYY-MM'
+   */
+  async findForMonth(userId, month, client) {
+    return this.queryOne(`
+      SELECT ${PLAN_FIELDS}
+      FROM content_plans cp
+      WHERE cp.user_id = $1 AND cp.month = to_date($2, 'YYYY-MM')
+    `, [userId, month], client);
+  }
+
+  /**
+   * Plans with item counts by status, latest month first
+   * @param {Object} filters - { limit, offset }
+   */
+  async findByUser(userId, { limit = 12, offset = 0 } = {}, client) {
+    return this.query(`
+      SELECT ${PLAN_FIELDS},
+             COUNT(cpi.id) as items_count,
+             COUNT(cpi.id) FILTER (WHERE cpi.status = 'generated') as awaiting_approval_count,
+             COUNT(cpi.id) FILTER (WHERE cpi.status = 'approved') as approved_count,
+             COUNT(cpi.id) FILTER (WHERE cpi.status = 'failed') as failed_count
+      FROM content_plans cp
+      LEFT JOIN content_plan_items cpi ON cpi.plan_id = cp.id
+      WHERE cp.user_id = $1
+      GROUP BY cp.id
+      ORDER BY cp.month DESC
+      LIMIT $2 OFFSET $3
+    `, [userId, limit, offset], client);
+  }
+
+  /**
+   * Items of a plan in publishing order, with their topic, draft and booking
+   */
+  async findItems(planId, client) {
+    return this.query(`
+      SELECT cpi.*, ct.title as topic_title,
+             gc.title as content_title, gc.status as content_status, gc.compliance_status,
+             gc.similarity_score, gc.duplicate_of,
+             sp.status as scheduled_status
+      FROM content_plan_items cpi
+      LEFT JOIN content_topics ct ON ct.id = cpi.topic_id
+      LEFT JOIN generated_content gc ON gc.id = cpi.content_id
+      LEFT JOIN scheduled_posts sp ON sp.id = cpi.scheduled_post_id
+      WHERE cpi.plan_id = $1
+      ORDER BY cpi.position ASC
+    `, [planId], client);
+  }
+}
+
+module.exports = new PlansRepository();
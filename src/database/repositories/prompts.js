@@ -0,0 +1,134 @@
+const Repository = require('./base');
+const { EXPECTED_SCHEMA } = require('../schema');
+
+const ACTIVE_FIELDS = `pt.id as template_id, pt.prompt_key, pt.content_type, pt.industry, pt.user_id,
+             pt.active_version, pv.id as version_id, pv.version, pv.body, pv.variables`;
+
+// Filter -> condition, with ? standing for the parameter
+const PROMPT_FILTERS = {
+  promptKey: 'pt.prompt_key = ?',
+  contentType: 'pt.content_type = ?',
+  industry: 'lower(pt.industry) = lower(?)',
+  userId: 'pt.user_id = ?'
+};
+
+/**
+ * Prompt library: prompt_templates with their prompt_versions
+ */
+class PromptsRepository extends Repository {
+  constructor() {
+    super('prompt_templates', { columns: EXPECTED_SCHEMA.prompt_templates });
+  }
+
+  /**
+   * Active version of the most specific prompt for a key: a user's own prompt beats an industry
+   * prompt, which beats the default; within each, a content type specific prompt wins
+   */
+  async resolve(promptKey, { contentType = null, industry = null, userId = null }, client) {
+    return this.queryOne(`
+      SELECT ${ACTIVE_FIELDS}
+      FROM prompt_templates pt
+      JOIN prompt_versions pv ON pv.template_id = pt.id AND pv.version = pt.active_version
+      WHERE pt.prompt_key = $1
+        AND (pt.content_type IS NULL OR pt.content_type = $2)
+        AND (pt.industry IS NULL OR lower(pt.industry) = lower($3))
+        AND (pt.user_id IS NULL OR pt.user_id = $4)
+      ORDER BY (pt.user_id IS NOT NULL) DESC, (pt.industry IS NOT NULL) DESC, (pt.content_type IS NOT NULL) DESC
+      LIMIT 1
+    `, [promptKey, contentType, industry, userId], client);
+  }
+
+  /**
+   * The prompt with exactly this key and scope
+   */
+  async findByScope(promptKey, { contentType = null, industry = null, userId = null }, client) {
+    return this.queryOne(`
+      SELECT * FROM prompt_templates
+      WHERE prompt_key = $1
+        AND content_type IS NOT DISTINCT FROM $2
+        AND lower(industry) IS NOT DISTINCT FROM lower($3)
+        AND user_id IS NOT DISTINCT FROM $4
+    `, [promptKey, contentType, industry, userId], client);
+  }
+
+  /**
+   * Prompts with their active version
+   * @param {Object} filters - { promptKey, contentType, industry, userId }
+   */
+  async findWithActiveVersion(filters = {}, client) {
+    const conditions = [];
+    const params = [];
+
+    for (const [filter, condition] of Object.entries(PROMPT_FILTERS)) {
+      if (filters[filter]) {
+        params.push(filters[filter]);
+        conditions.push(condition.replace('?', `$${params.length}`));
+      }
+    }
+
+    return this.query(`
+      SELECT ${ACTIVE_FIELDS}, pt.created_at, pt.updated_at,
+             (SELECT MAX(version) FROM prompt_versions WHERE template_id = pt.id) as latest_version
+      FROM prompt_templates pt
+      JOIN prompt_versions pv ON pv.template_id = pt.id AND pv.version = pt.active_version
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY pt.prompt_key, pt.user_id NULLS FIRST, pt.industry NULLS FIRST, pt.content_type NULLS FIRST
+    `, params, client);
+  }
+
+  async findVersions(templateId, client) {
+    return this.query(`
+      SELECT * FROM prompt_versions
+      WHERE template_id = $1
+      ORDER BY version DESC
+    `, [templateId], client);
+  }
+
+  async findVersion(templateId, version, client) {
+    return this.queryOne(
+      'SELECT * FROM prompt_versions WHERE template_id = $1 AND version = $2',
+      [templateId, version],
+      client
+    );
+  }
+
+  /**
+   * Store the next version of a prompt
+   */
+  async createVersion(templateId, { body, variables, notes, createdBy }, client) {
+    return this.queryOne(`
+      INSERT INTO prompt_versions (template_id, version, body, variables, notes, created_by)
+      SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5
+      FROM prompt_versions
+      WHERE template_id = $1
+      RETURNING *
+    `, [templateId, body, variables, notes || null, createdBy || null], client);
+  }
+
+  /**
+   * Drafts, published posts and engagement per version of a prompt
+   */
+  async getVersionPerformance(templateId, client) {
+    return this.query(`
+      SELECT
+        pv.id as version_id,
+        pv.version,
+        pv.notes,
+        pv.created_at,
+        COUNT(DISTINCT gc.id) as drafts_count,
+        COUNT(DISTINCT sp.id) FILTER (WHERE sp.status = 'posted') as posts_count,
+        COALESCE(AVG(sp.avg_engagement_rate) FILTER (WHERE sp.status = 'posted'), 0) as avg_engagement_rate,
+        COALESCE(AVG(sp.total_likes + sp.total_comments + sp.total_shares) FILTER (WHERE sp.status = 'posted'), 0)
+          as avg_engagements,
+        COALESCE(AVG(gc.voice_score), 0) as avg_voice_score
+      FROM prompt_versions pv
+      LEFT JOIN generated_content gc ON pv.id = ANY(gc.prompt_version_ids)
+      LEFT JOIN scheduled_posts sp ON sp.content_id = gc.id
+      WHERE pv.template_id = $1
+      GROUP BY pv.id
+      ORDER BY pv.version
+    `, [templateId], client);
+  }
+}
+
+module.exports = new PromptsRepository();
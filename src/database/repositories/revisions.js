@@ -0,0 +1,97 @@
+const Repository = require('./base');
+const { EXPECTED_SCHEMA } = require('../schema');
+
+class RevisionsRepository extends Repository {
+  constructor() {
+    super('content_revisions', {
+      columns: EXPECTED_SCHEMA.content_revisions,
+      touchUpdatedAt: false
+    });
+  }
+
+  async findByContent(contentId, client) {
+    return this.findMany({ content_id: contentId }, { orderBy: 'revision_number ASC' }, client);
+  }
+
+  async findByNumber(contentId, revisionNumber, client) {
+    return this.findOne({ content_id: contentId, revision_number: revisionNumber }, client);
+  }
+
+  async findLatest(contentId, client) {
+    const rows = await this.findMany({ content_id: contentId }, { orderBy: 'revision_number DESC', limit: 1 }, client);
+    return rows[0] || null;
+  }
+
+  /**
+   * The text the AI originally generated
+   */
+  async findOriginal(contentId, client) {
+    return this.findOne({ content_id: contentId, revision_number: 1, source: 'ai' }, client);
+  }
+
+  /**
+   * Add a revision with the next revision number
+   */
+  async append(revision, client) {
+    return this.queryOne(`
+      INSERT INTO content_revisions (
+        content_id, user_id, revision_number, source, author_id, ai_model, restored_from,
+        title, content_text, hashtags, words_added, words_removed, ai_edit_ratio
+      )
+      SELECT $1, $2, COALESCE(MAX(revision_number), 0) + 1, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12
+      FROM content_revisions
+      WHERE content_id = $1
+      RETURNING *
+    `, [
+      revision.contentId,
+      revision.userId,
+      revision.source,
+      revision.authorId || null,
+      revision.aiModel || null,
+      revision.restoredFrom || null,
+      revision.title || null,
+      revision.contentText,
+      revision.hashtags || null,
+      revision.wordsAdded,
+      revision.wordsRemoved,
+      revision.aiEditRatio
+    ], client);
+  }
+
+  /**
+   * How much AI-generated posts were changed afterwards, grouped by the model that wrote them
+   */
+  async getEditMetrics(userId, since, client) {
+    return this.query(`
+      WITH per_content AS (
+        SELECT
+          cr.content_id,
+          COUNT(*) FILTER (WHERE cr.source = 'human') as human_edits,
+          COUNT(*) FILTER (WHERE cr.source = 'rewrite') as rewrites,
+          COALESCE(SUM(cr.words_added + cr.words_removed) FILTER (WHERE cr.source = 'human'), 0) as human_words_changed,
+          (ARRAY_AGG(cr.ai_edit_ratio ORDER BY cr.revision_number DESC))[1] as final_edit_ratio
+        FROM content_revisions cr
+        WHERE cr.user_id = $1
+        GROUP BY cr.content_id
+      )
+      SELECT
+        original.ai_model,
+        COUNT(*) as posts_count,
+        COUNT(*) FILTER (WHERE pc.human_edits > 0) as human_edited_count,
+        COALESCE(AVG(pc.human_edits), 0) as avg_human_edits,
+        COALESCE(AVG(pc.rewrites), 0) as avg_rewrites,
+        COALESCE(AVG(pc.human_words_changed), 0) as avg_human_words_changed,
+        COALESCE(AVG(pc.final_edit_ratio), 0) as avg_final_edit_ratio
+      FROM content_revisions original
+      JOIN per_content pc ON pc.content_id = original.content_id
+      WHERE original.user_id = $1
+        AND original.revision_number = 1
+        AND original.source = 'ai'
+        AND original.created_at >= $2
+      GROUP BY original.ai_model
+      ORDER BY posts_count DESC
+    `, [userId, since], client);
+  }
+}
+
+module.exports = new RevisionsRepository();
@@ -0,0 +1,96 @@
+const Repository = require('./base');
+const { EXPECTED_SCHEMA } = require('../schema');
+
+class ScheduledPostsRepository extends Repository {
+  constructor() {
+    super('scheduled_posts', { columns: EXPECTED_SCHEMA.scheduled_posts });
+  }
+
+  async findForUser(userId, id, client) {
+    return this.findOne({ id, user_id: userId }, client);
+  }
+
+  /**
+   * Posts published since the given date whose owner still has a valid LinkedIn token
+   */
+  async findPostedWithLinkedInToken(since, client) {
+    return this.query(`
+      SELECT sp.*, u.linkedin_access_token
+      FROM scheduled_posts sp
+      JOIN users u ON sp.user_id = u.id
+      WHERE sp.status = 'posted'
+        AND sp.posted_at > $1
+        AND sp.linkedin_post_id IS NOT NULL
+        AND u.linkedin_access_token IS NOT NULL
+        AND u.linkedin_token_expires_at > NOW()
+      ORDER BY sp.posted_at DESC
+    `, [since], client);
+  }
+
+  /**
+   * Pending posts far enough out to be moved to a better slot
+   */
+  async findReschedulable(userId, limit = 3, client) {
+    return this.query(`
+      SELECT sp.id, sp.scheduled_for, gc.content_type
+      FROM scheduled_posts sp
+      JOIN generated_content gc ON sp.content_id = gc.id
+      WHERE sp.user_id = $1
+        AND sp.status = 'pending'
+        AND sp.scheduled_for > NOW() + INTERVAL '1 hour'
+        AND sp.scheduled_for < NOW() + INTERVAL '7 days'
+      ORDER BY sp.scheduled_for ASC
+      LIMIT $2
+    `, [userId, limit], client);
+  }
+
+  async reschedule(id, scheduledFor, client) {
+    return this.update(id, {
+      scheduled_for: scheduledFor,
+      optimization_applied: true
+    }, client);
+  }
+
+  /**
+   * Recompute the engagement totals cached on a post from its analytics snapshots
+   */
+  async refreshEngagementTotals(id, client) {
+    await this.execute(`
+      UPDATE scheduled_posts
+      SET
+        total_likes = COALESCE(pa.likes, 0),
+        total_comments = COALESCE(pa.comments, 0),
+        total_shares = COALESCE(pa.shares, 0),
+        total_views = COALESCE(pa.views, 0),
+        total_clicks = COALESCE(pa.clicks, 0),
+        avg_engagement_rate = COALESCE(pa.engagement_rate, 0),
+        updated_at = NOW()
+      FROM (
+        SELECT
+          SUM(likes) as likes,
+          SUM(comments) as comments,
+          SUM(shares) as shares,
+          SUM(views) as views,
+          SUM(clicks) as clicks,
+          AVG(engagement_rate) as engagement_rate
+        FROM post_analytics
+        WHERE scheduled_post_id = $1
+      ) pa
+      WHERE scheduled_posts.id = $1
+    `, [id], client);
+  }
+
+  /**
+   * Queue counts for worker health checks
+   */
+  async getHealthSnapshot(client) {
+    return this.queryOne(`
+      SELECT
+        COUNT(*) FILTER (WHERE status = 'pending') as pending_posts,
+        COUNT(*) FILTER (WHERE status = 'posted' AND posted_at > NOW() - INTERVAL '24 hours') as posts_24h
+      FROM scheduled_posts
+    `, [], client);
+  }
+}
+
+module.exports = new ScheduledPostsRepository();
@@ -0,0 +1,50 @@
+const Repository = require('./base');
+const { EXPECTED_SCHEMA } = require('../schema');
+
+class SeriesRepository extends Repository {
+  constructor() {
+    super('content_series', {
+      columns: EXPECTED_SCHEMA.content_series,
+      jsonColumns: ['plan']
+    });
+  }
+
+  async findForUser(userId, id, client) {
+    return this.findOne({ id, user_id: userId }, client);
+  }
+
+  /**
+   * @param {Object} filters - { limit, offset }
+   */
+  async findByUser(userId, { limit = 20, offset = 0 } = {}, client) {
+    return this.query(`
+      SELECT cs.id, cs.topic_id, cs.title, cs.source_format, cs.source_name, cs.language,
+             cs.ai_model, cs.status, cs.created_at, cs.updated_at,
+             jsonb_array_length(cs.plan) as planned_posts,
+             COUNT(gc.id) as posts_count,
+             COUNT(gc.id) FILTER (WHERE gc.status IN ('scheduled', 'posted')) as scheduled_count
+      FROM content_series cs
+      LEFT JOIN generated_content gc ON gc.series_id = cs.id
+      WHERE cs.user_id = $1
+      GROUP BY cs.id
+      ORDER BY cs.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [userId, limit, offset], client);
+  }
+
+  /**
+   * Generated posts of a series in publishing order
+   */
+  async findPosts(seriesId, client) {
+    return this.query(`
+      SELECT gc.id, gc.user_id, gc.series_position, gc.content_type, gc.title, gc.content_text,
+             gc.hashtags, gc.status, gc.compliance_status, gc.similarity_score, gc.duplicate_of,
+             gc.created_at
+      FROM generated_content gc
+      WHERE gc.series_id = $1
+      ORDER BY gc.series_position ASC
+    `, [seriesId], client);
+  }
+}
+
+module.exports = new SeriesRepository();
@@ -0,0 +1,207 @@
+const Repository = require('./base');
+const { EXPECTED_SCHEMA } = require('../schema');
+
+// Filter key -> content_templates column for search()
+const TEMPLATE_FILTERS = {
+  templateType: 'template_type',
+  contentCategory: 'content_category',
+  targetAudience: 'target_audience',
+  industry: 'industry',
+  difficultyLevel: 'difficulty_level',
+  isPremium: 'is_premium'
+};
+
+class TemplatesRepository extends Repository {
+  constructor() {
+    super('content_templates', {
+      columns: EXPECTED_SCHEMA.content_templates,
+      jsonColumns: ['variables', 'content_structure', 'style_guidelines']
+    });
+  }
+
+  /**
+   * Active templates with user adoption stats
+   * @param {Object} filters - templateType, contentCategory, targetAudience, industry,
+   *                           difficultyLevel, isPremium, minEngagement, limit
+   */
+  async search(filters = {}, client) {
+    const conditions = ['ct.is_active = true'];
+    const params = [];
+
+    for (const [filter, column] of Object.entries(TEMPLATE_FILTERS)) {
+      if (filters[filter] !== undefined && filters[filter] !== null) {
+        params.push(filters[filter]);
+        conditions.push(`ct.${column} = $${params.length}`);
+      }
+    }
+
+    if (filters.minEngagement) {
+      params.push(filters.minEngagement);
+      conditions.push(`ct.estimated_engagement >= $${params.length}`);
+    }
+
+    let limitClause = '';
+    if (filters.limit) {
+      params.push(filters.limit);
+      limitClause = `LIMIT $${params.length}`;
+    }
+
+    return this.query(`
+      SELECT
+        ct.*,
+        COUNT(utp.user_id) as user_count,
+        AVG(utp.preference_score) as avg_preference
+      FROM content_templates ct
+      LEFT JOIN user_template_preferences utp ON ct.id = utp.template_id
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY ct.id
+      ORDER BY
+        ct.estimated_engagement DESC,
+        ct.success_rate DESC,
+        ct.usage_count DESC
+      ${limitClause}
+    `, params, client);
+  }
+
+  /**
+   * Templates ranked by engagement, success rate and the user's own preference
+   * @param {Object} preferences - { targetAudience, industry, contentCategory, isPremium, limit }
+   */
+  async findPersonalized(userId, preferences = {}, client) {
+    return this.query(`
+      WITH user_stats AS (
+        SELECT
+          template_id,
+          preference_score,
+          usage_count,
+          last_used
+        FROM user_template_preferences
+        WHERE user_id = $1
+      ),
+      template_performance AS (
+        SELECT
+          ct.*,
+          COALESCE(us.preference_score, 0.5) as user_preference,
+          COALESCE(us.usage_count, 0) as user_usage,
+          us.last_used,
+          (
+            ct.estimated_engagement * 0.4 +
+            ct.success_rate * 0.3 +
+            COALESCE(us.preference_score, 0.5) * 0.2 +
+            (CASE WHEN us.usage_count > 0 THEN 0.1 ELSE 0 END)
+          ) as recommendation_score
+        FROM content_templates ct
+        LEFT JOIN user_stats us ON ct.id = us.template_id
+        WHERE ct.is_active = true
+      )
+      SELECT *
+      FROM template_performance
+      WHERE (
+        $2::text IS NULL OR target_audience = $2 OR target_audience = 'general'
+      ) AND (
+        $3::text IS NULL OR industry = $3 OR industry = 'general'
+      ) AND (
+        $4::text IS NULL OR content_category = $4
+      ) AND (
+        $5::boolean IS NULL OR is_premium = $5
+      )
+      ORDER BY recommendation_score DESC
+      LIMIT $6
+    `, [
+      userId,
+      preferences.targetAudience || null,
+      preferences.industry || null,
+      preferences.contentCategory || null,
+      preferences.isPremium === undefined ? null : preferences.isPremium,
+      preferences.limit || 10
+    ], client);
+  }
+
+  async findActiveById(templateId, client) {
+    return this.findOne({ id: templateId, is_active: true }, client);
+  }
+
+  async linkTopic(templateId, topicId, relevanceScore = 0.5, client) {
+    await this.execute(`
+      INSERT INTO template_topics (template_id, topic_id, relevance_score)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (template_id, topic_id) DO UPDATE SET relevance_score = EXCLUDED.relevance_score
+    `, [templateId, topicId, relevanceScore], client);
+  }
+
+  /**
+   * Bump usage counters and the running success rate
+   */
+  async incrementUsage(templateId, success, client) {
+    await this.execute(`
+      UPDATE content_templates
+      SET
+        usage_count = usage_count + 1,
+        success_rate = (success_rate * usage_count + $2::int) / (usage_count + 1),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [templateId, success ? 1 : 0], client);
+  }
+
+  /**
+   * Record that a user used a template, nudging their preference score
+   */
+  async recordUserPreference(userId, templateId, success, client) {
+    await this.execute(`
+      INSERT INTO user_template_preferences (
+        user_id, template_id, usage_count, last_used, preference_score
+      ) VALUES ($1, $2, 1, CURRENT_TIMESTAMP, 0.6)
+      ON CONFLICT (user_id, template_id) DO UPDATE SET
+        usage_count = user_template_preferences.usage_count + 1,
+        last_used = CURRENT_TIMESTAMP,
+        preference_score = CASE
+          WHEN $3 THEN LEAST(user_template_preferences.preference_score + 0.1, 1.0)
+          ELSE GREATEST(user_template_preferences.preference_score - 0.1, 0.0)
+        END
+    `, [userId, templateId, success], client);
+  }
+
+  /**
+   * Usage and success stats over the last N days
+   */
+  async getAnalytics(templateId, days = 30, client) {
+    return this.queryOne(`
+      SELECT
+        ct.name,
+        ct.usage_count,
+        ct.success_rate,
+        ct.estimated_engagement,
+        COUNT(cgh.id) as recent_usage,
+        AVG(CASE WHEN cgh.success THEN 1.0 ELSE 0.0 END) as recent_success_rate,
+        COUNT(DISTINCT cgh.user_id) as unique_users
+      FROM content_templates ct
+      LEFT JOIN content_generation_history cgh ON ct.id = cgh.template_id
+        AND cgh.created_at >= CURRENT_DATE - make_interval(days => $2)
+      WHERE ct.id = $1
+      GROUP BY ct.id, ct.name, ct.usage_count, ct.success_rate, ct.estimated_engagement
+    `, [templateId, parseInt(days) || 30], client);
+  }
+
+  /**
+   * Free-text search over name, description, category and audience
+   */
+  async searchText(term, limit = 10, client) {
+    return this.query(`
+      SELECT *, 'template' as result_type
+      FROM content_templates
+      WHERE is_active = true
+        AND (
+          name ILIKE $1 OR
+          description ILIKE $1 OR
+          content_category ILIKE $1 OR
+          target_audience ILIKE $1
+        )
+      ORDER BY
+        CASE WHEN name ILIKE $1 THEN 1 ELSE 2 END,
+        estimated_engagement DESC
+      LIMIT $2
+    `, [`%${term}%`, limit], client);
+  }
+}
+
+module.exports = new TemplatesRepository();
@@ -0,0 +1,120 @@
+const Repository = require('./base');
+const { EXPECTED_SCHEMA } = require('../schema');
+
+class TopicsRepository extends Repository {
+  constructor() {
+    super('content_topics', { columns: EXPECTED_SCHEMA.content_topics });
+  }
+
+  /**
+   * Active topics with template counts and recent trend engagement
+   * @param {Object} filters - { category, industry, minRelevance, keywords, limit }
+   */
+  async search(filters = {}, client) {
+    const conditions = ['ct.is_active = true'];
+    const params = [];
+
+    if (filters.category) {
+      params.push(filters.category);
+      conditions.push(`ct.category = $${params.length}`);
+    }
+
+    if (filters.industry) {
+      params.push(filters.industry);
+      conditions.push(`ct.industry = $${params.length}`);
+    }
+
+    if (filters.minRelevance) {
+      params.push(filters.minRelevance);
+      conditions.push(`ct.abu_dhabi_relevance >= $${params.length}`);
+    }
+
+    if (filters.keywords && filters.keywords.length > 0) {
+      params.push(filters.keywords);
+      conditions.push(`ct.keywords && $${params.length}`);
+    }
+
+    let limitClause = '';
+    if (filters.limit) {
+      params.push(filters.limit);
+      limitClause = `LIMIT $${params.length}`;
+    }
+
+    return this.query(`
+      SELECT
+        ct.*,
+        COUNT(DISTINCT tt.template_id) as template_count,
+        AVG(ttr.engagement_rate) as avg_engagement
+      FROM content_topics ct
+      LEFT JOIN template_topics tt ON ct.id = tt.topic_id
+      LEFT JOIN topic_trends ttr ON ct.id = ttr.topic_id
+        AND ttr.trend_date >= CURRENT_DATE - INTERVAL '30 days'
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY ct.id
+      ORDER BY ct.trending_score DESC, ct.abu_dhabi_relevance DESC
+      ${limitClause}
+    `, params, client);
+  }
+
+  /**
+   * Topics with strong engagement over the last week
+   */
+  async findTrending(limit = 10, client) {
+    return this.query(`
+      SELECT
+        ct.*,
+        AVG(ttr.engagement_rate) as avg_engagement,
+        AVG(ttr.sentiment_score) as avg_sentiment,
+        SUM(ttr.social_mentions) as total_mentions
+      FROM content_topics ct
+      JOIN topic_trends ttr ON ct.id = ttr.topic_id
+      WHERE ct.is_active = true
+        AND ttr.trend_date >= CURRENT_DATE - INTERVAL '7 days'
+      GROUP BY ct.id
+      HAVING AVG(ttr.engagement_rate) > 0.3
+      ORDER BY
+        AVG(ttr.engagement_rate) DESC,
+        ct.trending_score DESC,
+        SUM(ttr.social_mentions) DESC
+      LIMIT $1
+    `, [limit], client);
+  }
+
+  /**
+   * Active topics linked to a template, most relevant first
+   */
+  async findByTemplate(templateId, client) {
+    return this.query(`
+      SELECT
+        ct.*,
+        tt.relevance_score
+      FROM content_topics ct
+      JOIN template_topics tt ON ct.id = tt.topic_id
+      WHERE tt.template_id = $1 AND ct.is_active = true
+      ORDER BY tt.relevance_score DESC
+    `, [templateId], client);
+  }
+
+  /**
+   * Free-text search over name, description, category and keywords
+   */
+  async searchText(term, limit = 10, client) {
+    return this.query(`
+      SELECT *, 'topic' as result_type
+      FROM content_topics
+      WHERE is_active = true
+        AND (
+          name ILIKE $1 OR
+          description ILIKE $1 OR
+          category ILIKE $1 OR
+          $2 = ANY(keywords)
+        )
+      ORDER BY
+        CASE WHEN name ILIKE $1 THEN 1 ELSE 2 END,
+        trending_score DESC
+      LIMIT $3
+    `, [`%${term}%`, term, limit], client);
+  }
+}
+
+module.exports = new TopicsRepository();
@@ -0,0 +1,73 @@
+const Repository = require('./base');
+const { EXPECTED_SCHEMA } = require('../schema');
+
+class UsersRepository extends Repository {
+  constructor() {
+    super('users', { columns: EXPECTED_SCHEMA.users });
+  }
+
+  async findByEmail(email, client) {
+    return this.findOne({ email: email.toLowerCase() }, client);
+  }
+
+  /**
+   * Users with a LinkedIn token and at least one future pending post
+   */
+  async findWithUpcomingPosts(client) {
+    return this.query(`
+      SELECT u.id, u.email, COUNT(sp.id) as pending_count
+      FROM users u
+      JOIN scheduled_posts sp ON sp.user_id = u.id
+      WHERE sp.status = 'pending'
+        AND sp.scheduled_for > NOW()
+        AND u.linkedin_access_token IS NOT NULL
+      GROUP BY u.id, u.email
+    `, [], client);
+  }
+
+  /**
+   * LinkedIn-connected users who published since the given date
+   */
+  async findActivePosters(since, client) {
+    return this.query(`
+      SELECT DISTINCT u.id, u.email
+      FROM users u
+      JOIN scheduled_posts sp ON u.id = sp.user_id
+      WHERE u.linkedin_connected = true
+        AND sp.status = 'posted'
+        AND sp.posted_at > $1
+    `, [since], client);
+  }
+
+  async findPreferences(userId, client) {
+    return this.queryOne('SELECT * FROM user_preferences WHERE user_id = $1', [userId], client);
+  }
+
+  /**
+   * Set a user's monthly AI budgets in USD; null falls back to the server-wide default
+   */
+  async setAIBudgets(userId, { softBudget, hardBudget }, client) {
+    return this.queryOne(`
+      INSERT INTO user_preferences (user_id, ai_monthly_soft_budget, ai_monthly_hard_budget)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id)
+      DO UPDATE SET ai_monthly_soft_budget = EXCLUDED.ai_monthly_soft_budget,
+                    ai_monthly_hard_budget = EXCLUDED.ai_monthly_hard_budget
+      RETURNING ai_monthly_soft_budget, ai_monthly_hard_budget
+    `, [userId, softBudget, hardBudget], client);
+  }
+
+  async countLinkedInConnected(client) {
+    return this.count({ linkedin_connected: true }, client);
+  }
+
+  /**
+   * Remove API usage log entries older than the cutoff
+   * @returns {Promise<number>} Deleted rows
+   */
+  async deleteApiUsageBefore(cutoff, client) {
+    return this.execute('DELETE FROM api_usage_logs WHERE created_at < $1', [cutoff], client);
+  }
+}
+
+module.exports = new UsersRepository();
@@ -0,0 +1,202 @@
+const logger = require('../utils/logger');
+
+/**
+ * Tables and columns the routes, services and workers rely on.
+ * Keep in sync with src/database/migrations when a migration adds or renames columns.
+ */
+const EXPECTED_SCHEMA = {
+  users: [
+    'id', 'email', 'password_hash', 'first_name', 'last_name', 'company_name', 'timezone',
+    'linkedin_connected', 'linkedin_access_token', 'linkedin_refresh_token',
+    'linkedin_token_expires_at', 'linkedin_profile_id', 'linkedin_id', 'linkedin_profile_url',
+    'subscription_plan', 'role', 'industry', 'is_active', 'last_login', 'created_at', 'updated_at'
+  ],
+  user_linkedin_tokens: [
+    'id', 'user_id', 'access_token', 'refresh_token', 'expires_at', 'created_at', 'updated_at'
+  ],
+  user_preferences: [
+    'id', 'user_id', 'posting_frequency', 'optimal_times', 'preferred_days',
+    'content_approval_required', 'auto_hashtags', 'max_hashtags', 'brand_voice', 'tone',
+    'auto_posting', 'ai_provider', 'ai_model', 'content_language', 'excluded_topics',
+    'competitor_names', 'verified_claims', 'notification_email', 'notification_webhook',
+    'ai_monthly_soft_budget', 'ai_monthly_hard_budget', 'image_provider', 'image_model', 'created_at',
+    'updated_at'
+  ],
+  content_topics: [
+    'id', 'user_id', 'title', 'name', 'description', 'keywords', 'target_audience', 'tone',
+    'industry', 'category', 'trending_score', 'engagement_potential', 'seasonal_relevance',
+    'abu_dhabi_relevance', 'is_active', 'created_by', 'created_at', 'updated_at'
+  ],
+  content_templates: [
+    'id', 'user_id', 'name', 'description', 'template_type', 'template_content', 'variables',
+    'content_structure', 'style_guidelines', 'target_audience', 'industry', 'content_category',
+    'estimated_engagement', 'difficulty_level', 'time_to_create', 'is_default', 'is_premium',
+    'is_active', 'usage_count', 'success_rate', 'created_by', 'created_at', 'updated_at'
+  ],
+  template_topics: ['id', 'template_id', 'topic_id', 'relevance_score', 'created_at'],
+  user_template_preferences: [
+    'id', 'user_id', 'template_id', 'preference_score', 'last_used', 'usage_count',
+    'customizations', 'created_at', 'updated_at'
+  ],
+  topic_trends: [
+    'id', 'topic_id', 'trend_date', 'search_volume', 'social_mentions', 'engagement_rate',
+    'sentiment_score', 'regional_relevance', 'data_source', 'created_at'
+  ],
+  content_generation_history: [
+    'id', 'user_id', 'template_id', 'topic_id', 'generated_content_id', 'generation_parameters',
+    'generation_time_ms', 'success', 'error_message', 'created_at'
+  ],
+  generated_content: [
+    'id', 'user_id', 'topic_id', 'template_id', 'content_type', 'title', 'content_text',
+    'hashtags', 'media_urls', 'image_data', 'document_data', 'structured_content', 'language',
+    'language_metadata', 'voice_score', 'voice_analysis', 'compliance_status', 'compliance_report',
+    'compliance_checked_at', 'accessibility_report', 'similarity_signature', 'similarity_bands',
+    'similarity_score', 'duplicate_of', 'series_id', 'series_position', 'knowledge_sources', 'ai_prompt', 'ai_model',
+    'prompt_version_ids', 'status', 'approval_required', 'approved_by', 'approved_at', 'created_at',
+    'updated_at'
+  ],
+  content_series: [
+    'id', 'user_id', 'topic_id', 'title', 'source_format', 'source_name', 'source_text', 'plan',
+    'language', 'ai_model', 'status', 'created_at', 'updated_at'
+  ],
+  content_plans: [
+    'id', 'user_id', 'month', 'status', 'settings', 'events', 'created_at', 'updated_at'
+  ],
+  content_plan_items: [
+    'id', 'plan_id', 'position', 'scheduled_for', 'optimal_time', 'topic_id', 'content_type',
+    'occasions', 'status', 'content_id', 'scheduled_post_id', 'error_message', 'created_at',
+    'updated_at'
+  ],
+  knowledge_documents: [
+    'id', 'user_id', 'title', 'source_type', 'source_format', 'source_name', 'characters',
+    'chunk_count', 'is_active', 'created_at', 'updated_at'
+  ],
+  knowledge_chunks: [
+    'id', 'document_id', 'user_id', 'chunk_index', 'heading', 'content', 'search_vector',
+    'created_at'
+  ],
+  content_revisions: [
+    'id', 'content_id', 'user_id', 'revision_number', 'source', 'author_id', 'ai_model',
+    'restored_from', 'title', 'content_text', 'hashtags', 'words_added', 'words_removed',
+    'ai_edit_ratio', 'created_at'
+  ],
+  prompt_templates: [
+    'id', 'prompt_key', 'content_type', 'industry', 'user_id', 'active_version', 'created_at',
+    'updated_at'
+  ],
+  prompt_versions: [
+    'id', 'template_id', 'version', 'body', 'variables', 'notes', 'created_by', 'created_at'
+  ],
+  engagement_models: [
+    'id', 'user_id', 'weights', 'prior', 'sample_size', 'residual_std', 'trained_at', 'created_at',
+    'updated_at'
+  ],
+  brand_kits: [
+    'id', 'user_id', 'primary_color', 'secondary_color', 'background_color', 'text_color',
+    'font_family', 'logo_path', 'watermark_enabled', 'watermark_position', 'watermark_opacity',
+    'watermark_scale', 'frame_enabled', 'caption_bar_enabled', 'caption_text', 'created_at', 'updated_at'
+  ],
+  media_assets: [
+    'id', 'user_id', 'content_hash', 'source', 'original_name', 'mime_type', 'width', 'height',
+    'size_bytes', 'path', 'variants', 'tags', 'metadata', 'last_used_at', 'created_at', 'updated_at'
+  ],
+  content_media: ['content_id', 'media_id', 'created_at'],
+  brand_voice_profiles: [
+    'id', 'user_id', 'profile', 'banned_phrases', 'sample_size', 'analyzed_at', 'created_at',
+    'updated_at'
+  ],
+  scheduled_posts: [
+    'id', 'user_id', 'content_id', 'scheduled_for', 'optimal_time', 'timezone', 'post_type',
+    'priority', 'notes', 'optimization_applied', 'linkedin_post_id', 'linkedin_post_url',
+    'status', 'error_message', 'retry_count', 'max_retries', 'posted_at', 'total_likes',
+    'total_comments', 'total_shares', 'total_views', 'total_clicks', 'avg_engagement_rate',
+    'created_at', 'updated_at'
+  ],
+  post_analytics: [
+    'id', 'user_id', 'scheduled_post_id', 'content_id', 'linkedin_post_id', 'post_type',
+    'impressions', 'views', 'clicks', 'likes', 'comments', 'shares', 'engagement_rate',
+    'click_through_rate', 'reach', 'video_views', 'follower_growth', 'recorded_at',
+    'last_updated', 'created_at', 'updated_at'
+  ],
+  user_insights: [
+    'id', 'user_id', 'insight_type', 'insight_data', 'confidence_score', 'best_posting_time',
+    'best_content_type', 'avg_engagement_rate', 'total_posts', 'total_engagement',
+    'recommendations', 'created_at', 'updated_at'
+  ],
+  user_optimal_times: [
+    'id', 'user_id', 'optimal_times_data', 'confidence_level', 'data_points_count',
+    'analysis_period_days', 'created_at', 'updated_at'
+  ],
+  daily_reports: [
+    'id', 'report_date', 'posts_published', 'avg_likes', 'avg_comments', 'avg_shares',
+    'avg_impressions', 'avg_engagement_rate', 'top_post_id', 'top_post_engagement', 'created_at'
+  ],
+  ai_usage_events: [
+    'id', 'user_id', 'feature', 'call_type', 'provider', 'model', 'prompt_tokens',
+    'completion_tokens', 'total_tokens', 'images', 'cost', 'priced', 'created_at'
+  ],
+  api_usage_logs: [
+    'id', 'user_id', 'endpoint', 'method', 'status_code', 'response_time', 'ip_address',
+    'user_agent', 'metadata', 'created_at'
+  ]
+};
+
+/**
+ * Compare the live database against EXPECTED_SCHEMA
+ * @param {Object} db - pg pool or client
+ * @param {Object} expected - Table name to column list map
+ * @returns {Promise<Object>} Drift report: { ok, missingTables, missingColumns }
+ */
+const verifySchema = async (db, expected = EXPECTED_SCHEMA) => {
+  const result = await db.query(`
+    SELECT table_name, column_name
+    FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND table_name = ANY($1)
+  `, [Object.keys(expected)]);
+
+  const actual = new Map();
+  for (const row of result.rows) {
+    if (!actual.has(row.table_name)) {
+      actual.set(row.table_name, new Set());
+    }
+    actual.get(row.table_name).add(row.column_name);
+  }
+
+  const missingTables = [];
+  const missingColumns = [];
+
+  for (const [table, columns] of Object.entries(expected)) {
+    const existing = actual.get(table);
+    if (!existing) {
+      missingTables.push(table);
+      continue;
+    }
+
+    columns
+      .filter(column => !existing.has(column))
+      .forEach(column => missingColumns.push(`${table}.${column}`));
+  }
+
+  const report = {
+    ok: missingTables.length === 0 && missingColumns.length === 0,
+    missingTables,
+    missingColumns
+  };
+
+  if (report.ok) {
+    logger.info('Database schema verified', { tables: Object.keys(expected).length });
+  } else {
+    logger.warn('Database schema drift detected; affected queries will fail until migrations are applied', {
+      missingTables,
+      missingColumns
+    });
+  }
+
+  return report;
+};
+
+module.exports = {
+  EXPECTED_SCHEMA,
+  verifySchema
+};
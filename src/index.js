@@ -16,6 +16,14 @@ const analyticsRoutes = require('./routes/analytics');
 const linkedinRoutes = require('./routes/linkedin');
 const optimalTimingRoutes = require('./routes/optimalTiming');
 const contentTemplatesRoutes = require('./routes/contentTemplates');
+const brandVoiceRoutes = require('./routes/brandVoice');
+const contentSeriesRoutes = require('./routes/contentSeries');
+const knowledgeBaseRoutes = require('./routes/knowledgeBase');
+const contentPlanRoutes = require('./routes/contentPlans');
+const usageRoutes = require('./routes/usage');
+const promptRoutes = require('./routes/prompts');
+const brandKitRoutes = require('./routes/brandKit');
+const mediaRoutes = require('./routes/media');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -57,6 +65,14 @@ app.use('/api/analytics', analyticsRoutes);
 app.use('/api/linkedin', linkedinRoutes);
 app.use('/api/optimal-timing', optimalTimingRoutes);
 app.use('/api/content-templates', contentTemplatesRoutes);
+app.use('/api/brand-voice', brandVoiceRoutes);
+app.use('/api/content-series', contentSeriesRoutes);
+app.use('/api/knowledge-base', knowledgeBaseRoutes);
+app.use('/api/content-plans', contentPlanRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/brand-kit', brandKitRoutes);
+app.use('/api/media', mediaRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
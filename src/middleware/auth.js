@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { pool } = require('../database/init');
 const logger = require('../utils/logger');
+const aiUsage = require('../services/aiUsage');
 
 /**
  * Authentication middleware
@@ -425,6 +426,32 @@ const checkPlanLimits = (limitType) => {
   };
 };
 
+/**
+ * Middleware to stop AI generation once the user's hard monthly AI budget is spent
+ */
+const checkAIBudget = async (req, res, next) => {
+  try {
+    const budget = await aiUsage.getBudget(req.user.userId);
+
+    if (budget.status === 'hard_exceeded') {
+      return res.status(403).json({
+        success: false,
+        message: 'Monthly AI budget reached. Generation is available again next month or after the budget is raised.',
+        code: 'AI_BUDGET_EXCEEDED',
+        data: budget
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('AI budget check failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify AI budget.'
+    });
+  }
+};
+
 module.exports = {
   auth,
   optionalAuth,
@@ -432,5 +459,6 @@ module.exports = {
   authenticatedRateLimit,
   requireLinkedInConnection,
   logAPIUsage,
-  checkPlanLimits
+  checkPlanLimits,
+  checkAIBudget
 };
\ No newline at end of file
@@ -0,0 +1,46 @@
+const multer = require('multer');
+
+const UPLOAD_MAX_SIZE = parseInt(process.env.UPLOAD_MAX_SIZE) || 10 * 1024 * 1024;
+
+/**
+ * Middleware to accept a single image file in a multipart form field
+ * The file is kept in memory (req.file.buffer); a missing file, wrong type or oversized upload
+ * is answered with 400.
+ * @param {string} field - Form field name
+ * @param {Array} mimeTypes - Accepted mime types
+ */
+const imageUpload = (field, mimeTypes = ['image/png', 'image/jpeg']) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: UPLOAD_MAX_SIZE, files: 1 },
+    fileFilter: (req, file, cb) => {
+      cb(null, mimeTypes.includes(file.mimetype));
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.code === 'LIMIT_FILE_SIZE'
+            ? `Image must be at most ${Math.floor(UPLOAD_MAX_SIZE / 1024 / 1024)} MB`
+            : error.message
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: `An image file (${mimeTypes.join(', ')}) is required in the ${field} field`
+        });
+      }
+
+      next();
+    });
+  };
+};
+
+module.exports = {
+  imageUpload
+};
@@ -1,10 +1,10 @@
 const express = require('express');
 const { body, query, param, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
-const pool = require('../database/connection');
-const { requireAuth, requireLinkedInConnection } = require('../middleware/auth');
-const { logAPIUsage } = require('../middleware/logging');
+const { pool } = require('../database/init');
+const { auth, requireLinkedInConnection, logAPIUsage } = require('../middleware/auth');
 const analyticsService = require('../services/analytics');
+const hashtagRecommender = require('../services/hashtagRecommender');
 const linkedinAPI = require('../services/linkedinAPI');
 const logger = require('../utils/logger');
 
@@ -24,7 +24,7 @@ const analyticsRateLimit = rateLimit({
 router.use(analyticsRateLimit);
 
 // Apply authentication and logging to all routes
-router.use(requireAuth);
+router.use(auth);
 router.use(logAPIUsage);
 
 /**
@@ -152,6 +152,89 @@ router.get('/roi',
   }
 );
 
+/**
+ * @route GET /api/analytics/ai-edits
+ * @desc Get how much generated posts are edited after generation, per AI model
+ * @access Private
+ */
+router.get('/ai-edits',
+  [
+    query('period').optional().isIn(['7d', '30d', '90d', '1y'])
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { period = '30d' } = req.query;
+      const models = await analyticsService.getAIEditMetrics(
+        req.user.userId,
+        analyticsService.getDateFilter(period)
+      );
+
+      res.json({
+        success: true,
+        data: { models, period }
+      });
+    } catch (error) {
+      logger.error('Failed to get AI edit metrics:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve AI edit metrics'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/analytics/hashtags
+ * @desc Get engagement per hashtag compared with the user's average post
+ * @access Private
+ */
+router.get('/hashtags',
+  [
+    query('period').optional().isIn(['7d', '30d', '90d', '1y']),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+    query('minPosts').optional().isInt({ min: 1, max: 50 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { period = '90d', limit = 50, minPosts = 3 } = req.query;
+      const report = await hashtagRecommender.getPerformanceReport(
+        req.user.userId,
+        analyticsService.getDateFilter(period),
+        { limit, minPosts }
+      );
+
+      res.json({
+        success: true,
+        data: { ...report, period }
+      });
+    } catch (error) {
+      logger.error('Failed to get hashtag performance:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve hashtag performance'
+      });
+    }
+  }
+);
+
 /**
  * @route GET /api/analytics/report
  * @desc Generate comprehensive analytics report
@@ -298,8 +381,8 @@ router.get('/realtime',
         const recentPosts = await client.query(`
           SELECT 
             sp.id,
-            sp.title,
-            sp.content_type,
+            gc.title,
+            gc.content_type,
             sp.posted_at,
             pa.likes,
             pa.comments,
@@ -314,7 +397,8 @@ router.get('/realtime',
               END
             ) as engagement_rate
           FROM scheduled_posts sp
-          LEFT JOIN post_analytics pa ON pa.post_id = sp.id
+          JOIN generated_content gc ON gc.id = sp.content_id
+          LEFT JOIN post_analytics pa ON pa.scheduled_post_id = sp.id
           WHERE sp.user_id = $1 
             AND sp.status = 'posted'
             AND sp.posted_at >= NOW() - INTERVAL '24 hours'
@@ -337,7 +421,7 @@ router.get('/realtime',
             SUM(COALESCE(pa.comments, 0)) as total_comments,
             SUM(COALESCE(pa.shares, 0)) as total_shares
           FROM post_analytics pa
-          JOIN scheduled_posts sp ON sp.id = pa.post_id
+          JOIN scheduled_posts sp ON sp.id = pa.scheduled_post_id
           WHERE sp.user_id = $1 
             AND pa.updated_at >= NOW() - INTERVAL '24 hours'
           GROUP BY DATE_TRUNC('hour', pa.updated_at)
@@ -5,8 +5,10 @@ const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const { pool } = require('../database/init');
 const linkedinAPI = require('../services/linkedinAPI');
+const llm = require('../services/llm');
+const images = require('../services/images');
 const logger = require('../utils/logger');
-const auth = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -464,7 +466,9 @@ router.get('/me', auth, async (req, res) => {
       const result = await client.query(`
         SELECT u.id, u.email, u.first_name, u.last_name, u.company_name, 
                u.timezone, u.linkedin_id, u.linkedin_profile_url, u.created_at, u.last_login,
-               up.tone, up.brand_voice, up.auto_posting, up.auto_hashtags, up.max_hashtags
+               up.tone, up.brand_voice, up.auto_posting, up.auto_hashtags, up.max_hashtags,
+               up.ai_provider, up.ai_model, up.image_provider, up.image_model, up.content_language,
+               up.excluded_topics, up.competitor_names, up.verified_claims
         FROM users u
         LEFT JOIN user_preferences up ON up.user_id = u.id
         WHERE u.id = $1
@@ -498,7 +502,15 @@ router.get('/me', auth, async (req, res) => {
               brandVoice: user.brand_voice,
               autoPosting: user.auto_posting,
               autoHashtags: user.auto_hashtags,
-              maxHashtags: user.max_hashtags
+              maxHashtags: user.max_hashtags,
+              aiProvider: user.ai_provider,
+              aiModel: user.ai_model,
+              imageProvider: user.image_provider,
+              imageModel: user.image_model,
+              contentLanguage: user.content_language,
+              excludedTopics: user.excluded_topics,
+              competitorNames: user.competitor_names,
+              verifiedClaims: user.verified_claims
             }
           }
         }
@@ -613,4 +625,134 @@ router.put('/profile',
   }
 );
 
+/**
+ * @route PUT /api/auth/preferences
+ * @desc Update content generation preferences (LLM and image provider and model, content language)
+ * @access Private
+ */
+router.put('/preferences',
+  auth,
+  [
+    body('aiProvider').optional({ nullable: true }).isString(),
+    body('aiModel').optional({ nullable: true }).isString().isLength({ max: 200 }),
+    body('imageProvider').optional({ nullable: true }).isString(),
+    body('imageModel').optional({ nullable: true }).isString().isLength({ max: 200 }),
+    body('contentLanguage').optional().isIn(['en', 'ar', 'bilingual']),
+    body(['excludedTopics', 'competitorNames', 'verifiedClaims']).optional().isArray({ max: 50 }),
+    body(['excludedTopics.*', 'competitorNames.*', 'verifiedClaims.*']).isString().trim().isLength({ min: 1, max: 100 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const updates = {};
+
+      if (req.body.aiProvider !== undefined || req.body.aiModel !== undefined) {
+        // A null provider clears the preference and falls back to the server default
+        const aiProvider = req.body.aiProvider || null;
+        const aiModel = req.body.aiModel || null;
+
+        const selectionError = llm.validateSelection(aiProvider, aiModel);
+        if (selectionError) {
+          return res.status(400).json({
+            success: false,
+            message: selectionError
+          });
+        }
+
+        updates.ai_provider = aiProvider;
+        updates.ai_model = aiModel;
+      }
+
+      if (req.body.imageProvider !== undefined || req.body.imageModel !== undefined) {
+        const imageProvider = req.body.imageProvider || null;
+        const imageModel = req.body.imageModel || null;
+
+        const selectionError = images.validateSelection(imageProvider, imageModel);
+        if (selectionError) {
+          return res.status(400).json({
+            success: false,
+            message: selectionError
+          });
+        }
+
+        updates.image_provider = imageProvider;
+        updates.image_model = imageModel;
+      }
+
+      if (req.body.contentLanguage !== undefined) {
+        updates.content_language = req.body.contentLanguage;
+      }
+
+      // Lists used by the pre-publish compliance check
+      if (req.body.excludedTopics !== undefined) {
+        updates.excluded_topics = req.body.excludedTopics;
+      }
+      if (req.body.competitorNames !== undefined) {
+        updates.competitor_names = req.body.competitorNames;
+      }
+      if (req.body.verifiedClaims !== undefined) {
+        updates.verified_claims = req.body.verifiedClaims;
+      }
+
+      const columns = Object.keys(updates);
+      if (columns.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No valid fields to update'
+        });
+      }
+
+      const client = await pool.connect();
+      try {
+        const result = await client.query(`
+          INSERT INTO user_preferences (user_id, ${columns.join(', ')})
+          VALUES ($1, ${columns.map((column, index) => `$${index + 2}`).join(', ')})
+          ON CONFLICT (user_id)
+          DO UPDATE SET ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')}
+          RETURNING ai_provider, ai_model, image_provider, image_model, content_language, excluded_topics,
+                    competitor_names, verified_claims
+        `, [req.user.userId, ...Object.values(updates)]);
+
+        logger.auth('User preferences updated', {
+          userId: req.user.userId,
+          fields: columns
+        });
+
+        res.json({
+          success: true,
+          message: 'Preferences updated successfully',
+          data: {
+            preferences: {
+              aiProvider: result.rows[0].ai_provider,
+              aiModel: result.rows[0].ai_model,
+              imageProvider: result.rows[0].image_provider,
+              imageModel: result.rows[0].image_model,
+              contentLanguage: result.rows[0].content_language,
+              excludedTopics: result.rows[0].excluded_topics,
+              competitorNames: result.rows[0].competitor_names,
+              verifiedClaims: result.rows[0].verified_claims
+            }
+          }
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.error('Failed to update preferences:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update preferences'
+      });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
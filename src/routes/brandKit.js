@@ -0,0 +1,154 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const brandKitService = require('../services/brandKit');
+const { resolveBrand } = require('../services/images/brandTemplates');
+const { WATERMARK_POSITIONS } = require('../services/images/brandOverlay');
+const logger = require('../utils/logger');
+const { auth, logAPIUsage } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/upload');
+
+const router = express.Router();
+
+// Apply authentication and logging to all routes
+router.use(auth);
+router.use(logAPIUsage);
+
+const LOGO_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/svg+xml'];
+const COLOR = /^#[0-9a-f]{6}$/i;
+
+const formatKit = (row) => {
+  const { logoPath, ...brand } = resolveBrand(row);
+  return {
+    configured: Boolean(row),
+    ...brand,
+    hasLogo: Boolean(logoPath),
+    updatedAt: row ? row.updated_at : null
+  };
+};
+
+/**
+ * @route GET /api/brand-kit
+ * @desc Get the user's brand kit (defaults when none is saved)
+ * @access Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const kit = await brandKitService.getKit(req.user.userId);
+
+    res.json({
+      success: true,
+      data: formatKit(kit)
+    });
+  } catch (error) {
+    logger.error('Failed to get brand kit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve brand kit'
+    });
+  }
+});
+
+/**
+ * @route PUT /api/brand-kit
+ * @desc Update brand colours, font and the watermark, frame and caption bar settings
+ * @access Private
+ */
+router.put('/',
+  [
+    body(['primaryColor', 'secondaryColor', 'backgroundColor', 'textColor'])
+      .optional()
+      .matches(COLOR)
+      .withMessage('Colours must be hex values like #0A66C2'),
+    body('fontFamily').optional({ nullable: true }).isString().trim().isLength({ max: 100 }),
+    body('watermarkEnabled').optional().isBoolean().toBoolean(),
+    body('watermarkPosition').optional().isIn(WATERMARK_POSITIONS),
+    body('watermarkOpacity').optional().isFloat({ min: 0, max: 1 }).toFloat(),
+    body('watermarkScale').optional().isFloat({ min: 0.05, max: 0.5 }).toFloat(),
+    body('frameEnabled').optional().isBoolean().toBoolean(),
+    body('captionBarEnabled').optional().isBoolean().toBoolean(),
+    body('captionText').optional({ nullable: true }).isString().trim().isLength({ max: 120 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const kit = await brandKitService.update(req.user.userId, req.body);
+
+      logger.content('Brand kit updated', { userId: req.user.userId });
+
+      res.json({
+        success: true,
+        message: 'Brand kit updated successfully',
+        data: formatKit(kit)
+      });
+    } catch (error) {
+      logger.error('Failed to update brand kit:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update brand kit'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/brand-kit/logo
+ * @desc Upload the brand logo (PNG, JPEG, WebP or SVG) used for watermarks and branded graphics
+ * @access Private
+ */
+router.put('/logo', imageUpload('logo', LOGO_MIME_TYPES), async (req, res) => {
+  try {
+    const kit = await brandKitService.saveLogo(req.user.userId, req.file.buffer);
+
+    if (!kit) {
+      return res.status(400).json({
+        success: false,
+        message: 'The uploaded file is not a readable image'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logo uploaded successfully',
+      data: formatKit(kit)
+    });
+  } catch (error) {
+    logger.error('Failed to upload brand logo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload logo'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/brand-kit/logo
+ * @desc Remove the brand logo
+ * @access Private
+ */
+router.delete('/logo', async (req, res) => {
+  try {
+    const kit = await brandKitService.removeLogo(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Logo removed successfully',
+      data: formatKit(kit)
+    });
+  } catch (error) {
+    logger.error('Failed to remove brand logo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove logo'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../database/init');
+const brandVoice = require('../services/brandVoice');
+const structuredContent = require('../services/structuredContent');
+const logger = require('../utils/logger');
+const { auth, logAPIUsage } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply authentication and logging to all routes
+router.use(auth);
+router.use(logAPIUsage);
+
+const formatProfile = (row) => ({
+  learned: brandVoice.hasLearnedVoice(row),
+  sampleSize: row ? row.sample_size : 0,
+  minSamples: brandVoice.minSamples,
+  profile: row && brandVoice.hasLearnedVoice(row) ? row.profile : null,
+  bannedPhrases: row ? row.banned_phrases : [],
+  analyzedAt: row ? row.analyzed_at : null
+});
+
+/**
+ * @route GET /api/brand-voice
+ * @desc Get the user's brand voice profile, re-analysing it when stale
+ * @access Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const profile = await brandVoice.getProfile(req.user.userId);
+
+    res.json({
+      success: true,
+      data: formatProfile(profile)
+    });
+  } catch (error) {
+    logger.error('Failed to get brand voice profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve brand voice profile'
+    });
+  }
+});
+
+/**
+ * @route POST /api/brand-voice/analyze
+ * @desc Re-analyse approved and posted content now
+ * @access Private
+ */
+router.post('/analyze', async (req, res) => {
+  try {
+    const profile = await brandVoice.getProfile(req.user.userId, { refresh: true });
+
+    res.json({
+      success: true,
+      message: brandVoice.hasLearnedVoice(profile)
+        ? 'Brand voice profile updated'
+        : `At least ${brandVoice.minSamples} approved or posted items are needed to learn a brand voice`,
+      data: formatProfile(profile)
+    });
+  } catch (error) {
+    logger.error('Failed to analyse brand voice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to analyse brand voice'
+    });
+  }
+});
+
+/**
+ * @route PUT /api/brand-voice/banned-phrases
+ * @desc Replace the phrases generated content must never use
+ * @access Private
+ */
+router.put('/banned-phrases',
+  [
+    body('phrases').isArray({ max: 100 }),
+    body('phrases.*').isString().trim().isLength({ min: 1, max: 100 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const profile = await brandVoice.setBannedPhrases(req.user.userId, req.body.phrases);
+
+      res.json({
+        success: true,
+        message: 'Banned phrases updated',
+        data: formatProfile(profile)
+      });
+    } catch (error) {
+      logger.error('Failed to update banned phrases:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update banned phrases'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/brand-voice/score
+ * @desc Score a draft (text or saved content) for consistency with the brand voice
+ * @access Private
+ */
+router.post('/score',
+  [
+    body('text').optional().isString().isLength({ min: 1, max: 5000 }),
+    body('contentId').optional().isUUID(),
+    body().custom(value => {
+      if (!value.text && !value.contentId) {
+        throw new Error('Either text or contentId is required');
+      }
+      return true;
+    })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      let text = req.body.text;
+
+      if (!text) {
+        const client = await pool.connect();
+        try {
+          const result = await client.query(
+            'SELECT content_text, structured_content FROM generated_content WHERE id = $1 AND user_id = $2',
+            [req.body.contentId, req.user.userId]
+          );
+
+          if (result.rows.length === 0) {
+            return res.status(404).json({
+              success: false,
+              message: 'Content not found'
+            });
+          }
+
+          text = structuredContent.textFromContent(result.rows[0]);
+        } finally {
+          client.release();
+        }
+      }
+
+      const profile = await brandVoice.getProfile(req.user.userId);
+      const analysis = brandVoice.scoreDraft(text, profile);
+
+      if (!analysis) {
+        return res.status(409).json({
+          success: false,
+          message: `At least ${brandVoice.minSamples} approved or posted items are needed to score brand voice`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: analysis
+      });
+    } catch (error) {
+      logger.error('Failed to score brand voice:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to score brand voice'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,10 +1,25 @@
 const express = require('express');
-const { body, query, param, validationResult } = require('express-validator');
+const path = require('path');
+const { body, query, param, header, validationResult } = require('express-validator');
 const { pool } = require('../database/init');
 const contentGenerator = require('../services/contentGenerator');
+const llm = require('../services/llm');
+const images = require('../services/images');
+const complianceChecker = require('../services/complianceChecker');
+const accessibilityChecker = require('../services/accessibilityChecker');
+const altTextService = require('../services/altText');
+const similarityIndex = require('../services/similarityIndex');
+const revisionHistory = require('../services/revisionHistory');
 const scheduler = require('../services/scheduler');
+const hashtagRecommender = require('../services/hashtagRecommender');
+const engagementPredictor = require('../services/engagementPredictor');
+const generationCache = require('../services/generationCache');
+const mediaLibrary = require('../services/mediaLibrary');
+const carouselBuilder = require('../services/carouselBuilder');
 const logger = require('../utils/logger');
-const { auth, checkPlanLimits, logAPIUsage } = require('../middleware/auth');
+const { createEventStream } = require('../utils/sse');
+const { auth, checkPlanLimits, logAPIUsage, checkAIBudget } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -366,19 +381,44 @@ router.delete('/topics/:id',
   }
 );
 
+/**
+ * @route GET /api/content/providers
+ * @desc List LLM and image providers and models available for generation
+ * @access Private
+ */
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      providers: llm.listProviders(),
+      imageProviders: images.listProviders()
+    }
+  });
+});
+
 /**
  * @route POST /api/content/generate
- * @desc Generate new content
+ * @desc Generate new content. A single post reuses the draft of an identical recent request unless
+ *   useCache is false. Requests repeating an Idempotency-Key header get the in-flight or earlier
+ *   response (marked Idempotent-Replayed) instead of generating again.
  * @access Private
  */
 router.post('/generate',
   checkPlanLimits('monthly_posts'),
+  checkAIBudget,
   [
+    header('Idempotency-Key').optional().isString().isLength({ min: 1, max: 255 }),
     body('topicId').isUUID(),
     body('contentType').isIn(['text', 'multi_image', 'video', 'poll', 'document']),
     body('customPrompt').optional().trim().isLength({ max: 2000 }),
     body('variations').optional().isInt({ min: 1, max: 5 }),
-    body('includeImage').optional().isBoolean()
+    body('includeImage').optional().isBoolean(),
+    body('language').optional().isIn(['en', 'ar', 'bilingual']),
+    body('provider').optional().isString(),
+    body('model').optional().isString().isLength({ max: 200 }),
+    body('imageProvider').optional().isString(),
+    body('imageModel').optional().isString().isLength({ max: 200 }),
+    body('useCache').optional().isBoolean().toBoolean()
   ],
   async (req, res) => {
     try {
@@ -391,7 +431,27 @@ router.post('/generate',
         });
       }
 
-      const { topicId, contentType, customPrompt, variations = 1, includeImage = false } = req.body;
+      const {
+        topicId,
+        contentType,
+        customPrompt,
+        variations = 1,
+        includeImage = false,
+        language,
+        provider,
+        model,
+        imageProvider,
+        imageModel,
+        useCache
+      } = req.body;
+
+      const selectionError = llm.validateSelection(provider, model) || images.validateSelection(imageProvider, imageModel);
+      if (selectionError) {
+        return res.status(400).json({
+          success: false,
+          message: selectionError
+        });
+      }
 
       // Verify topic belongs to user
       const client = await pool.connect();
@@ -411,34 +471,70 @@ router.post('/generate',
         client.release();
       }
 
-      let generatedContent;
-      
-      if (variations > 1) {
-        // Generate multiple variations
-        generatedContent = await contentGenerator.generateMultipleVariations(
-          req.user.userId,
+      const generate = async () => {
+        let generatedContent;
+
+        if (variations > 1) {
+          // Generate multiple variations
+          generatedContent = await contentGenerator.generateMultipleVariations(
+            req.user.userId,
+            topicId,
+            contentType,
+            variations,
+            includeImage,
+            { provider, model, language, imageProvider, imageModel }
+          );
+        } else {
+          // Generate single content
+          generatedContent = await contentGenerator.generateContent(
+            req.user.userId,
+            topicId,
+            contentType,
+            customPrompt,
+            includeImage,
+            { provider, model, language, imageProvider, imageModel, cache: useCache !== false }
+          );
+        }
+
+        logger.content('Content generated successfully', {
+          userId: req.user.userId,
           topicId,
           contentType,
-          variations,
-          includeImage
-        );
-      } else {
-        // Generate single content
-        generatedContent = await contentGenerator.generateContent(
+          variations: Array.isArray(generatedContent) ? generatedContent.length : 1
+        });
+
+        return generatedContent;
+      };
+
+      const idempotencyKey = req.get('Idempotency-Key');
+      let generatedContent;
+
+      if (idempotencyKey) {
+        const outcome = await generationCache.runOnce(
           req.user.userId,
-          topicId,
-          contentType,
-          customPrompt,
-          includeImage
+          idempotencyKey,
+          generationCache.hashRequest(req.body),
+          generate
         );
-      }
 
-      logger.content('Content generated successfully', {
-        userId: req.user.userId,
-        topicId,
-        contentType,
-        variations: Array.isArray(generatedContent) ? generatedContent.length : 1
-      });
+        if (outcome.conflict === 'mismatch') {
+          return res.status(422).json({
+            success: false,
+            message: 'This Idempotency-Key was already used for a different request'
+          });
+        }
+        if (outcome.conflict === 'in_progress') {
+          return res.status(409).json({
+            success: false,
+            message: 'A request with this Idempotency-Key is still in progress'
+          });
+        }
+
+        res.set('Idempotent-Replayed', String(outcome.replayed));
+        generatedContent = outcome.result;
+      } else {
+        generatedContent = await generate();
+      }
 
       res.status(201).json({
         success: true,
@@ -457,9 +553,140 @@ router.post('/generate',
   }
 );
 
+/**
+ * @route GET /api/content/generate/stream
+ * @desc Generate content and stream progress as Server-Sent Events
+ *   Events: start, token, reset, parsed, image, saved, done, error.
+ *   Closing the connection cancels generation.
+ * @access Private
+ */
+router.get('/generate/stream',
+  checkPlanLimits('monthly_posts'),
+  checkAIBudget,
+  [
+    query('topicId').isUUID(),
+    query('contentType').optional().isIn(['text', 'multi_image', 'video', 'poll', 'document']),
+    query('customPrompt').optional().trim().isLength({ max: 2000 }),
+    query('variations').optional().isInt({ min: 1, max: 5 }).toInt(),
+    query('includeImage').optional().isBoolean().toBoolean(),
+    query('language').optional().isIn(['en', 'ar', 'bilingual']),
+    query('provider').optional().isString(),
+    query('model').optional().isString().isLength({ max: 200 }),
+    query('imageProvider').optional().isString(),
+    query('imageModel').optional().isString().isLength({ max: 200 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      topicId,
+      contentType = 'text',
+      customPrompt,
+      variations = 1,
+      includeImage = false,
+      language,
+      provider,
+      model,
+      imageProvider,
+      imageModel
+    } = req.query;
+
+    const selectionError = llm.validateSelection(provider, model) || images.validateSelection(imageProvider, imageModel);
+    if (selectionError) {
+      return res.status(400).json({
+        success: false,
+        message: selectionError
+      });
+    }
+
+    try {
+      const client = await pool.connect();
+      try {
+        const topicCheck = await client.query(
+          'SELECT id FROM content_topics WHERE id = $1 AND user_id = $2 AND is_active = true',
+          [topicId, req.user.userId]
+        );
+
+        if (topicCheck.rows.length === 0) {
+          return res.status(404).json({
+            success: false,
+            message: 'Content topic not found or inactive'
+          });
+        }
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.error('Failed to verify topic for streaming generation:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to generate content'
+      });
+    }
+
+    const stream = createEventStream(req, res);
+    const generated = [];
+
+    stream.send('start', { topicId, contentType, variations });
+
+    try {
+      for (let variation = 1; variation <= variations && !stream.signal.aborted; variation++) {
+        const content = await contentGenerator.generateContent(
+          req.user.userId,
+          topicId,
+          contentType,
+          customPrompt,
+          includeImage,
+          {
+            provider,
+            model,
+            language,
+            imageProvider,
+            imageModel,
+            signal: stream.signal,
+            onProgress: (event, data) => stream.send(event, { variation, ...data })
+          }
+        );
+
+        generated.push(content);
+      }
+
+      logger.content('Content generated successfully', {
+        userId: req.user.userId,
+        topicId,
+        contentType,
+        variations: generated.length,
+        streamed: true
+      });
+
+      stream.send('done', { content: generated });
+    } catch (error) {
+      if (stream.signal.aborted) {
+        logger.content('Streaming content generation cancelled by client', {
+          userId: req.user.userId,
+          topicId,
+          completedVariations: generated.length
+        });
+      } else {
+        logger.error('Streaming content generation failed:', error);
+        stream.send('error', { message: 'Failed to generate content' });
+      }
+    } finally {
+      stream.close();
+    }
+  }
+);
+
 /**
  * @route GET /api/content/generated
- * @desc Get user's generated content
+ * @desc Get user's generated content with a predicted engagement range for each item
  * @access Private
  */
 router.get('/generated',
@@ -468,6 +695,8 @@ router.get('/generated',
     query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
     query('status').optional().isIn(['draft', 'approved', 'scheduled', 'posted']),
     query('contentType').optional().isIn(['text', 'multi_image', 'video', 'poll', 'document']),
+    query('language').optional().isIn(['en', 'ar', 'bilingual']),
+    query('complianceStatus').optional().isIn(['passed', 'warning', 'blocked']),
     query('topicId').optional().isUUID()
   ],
   async (req, res) => {
@@ -484,7 +713,7 @@ router.get('/generated',
       const page = req.query.page || 1;
       const limit = req.query.limit || 20;
       const offset = (page - 1) * limit;
-      const { status, contentType, topicId } = req.query;
+      const { status, contentType, language, complianceStatus, topicId } = req.query;
 
       const client = await pool.connect();
       try {
@@ -509,6 +738,16 @@ router.get('/generated',
           params.push(contentType);
         }
 
+        if (language) {
+          query += ` AND gc.language = $${paramCount++}`;
+          params.push(language);
+        }
+
+        if (complianceStatus) {
+          query += ` AND gc.compliance_status = $${paramCount++}`;
+          params.push(complianceStatus);
+        }
+
         if (topicId) {
           query += ` AND gc.topic_id = $${paramCount++}`;
           params.push(topicId);
@@ -535,6 +774,14 @@ router.get('/generated',
           countQuery += ` AND content_type = $${countParamIndex++}`;
           countParams.push(contentType);
         }
+        if (language) {
+          countQuery += ` AND language = $${countParamIndex++}`;
+          countParams.push(language);
+        }
+        if (complianceStatus) {
+          countQuery += ` AND compliance_status = $${countParamIndex++}`;
+          countParams.push(complianceStatus);
+        }
         if (topicId) {
           countQuery += ` AND topic_id = $${countParamIndex++}`;
           countParams.push(topicId);
@@ -544,12 +791,13 @@ router.get('/generated',
         const totalCount = parseInt(countResult.rows[0].count);
 
         // Parse content_text JSON for each item
-        const content = result.rows.map(row => ({
+        const parsed = result.rows.map(row => ({
           ...row,
           content_data: typeof row.content_text === 'string' 
             ? JSON.parse(row.content_text) 
             : row.content_text
         }));
+        const content = await engagementPredictor.withPredictions(req.user.userId, parsed);
 
         res.json({
           success: true,
@@ -663,14 +911,34 @@ router.put('/generated/:id',
         updates.push('updated_at = CURRENT_TIMESTAMP');
         values.push(contentId, req.user.userId);
 
-        const result = await client.query(`
-          UPDATE generated_content 
-          SET ${updates.join(', ')}
-          WHERE id = $${paramCount} AND user_id = $${paramCount + 1}
-          RETURNING *
-        `, values);
+        let updatedContent;
+        try {
+          await client.query('BEGIN');
 
-        const updatedContent = result.rows[0];
+          const result = await client.query(`
+            UPDATE generated_content 
+            SET ${updates.join(', ')}
+            WHERE id = $${paramCount} AND user_id = $${paramCount + 1}
+            RETURNING *
+          `, values);
+
+          updatedContent = result.rows[0];
+
+          if (title !== undefined || content !== undefined || hashtags !== undefined) {
+            await revisionHistory.record(updatedContent, { source: 'human', authorId: req.user.userId }, client);
+
+            // Edited text has to pass the compliance check again before it can be published
+            const compliance = await complianceChecker.checkContent(updatedContent, client);
+            updatedContent.compliance_status = compliance.status;
+            updatedContent.compliance_report = compliance;
+            updatedContent.accessibility_report = await accessibilityChecker.checkContent(updatedContent, client);
+          }
+
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        }
 
         logger.content('Generated content updated', {
           userId: req.user.userId,
@@ -703,11 +971,11 @@ router.put('/generated/:id',
 );
 
 /**
- * @route DELETE /api/content/generated/:id
- * @desc Delete generated content
+ * @route GET /api/content/generated/:id/revisions
+ * @desc List the revisions of generated content
  * @access Private
  */
-router.delete('/generated/:id',
+router.get('/generated/:id/revisions',
   [param('id').isUUID()],
   async (req, res) => {
     try {
@@ -719,88 +987,120 @@ router.delete('/generated/:id',
         });
       }
 
-      const contentId = req.params.id;
-
       const client = await pool.connect();
       try {
-        await client.query('BEGIN');
-
-        // Check if content is scheduled or posted
-        const statusCheck = await client.query(`
-          SELECT gc.status, sp.id as scheduled_id
-          FROM generated_content gc
-          LEFT JOIN scheduled_posts sp ON sp.content_id = gc.id AND sp.status = 'pending'
-          WHERE gc.id = $1 AND gc.user_id = $2
-        `, [contentId, req.user.userId]);
+        const contentCheck = await client.query(
+          'SELECT id FROM generated_content WHERE id = $1 AND user_id = $2',
+          [req.params.id, req.user.userId]
+        );
 
-        if (statusCheck.rows.length === 0) {
-          await client.query('ROLLBACK');
+        if (contentCheck.rows.length === 0) {
           return res.status(404).json({
             success: false,
             message: 'Content not found'
           });
         }
 
-        const contentData = statusCheck.rows[0];
+        const revisions = await revisionHistory.list(req.params.id, client);
 
-        if (contentData.status === 'posted') {
-          await client.query('ROLLBACK');
-          return res.status(400).json({
+        res.json({
+          success: true,
+          data: {
+            revisions: revisions.map(revision => ({
+              ...revisionHistory.describe(revision),
+              title: revision.title,
+              content: JSON.parse(revision.content_text),
+              hashtags: revision.hashtags,
+              wordsAdded: revision.words_added,
+              wordsRemoved: revision.words_removed,
+              aiEditRatio: revision.ai_edit_ratio
+            }))
+          }
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.error('Failed to get content revisions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve content revisions'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/content/generated/:id/revisions/diff
+ * @desc Word-level diff between two revisions (defaults to the latest and the one before it)
+ * @access Private
+ */
+router.get('/generated/:id/revisions/diff',
+  [
+    param('id').isUUID(),
+    query('from').optional().isInt({ min: 1 }).toInt(),
+    query('to').optional().isInt({ min: 1 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const client = await pool.connect();
+      try {
+        const contentCheck = await client.query(
+          'SELECT id FROM generated_content WHERE id = $1 AND user_id = $2',
+          [req.params.id, req.user.userId]
+        );
+
+        if (contentCheck.rows.length === 0) {
+          return res.status(404).json({
             success: false,
-            message: 'Cannot delete posted content'
+            message: 'Content not found'
           });
         }
 
-        if (contentData.scheduled_id) {
-          await client.query('ROLLBACK');
-          return res.status(400).json({
+        const diff = await revisionHistory.diff(req.params.id, req.query.from, req.query.to, client);
+
+        if (!diff) {
+          return res.status(404).json({
             success: false,
-            message: 'Cannot delete content with pending scheduled posts. Cancel the scheduled post first.'
+            message: 'Revision not found'
           });
         }
 
-        // Delete the content
-        await client.query(
-          'DELETE FROM generated_content WHERE id = $1 AND user_id = $2',
-          [contentId, req.user.userId]
-        );
-
-        await client.query('COMMIT');
-
-        logger.content('Generated content deleted', {
-          userId: req.user.userId,
-          contentId
-        });
-
         res.json({
           success: true,
-          message: 'Content deleted successfully'
+          data: diff
         });
       } finally {
         client.release();
       }
     } catch (error) {
-      logger.error('Failed to delete generated content:', error);
+      logger.error('Failed to diff content revisions:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to delete content'
+        message: 'Failed to diff content revisions'
       });
     }
   }
 );
 
 /**
- * @route POST /api/content/schedule
- * @desc Schedule content for posting
+ * @route POST /api/content/generated/:id/revisions/:revision/restore
+ * @desc Restore an earlier revision of generated content
  * @access Private
  */
-router.post('/schedule',
-  checkPlanLimits('daily_scheduled'),
+router.post('/generated/:id/revisions/:revision/restore',
   [
-    body('contentId').isUUID(),
-    body('scheduledFor').optional().isISO8601(),
-    body('timeSlot').optional().isIn(['morning', 'afternoon', 'evening']),
-    body('postType').optional().isIn(['immediate', 'optimal'])
+    param('id').isUUID(),
+    param('revision').isInt({ min: 1 }).toInt()
   ],
   async (req, res) => {
     try {
@@ -813,20 +1113,812 @@ router.post('/schedule',
         });
       }
 
-      const { contentId, scheduledFor, timeSlot = 'morning', postType = 'optimal' } = req.body;
-
-      // Verify content belongs to user and is approved
       const client = await pool.connect();
       try {
-        const contentCheck = await client.query(`
-          SELECT id, status FROM generated_content 
-          WHERE id = $1 AND user_id = $2 AND status IN ('draft', 'approved')
-        `, [contentId, req.user.userId]);
+        const contentCheck = await client.query(
+          'SELECT id, user_id, status FROM generated_content WHERE id = $1 AND user_id = $2',
+          [req.params.id, req.user.userId]
+        );
 
         if (contentCheck.rows.length === 0) {
           return res.status(404).json({
             success: false,
-            message: 'Content not found or not available for scheduling'
+            message: 'Content not found'
+          });
+        }
+
+        if (contentCheck.rows[0].status === 'posted') {
+          return res.status(400).json({
+            success: false,
+            message: 'Cannot edit posted content'
+          });
+        }
+
+        let restored;
+        let compliance;
+        try {
+          await client.query('BEGIN');
+
+          restored = await revisionHistory.restore(contentCheck.rows[0], req.params.revision, req.user.userId, client);
+          if (restored) {
+            compliance = await complianceChecker.checkContent(restored.content, client);
+          }
+
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        }
+
+        if (!restored) {
+          return res.status(404).json({
+            success: false,
+            message: 'Revision not found'
+          });
+        }
+
+        logger.content('Content revision restored', {
+          userId: req.user.userId,
+          contentId: req.params.id,
+          restoredFrom: req.params.revision
+        });
+
+        res.json({
+          success: true,
+          message: `Revision ${req.params.revision} restored`,
+          data: {
+            content: {
+              ...restored.content,
+              compliance_status: compliance.status,
+              compliance_report: compliance,
+              content_data: JSON.parse(restored.content.content_text)
+            },
+            revision: restored.revision && revisionHistory.describe(restored.revision)
+          }
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.error('Failed to restore content revision:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore content revision'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/content/generated/:id/rewrite
+ * @desc Rewrite a draft with a targeted operation, saved as a new revision of the same content
+ *   Operations: shorten (maxCharacters), change_tone (tone), strengthen_hook,
+ *   add_cta (optional callToAction), listicle, translate (language).
+ * @access Private
+ */
+router.post('/generated/:id/rewrite',
+  checkAIBudget,
+  [
+    param('id').isUUID(),
+    body('operation').isIn(['shorten', 'change_tone', 'strengthen_hook', 'add_cta', 'listicle', 'translate']),
+    body('maxCharacters').optional().isInt({ min: 100, max: 3000 }).toInt(),
+    body('tone').optional().trim().isLength({ min: 1, max: 50 }),
+    body('callToAction').optional().trim().isLength({ min: 1, max: 300 }),
+    body('language').optional().isIn(['en', 'ar', 'bilingual']),
+    body('provider').optional().isString(),
+    body('model').optional().isString().isLength({ max: 200 }),
+    body().custom(value => {
+      const required = { shorten: 'maxCharacters', change_tone: 'tone', translate: 'language' }[value.operation];
+      if (required && value[required] === undefined) {
+        throw new Error(`${required} is required for ${value.operation}`);
+      }
+      return true;
+    })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { operation, maxCharacters, tone, callToAction, language, provider, model } = req.body;
+
+      const selectionError = llm.validateSelection(provider, model);
+      if (selectionError) {
+        return res.status(400).json({
+          success: false,
+          message: selectionError
+        });
+      }
+
+      const client = await pool.connect();
+      let currentContent;
+      try {
+        const contentCheck = await client.query(
+          'SELECT * FROM generated_content WHERE id = $1 AND user_id = $2',
+          [req.params.id, req.user.userId]
+        );
+        currentContent = contentCheck.rows[0];
+      } finally {
+        client.release();
+      }
+
+      if (!currentContent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content not found'
+        });
+      }
+
+      if (currentContent.status === 'posted') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot edit posted content'
+        });
+      }
+
+      if (operation === 'translate' && language === (currentContent.language || 'en')) {
+        return res.status(400).json({
+          success: false,
+          message: `Content is already in ${language}`
+        });
+      }
+
+      const rewritten = await contentGenerator.rewriteContent(
+        currentContent,
+        operation,
+        { maxCharacters, tone, callToAction, language },
+        { provider, model }
+      );
+
+      logger.content('Content rewritten', {
+        userId: req.user.userId,
+        contentId: req.params.id,
+        operation,
+        revision: rewritten.metadata.revision && rewritten.metadata.revision.revision
+      });
+
+      res.json({
+        success: true,
+        message: 'Content rewritten successfully',
+        data: {
+          content: rewritten
+        }
+      });
+    } catch (error) {
+      logger.error('Content rewrite failed:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to rewrite content'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/content/generated/:id/compliance
+ * @desc Re-run the compliance check on generated content
+ * @access Private
+ */
+router.post('/generated/:id/compliance',
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid content ID'
+        });
+      }
+
+      const client = await pool.connect();
+      try {
+        const result = await client.query(`
+          SELECT id, user_id, title, content_text, hashtags FROM generated_content
+          WHERE id = $1 AND user_id = $2
+        `, [req.params.id, req.user.userId]);
+
+        if (result.rows.length === 0) {
+          return res.status(404).json({
+            success: false,
+            message: 'Content not found'
+          });
+        }
+
+        const compliance = await complianceChecker.checkContent(result.rows[0], client);
+
+        res.json({
+          success: true,
+          data: { compliance }
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.error('Failed to check content compliance:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check content compliance'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/content/generated/:id/accessibility
+ * @desc Re-run the accessibility check (alt text, text contrast, emoji use) on generated content
+ * @access Private
+ */
+router.post('/generated/:id/accessibility',
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid content ID'
+        });
+      }
+
+      const result = await pool.query(`
+        SELECT id, user_id, title, content_text, hashtags, image_data, document_data FROM generated_content
+        WHERE id = $1 AND user_id = $2
+      `, [req.params.id, req.user.userId]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content not found'
+        });
+      }
+
+      const accessibility = await accessibilityChecker.checkContent(result.rows[0]);
+
+      res.json({
+        success: true,
+        data: { accessibility }
+      });
+    } catch (error) {
+      logger.error('Failed to check content accessibility:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check content accessibility'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/content/generated/:id/hashtags
+ * @desc Recommend a ranked mix of broad, niche and local hashtags for a draft
+ * @access Private
+ */
+router.post('/generated/:id/hashtags',
+  [
+    param('id').isUUID(),
+    body('count').optional().isInt({ min: 1, max: 30 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await pool.query(`
+        SELECT gc.*, ct.keywords as topic_keywords, ct.industry as topic_industry
+        FROM generated_content gc
+        LEFT JOIN content_topics ct ON ct.id = gc.topic_id
+        WHERE gc.id = $1 AND gc.user_id = $2
+      `, [req.params.id, req.user.userId]);
+
+      const contentRow = result.rows[0];
+      if (!contentRow) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content not found'
+        });
+      }
+
+      const post = contentGenerator.currentPost(contentRow);
+      const recommendation = await hashtagRecommender.recommend(req.user.userId, {
+        text: `${post.title}\n${post.body}`,
+        hashtags: post.hashtags,
+        topic: { keywords: contentRow.topic_keywords, industry: contentRow.topic_industry },
+        language: contentRow.language || 'en'
+      }, { count: req.body.count });
+
+      res.json({
+        success: true,
+        data: {
+          current: post.hashtags,
+          ...recommendation
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to recommend hashtags:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to recommend hashtags'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/content/generated/:id/image
+ * @desc Upload an image for generated content; it is branded with the user's brand kit and replaces the current image
+ * @access Private
+ */
+router.post('/generated/:id/image',
+  [param('id').isUUID()],
+  imageUpload('image'),
+  [body('altText').optional().isString().isLength({ max: altTextService.maxLength })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await pool.query(
+        'SELECT status FROM generated_content WHERE id = $1 AND user_id = $2',
+        [req.params.id, req.user.userId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content not found'
+        });
+      }
+
+      if (result.rows[0].status === 'posted') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change the image of posted content'
+        });
+      }
+
+      const { errors: imageErrors } = await mediaLibrary.inspect(req.file.buffer);
+      if (imageErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Image does not meet LinkedIn requirements',
+          errors: imageErrors
+        });
+      }
+
+      const imageData = await contentGenerator.attachUploadedImage(
+        req.user.userId,
+        req.params.id,
+        req.file.buffer,
+        req.body.altText
+      );
+
+      res.json({
+        success: true,
+        message: 'Image attached successfully',
+        data: { imageData }
+      });
+    } catch (error) {
+      logger.error('Failed to attach uploaded image:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to attach image'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/content/generated/:id/image/alt-text
+ * @desc Edit the alt text of the post's image, or of carousel images by slide number; an empty string removes it
+ * @access Private
+ */
+router.put('/generated/:id/image/alt-text',
+  [
+    param('id').isUUID(),
+    body('altText').optional().isString().isLength({ max: altTextService.maxLength }),
+    body('images').optional().isArray({ min: 1, max: 20 }),
+    body('images.*.slideNumber').isInt({ min: 1 }).toInt(),
+    body('images.*.altText').isString().isLength({ max: altTextService.maxLength })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await pool.query(
+        'SELECT * FROM generated_content WHERE id = $1 AND user_id = $2',
+        [req.params.id, req.user.userId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content not found'
+        });
+      }
+
+      const content = result.rows[0];
+      if (!content.image_data) {
+        return res.status(400).json({
+          success: false,
+          message: 'Content has no image'
+        });
+      }
+
+      const carousel = content.image_data.type === 'carousel';
+      if (carousel ? !req.body.images : req.body.altText === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: carousel
+            ? 'Carousel alt text is set with images: [{ slideNumber, altText }]'
+            : 'altText is required'
+        });
+      }
+
+      const imageData = altTextService.applyEdits(content.image_data, req.body);
+      const updated = await pool.query(`
+        UPDATE generated_content SET image_data = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING *
+      `, [JSON.stringify(imageData), content.id]);
+      const accessibility = await accessibilityChecker.checkContent(updated.rows[0]);
+
+      res.json({
+        success: true,
+        message: 'Alt text updated successfully',
+        data: { imageData, accessibility }
+      });
+    } catch (error) {
+      logger.error('Failed to update alt text:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update alt text'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/content/generated/:id/carousel
+ * @desc Build a carousel's slides into a PDF document (square or 4:5 portrait pages) and attach it to the post
+ * @access Private
+ */
+router.post('/generated/:id/carousel',
+  [
+    param('id').isUUID(),
+    body('format').optional().isIn(['square', 'portrait'])
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await pool.query(
+        'SELECT * FROM generated_content WHERE id = $1 AND user_id = $2',
+        [req.params.id, req.user.userId]
+      );
+
+      const contentRow = result.rows[0];
+      if (!contentRow) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content not found'
+        });
+      }
+
+      if (contentRow.status === 'posted') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot rebuild the carousel of posted content'
+        });
+      }
+
+      if (contentRow.content_type !== 'multi_image' || carouselBuilder.getSlides(contentRow).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only carousel (multi_image) content with slides can be built into a PDF'
+        });
+      }
+
+      const documentData = await carouselBuilder.build(req.user.userId, req.params.id, {
+        format: req.body.format
+      });
+
+      res.json({
+        success: true,
+        message: 'Carousel PDF built successfully',
+        data: { documentData }
+      });
+    } catch (error) {
+      logger.error('Failed to build carousel PDF:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build carousel PDF'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/content/generated/:id/carousel/pdf
+ * @desc Download the carousel PDF
+ * @access Private
+ */
+router.get('/generated/:id/carousel/pdf',
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await pool.query(
+        'SELECT document_data FROM generated_content WHERE id = $1 AND user_id = $2',
+        [req.params.id, req.user.userId]
+      );
+
+      const documentData = result.rows[0] && result.rows[0].document_data;
+      if (!documentData) {
+        return res.status(404).json({
+          success: false,
+          message: 'Carousel not found'
+        });
+      }
+
+      res.attachment(`${documentData.title.replace(/[^\p{L}\p{N} _-]/gu, '').trim() || 'carousel'}.pdf`);
+      res.sendFile(path.resolve(process.cwd(), documentData.path), (error) => {
+        // The file can be gone while the row still points at it, e.g. after media cleanup
+        if (error && !res.headersSent) {
+          res.removeHeader('Content-Disposition');
+          res.type('json').status(404).json({
+            success: false,
+            message: 'Document file not found'
+          });
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get carousel PDF:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve carousel PDF'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/content/generated/:id/carousel/pages/:page
+ * @desc Preview a page of the carousel PDF as PNG
+ * @access Private
+ */
+router.get('/generated/:id/carousel/pages/:page',
+  [
+    param('id').isUUID(),
+    param('page').isInt({ min: 1 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await pool.query(
+        'SELECT document_data FROM generated_content WHERE id = $1 AND user_id = $2',
+        [req.params.id, req.user.userId]
+      );
+
+      const documentData = result.rows[0] && result.rows[0].document_data;
+      const page = documentData && documentData.pages.find(item => item.pageNumber === req.params.page);
+      if (!page) {
+        return res.status(404).json({
+          success: false,
+          message: 'Carousel page not found'
+        });
+      }
+
+      res.type('image/png').sendFile(path.resolve(process.cwd(), page.path), (error) => {
+        if (error && !res.headersSent) {
+          res.type('json').status(404).json({
+            success: false,
+            message: 'Document file not found'
+          });
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get carousel page:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve carousel page'
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/content/generated/:id
+ * @desc Delete generated content
+ * @access Private
+ */
+router.delete('/generated/:id',
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid content ID'
+        });
+      }
+
+      const contentId = req.params.id;
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        // Check if content is scheduled or posted
+        const statusCheck = await client.query(`
+          SELECT gc.status, sp.id as scheduled_id
+          FROM generated_content gc
+          LEFT JOIN scheduled_posts sp ON sp.content_id = gc.id AND sp.status = 'pending'
+          WHERE gc.id = $1 AND gc.user_id = $2
+        `, [contentId, req.user.userId]);
+
+        if (statusCheck.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({
+            success: false,
+            message: 'Content not found'
+          });
+        }
+
+        const contentData = statusCheck.rows[0];
+
+        if (contentData.status === 'posted') {
+          await client.query('ROLLBACK');
+          return res.status(400).json({
+            success: false,
+            message: 'Cannot delete posted content'
+          });
+        }
+
+        if (contentData.scheduled_id) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({
+            success: false,
+            message: 'Cannot delete content with pending scheduled posts. Cancel the scheduled post first.'
+          });
+        }
+
+        // Delete the content
+        await client.query(
+          'DELETE FROM generated_content WHERE id = $1 AND user_id = $2',
+          [contentId, req.user.userId]
+        );
+
+        await client.query('COMMIT');
+
+        logger.content('Generated content deleted', {
+          userId: req.user.userId,
+          contentId
+        });
+
+        res.json({
+          success: true,
+          message: 'Content deleted successfully'
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.error('Failed to delete generated content:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete content'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/content/schedule
+ * @desc Schedule content for posting
+ * @access Private
+ */
+router.post('/schedule',
+  checkPlanLimits('daily_scheduled'),
+  [
+    body('contentId').isUUID(),
+    body('scheduledFor').optional().isISO8601(),
+    body('timeSlot').optional().isIn(['morning', 'afternoon', 'evening']),
+    body('postType').optional().isIn(['immediate', 'optimal']),
+    body('allowDuplicate').optional().isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { contentId, scheduledFor, timeSlot = 'morning', postType = 'optimal', allowDuplicate = false } = req.body;
+
+      // Verify content belongs to user and is approved
+      const client = await pool.connect();
+      try {
+        const contentCheck = await client.query(`
+          SELECT id, user_id, status, title, content_text, hashtags FROM generated_content 
+          WHERE id = $1 AND user_id = $2 AND status IN ('draft', 'approved')
+        `, [contentId, req.user.userId]);
+
+        if (contentCheck.rows.length === 0) {
+          return res.status(404).json({
+            success: false,
+            message: 'Content not found or not available for scheduling'
+          });
+        }
+
+        const compliance = await complianceChecker.checkContent(contentCheck.rows[0], client);
+        if (compliance.status === 'blocked') {
+          return res.status(422).json({
+            success: false,
+            message: 'Content failed the compliance check and cannot be scheduled',
+            data: { compliance }
+          });
+        }
+
+        const similarity = await similarityIndex.checkContent(contentCheck.rows[0], client);
+        if (similarity.duplicate && similarity.action === 'reject' && !allowDuplicate) {
+          return res.status(409).json({
+            success: false,
+            message: `Content is ${similarityIndex.describeMatch(similarity)}. Pass allowDuplicate to schedule it anyway.`,
+            data: { similarity: similarityIndex.summarize(similarity) }
           });
         }
 
@@ -885,7 +1977,10 @@ router.post('/schedule',
             scheduledPostId,
             scheduledFor: postType === 'optimal' 
               ? scheduler.getNextOptimalDateTime(scheduler.optimalTimes[timeSlot])
-              : scheduledFor
+              : scheduledFor,
+            compliance,
+            // Present when the post is close to an earlier one but scheduling was allowed
+            similarity: similarity.duplicate ? similarityIndex.summarize(similarity) : null
           }
         });
       } finally {
@@ -0,0 +1,395 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { plans: plansRepository } = require('../database/repositories');
+const contentPlanner = require('../services/contentPlanner');
+const llm = require('../services/llm');
+const logger = require('../utils/logger');
+const { auth, checkPlanLimits, logAPIUsage, checkAIBudget } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply authentication and logging to all routes
+router.use(auth);
+router.use(logAPIUsage);
+
+const CONTENT_TYPES = ['text', 'multi_image', 'video', 'poll', 'document'];
+
+/**
+ * @route POST /api/content-plans
+ * @desc Plan a month of posts, generate them as drafts and book them awaiting approval
+ * @access Private
+ */
+router.post('/',
+  checkPlanLimits('monthly_posts'),
+  checkAIBudget,
+  [
+    body('month').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be in YYYY-MM format'),
+    body('topicIds').optional().isArray({ min: 1, max: 50 }),
+    body('topicIds.*').optional().isUUID(),
+    body('contentMix').optional().isObject().custom(mix => {
+      const entries = Object.entries(mix);
+      if (entries.some(([type, weight]) => !CONTENT_TYPES.includes(type) || typeof weight !== 'number' || weight < 0)) {
+        throw new Error(`Content mix weights must be non-negative numbers for: ${CONTENT_TYPES.join(', ')}`);
+      }
+      if (!entries.some(([, weight]) => weight > 0)) {
+        throw new Error('Content mix needs at least one content type with a positive weight');
+      }
+      return true;
+    }),
+    body('includeHolidays').optional().isBoolean().toBoolean(),
+    body('preview').optional().isBoolean().toBoolean(),
+    body('generate').optional().isBoolean().toBoolean(),
+    body('language').optional().isIn(['en', 'ar', 'bilingual']),
+    body('provider').optional().isString(),
+    body('model').optional().isString().isLength({ max: 200 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        month,
+        topicIds,
+        contentMix,
+        includeHolidays = false,
+        preview = false,
+        generate = true,
+        language,
+        provider,
+        model
+      } = req.body;
+
+      const selectionError = llm.validateSelection(provider, model);
+      if (selectionError) {
+        return res.status(400).json({
+          success: false,
+          message: selectionError
+        });
+      }
+
+      const uniqueTopicIds = topicIds && Array.from(new Set(topicIds));
+      const topics = await contentPlanner.loadTopics(req.user.userId, uniqueTopicIds);
+      if (uniqueTopicIds && topics.length !== uniqueTopicIds.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content topic not found or inactive'
+        });
+      }
+      if (topics.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Add at least one active content topic before planning a month'
+        });
+      }
+
+      const draft = await contentPlanner.previewPlan(req.user.userId, month, topics, { contentMix, includeHolidays });
+      if (draft.items.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `No posting days left in ${month} on your preferred days`,
+          data: { skippedDays: draft.skippedDays }
+        });
+      }
+
+      if (preview) {
+        return res.json({
+          success: true,
+          data: { plan: draft }
+        });
+      }
+
+      const existing = await plansRepository.findForMonth(req.user.userId, month);
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `A content plan for ${month} already exists. Delete it before planning the month again.`,
+          data: { planId: existing.id }
+        });
+      }
+
+      const plan = await contentPlanner.savePlan(req.user.userId, draft);
+      const result = generate
+        ? await contentPlanner.generatePlan(req.user.userId, plan, { provider, model, language })
+        : { plan, items: await plansRepository.findItems(plan.id), generated: 0, failed: [] };
+
+      res.status(201).json({
+        success: true,
+        message: result.failed.length > 0
+          ? `Content plan created; ${result.failed.length} post(s) could not be generated`
+          : 'Content plan created successfully',
+        data: {
+          plan: result.plan,
+          items: result.items,
+          failed: result.failed,
+          skippedDays: draft.skippedDays
+        }
+      });
+    } catch (error) {
+      logger.error('Content plan creation failed:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create content plan'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/content-plans
+ * @desc List the user's content plans with item counts
+ * @access Private
+ */
+router.get('/',
+  [
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { limit = 12, offset = 0 } = req.query;
+      const plans = await plansRepository.findByUser(req.user.userId, { limit, offset });
+
+      res.json({
+        success: true,
+        data: {
+          plans,
+          pagination: { limit, offset }
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to list content plans:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve content plans'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/content-plans/:id
+ * @desc Get a content plan with its items in publishing order
+ * @access Private
+ */
+router.get('/:id',
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const plan = await plansRepository.findForUser(req.user.userId, req.params.id);
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content plan not found'
+        });
+      }
+
+      const items = await plansRepository.findItems(plan.id);
+
+      res.json({
+        success: true,
+        data: { plan, items }
+      });
+    } catch (error) {
+      logger.error('Failed to get content plan:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve content plan'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/content-plans/:id/generate
+ * @desc Generate drafts for items that were not generated yet or failed
+ * @access Private
+ */
+router.post('/:id/generate',
+  checkPlanLimits('monthly_posts'),
+  checkAIBudget,
+  [
+    param('id').isUUID(),
+    body('language').optional().isIn(['en', 'ar', 'bilingual']),
+    body('provider').optional().isString(),
+    body('model').optional().isString().isLength({ max: 200 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { language, provider, model } = req.body;
+
+      const selectionError = llm.validateSelection(provider, model);
+      if (selectionError) {
+        return res.status(400).json({
+          success: false,
+          message: selectionError
+        });
+      }
+
+      const plan = await plansRepository.findForUser(req.user.userId, req.params.id);
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content plan not found'
+        });
+      }
+
+      const result = await contentPlanner.generatePlan(req.user.userId, plan, { provider, model, language });
+
+      res.json({
+        success: true,
+        message: result.failed.length > 0
+          ? `Generated ${result.generated} post(s); ${result.failed.length} could not be generated`
+          : `Generated ${result.generated} post(s)`,
+        data: {
+          plan: result.plan,
+          items: result.items,
+          failed: result.failed
+        }
+      });
+    } catch (error) {
+      logger.error('Content plan generation failed:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate content plan'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/content-plans/:id/approve
+ * @desc Approve generated posts (all, or the given items) and release them to the scheduler
+ * @access Private
+ */
+router.post('/:id/approve',
+  [
+    param('id').isUUID(),
+    body('itemIds').optional().isArray({ min: 1, max: 100 }),
+    body('itemIds.*').optional().isUUID(),
+    body('allowDuplicate').optional().isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { itemIds, allowDuplicate = false } = req.body;
+
+      const plan = await plansRepository.findForUser(req.user.userId, req.params.id);
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content plan not found'
+        });
+      }
+
+      const result = await contentPlanner.approvePlan(req.user.userId, plan, { itemIds, allowDuplicate });
+      const held = result.blocked.length + result.duplicates.length + result.expired.length;
+
+      res.json({
+        success: true,
+        message: held > 0
+          ? `Approved ${result.approved.length} post(s); ${held} still need attention`
+          : `Approved ${result.approved.length} post(s)`,
+        data: {
+          plan: result.plan,
+          approved: result.approved,
+          blocked: result.blocked,
+          duplicates: result.duplicates,
+          expired: result.expired
+        }
+      });
+    } catch (error) {
+      logger.error('Content plan approval failed:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to approve content plan'
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/content-plans/:id
+ * @desc Delete a plan and cancel its posts still awaiting approval; drafts are kept
+ * @access Private
+ */
+router.delete('/:id',
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const plan = await plansRepository.findForUser(req.user.userId, req.params.id);
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content plan not found'
+        });
+      }
+
+      const cancelled = await contentPlanner.discardPlan(req.user.userId, plan);
+
+      res.json({
+        success: true,
+        message: 'Content plan deleted',
+        data: { cancelledPosts: cancelled }
+      });
+    } catch (error) {
+      logger.error('Failed to delete content plan:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete content plan'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,331 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { pool } = require('../database/init');
+const { series: seriesRepository } = require('../database/repositories');
+const contentGenerator = require('../services/contentGenerator');
+const complianceChecker = require('../services/complianceChecker');
+const similarityIndex = require('../services/similarityIndex');
+const scheduler = require('../services/scheduler');
+const llm = require('../services/llm');
+const { SOURCE_FORMATS } = require('../utils/sourceDocument');
+const logger = require('../utils/logger');
+const { auth, checkPlanLimits, logAPIUsage, checkAIBudget } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply authentication and logging to all routes
+router.use(auth);
+router.use(logAPIUsage);
+
+const TIME_SLOTS = ['morning', 'afternoon', 'evening'];
+
+// The source text is only needed for planning; responses report its length instead
+const withoutSource = ({ source_text: sourceText, ...series }) => ({
+  ...series,
+  source_characters: sourceText ? sourceText.length : 0
+});
+
+/**
+ * @route POST /api/content-series
+ * @desc Plan a series of posts from a long source document and generate them as drafts
+ * @access Private
+ */
+router.post('/',
+  checkPlanLimits('monthly_posts'),
+  checkAIBudget,
+  [
+    body('source').isString().trim().isLength({ min: 200, max: 200000 }),
+    body('sourceFormat').optional().isIn(SOURCE_FORMATS),
+    body('sourceName').optional().trim().isLength({ min: 1, max: 255 }),
+    body('title').optional().trim().isLength({ min: 1, max: 200 }),
+    body('topicId').optional().isUUID(),
+    body('postCount').optional().isInt({ min: 2, max: 10 }).toInt(),
+    body('contentTypes').optional().isArray({ min: 1, max: 5 }),
+    body('contentTypes.*').optional().isIn(['text', 'multi_image', 'video', 'poll', 'document']),
+    body('language').optional().isIn(['en', 'ar', 'bilingual']),
+    body('provider').optional().isString(),
+    body('model').optional().isString().isLength({ max: 200 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        source,
+        sourceFormat = 'text',
+        sourceName,
+        title,
+        topicId,
+        postCount,
+        contentTypes,
+        language,
+        provider,
+        model
+      } = req.body;
+
+      const selectionError = llm.validateSelection(provider, model);
+      if (selectionError) {
+        return res.status(400).json({
+          success: false,
+          message: selectionError
+        });
+      }
+
+      if (topicId) {
+        const topicCheck = await pool.query(
+          'SELECT id FROM content_topics WHERE id = $1 AND user_id = $2 AND is_active = true',
+          [topicId, req.user.userId]
+        );
+
+        if (topicCheck.rows.length === 0) {
+          return res.status(404).json({
+            success: false,
+            message: 'Content topic not found or inactive'
+          });
+        }
+      }
+
+      const result = await contentGenerator.generateSeries(req.user.userId, {
+        text: source,
+        format: sourceFormat,
+        name: sourceName,
+        title,
+        topicId,
+        postCount,
+        contentTypes: contentTypes && Array.from(new Set(contentTypes))
+      }, { provider, model, language });
+
+      logger.content('Content series generated', {
+        userId: req.user.userId,
+        seriesId: result.series.id,
+        posts: result.posts.length,
+        failed: result.failed.length
+      });
+
+      res.status(201).json({
+        success: true,
+        message: result.failed.length > 0
+          ? `Series created; ${result.failed.length} post(s) could not be generated`
+          : 'Series created successfully',
+        data: {
+          series: withoutSource(result.series),
+          posts: result.posts,
+          failed: result.failed,
+          // Proposed publishing times; POST /:id/schedule books them
+          suggestedSchedule: scheduler.getSeriesSchedule(result.posts.length)
+        }
+      });
+    } catch (error) {
+      logger.error('Content series generation failed:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create content series'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/content-series
+ * @desc List the user's content series with post counts
+ * @access Private
+ */
+router.get('/',
+  [
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { limit = 20, offset = 0 } = req.query;
+      const series = await seriesRepository.findByUser(req.user.userId, { limit, offset });
+
+      res.json({
+        success: true,
+        data: {
+          series,
+          pagination: { limit, offset }
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to list content series:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve content series'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/content-series/:id
+ * @desc Get a series with its plan and generated posts in order
+ * @access Private
+ */
+router.get('/:id',
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const series = await seriesRepository.findForUser(req.user.userId, req.params.id);
+      if (!series) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content series not found'
+        });
+      }
+
+      const posts = await seriesRepository.findPosts(series.id);
+
+      res.json({
+        success: true,
+        data: {
+          series: withoutSource(series),
+          posts
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get content series:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve content series'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/content-series/:id/schedule
+ * @desc Schedule the series' unscheduled posts in order at spaced optimal times
+ * @access Private
+ */
+router.post('/:id/schedule',
+  checkPlanLimits('daily_scheduled'),
+  [
+    param('id').isUUID(),
+    body('startDate').optional().isISO8601(),
+    body('spacingDays').optional().isInt({ min: 1, max: 14 }).toInt(),
+    body('timeSlots').optional().isArray({ min: 1, max: 3 }),
+    body('timeSlots.*').optional().isIn(TIME_SLOTS),
+    body('allowDuplicate').optional().isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { startDate, spacingDays = 2, timeSlots = ['morning'], allowDuplicate = false } = req.body;
+
+      const series = await seriesRepository.findForUser(req.user.userId, req.params.id);
+      if (!series) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content series not found'
+        });
+      }
+
+      const posts = (await seriesRepository.findPosts(series.id))
+        .filter(post => ['draft', 'approved'].includes(post.status));
+      if (posts.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'The series has no unscheduled posts'
+        });
+      }
+
+      // Every post has to pass the same checks as POST /api/content/schedule before any is booked
+      const client = await pool.connect();
+      const blocked = [];
+      const duplicates = [];
+      try {
+        for (const post of posts) {
+          const compliance = await complianceChecker.checkContent(post, client);
+          if (compliance.status === 'blocked') {
+            blocked.push({ contentId: post.id, position: post.series_position, compliance });
+          }
+
+          const similarity = await similarityIndex.checkContent(post, client);
+          if (similarity.duplicate && similarity.action === 'reject') {
+            duplicates.push({
+              contentId: post.id,
+              position: post.series_position,
+              similarity: similarityIndex.summarize(similarity)
+            });
+          }
+        }
+      } finally {
+        client.release();
+      }
+
+      if (blocked.length > 0) {
+        return res.status(422).json({
+          success: false,
+          message: `${blocked.length} post(s) failed the compliance check; the series was not scheduled`,
+          data: { blocked }
+        });
+      }
+
+      if (duplicates.length > 0 && !allowDuplicate) {
+        return res.status(409).json({
+          success: false,
+          message: `${duplicates.length} post(s) repeat earlier posts. Pass allowDuplicate to schedule the series anyway.`,
+          data: { duplicates }
+        });
+      }
+
+      const schedule = scheduler.getSeriesSchedule(posts.length, {
+        startDate: startDate ? new Date(startDate) : null,
+        spacingDays,
+        timeSlots
+      });
+      const scheduled = await scheduler.scheduleSeries(req.user.userId, series.id, posts, schedule);
+
+      res.status(201).json({
+        success: true,
+        message: 'Series scheduled successfully',
+        data: {
+          scheduled,
+          duplicates
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to schedule content series:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to schedule content series'
+      });
+    }
+  }
+);
+
+module.exports = router;
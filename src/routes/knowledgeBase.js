@@ -0,0 +1,283 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { knowledge: knowledgeRepository } = require('../database/repositories');
+const knowledgeBase = require('../services/knowledgeBase');
+const { SOURCE_FORMATS } = require('../utils/sourceDocument');
+const logger = require('../utils/logger');
+const { auth, logAPIUsage } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply authentication and logging to all routes
+router.use(auth);
+router.use(logAPIUsage);
+
+/**
+ * @route GET /api/knowledge-base/documents
+ * @desc List the user's knowledge base documents
+ * @access Private
+ */
+router.get('/documents', async (req, res) => {
+  try {
+    const documents = await knowledgeRepository.findByUser(req.user.userId);
+
+    res.json({
+      success: true,
+      data: { documents }
+    });
+  } catch (error) {
+    logger.error('Failed to list knowledge documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve knowledge documents'
+    });
+  }
+});
+
+/**
+ * @route POST /api/knowledge-base/documents
+ * @desc Add a document (service description, case study, report text) and index its passages
+ * @access Private
+ */
+router.post('/documents',
+  [
+    body('title').trim().isLength({ min: 1, max: 200 }),
+    body('content').isString().trim().isLength({ min: 1, max: 500000 }),
+    body('sourceType').optional().isIn(['document', 'service', 'case_study', 'faq', 'other']),
+    body('sourceFormat').optional().isIn(SOURCE_FORMATS),
+    body('sourceName').optional().trim().isLength({ min: 1, max: 255 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { title, content, sourceType, sourceFormat, sourceName } = req.body;
+
+      const document = await knowledgeBase.addDocument(req.user.userId, {
+        title,
+        text: content,
+        format: sourceFormat,
+        sourceType,
+        name: sourceName
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Document indexed as ${document.chunk_count} passage(s)`,
+        data: { document }
+      });
+    } catch (error) {
+      logger.error('Failed to add knowledge document:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add knowledge document'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/knowledge-base/documents/:id
+ * @desc Get a document with its indexed passages
+ * @access Private
+ */
+router.get('/documents/:id',
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const document = await knowledgeRepository.findForUser(req.user.userId, req.params.id);
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          message: 'Knowledge document not found'
+        });
+      }
+
+      const chunks = await knowledgeRepository.findChunks(document.id);
+
+      res.json({
+        success: true,
+        data: { document, chunks }
+      });
+    } catch (error) {
+      logger.error('Failed to get knowledge document:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve knowledge document'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/knowledge-base/documents/:id
+ * @desc Rename a document or exclude it from retrieval
+ * @access Private
+ */
+router.put('/documents/:id',
+  [
+    param('id').isUUID(),
+    body('title').optional().trim().isLength({ min: 1, max: 200 }),
+    body('sourceType').optional().isIn(['document', 'service', 'case_study', 'faq', 'other']),
+    body('isActive').optional().isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { title, sourceType, isActive } = req.body;
+      const updates = {};
+      if (title !== undefined) {
+        updates.title = title;
+      }
+      if (sourceType !== undefined) {
+        updates.source_type = sourceType;
+      }
+      if (isActive !== undefined) {
+        updates.is_active = isActive;
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No valid fields to update'
+        });
+      }
+
+      const [document] = await knowledgeRepository.updateWhere(
+        { id: req.params.id, user_id: req.user.userId },
+        updates
+      );
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          message: 'Knowledge document not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Knowledge document updated',
+        data: { document }
+      });
+    } catch (error) {
+      logger.error('Failed to update knowledge document:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update knowledge document'
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/knowledge-base/documents/:id
+ * @desc Delete a document and its passages
+ * @access Private
+ */
+router.delete('/documents/:id',
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const deleted = await knowledgeRepository.deleteWhere({ id: req.params.id, user_id: req.user.userId });
+      if (deleted === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Knowledge document not found'
+        });
+      }
+
+      logger.content('Knowledge document deleted', {
+        userId: req.user.userId,
+        documentId: req.params.id
+      });
+
+      res.json({
+        success: true,
+        message: 'Knowledge document deleted'
+      });
+    } catch (error) {
+      logger.error('Failed to delete knowledge document:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete knowledge document'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/knowledge-base/search
+ * @desc Preview the passages retrieval would use for a query
+ * @access Private
+ */
+router.get('/search',
+  [
+    query('q').trim().isLength({ min: 1, max: 500 }),
+    query('limit').optional().isInt({ min: 1, max: 20 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const passages = await knowledgeBase.search(req.user.userId, req.query.q, { limit: req.query.limit });
+
+      res.json({
+        success: true,
+        data: {
+          passages: knowledgeBase.describeSources(passages).map((source, index) => ({
+            ...source,
+            content: passages[index].content
+          }))
+        }
+      });
+    } catch (error) {
+      logger.error('Knowledge base search failed:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to search knowledge base'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,8 +2,11 @@ const express = require('express');
 const { body, query, param, validationResult } = require('express-validator');
 const { pool } = require('../database/init');
 const linkedinAPI = require('../services/linkedinAPI');
+const mediaLibrary = require('../services/mediaLibrary');
+const { ACCEPTED_FORMATS } = require('../services/images/mediaSpecs');
 const logger = require('../utils/logger');
 const { auth, requireLinkedInConnection, logAPIUsage, checkPlanLimits } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -243,7 +246,7 @@ router.post('/post',
       const client = await pool.connect();
       try {
         const analyticsResult = await client.query(`
-          INSERT INTO analytics (
+          INSERT INTO post_analytics (
             id, user_id, content_id, linkedin_post_id, 
             likes, comments, shares, impressions
           ) VALUES (
@@ -260,7 +263,7 @@ router.post('/post',
               posted_at = CURRENT_TIMESTAMP,
               linkedin_post_id = $1,
               updated_at = CURRENT_TIMESTAMP
-            WHERE content_id = $2 AND user_id = $3 AND status = 'scheduled'
+            WHERE content_id = $2 AND user_id = $3 AND status = 'pending'
           `, [postResult.id, generatedContentId, req.user.userId]);
         }
 
@@ -360,7 +363,7 @@ router.get('/posts',
                 ELSE 0 
               END
             ) as engagement_rate
-          FROM analytics a
+          FROM post_analytics a
           LEFT JOIN generated_content gc ON gc.id = a.content_id
           LEFT JOIN content_topics ct ON ct.id = gc.topic_id
           LEFT JOIN scheduled_posts sp ON sp.content_id = gc.id
@@ -371,7 +374,7 @@ router.get('/posts',
 
         const totalResult = await client.query(`
           SELECT COUNT(*) as total
-          FROM analytics a
+          FROM post_analytics a
           ${whereClause}
         `, params.slice(0, -2)); // Remove limit and offset from params
 
@@ -514,16 +517,15 @@ router.get('/posts/:id/analytics',
 
 /**
  * @route POST /api/linkedin/upload/image
- * @desc Upload image for LinkedIn posts
+ * @desc Upload an image for LinkedIn posts; it is checked against LinkedIn's limits and added to the media library
  * @access Private
  */
 router.post('/upload/image',
   requireLinkedInConnection,
   checkPlanLimits('uploads'),
+  imageUpload('image', Object.values(ACCEPTED_FORMATS)),
   [
-    body('imageUrl').optional().isURL().withMessage('Invalid image URL'),
-    body('imageBase64').optional().isString().withMessage('Invalid base64 image data'),
-    body('filename').optional().isString().withMessage('Filename must be a string')
+    body('tags').optional().isString().isLength({ max: 500 })
   ],
   async (req, res) => {
     try {
@@ -536,51 +538,44 @@ router.post('/upload/image',
         });
       }
 
-      const { imageUrl, imageBase64, filename } = req.body;
+      const result = await mediaLibrary.store(req.user.userId, req.file.buffer, {
+        source: 'upload',
+        originalName: req.file.originalname,
+        tags: req.body.tags
+      });
 
-      if (!imageUrl && !imageBase64) {
+      if (result.errors) {
         return res.status(400).json({
           success: false,
-          message: 'Either imageUrl or imageBase64 must be provided'
+          message: 'Image does not meet LinkedIn requirements',
+          errors: result.errors
         });
       }
 
-      let uploadResult;
-      if (imageUrl) {
-        uploadResult = await linkedinAPI.uploadImageFromUrl(
-          req.user.userId,
-          imageUrl,
-          filename
-        );
-      } else {
-        uploadResult = await linkedinAPI.uploadImageFromBase64(
-          req.user.userId,
-          imageBase64,
-          filename || 'image.jpg'
-        );
-      }
-
       logger.linkedin('Image uploaded successfully', {
         userId: req.user.userId,
-        assetId: uploadResult.asset,
-        filename: filename || 'image.jpg'
+        mediaId: result.asset.id,
+        duplicate: result.duplicate
       });
 
-      res.json({
+      res.status(result.duplicate ? 200 : 201).json({
         success: true,
         message: 'Image uploaded successfully',
         data: {
-          assetId: uploadResult.asset,
-          uploadUrl: uploadResult.uploadUrl,
-          filename: filename || 'image.jpg',
-          uploadedAt: new Date().toISOString()
+          mediaId: result.asset.id,
+          duplicate: result.duplicate,
+          mimeType: result.asset.mime_type,
+          width: result.asset.width,
+          height: result.asset.height,
+          variants: Object.keys(result.asset.variants || {}),
+          uploadedAt: result.asset.created_at
         }
       });
     } catch (error) {
       logger.error('Failed to upload image:', error);
       res.status(500).json({
         success: false,
-        message: error.message || 'Failed to upload image'
+        message: 'Failed to upload image'
       });
     }
   }
@@ -597,7 +592,7 @@ router.delete('/auth/disconnect', requireLinkedInConnection, async (req, res) =>
     try {
       // Remove LinkedIn tokens
       await client.query(
-        'DELETE FROM linkedin_tokens WHERE user_id = $1',
+        'DELETE FROM user_linkedin_tokens WHERE user_id = $1',
         [req.user.userId]
       );
 
@@ -607,7 +602,7 @@ router.delete('/auth/disconnect', requireLinkedInConnection, async (req, res) =>
         SET 
           status = 'cancelled',
           updated_at = CURRENT_TIMESTAMP
-        WHERE user_id = $1 AND status = 'scheduled'
+        WHERE user_id = $1 AND status = 'pending'
       `, [req.user.userId]);
 
       logger.linkedin('LinkedIn account disconnected', {
@@ -692,7 +687,7 @@ router.get('/insights', requireLinkedInConnection, async (req, res) => {
               ELSE 0 
             END
           ) as avg_engagement_rate
-        FROM analytics 
+        FROM post_analytics 
         WHERE user_id = $1 AND created_at >= CURRENT_DATE - INTERVAL '30 days'
         GROUP BY EXTRACT(HOUR FROM created_at), EXTRACT(DOW FROM created_at)
         HAVING COUNT(*) >= 2
@@ -712,7 +707,7 @@ router.get('/insights', requireLinkedInConnection, async (req, res) => {
             END
           ) as avg_engagement_rate,
           AVG(COALESCE(a.impressions, 0)) as avg_impressions
-        FROM analytics a
+        FROM post_analytics a
         LEFT JOIN generated_content gc ON gc.id = a.content_id
         WHERE a.user_id = $1 AND a.created_at >= CURRENT_DATE - INTERVAL '30 days'
         GROUP BY gc.content_type
@@ -0,0 +1,438 @@
+const express = require('express');
+const path = require('path');
+const { body, query, param, validationResult } = require('express-validator');
+const mediaLibrary = require('../services/mediaLibrary');
+const altTextService = require('../services/altText');
+const { ACCEPTED_FORMATS, MEDIA_VARIANTS } = require('../services/images/mediaSpecs');
+const logger = require('../utils/logger');
+const { auth, logAPIUsage } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/upload');
+
+const router = express.Router();
+
+// Apply authentication and logging to all routes
+router.use(auth);
+router.use(logAPIUsage);
+
+const formatAsset = (row) => ({
+  id: row.id,
+  source: row.source,
+  originalName: row.original_name,
+  mimeType: row.mime_type,
+  width: row.width,
+  height: row.height,
+  size: Number(row.size_bytes),
+  tags: row.tags || [],
+  variants: Object.fromEntries(Object.entries(row.variants || {}).map(([name, variant]) => [
+    name,
+    { width: variant.width, height: variant.height, mimeType: variant.mimeType, size: variant.size }
+  ])),
+  metadata: row.metadata || {},
+  referenceCount: Number(row.reference_count || 0),
+  lastUsedAt: row.last_used_at,
+  createdAt: row.created_at
+});
+
+/**
+ * @route GET /api/media
+ * @desc List the user's media, newest first, filtered by text, tag, source or unused
+ * @access Private
+ */
+router.get('/',
+  [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('q').optional().isString().trim().isLength({ max: 100 }),
+    query('tag').optional().isString().trim().toLowerCase(),
+    query('source').optional().isIn(['upload', 'generated']),
+    query('unused').optional().isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+      const { q, tag, source, unused } = req.query;
+      const { items, total } = await mediaLibrary.list(
+        req.user.userId,
+        { q, tag, source, unused },
+        { limit, offset: (page - 1) * limit }
+      );
+      const totalCount = parseInt(total);
+
+      res.json({
+        success: true,
+        data: {
+          media: items.map(formatAsset),
+          pagination: {
+            page,
+            limit,
+            total: totalCount,
+            pages: Math.ceil(totalCount / limit)
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to list media:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve media'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/media
+ * @desc Upload an image to the library; an image already in the library is returned instead of stored again
+ * @access Private
+ */
+router.post('/',
+  imageUpload('image', Object.values(ACCEPTED_FORMATS)),
+  [
+    body('tags').optional().isString().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await mediaLibrary.store(req.user.userId, req.file.buffer, {
+        source: 'upload',
+        originalName: req.file.originalname,
+        tags: req.body.tags
+      });
+
+      if (result.errors) {
+        return res.status(400).json({
+          success: false,
+          message: 'Image does not meet LinkedIn requirements',
+          errors: result.errors
+        });
+      }
+
+      res.status(result.duplicate ? 200 : 201).json({
+        success: true,
+        message: result.duplicate ? 'Image is already in the media library' : 'Image added to the media library',
+        data: {
+          duplicate: result.duplicate,
+          media: formatAsset(result.asset)
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to upload media:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upload image'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/media/cleanup
+ * @desc Delete the user's media that no post has used for a number of days
+ * @access Private
+ */
+router.post('/cleanup',
+  [
+    body('olderThanDays').optional().isInt({ min: 1, max: 3650 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const deleted = await mediaLibrary.cleanupUnused({
+        userId: req.user.userId,
+        olderThanDays: req.body.olderThanDays
+      });
+
+      res.json({
+        success: true,
+        message: `${deleted} unused media deleted`,
+        data: { deleted }
+      });
+    } catch (error) {
+      logger.error('Failed to clean up media:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to clean up media'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/media/:id
+ * @desc Get a media asset and the posts that use it
+ * @access Private
+ */
+router.get('/:id',
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const asset = await mediaLibrary.get(req.user.userId, req.params.id);
+      if (!asset) {
+        return res.status(404).json({
+          success: false,
+          message: 'Media not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...formatAsset(asset),
+          references: asset.references.map(reference => ({
+            contentId: reference.id,
+            title: reference.title,
+            contentType: reference.content_type,
+            status: reference.status,
+            scheduled: reference.scheduled,
+            linkedAt: reference.linked_at
+          }))
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get media:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve media'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/media/:id/file
+ * @desc Download a media asset, or one of its LinkedIn variants
+ * @access Private
+ */
+router.get('/:id/file',
+  [
+    param('id').isUUID(),
+    query('variant').optional().isIn(Object.keys(MEDIA_VARIANTS))
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const asset = await mediaLibrary.get(req.user.userId, req.params.id);
+      const file = asset && mediaLibrary.filePath(asset, req.query.variant);
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: 'Media not found'
+        });
+      }
+
+      res.type(file.mimeType);
+      res.sendFile(path.resolve(process.cwd(), file.path), (error) => {
+        // The row can outlive its file, e.g. when a variant was removed from disk
+        if (error && !res.headersSent) {
+          res.type('json').status(404).json({
+            success: false,
+            message: 'Media file not found'
+          });
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get media file:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve media file'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/media/:id/tags
+ * @desc Replace the tags of a media asset
+ * @access Private
+ */
+router.put('/:id/tags',
+  [
+    param('id').isUUID(),
+    body('tags').isArray({ max: 20 }).withMessage('Tags must be an array of at most 20 tags'),
+    body('tags.*').isString().trim().isLength({ min: 1, max: 50 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const asset = await mediaLibrary.updateTags(req.user.userId, req.params.id, req.body.tags);
+      if (!asset) {
+        return res.status(404).json({
+          success: false,
+          message: 'Media not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Tags updated successfully',
+        data: formatAsset(asset)
+      });
+    } catch (error) {
+      logger.error('Failed to update media tags:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update tags'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/media/:id/attach
+ * @desc Use a media asset as the image of generated content, in the variant that fits its post type
+ * @access Private
+ */
+router.post('/:id/attach',
+  [
+    param('id').isUUID(),
+    body('contentId').isUUID().withMessage('Content ID must be a valid UUID'),
+    body('altText').optional().isString().isLength({ max: altTextService.maxLength })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const imageData = await mediaLibrary.attach(
+        req.user.userId,
+        req.params.id,
+        req.body.contentId,
+        req.body.altText
+      );
+      if (!imageData) {
+        return res.status(404).json({
+          success: false,
+          message: 'Media or content not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Image attached successfully',
+        data: { imageData }
+      });
+    } catch (error) {
+      logger.error('Failed to attach media:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to attach image'
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/media/:id
+ * @desc Delete a media asset; assets used by posts are only deleted with force=true, never while a post is scheduled
+ * @access Private
+ */
+router.delete('/:id',
+  [
+    param('id').isUUID(),
+    query('force').optional().isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await mediaLibrary.delete(req.user.userId, req.params.id, { force: req.query.force });
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Media not found'
+        });
+      }
+
+      if (result.scheduled > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Media is used by ${result.scheduled} scheduled post(s); replace the image or cancel them first`
+        });
+      }
+
+      if (!result.deleted) {
+        return res.status(409).json({
+          success: false,
+          message: `Media is used by ${result.references} post(s); delete with force=true to remove it from them`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Media deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete media:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete media'
+      });
+    }
+  }
+);
+
+module.exports = router;
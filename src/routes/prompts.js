@@ -0,0 +1,383 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { prompts: promptsRepository, users: usersRepository } = require('../database/repositories');
+const promptLibrary = require('../services/promptLibrary');
+const logger = require('../utils/logger');
+const { adminAuth, logAPIUsage } = require('../middleware/auth');
+
+const router = express.Router();
+
+// The prompt library is managed by admins
+router.use(adminAuth);
+router.use(logAPIUsage);
+
+const PROMPT_KEYS = ['system', 'content_type', 'topic'];
+const CONTENT_TYPES = ['text', 'multi_image', 'video', 'poll', 'document'];
+
+/**
+ * @route GET /api/prompts
+ * @desc List prompts with their active version
+ * @access Admin
+ */
+router.get('/',
+  [
+    query('promptKey').optional().isIn(PROMPT_KEYS),
+    query('contentType').optional().isIn(CONTENT_TYPES),
+    query('industry').optional().trim().isLength({ min: 1, max: 100 }),
+    query('userId').optional().isUUID()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { promptKey, contentType, industry, userId } = req.query;
+      const prompts = await promptsRepository.findWithActiveVersion({ promptKey, contentType, industry, userId });
+
+      res.json({
+        success: true,
+        data: { prompts }
+      });
+    } catch (error) {
+      logger.error('Failed to list prompts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve prompts'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/prompts
+ * @desc Add a prompt for a scope: a content type, an industry and/or a single user.
+ *   content_type prompts need a content type.
+ * @access Admin
+ */
+router.post('/',
+  [
+    body('promptKey').isIn(PROMPT_KEYS),
+    body('contentType').optional({ nullable: true }).isIn(CONTENT_TYPES),
+    body('industry').optional({ nullable: true }).trim().isLength({ min: 1, max: 100 }),
+    body('userId').optional({ nullable: true }).isUUID(),
+    body('body').isString().trim().isLength({ min: 1, max: 20000 }),
+    body('notes').optional().trim().isLength({ max: 1000 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { promptKey, contentType = null, industry = null, userId = null, notes } = req.body;
+
+      if (promptKey === 'content_type' && !contentType) {
+        return res.status(400).json({
+          success: false,
+          message: 'content_type prompts need a content type'
+        });
+      }
+
+      const templateErrors = promptLibrary.validate(promptKey, req.body.body);
+      if (templateErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid prompt template',
+          errors: templateErrors
+        });
+      }
+
+      if (userId && !(await usersRepository.findById(userId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const prompt = await promptLibrary.createPrompt(
+        { promptKey, contentType, industry, userId, body: req.body.body, notes },
+        req.user.userId
+      );
+      if (!prompt) {
+        return res.status(409).json({
+          success: false,
+          message: 'A prompt already exists for this scope; add a version to it instead'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Prompt created',
+        data: {
+          prompt,
+          versions: await promptsRepository.findVersions(prompt.id)
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to create prompt:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create prompt'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/prompts/:id
+ * @desc Get a prompt with all of its versions
+ * @access Admin
+ */
+router.get('/:id',
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const prompt = await promptsRepository.findById(req.params.id);
+      if (!prompt) {
+        return res.status(404).json({
+          success: false,
+          message: 'Prompt not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          prompt,
+          versions: await promptsRepository.findVersions(prompt.id)
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get prompt:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve prompt'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/prompts/:id
+ * @desc Edit a prompt; the edit is stored as a new version and becomes the active one
+ * @access Admin
+ */
+router.put('/:id',
+  [
+    param('id').isUUID(),
+    body('body').isString().trim().isLength({ min: 1, max: 20000 }),
+    body('notes').optional().trim().isLength({ max: 1000 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const prompt = await promptsRepository.findById(req.params.id);
+      if (!prompt) {
+        return res.status(404).json({
+          success: false,
+          message: 'Prompt not found'
+        });
+      }
+
+      const templateErrors = promptLibrary.validate(prompt.prompt_key, req.body.body);
+      if (templateErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid prompt template',
+          errors: templateErrors
+        });
+      }
+
+      const version = await promptLibrary.addVersion(prompt, req.body, req.user.userId);
+
+      res.json({
+        success: true,
+        message: `Prompt version ${version.version} is now active`,
+        data: { version }
+      });
+    } catch (error) {
+      logger.error('Failed to update prompt:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update prompt'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/prompts/:id/rollback
+ * @desc Make an earlier version of a prompt the active one
+ * @access Admin
+ */
+router.post('/:id/rollback',
+  [
+    param('id').isUUID(),
+    body('version').isInt({ min: 1 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const prompt = await promptsRepository.findById(req.params.id);
+      if (!prompt) {
+        return res.status(404).json({
+          success: false,
+          message: 'Prompt not found'
+        });
+      }
+
+      const version = await promptLibrary.activateVersion(prompt, req.body.version, req.user.userId);
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          message: 'Prompt version not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Prompt version ${version.version} is now active`,
+        data: { version }
+      });
+    } catch (error) {
+      logger.error('Failed to roll back prompt:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to roll back prompt'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/prompts/:id/performance
+ * @desc Compare a prompt's versions by drafts generated, posts published and their engagement
+ * @access Admin
+ */
+router.get('/:id/performance',
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const prompt = await promptsRepository.findById(req.params.id);
+      if (!prompt) {
+        return res.status(404).json({
+          success: false,
+          message: 'Prompt not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          prompt,
+          versions: await promptLibrary.getPerformance(prompt)
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get prompt performance:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve prompt performance'
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/prompts/:id
+ * @desc Delete an industry or user prompt; generation falls back to the broader prompt.
+ *   Default prompts can be edited and rolled back but not deleted.
+ * @access Admin
+ */
+router.delete('/:id',
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const prompt = await promptsRepository.findById(req.params.id);
+      if (!prompt) {
+        return res.status(404).json({
+          success: false,
+          message: 'Prompt not found'
+        });
+      }
+
+      if (!prompt.industry && !prompt.user_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Default prompts cannot be deleted'
+        });
+      }
+
+      await promptsRepository.delete(prompt.id);
+
+      logger.content('Prompt deleted', { promptId: prompt.id, deletedBy: req.user.userId });
+
+      res.json({
+        success: true,
+        message: 'Prompt deleted'
+      });
+    } catch (error) {
+      logger.error('Failed to delete prompt:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete prompt'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -3,7 +3,7 @@ const { body, query, param, validationResult } = require('express-validator');
 const { pool } = require('../database/init');
 const scheduler = require('../services/scheduler');
 const logger = require('../utils/logger');
-const { auth, requireLinkedInConnection, checkPlanLimits, logAPIUsage } = require('../middleware/auth');
+const { auth, requireLinkedInConnection, checkPlanLimits, logAPIUsage, checkAIBudget } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -20,7 +20,7 @@ router.get('/posts',
   [
     query('page').optional().isInt({ min: 1 }).toInt(),
     query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
-    query('status').optional().isIn(['pending', 'posted', 'failed', 'cancelled']),
+    query('status').optional().isIn(['awaiting_approval', 'pending', 'posted', 'failed', 'cancelled']),
     query('from').optional().isISO8601(),
     query('to').optional().isISO8601()
   ],
@@ -411,6 +411,7 @@ router.delete('/posts/:id',
 router.post('/auto-schedule',
   requireLinkedInConnection,
   checkPlanLimits('daily_scheduled'),
+  checkAIBudget,
   [
     body('topicIds').optional().isArray({ max: 10 }),
     body('topicIds.*').optional().isUUID(),
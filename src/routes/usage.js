@@ -0,0 +1,146 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { users: usersRepository } = require('../database/repositories');
+const aiUsage = require('../services/aiUsage');
+const logger = require('../utils/logger');
+const { auth, adminAuth, logAPIUsage } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply authentication and logging to all routes
+router.use(auth);
+router.use(logAPIUsage);
+
+/**
+ * @route GET /api/usage/ai
+ * @desc AI tokens and cost by day, feature and model, with the monthly budget status.
+ *   Admins can report on another user (userId) or on all users (scope=all, adds a per-user breakdown).
+ * @access Private
+ */
+router.get('/ai',
+  [
+    query('from').optional().isISO8601().toDate(),
+    query('to').optional().isISO8601().toDate(),
+    query('userId').optional().isUUID(),
+    query('scope').optional().isIn(['me', 'all'])
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { userId, scope = 'me' } = req.query;
+      const since = req.query.from || aiUsage.monthStart();
+      const until = req.query.to || new Date();
+
+      if (since >= until) {
+        return res.status(400).json({
+          success: false,
+          message: 'The start of the period must be before its end'
+        });
+      }
+
+      if ((userId && userId !== req.user.userId) || scope === 'all') {
+        const user = await usersRepository.findById(req.user.userId);
+        if (!user || user.role !== 'admin') {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied. Admin privileges required.'
+          });
+        }
+      }
+
+      const reportUserId = scope === 'all' ? null : (userId || req.user.userId);
+      const report = await aiUsage.getReport({
+        userId: reportUserId,
+        since,
+        until,
+        byUser: scope === 'all'
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...report,
+          budget: reportUserId ? await aiUsage.getBudget(reportUserId) : null
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get AI usage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve AI usage'
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/usage/ai/budgets/:userId
+ * @desc Set a user's monthly AI budgets in USD; null restores the server-wide default
+ * @access Admin
+ */
+router.put('/ai/budgets/:userId',
+  adminAuth,
+  [
+    param('userId').isUUID(),
+    body(['softBudget', 'hardBudget']).optional({ nullable: true }).isFloat({ min: 0 }).toFloat()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { softBudget = null, hardBudget = null } = req.body;
+      if (softBudget !== null && hardBudget !== null && softBudget > hardBudget) {
+        return res.status(400).json({
+          success: false,
+          message: 'The soft budget cannot be higher than the hard budget'
+        });
+      }
+
+      const user = await usersRepository.findById(req.params.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      await usersRepository.setAIBudgets(user.id, { softBudget, hardBudget });
+
+      logger.auth('AI budgets updated', {
+        adminId: req.user.userId,
+        userId: user.id,
+        softBudget,
+        hardBudget
+      });
+
+      res.json({
+        success: true,
+        message: 'AI budgets updated',
+        data: { budget: await aiUsage.getBudget(user.id) }
+      });
+    } catch (error) {
+      logger.error('Failed to update AI budgets:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update AI budgets'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const logger = require('../utils/logger');
+const {
+  content: contentRepository,
+  brandKits: brandKitsRepository
+} = require('../database/repositories');
+const structuredContent = require('./structuredContent');
+const { resolveBrand, contrastRatio, TEMPLATE_TEXT_COLORS } = require('./images/brandTemplates');
+const { captionTextColors } = require('./images/brandOverlay');
+const { slideTextColors } = require('./images/carouselTemplate');
+
+const WARNING = 'warning';
+
+// WCAG AA: 4.5:1 for body text, 3:1 for large text
+const MIN_CONTRAST = 4.5;
+const MIN_CONTRAST_LARGE = 3;
+
+const EMOJI = /\p{Extended_Pictographic}/gu;
+const EMOJI_RUN = /(?:\p{Extended_Pictographic}[\uFE0F\u200D\p{Emoji_Modifier}]*\s*){4,}/u;
+const MAX_EMOJIS = 10;
+const MAX_EMOJI_SHARE = 0.1;
+// Unicode "bold" and "italic" letters (Mathematical Alphanumeric Symbols)
+const STYLED_LETTERS = /[\u{1D400}-\u{1D7FF}]+/u;
+const REDUNDANT_ALT_TEXT = /^(an? |the )?(image|picture|photo|graphic) (of|showing)\b/iu;
+
+/**
+ * Accessibility checker
+ * Flags what makes a post hard to use with a screen reader or hard to read: images without alt text,
+ * branded graphics whose text does not stand out from its background, and emoji-heavy or
+ * Unicode-styled text. Every finding is a warning; none of them stops a post from being published.
+ */
+class AccessibilityChecker {
+  /**
+   * Check a post's text and images
+   * @param {string} text - Everything that will be published
+   * @param {Object} media - { imageData, documentData, brandKit }; contrast is checked against the
+   *   current brand kit colours
+   * @returns {Object} { status: 'passed' | 'warning', warnings, checkedAt }
+   */
+  check(text, { imageData = null, documentData = null, brandKit = null } = {}) {
+    const warnings = [];
+    const add = (rule, message, match) => {
+      if (!warnings.some(warning => warning.message === message)) {
+        warnings.push({ severity: WARNING, rule, message, match });
+      }
+    };
+
+    const emojis = text.match(EMOJI) || [];
+    const words = text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+    if (emojis.length > MAX_EMOJIS || (emojis.length >= 3 && emojis.length / Math.max(words, 1) > MAX_EMOJI_SHARE)) {
+      add('emoji_heavy', `Uses ${emojis.length} emoji in ${words} words; screen readers read out the name of every emoji`,
+        emojis.join(''));
+    }
+
+    const run = text.match(EMOJI_RUN);
+    if (run) {
+      add('emoji_heavy', 'Several emoji in a row are read out one after another', run[0].trim());
+    }
+
+    const styled = text.match(STYLED_LETTERS);
+    if (styled) {
+      add('styled_text', 'Uses Unicode bold or italic letters, which screen readers skip or spell out', styled[0]);
+    }
+
+    const brand = resolveBrand(brandKit);
+    const checkContrast = (label, pairs) => pairs.forEach(pair => {
+      const ratio = contrastRatio(pair.foreground, pair.background);
+      const minimum = pair.large ? MIN_CONTRAST_LARGE : MIN_CONTRAST;
+      if (ratio < minimum) {
+        add('low_contrast',
+          `${label}: ${pair.text} text has a contrast ratio of ${ratio.toFixed(1)}:1; it needs at least ${minimum}:1`,
+          `${pair.foreground} on ${pair.background}`);
+      }
+    });
+
+    const images = !imageData ? [] : imageData.type === 'carousel' ? imageData.images : [imageData];
+    images.forEach(image => {
+      const label = image.slideNumber ? `Slide ${image.slideNumber}` : 'Image';
+
+      if (!image.altText) {
+        add('missing_alt_text', `${label} has no alt text`, label);
+      } else if (REDUNDANT_ALT_TEXT.test(image.altText)) {
+        add('redundant_alt_text', `${label}: screen readers already announce images; start the alt text with what it shows`,
+          image.altText);
+      }
+
+      const template = image.template && image.template.name;
+      if (TEMPLATE_TEXT_COLORS[template]) {
+        checkContrast(`${template[0].toUpperCase()}${template.slice(1)} graphic`, TEMPLATE_TEXT_COLORS[template](brand));
+      }
+      if ((image.branding || []).includes('caption')) {
+        checkContrast('Caption bar', captionTextColors(brand));
+      }
+    });
+
+    if (documentData) {
+      checkContrast('Carousel PDF', slideTextColors(brand));
+    }
+
+    return {
+      status: warnings.length > 0 ? 'warning' : 'passed',
+      warnings,
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Re-check a saved draft and store the report
+   * @returns {Promise<Object>} Accessibility report
+   */
+  async checkContent(contentRow, client) {
+    const brandKit = await brandKitsRepository.findByUser(contentRow.user_id, client);
+    const report = this.check(structuredContent.publishedText(contentRow), {
+      imageData: contentRow.image_data,
+      documentData: contentRow.document_data,
+      brandKit
+    });
+
+    await contentRepository.saveAccessibilityReport(contentRow.id, report, client);
+
+    if (report.status !== 'passed') {
+      logger.content('Accessibility issues found', {
+        contentId: contentRow.id,
+        userId: contentRow.user_id,
+        rules: report.warnings.map(warning => warning.rule)
+      });
+    }
+
+    return report;
+  }
+}
+
+module.exports = new AccessibilityChecker();
@@ -0,0 +1,234 @@
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { aiUsage: aiUsageRepository, users: usersRepository } = require('../database/repositories');
+
+// USD per million prompt/completion tokens, or per image. Keys are 'provider/model'; '*' matches any
+// run of characters. AI_PRICES (a JSON object with the same shape) adds entries and overrides these.
+// Providers answer with dated snapshots (gpt-4o-2024-08-06), so OpenAI models are matched by prefix;
+// paid OpenRouter models without their own entry are charged at GPT-4o rates so budgets still apply.
+const DEFAULT_PRICES = {
+  'openai/gpt-4o*': { prompt: 2.5, completion: 10 },
+  'openai/gpt-4o-mini*': { prompt: 0.15, completion: 0.6 },
+  'openai/gpt-4-turbo*': { prompt: 10, completion: 30 },
+  'openai/gpt-4': { prompt: 30, completion: 60 },
+  'openai/gpt-4-0*': { prompt: 30, completion: 60 },
+  'openai/gpt-3.5-turbo*': { prompt: 0.5, completion: 1.5 },
+  'openrouter/*': { prompt: 2.5, completion: 10 },
+  'openrouter/*:free': { prompt: 0, completion: 0 },
+  'ollama/*': { prompt: 0, completion: 0 },
+  'fake/*': { prompt: 0, completion: 0 },
+  'openai/dall-e-3': { image: 0.08 },
+  'openai/dall-e-2': { image: 0.02 },
+  'pollinations/*': { image: 0 },
+  'local/*': { image: 0 },
+  'template/*': { image: 0 }
+};
+
+const round = (value, digits = 6) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * AI usage accounting
+ * Records the tokens and cost of every LLM and image generation call per user and feature, and
+ * enforces monthly budgets: past the soft budget a warning is logged, at the hard budget
+ * generation is refused until the next month.
+ */
+class AIUsageService {
+  constructor() {
+    this.timezone = process.env.TIMEZONE || 'Asia/Dubai';
+    this.softBudget = parseFloat(process.env.AI_MONTHLY_SOFT_BUDGET) || null;
+    this.hardBudget = parseFloat(process.env.AI_MONTHLY_HARD_BUDGET) || null;
+    this.prices = { ...DEFAULT_PRICES, ...this.parsePrices(process.env.AI_PRICES) };
+  }
+
+  parsePrices(value) {
+    if (!value) {
+      return {};
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      logger.error('AI_PRICES is not valid JSON, using the default price table:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Price table entry for a model: an exact 'provider/model' key, else the longest matching pattern
+   * @returns {Object|null} { prompt, completion, image }
+   */
+  priceFor(provider, model) {
+    const id = `${provider}/${model}`;
+    if (this.prices[id]) {
+      return this.prices[id];
+    }
+
+    const pattern = Object.keys(this.prices)
+      .filter(key => key.includes('*'))
+      .sort((a, b) => b.length - a.length)
+      .find(key => new RegExp(`^${key.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`).test(id));
+
+    return pattern ? this.prices[pattern] : null;
+  }
+
+  /**
+   * Cost in USD of a call
+   * @param {Object} usage - { promptTokens, completionTokens, images }
+   * @returns {Object} { cost, priced } where priced is false when the model has no price entry
+   */
+  computeCost(provider, model, { promptTokens = 0, completionTokens = 0, images = 0 }) {
+    const price = this.priceFor(provider, model);
+    if (!price) {
+      return { cost: 0, priced: false };
+    }
+
+    const cost = (promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1e6 +
+      images * (price.image || 0);
+    return { cost: round(cost), priced: true };
+  }
+
+  /**
+   * Record a chat completion returned by llm.complete()
+   * Accounting never fails the call it records.
+   * @param {Object} context - { userId, feature }; nothing is recorded without it
+   */
+  async recordCompletion(context, completion) {
+    if (!context || !context.userId) {
+      return;
+    }
+
+    await this.record(context, {
+      call_type: 'completion',
+      provider: completion.provider,
+      model: completion.model,
+      prompt_tokens: completion.usage.promptTokens,
+      completion_tokens: completion.usage.completionTokens,
+      total_tokens: completion.usage.totalTokens
+    });
+  }
+
+  /**
+   * Record generated images
+   */
+  async recordImages(context, { provider, model, count }) {
+    if (!context || !context.userId || !count) {
+      return;
+    }
+
+    await this.record(context, { call_type: 'image', provider, model, images: count });
+  }
+
+  async record({ userId, feature }, event) {
+    try {
+      const { cost, priced } = this.computeCost(event.provider, event.model, {
+        promptTokens: event.prompt_tokens,
+        completionTokens: event.completion_tokens,
+        images: event.images
+      });
+
+      if (!priced) {
+        logger.warn('No AI price table entry, recording the call without a cost', {
+          provider: event.provider,
+          model: event.model
+        });
+      }
+
+      await aiUsageRepository.create({ ...event, user_id: userId, feature, cost, priced });
+
+      if (cost > 0) {
+        const budget = await this.getBudget(userId);
+        if (budget.softBudget !== null && budget.spent >= budget.softBudget && budget.spent - cost < budget.softBudget) {
+          logger.warn('AI soft budget exceeded', {
+            userId,
+            month: budget.month,
+            spent: budget.spent,
+            softBudget: budget.softBudget
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('AI usage recording failed, continuing...:', error);
+    }
+  }
+
+  monthStart(now = new Date()) {
+    return moment.tz(now, this.timezone).startOf('month').toDate();
+  }
+
+  /**
+   * Spending of the current month against the user's budgets (user_preferences, else the
+   * AI_MONTHLY_SOFT_BUDGET / AI_MONTHLY_HARD_BUDGET defaults)
+   * @returns {Promise<Object>} { month, spent, softBudget, hardBudget, remaining, status } where
+   *   status is 'ok', 'soft_exceeded' or 'hard_exceeded'
+   */
+  async getBudget(userId, preferences = null) {
+    const since = this.monthStart();
+    const [prefs, spend] = await Promise.all([
+      preferences || usersRepository.findPreferences(userId),
+      aiUsageRepository.getSpend(userId, since)
+    ]);
+
+    const softBudget = prefs && prefs.ai_monthly_soft_budget !== null && prefs.ai_monthly_soft_budget !== undefined
+      ? prefs.ai_monthly_soft_budget
+      : this.softBudget;
+    const hardBudget = prefs && prefs.ai_monthly_hard_budget !== null && prefs.ai_monthly_hard_budget !== undefined
+      ? prefs.ai_monthly_hard_budget
+      : this.hardBudget;
+    const spent = round(spend.cost, 4);
+
+    let status = 'ok';
+    if (hardBudget !== null && spent >= hardBudget) {
+      status = 'hard_exceeded';
+    } else if (softBudget !== null && spent >= softBudget) {
+      status = 'soft_exceeded';
+    }
+
+    return {
+      month: moment.tz(since, this.timezone).format('YYYY-MM'),
+      spent,
+      softBudget,
+      hardBudget,
+      remaining: hardBudget === null ? null : round(Math.max(0, hardBudget - spent), 4),
+      status
+    };
+  }
+
+  /**
+   * Throw when the user has reached their hard budget
+   * @returns {Promise<Object>} getBudget() result
+   */
+  async assertWithinBudget(userId, preferences = null) {
+    const budget = await this.getBudget(userId, preferences);
+    if (budget.status === 'hard_exceeded') {
+      throw new Error(`Monthly AI budget of $${budget.hardBudget} reached ($${budget.spent} spent in ${budget.month})`);
+    }
+    return budget;
+  }
+
+  /**
+   * Usage report between two dates
+   * @param {Object} filters - { userId, since, until, byUser }; byUser adds the per-user breakdown
+   *   and, without userId, covers all users
+   * @returns {Promise<Object>} { period, totals, byDay, byFeature, byModel, byUser }
+   */
+  async getReport({ userId = null, since, until, byUser = false }) {
+    const filters = { userId, since, until };
+    const [totals, byDay, byFeature, byModel, users] = await Promise.all([
+      aiUsageRepository.getBreakdown(null, filters),
+      aiUsageRepository.getBreakdown('day', filters),
+      aiUsageRepository.getBreakdown('feature', filters),
+      aiUsageRepository.getBreakdown('model', filters),
+      byUser ? aiUsageRepository.getBreakdown('user', filters) : null
+    ]);
+
+    return {
+      period: { since, until },
+      totals,
+      byDay,
+      byFeature,
+      byModel,
+      ...(users ? { byUser: users } : {})
+    };
+  }
+}
+
+module.exports = new AIUsageService();
@@ -0,0 +1,172 @@
+const logger = require('../utils/logger');
+const llm = require('./llm');
+const aiUsage = require('./aiUsage');
+
+// Short enough to be read out in one go
+const ALT_TEXT_MAX_LENGTH = 300;
+
+// Prompt parts that describe the style of an image rather than what it shows
+const STYLE_WORDS = /\b(professional|clean|modern|design|style|quality|appropriate|engaging|visual|aesthetic|context|photorealistic|linkedin)\b/iu;
+const EMOJI = /\p{Extended_Pictographic}[\uFE0F\u200D\p{Emoji_Modifier}]*/gu;
+
+const VISION_INSTRUCTIONS = [
+  'You write alt text for images in LinkedIn posts, for people using screen readers.',
+  'Describe what the image shows in one or two sentences: the subject, any text it contains word for word,',
+  'and the setting when it matters.',
+  'Do not start with "Image of" or "Picture of", do not use hashtags or emoji, and do not repeat the post.',
+  'Reply with the alt text only.'
+].join(' ');
+
+/**
+ * Alt text service
+ * Writes alt text for post images with a vision-capable model when ALT_TEXT_VISION_PROVIDER is set,
+ * and otherwise from what the image was made from: the text of a branded template or slide, or the
+ * image prompt. Users can edit it; it is sent with the image when the post is published.
+ */
+class AltTextService {
+  constructor() {
+    this.visionProvider = process.env.ALT_TEXT_VISION_PROVIDER || null;
+    this.visionModel = process.env.ALT_TEXT_VISION_MODEL || null;
+    this.maxLength = ALT_TEXT_MAX_LENGTH;
+  }
+
+  /**
+   * Alt text for a new image
+   * @param {Object} image - { imageData, mimeType, template, slideNumber, prompt }
+   * @param {Object} context - { slides, title, language, usage, signal }
+   * @returns {Promise<Object>} { altText, source: 'vision', 'template', 'slide' or 'prompt' }; both are null
+   *   when nothing describes the image
+   */
+  async describe(image, context = {}) {
+    if (this.visionProvider && image.imageData) {
+      const altText = await this.describeWithVision(image, context);
+      if (altText) {
+        return { altText, source: 'vision' };
+      }
+    }
+    return this.fromContent(image, context);
+  }
+
+  /**
+   * Alt text from what the image was made from, without looking at it
+   */
+  fromContent(image, context = {}) {
+    const template = image.template && image.template.data;
+    const slide = image.slideNumber && context.slides && context.slides[image.slideNumber - 1];
+    let text = '';
+
+    if (template) {
+      text = this.describeTemplate(image.template.name, template);
+    } else if (slide) {
+      const title = (slide.title || '').trim();
+      text = [title && !/[.!?؟:]$/u.test(title) ? `${title}.` : title, slide.content].filter(Boolean).join(' ');
+    } else if (image.prompt) {
+      const subjects = image.prompt.split(',').map(part => part.trim()).filter(part => part && !STYLE_WORDS.test(part));
+      text = [context.title ? `Illustration for "${context.title}"` : 'Illustration', subjects.join(', ')]
+        .filter(Boolean)
+        .join(': ');
+    }
+
+    const altText = this.normalize(text);
+    return {
+      altText,
+      source: altText ? (template ? 'template' : slide ? 'slide' : 'prompt') : null
+    };
+  }
+
+  /**
+   * The text a branded template shows, in reading order
+   */
+  describeTemplate(name, data) {
+    switch (name) {
+      case 'stat':
+        return [data.value, data.label, data.caption].filter(Boolean).join(' – ');
+      case 'checklist':
+        return `${data.title ? `${data.title}: ` : ''}${(data.items || []).join('; ')}`;
+      default:
+        return `"${data.text}"${data.attribution ? ` – ${data.attribution}` : ''}`;
+    }
+  }
+
+  /**
+   * Ask the vision model to describe the image; fails safe to null
+   */
+  async describeWithVision(image, context) {
+    try {
+      const language = context.language === 'ar' ? 'Arabic' : 'English';
+      const completion = await llm.complete({
+        messages: [
+          { role: 'system', content: `${VISION_INSTRUCTIONS} Write it in ${language}.` },
+          {
+            role: 'user',
+            content: [
+              {
+                type: 'text',
+                text: context.title ? `The image goes with a post titled "${context.title}".` : 'Describe this image.'
+              },
+              {
+                type: 'image_url',
+                image_url: { url: `data:${image.mimeType || 'image/png'};base64,${image.imageData.toString('base64')}` }
+              }
+            ]
+          }
+        ],
+        maxTokens: 200,
+        temperature: 0.2
+      }, {
+        provider: this.visionProvider,
+        model: this.visionModel,
+        signal: context.signal
+      });
+      await aiUsage.recordCompletion(context.usage, completion);
+
+      return this.normalize(completion.text
+        .replace(/^\s*alt(ernative)? text\s*:\s*/iu, '')
+        .replace(/^\s*["“](.*)["”]\s*$/su, '$1'));
+    } catch (error) {
+      logger.error('Alt text generation failed, continuing...:', error);
+      return null;
+    }
+  }
+
+  /**
+   * One line without hashtags or emoji, cut at a word boundary to maxLength
+   * @returns {string|null}
+   */
+  normalize(text) {
+    const clean = String(text || '')
+      .replace(EMOJI, '')
+      .replace(/#([\p{L}\p{N}_]+)/gu, '$1')
+      .replace(/\s+/g, ' ')
+      .replace(/\s+([.,;:!?؟])/gu, '$1')
+      .trim();
+
+    if (clean.length <= this.maxLength) {
+      return clean || null;
+    }
+    return `${clean.slice(0, this.maxLength - 1).replace(/\s+\S*$/u, '')}…`;
+  }
+
+  /**
+   * Apply edited alt text to image_data
+   * @param {Object} imageData - Current image_data
+   * @param {Object} edits - { altText } for a single image, { images: [{ slideNumber, altText }] } for a carousel;
+   *   an empty string removes the alt text
+   * @returns {Object} The new image_data
+   */
+  applyEdits(imageData, edits) {
+    const edit = (image, altText) => (altText === undefined ? image : {
+      ...image,
+      altText: altText.trim() || null,
+      altTextSource: altText.trim() ? 'user' : null
+    });
+
+    if (imageData.type === 'carousel') {
+      const bySlide = new Map((edits.images || []).map(item => [item.slideNumber, item.altText]));
+      return { ...imageData, images: imageData.images.map(image => edit(image, bySlide.get(image.slideNumber))) };
+    }
+    return edit(imageData, edits.altText);
+  }
+}
+
+module.exports = new AltTextService();
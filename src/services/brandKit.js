@@ -0,0 +1,243 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { brandKits: brandKitsRepository } = require('../database/repositories');
+const { resolveBrand } = require('./images/brandTemplates');
+const { brandingLayout, watermarkPlacement, overlaySvg } = require('./images/brandOverlay');
+
+const LOGO_DIRECTORY = path.join('uploads', 'brand');
+const LOGO_MAX_SIZE = parseInt(process.env.BRAND_LOGO_MAX_SIZE) || 1000;
+
+// API field -> brand_kits column
+const SETTING_COLUMNS = {
+  primaryColor: 'primary_color',
+  secondaryColor: 'secondary_color',
+  backgroundColor: 'background_color',
+  textColor: 'text_color',
+  fontFamily: 'font_family',
+  watermarkEnabled: 'watermark_enabled',
+  watermarkPosition: 'watermark_position',
+  watermarkOpacity: 'watermark_opacity',
+  watermarkScale: 'watermark_scale',
+  frameEnabled: 'frame_enabled',
+  captionBarEnabled: 'caption_bar_enabled',
+  captionText: 'caption_text'
+};
+
+/**
+ * Brand kit service
+ * Keeps each user's colours, font, logo and image branding settings, and brands generated and
+ * uploaded images with a logo watermark, frame and caption bar before they are attached to a post.
+ */
+class BrandKitService {
+  constructor() {
+    this.sharp = null;
+  }
+
+  // sharp loads its native binary on first use, so the rest of the app works without it
+  getSharp() {
+    if (!this.sharp) {
+      this.sharp = require('sharp');
+    }
+    return this.sharp;
+  }
+
+  async getKit(userId) {
+    return brandKitsRepository.findByUser(userId);
+  }
+
+  /**
+   * Save brand kit settings; fields left out keep their current value
+   * @param {Object} settings - API fields (primaryColor, watermarkPosition, captionText, ...)
+   */
+  async update(userId, settings) {
+    const data = {};
+    for (const [field, column] of Object.entries(SETTING_COLUMNS)) {
+      if (settings[field] !== undefined) {
+        data[column] = settings[field] === '' ? null : settings[field];
+      }
+    }
+    return brandKitsRepository.saveForUser(userId, data);
+  }
+
+  /**
+   * Size, format and mime type of an image, or null when the data is not an image sharp can read
+   */
+  async describeImage(data) {
+    try {
+      const { width, height, format } = await this.getSharp()(data).metadata();
+      if (!width || !height) {
+        return null;
+      }
+      return { width, height, format, mimeType: `image/${format === 'svg' ? 'svg+xml' : format}` };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store an uploaded logo as a PNG of at most LOGO_MAX_SIZE pixels and replace the previous one
+   * @returns {Promise<Object|null>} Updated brand kit, or null when the file is not an image
+   */
+  async saveLogo(userId, data) {
+    if (!await this.describeImage(data)) {
+      return null;
+    }
+
+    const logo = await this.getSharp()(data)
+      .resize(LOGO_MAX_SIZE, LOGO_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer();
+
+    await fs.mkdir(path.join(process.cwd(), LOGO_DIRECTORY), { recursive: true });
+    const logoPath = path.join(LOGO_DIRECTORY, `${userId}-${Date.now()}.png`);
+    await fs.writeFile(path.join(process.cwd(), logoPath), logo);
+
+    const previous = await brandKitsRepository.findByUser(userId);
+    const kit = await brandKitsRepository.saveForUser(userId, { logo_path: logoPath });
+    if (previous && previous.logo_path) {
+      await this.removeFile(previous.logo_path);
+    }
+
+    logger.content('Brand logo updated', { userId, logoPath, size: logo.length });
+    return kit;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Updated brand kit, or null when the user has none
+   */
+  async removeLogo(userId) {
+    const kit = await brandKitsRepository.findByUser(userId);
+    if (!kit || !kit.logo_path) {
+      return kit;
+    }
+
+    const updated = await brandKitsRepository.update(kit.id, { logo_path: null });
+    await this.removeFile(kit.logo_path);
+    return updated;
+  }
+
+  async removeFile(filePath) {
+    try {
+      await fs.unlink(path.resolve(process.cwd(), filePath));
+    } catch (error) {
+      logger.warn('Could not remove brand file', { filePath, error: error.message });
+    }
+  }
+
+  /**
+   * Apply the watermark, frame and caption bar of a brand kit to an image
+   * Branding never loses the image: when it fails the original is returned unchanged.
+   * @param {Buffer} data - Image data
+   * @param {Object} brandKit - brand_kits row, or null for no branding
+   * @param {Object} options - { caption } used in the caption bar when the kit has no caption text
+   * @returns {Promise<Object>} { data, mimeType (null when unchanged), applied: ['frame', 'caption', 'watermark'] }
+   */
+  async applyBranding(data, brandKit, options = {}) {
+    const unchanged = { data, mimeType: null, applied: [] };
+    if (!brandKit) {
+      return unchanged;
+    }
+
+    try {
+      const brand = resolveBrand(brandKit);
+      const caption = brand.captionBarEnabled ? (brand.captionText || options.caption || '').trim() : '';
+      const withWatermark = brand.watermarkEnabled && Boolean(brand.logoPath);
+      if (!brand.frameEnabled && !caption && !withWatermark) {
+        return unchanged;
+      }
+
+      const sharp = this.getSharp();
+      const { width, height } = await sharp(data).metadata();
+      const layout = brandingLayout(width, height, { frameEnabled: brand.frameEnabled, caption });
+      const layers = [];
+      const applied = [];
+
+      const overlay = overlaySvg(width, height, layout, brand, caption);
+      if (overlay) {
+        layers.push({ input: Buffer.from(overlay), left: 0, top: 0 });
+        applied.push(...(layout.frame ? ['frame'] : []), ...(layout.captionBar ? ['caption'] : []));
+      }
+
+      const watermark = withWatermark ? await this.renderWatermark(brand, width) : null;
+      if (watermark) {
+        layers.push({
+          input: watermark.data,
+          ...watermarkPlacement(brand.watermarkPosition, layout, watermark)
+        });
+        applied.push('watermark');
+      }
+
+      if (layers.length === 0) {
+        return unchanged;
+      }
+
+      const branded = await sharp(data).composite(layers).png().toBuffer();
+      return { data: branded, mimeType: 'image/png', applied };
+    } catch (error) {
+      logger.error('Image branding failed, continuing...:', error);
+      return unchanged;
+    }
+  }
+
+  /**
+   * Logo scaled into a box and aligned to its bottom-right corner, as a sharp composite layer
+   * A missing or unreadable logo leaves the image without one.
+   */
+  async renderLogo(logoPath, box) {
+    if (!logoPath) {
+      return null;
+    }
+
+    try {
+      const file = await fs.readFile(path.resolve(process.cwd(), logoPath));
+      const input = await this.getSharp()(file)
+        .resize(box.width, box.height, { fit: 'inside', withoutEnlargement: true })
+        .png()
+        .toBuffer({ resolveWithObject: true });
+
+      return {
+        input: input.data,
+        left: box.left + box.width - input.info.width,
+        top: box.top + box.height - input.info.height
+      };
+    } catch (error) {
+      logger.error('Brand logo rendering failed, continuing...:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Logo scaled to watermark_scale of the image width at watermark_opacity
+   * A missing or unreadable logo leaves the image without a watermark.
+   */
+  async renderWatermark(brand, imageWidth) {
+    try {
+      const sharp = this.getSharp();
+      const size = Math.max(16, Math.round(imageWidth * brand.watermarkScale));
+      const logo = await sharp(await fs.readFile(path.resolve(process.cwd(), brand.logoPath)))
+        .resize(size, size, { fit: 'inside' })
+        .ensureAlpha()
+        .png()
+        .toBuffer({ resolveWithObject: true });
+
+      // Scale the alpha channel by the opacity
+      const faded = await sharp(logo.data)
+        .composite([{
+          input: Buffer.from([255, 255, 255, Math.round(255 * brand.watermarkOpacity)]),
+          raw: { width: 1, height: 1, channels: 4 },
+          tile: true,
+          blend: 'dest-in'
+        }])
+        .png()
+        .toBuffer();
+
+      return { data: faded, width: logo.info.width, height: logo.info.height };
+    } catch (error) {
+      logger.error('Brand watermark rendering failed, continuing...:', error);
+      return null;
+    }
+  }
+}
+
+module.exports = new BrandKitService();
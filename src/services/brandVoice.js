@@ -0,0 +1,369 @@
+const logger = require('../utils/logger');
+const { brandVoice: brandVoiceRepository, content: contentRepository } = require('../database/repositories');
+const structuredContent = require('./structuredContent');
+
+const HASHTAG = /#[\p{L}\p{N}_]+/gu;
+const EMOJI = /\p{Extended_Pictographic}/gu;
+const WORD = /[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because', 'been',
+  'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'get', 'had', 'has', 'have', 'he',
+  'her', 'here', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'most',
+  'my', 'no', 'not', 'of', 'on', 'one', 'or', 'our', 'out', 'so', 'some', 'than', 'that', 'the', 'their',
+  'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to', 'up', 'us', 'very', 'was', 'we',
+  'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+  'في', 'من', 'على', 'إلى', 'عن', 'مع', 'أن', 'إن', 'هذا', 'هذه', 'التي', 'الذي', 'كان', 'ما', 'لا', 'و'
+]);
+
+const OPENER_LABELS = {
+  question: 'a question',
+  statistic: 'a number or statistic',
+  personal_story: 'a personal story',
+  short_hook: 'a short hook line',
+  statement: 'a direct statement'
+};
+
+const CTA_LABELS = {
+  link_or_contact: 'a link or contact invitation',
+  follow: 'an invitation to follow or connect',
+  comment_prompt: 'a prompt to comment',
+  share: 'a request to share',
+  question: 'a question to the reader',
+  none: 'no explicit call-to-action'
+};
+
+// Weight of each dimension in the overall voice score
+const WEIGHTS = {
+  sentenceLength: 0.25,
+  emoji: 0.15,
+  vocabulary: 0.2,
+  opener: 0.2,
+  callToAction: 0.2
+};
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+/**
+ * Brand voice profiles
+ * Learns how a user writes from their approved and posted content, turns the profile
+ * into prompt guidance, and scores new drafts for consistency with it.
+ */
+class BrandVoiceService {
+  constructor() {
+    this.minSamples = parseInt(process.env.BRAND_VOICE_MIN_SAMPLES) || 3;
+    this.refreshHours = parseInt(process.env.BRAND_VOICE_REFRESH_HOURS) || 24;
+  }
+
+  /**
+   * Profile row for a user, re-analysed when it is missing or older than BRAND_VOICE_REFRESH_HOURS
+   * @returns {Promise<Object|null>} brand_voice_profiles row
+   */
+  async getProfile(userId, { refresh = false } = {}) {
+    const existing = await brandVoiceRepository.findByUser(userId);
+    const stale = !existing || !existing.analyzed_at ||
+      Date.now() - new Date(existing.analyzed_at).getTime() > this.refreshHours * 60 * 60 * 1000;
+
+    if (!refresh && !stale) {
+      return existing;
+    }
+
+    return this.rebuildProfile(userId);
+  }
+
+  /**
+   * Analyse the user's approved and posted content and store the result
+   */
+  async rebuildProfile(userId) {
+    const samples = await contentRepository.findVoiceSamples(userId);
+    const texts = samples.map(row => structuredContent.textFromContent(row)).filter(text => text.trim());
+    const profile = texts.length >= this.minSamples ? this.analyzeTexts(texts) : {};
+
+    const saved = await brandVoiceRepository.saveProfile(userId, profile, texts.length);
+
+    logger.content('Brand voice profile analysed', {
+      userId,
+      sampleSize: texts.length,
+      learned: texts.length >= this.minSamples
+    });
+
+    return saved;
+  }
+
+  async setBannedPhrases(userId, phrases) {
+    const unique = Array.from(new Set(phrases.map(phrase => phrase.trim()).filter(Boolean)));
+    return brandVoiceRepository.setBannedPhrases(userId, unique);
+  }
+
+  /**
+   * Whether a profile row holds a learned voice (enough samples were available)
+   */
+  hasLearnedVoice(row) {
+    return Boolean(row && row.profile && row.profile.sampleSize);
+  }
+
+  /**
+   * Build a structured voice profile from post texts
+   */
+  analyzeTexts(texts) {
+    const posts = texts.map(text => this.describeText(text));
+    const termCounts = new Map();
+    const emojiCounts = new Map();
+
+    posts.forEach(post => {
+      new Set(post.terms).forEach(term => termCounts.set(term, (termCounts.get(term) || 0) + 1));
+      post.emojis.forEach(emoji => emojiCounts.set(emoji, (emojiCounts.get(emoji) || 0) + 1));
+    });
+
+    const sentenceLengths = posts.flatMap(post => post.sentenceLengths);
+    const averageSentence = average(sentenceLengths);
+    const variance = average(sentenceLengths.map(length => (length - averageSentence) ** 2));
+
+    const top = (counts, limit, minimum = 1) => Array.from(counts.entries())
+      .filter(([, count]) => count >= minimum)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit);
+
+    return {
+      sampleSize: posts.length,
+      sentenceLength: {
+        average: round(averageSentence),
+        stdDev: round(Math.sqrt(variance))
+      },
+      postLength: {
+        averageWords: Math.round(average(posts.map(post => post.wordCount))),
+        averageCharacters: Math.round(average(posts.map(post => post.characters)))
+      },
+      emoji: {
+        perPost: round(average(posts.map(post => post.emojis.length))),
+        postsWithEmoji: round(posts.filter(post => post.emojis.length > 0).length / posts.length, 2),
+        favourites: top(emojiCounts, 5).map(([emoji]) => emoji)
+      },
+      vocabulary: {
+        // Terms used in at least two posts say more about the voice than one-off topic words
+        signatureTerms: top(termCounts, 15, Math.min(2, posts.length)).map(([term, count]) => ({ term, posts: count }))
+      },
+      openers: {
+        styles: this.distribution(posts.map(post => post.opener)),
+        examples: posts.map(post => post.firstLine).filter(Boolean).slice(0, 3)
+      },
+      callsToAction: {
+        styles: this.distribution(posts.map(post => post.callToAction)),
+        examples: posts.map(post => post.lastLine).filter(Boolean).slice(0, 3)
+      },
+      formatting: {
+        linesPerPost: round(average(posts.map(post => post.lineCount))),
+        postsWithLists: round(posts.filter(post => post.hasList).length / posts.length, 2)
+      }
+    };
+  }
+
+  /**
+   * Measurements for a single post
+   */
+  describeText(text) {
+    const clean = text.replace(HASHTAG, '').trim();
+    const lines = clean.split('\n').map(line => line.trim()).filter(Boolean);
+    const sentences = clean
+      .split(/(?<=[.!?؟])\s+|\n+/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => (sentence.match(WORD) || []).length > 0);
+    const words = (clean.toLowerCase().match(WORD) || []);
+
+    return {
+      characters: clean.length,
+      wordCount: words.length,
+      sentenceLengths: sentences.map(sentence => sentence.match(WORD).length),
+      emojis: clean.match(EMOJI) || [],
+      terms: words.filter(word => word.length > 2 && !STOPWORDS.has(word) && !/^\d+$/.test(word)),
+      firstLine: lines[0] || '',
+      lastLine: lines[lines.length - 1] || '',
+      opener: this.classifyOpener(lines[0] || ''),
+      callToAction: this.classifyCallToAction(lines.length > 1 ? lines[lines.length - 1] : ''),
+      lineCount: lines.length,
+      hasList: lines.some(line => /^(\d+[.)]|[-•*✅👉])\s*/u.test(line))
+    };
+  }
+
+  classifyOpener(line) {
+    if (/[?؟]\s*$/.test(line)) {
+      return 'question';
+    }
+    if (/^\D{0,3}\d/.test(line) || line.includes('%')) {
+      return 'statistic';
+    }
+    if (/^(i|i'm|i've|my|we|we're|our|last|when i)\b/i.test(line)) {
+      return 'personal_story';
+    }
+    if ((line.match(WORD) || []).length < 8) {
+      return 'short_hook';
+    }
+    return 'statement';
+  }
+
+  classifyCallToAction(line) {
+    const lower = line.toLowerCase();
+
+    if (/(link|learn more|read more|visit|register|sign up|download|dm me|message me|contact us|get in touch)/.test(lower)) {
+      return 'link_or_contact';
+    }
+    if (/(follow|connect with)/.test(lower)) {
+      return 'follow';
+    }
+    if (/(comment|let me know|tell me|share your (thoughts|experience|view))/.test(lower)) {
+      return 'comment_prompt';
+    }
+    if (/(share|repost)/.test(lower)) {
+      return 'share';
+    }
+    if (/[?؟]/.test(line)) {
+      return 'question';
+    }
+    return 'none';
+  }
+
+  distribution(values) {
+    const counts = {};
+    values.forEach(value => {
+      counts[value] = (counts[value] || 0) + 1;
+    });
+
+    return Object.fromEntries(Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([value, count]) => [value, round(count / values.length, 2)]));
+  }
+
+  /**
+   * Prompt guidance for buildPrompt; empty when there is nothing to say
+   * @param {Object} row - brand_voice_profiles row
+   */
+  formatForPrompt(row) {
+    if (!row) {
+      return '';
+    }
+
+    const lines = [];
+    const profile = row.profile || {};
+
+    if (this.hasLearnedVoice(row)) {
+      const { sentenceLength, postLength, emoji, vocabulary, openers, callsToAction } = profile;
+      const topStyles = (styles, labels) => Object.entries(styles)
+        .slice(0, 2)
+        .map(([style, share]) => `${labels[style] || style} (${Math.round(share * 100)}%)`)
+        .join(', ');
+
+      lines.push(`Brand voice profile (learned from ${profile.sampleSize} approved posts):`);
+      lines.push(`- Sentences average ${sentenceLength.average} words; posts average about ${postLength.averageWords} words.`);
+      lines.push(emoji.perPost < 0.3
+        ? '- The brand rarely uses emoji; avoid them.'
+        : `- Use about ${Math.round(emoji.perPost)} emoji per post${emoji.favourites.length > 0 ? ` (favourites: ${emoji.favourites.join(' ')})` : ''}.`);
+      if (vocabulary.signatureTerms.length > 0) {
+        lines.push(`- Favour the brand's vocabulary: ${vocabulary.signatureTerms.slice(0, 10).map(item => item.term).join(', ')}.`);
+      }
+      lines.push(`- Usual opener: ${topStyles(openers.styles, OPENER_LABELS)}.`);
+      if (openers.examples.length > 0) {
+        lines.push(`  Example openers: ${openers.examples.map(example => `"${example}"`).join(' | ')}`);
+      }
+      lines.push(`- Usual closing: ${topStyles(callsToAction.styles, CTA_LABELS)}.`);
+    }
+
+    if (row.banned_phrases && row.banned_phrases.length > 0) {
+      lines.push(`Never use these phrases: ${row.banned_phrases.map(phrase => `"${phrase}"`).join(', ')}.`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Score a draft for consistency with the learned voice
+   * @param {string} text - Draft body
+   * @param {Object} row - brand_voice_profiles row
+   * @returns {Object|null} { score, rating, dimensions, bannedPhrases, explanation } or null without a profile
+   */
+  scoreDraft(text, row) {
+    const bannedPhrases = ((row && row.banned_phrases) || [])
+      .filter(phrase => text.toLowerCase().includes(phrase.toLowerCase()));
+
+    if (!this.hasLearnedVoice(row)) {
+      if (bannedPhrases.length === 0) {
+        return null;
+      }
+      return {
+        score: clamp(100 - 20 * bannedPhrases.length),
+        rating: 'inconsistent',
+        dimensions: {},
+        bannedPhrases,
+        explanation: [`Uses banned phrase(s): ${bannedPhrases.map(phrase => `"${phrase}"`).join(', ')}.`]
+      };
+    }
+
+    const profile = row.profile;
+    const draft = this.describeText(text);
+    const dimensions = {};
+
+    const draftSentence = average(draft.sentenceLengths);
+    const sentenceGap = Math.abs(draftSentence - profile.sentenceLength.average);
+    dimensions.sentenceLength = {
+      score: clamp(100 * (1 - Math.max(0, sentenceGap - profile.sentenceLength.stdDev / 2) / Math.max(profile.sentenceLength.average, 1))),
+      detail: `Sentences average ${round(draftSentence)} words vs ${profile.sentenceLength.average} in approved posts.`
+    };
+
+    const expectedEmoji = profile.emoji.perPost;
+    dimensions.emoji = {
+      score: clamp(100 - Math.abs(draft.emojis.length - expectedEmoji) * (expectedEmoji < 0.3 ? 35 : 20)),
+      detail: `Uses ${draft.emojis.length} emoji vs about ${expectedEmoji} per approved post.`
+    };
+
+    const signature = profile.vocabulary.signatureTerms.map(item => item.term);
+    const matched = signature.filter(term => draft.terms.includes(term));
+    dimensions.vocabulary = {
+      score: signature.length === 0 ? 100 : clamp(100 * matched.length / Math.min(3, signature.length)),
+      detail: matched.length > 0
+        ? `Uses signature terms: ${matched.slice(0, 5).join(', ')}.`
+        : 'Uses none of the brand\'s signature terms.'
+    };
+
+    const styleScore = (styles, style) => {
+      const best = Math.max(...Object.values(styles), 0);
+      return best > 0 ? clamp(100 * (styles[style] || 0) / best) : 100;
+    };
+    dimensions.opener = {
+      score: styleScore(profile.openers.styles, draft.opener),
+      detail: `Opens with ${OPENER_LABELS[draft.opener]}; approved posts usually open with ${OPENER_LABELS[Object.keys(profile.openers.styles)[0]]}.`
+    };
+
+    const draftCta = this.classifyCallToAction(draft.lastLine);
+    dimensions.callToAction = {
+      score: styleScore(profile.callsToAction.styles, draftCta),
+      detail: `Closes with ${CTA_LABELS[draftCta]}; approved posts usually close with ${CTA_LABELS[Object.keys(profile.callsToAction.styles)[0]]}.`
+    };
+
+    const weighted = Object.entries(WEIGHTS)
+      .reduce((sum, [dimension, weight]) => sum + dimensions[dimension].score * weight, 0);
+    const score = clamp(weighted - 20 * bannedPhrases.length);
+
+    // Explain the weakest dimensions first so the user sees what to change
+    const explanation = Object.values(dimensions)
+      .filter(dimension => dimension.score < 80)
+      .sort((a, b) => a.score - b.score)
+      .map(dimension => dimension.detail);
+    if (bannedPhrases.length > 0) {
+      explanation.unshift(`Uses banned phrase(s): ${bannedPhrases.map(phrase => `"${phrase}"`).join(', ')}.`);
+    }
+    if (explanation.length === 0) {
+      explanation.push('Matches the approved posts on sentence length, emoji use, vocabulary, opener and call-to-action.');
+    }
+
+    return {
+      score,
+      rating: score >= 80 ? 'consistent' : score >= 60 ? 'mostly_consistent' : 'inconsistent',
+      dimensions,
+      bannedPhrases,
+      explanation
+    };
+  }
+}
+
+module.exports = new BrandVoiceService();
@@ -0,0 +1,126 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { buildImagePdf } = require('../utils/pdfDocument');
+const {
+  content: contentRepository,
+  brandKits: brandKitsRepository
+} = require('../database/repositories');
+const brandKitService = require('./brandKit');
+const accessibilityChecker = require('./accessibilityChecker');
+const { logoBox } = require('./images/brandTemplates');
+const { CAROUSEL_FORMATS, renderSlideSvg } = require('./images/carouselTemplate');
+
+const CAROUSEL_DIRECTORY = path.join('uploads', 'carousels');
+const JPEG_QUALITY = parseInt(process.env.CAROUSEL_JPEG_QUALITY) || 90;
+
+/**
+ * Carousel builder
+ * Lays a carousel's slides out on square or 4:5 pages, renders them to a multi-page PDF with PNG
+ * previews, and attaches the PDF to the post so it is published as a LinkedIn document.
+ */
+class CarouselBuilder {
+  /**
+   * Slides of a post, from its current document (edits replace it) or the structured content
+   */
+  getSlides(contentRow) {
+    let document = {};
+    try {
+      document = JSON.parse(contentRow.content_text) || {};
+    } catch (error) {
+      document = {};
+    }
+
+    const slides = document.slides || (contentRow.structured_content && contentRow.structured_content.slides) || [];
+    return slides.filter(slide => slide && (slide.title || slide.content));
+  }
+
+  /**
+   * Build the carousel PDF for a post and replace any earlier build
+   * @param {Object} options - { format: 'square' or 'portrait' }
+   * @returns {Promise<Object|null>} document_data, or null when the content does not exist
+   */
+  async build(userId, contentId, options = {}) {
+    const contentRow = await contentRepository.findForUser(userId, contentId);
+    if (!contentRow) {
+      return null;
+    }
+
+    const slides = this.getSlides(contentRow);
+    if (slides.length === 0) {
+      throw new Error('Content has no slides to build a carousel from');
+    }
+
+    const startTime = Date.now();
+    const format = CAROUSEL_FORMATS[options.format] ? options.format : 'square';
+    const { width, height } = CAROUSEL_FORMATS[format];
+    const brandKit = await brandKitsRepository.findByUser(userId);
+    const logo = await brandKitService.renderLogo(brandKit && brandKit.logo_path, logoBox(width, height));
+
+    const directory = path.join(CAROUSEL_DIRECTORY, `${contentId}-${Date.now()}`);
+    await fs.mkdir(path.join(process.cwd(), directory), { recursive: true });
+
+    const sharp = brandKitService.getSharp();
+    const pages = [];
+    const jpegs = [];
+
+    for (let i = 0; i < slides.length; i++) {
+      const svg = renderSlideSvg(slides[i], { pageNumber: i + 1, pageCount: slides.length, width, height, brandKit });
+      const png = await sharp(Buffer.from(svg)).composite(logo ? [logo] : []).png().toBuffer();
+      const pagePath = path.join(directory, `page-${i + 1}.png`);
+      await fs.writeFile(path.join(process.cwd(), pagePath), png);
+
+      pages.push({ pageNumber: i + 1, title: slides[i].title || '', path: pagePath });
+      jpegs.push({
+        jpeg: await sharp(png).flatten({ background: '#FFFFFF' }).jpeg({ quality: JPEG_QUALITY }).toBuffer(),
+        width,
+        height
+      });
+    }
+
+    const title = contentRow.title || slides[0].title || 'Carousel';
+    const pdf = buildImagePdf(jpegs, { title });
+    const pdfPath = path.join(directory, 'carousel.pdf');
+    await fs.writeFile(path.join(process.cwd(), pdfPath), pdf);
+
+    const documentData = {
+      path: pdfPath,
+      title,
+      format,
+      width,
+      height,
+      pageCount: pages.length,
+      size: pdf.length,
+      pages,
+      builtAt: new Date().toISOString()
+    };
+
+    const updated = await contentRepository.update(contentRow.id, { document_data: documentData });
+    await accessibilityChecker.checkContent(updated);
+    if (contentRow.document_data && contentRow.document_data.path) {
+      await this.removeBuild(contentRow.document_data);
+    }
+
+    logger.performance('Carousel PDF build', Date.now() - startTime, {
+      contentId,
+      pageCount: pages.length,
+      format,
+      size: pdf.length
+    });
+
+    return documentData;
+  }
+
+  /**
+   * Delete the files of a carousel build
+   */
+  async removeBuild(documentData) {
+    try {
+      await fs.rm(path.resolve(process.cwd(), path.dirname(documentData.path)), { recursive: true, force: true });
+    } catch (error) {
+      logger.warn('Could not remove carousel build', { path: documentData.path, error: error.message });
+    }
+  }
+}
+
+module.exports = new CarouselBuilder();
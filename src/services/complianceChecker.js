@@ -0,0 +1,201 @@
+const logger = require('../utils/logger');
+const { content: contentRepository, users: usersRepository } = require('../database/repositories');
+const structuredContent = require('./structuredContent');
+
+const BLOCKING = 'blocking';
+const WARNING = 'warning';
+
+/**
+ * Certification and standards bodies, and the operator, whose names our (largely marine and energy)
+ * clients must only use for claims they can back up. certifies: false marks bodies that do not certify
+ * companies at all.
+ */
+const REGULATED_BODIES = [
+  {
+    name: 'IMCA',
+    pattern: /\bIMCA\b/u,
+    certifies: false,
+    note: 'IMCA is a membership body and does not certify companies; say "IMCA member" or "in line with IMCA guidance"'
+  },
+  { name: 'IRATA', pattern: /\bIRATA\b/u },
+  { name: 'OPITO', pattern: /\bOPITO\b/u },
+  { name: 'DNV', pattern: /\bDNV(\s*GL)?\b/u },
+  { name: 'ABS', pattern: /\bABS\b|\bAmerican Bureau of Shipping\b/u },
+  { name: 'Lloyd\'s Register', pattern: /\bLloyd['’]?s Register\b/iu },
+  { name: 'Bureau Veritas', pattern: /\bBureau Veritas\b/iu },
+  { name: 'ISO 9001', pattern: /\bISO\s*9001\b/iu },
+  { name: 'ISO 14001', pattern: /\bISO\s*14001\b/iu },
+  { name: 'ISO 45001', pattern: /\bISO\s*45001\b/iu },
+  {
+    name: 'ADNOC',
+    pattern: /\bADNOC\b/u,
+    certifies: false,
+    note: 'ADNOC does not certify companies; say "ADNOC-registered supplier" if you are on its vendor list'
+  }
+];
+
+const CERTIFICATION_WORDING = /\b(certified|certification|certificate|accredited|accreditation)\b/iu;
+// Looser association with a body; worth a look, but too common in ordinary sentences to block on
+const ASSOCIATION_WORDING = /\b(approved|compliant|member|membership|registered|qualified)\b/iu;
+
+const ABSOLUTE_SAFETY_CLAIMS = /\b(zero (incidents|accidents|injuries)|100\s*% safe|accident[- ]free|risk[- ]free|guaranteed safe|fully compliant)\b/iu;
+
+const PROFANITY = /(?<![\p{L}])(f+u+c+k\p{L}*|shit\p{L}*|bullshit|crap|damn\p{L}*|bastard\p{L}*|asshole\p{L}*|wtf|b[i1]tch\p{L}*)(?![\p{L}])/iu;
+
+const STATISTIC = /(\d+(?:[.,]\d+)?\s*(%|percent|per cent)|\b\d+(?:\.\d+)?\s*x\b|\b\d+(?:\.\d+)?\s*times\b|\b\d[\d,.]*\s*(million|billion|bn)\b)/iu;
+const VAGUE_RESEARCH = /\b(studies|research|experts|data) (show|shows|prove|proves|suggest|suggests|say|says)\b/iu;
+const SOURCE_CUE = /(according to|source:|sources:|report|survey|study by|data from|published|https?:\/\/|\(\d{4}\))/iu;
+
+// Content that is illegal or highly sensitive in the UAE, and references that need a careful review
+const CULTURAL_RULES = [
+  {
+    severity: BLOCKING,
+    pattern: /\b(cannabis|marijuana|cocaine|narcotics|casino|gambling|betting)\b/iu,
+    message: 'References drugs or gambling, which are illegal in the UAE'
+  },
+  {
+    severity: WARNING,
+    pattern: /\bPersian Gulf\b/iu,
+    message: 'The UAE uses "Arabian Gulf"; "Persian Gulf" is politically sensitive'
+  },
+  {
+    severity: WARNING,
+    pattern: /\b(alcohol|beer|wine|cocktails?|happy hour|pork|bacon)\b/iu,
+    message: 'Mentions alcohol or pork; avoid it for a UAE audience, especially around Ramadan'
+  },
+  {
+    severity: WARNING,
+    pattern: /\b(sheikh|royal family|ruler|his highness)\b/iu,
+    message: 'Mentions the rulers or royal family; check titles and wording are accurate and respectful'
+  },
+  {
+    severity: WARNING,
+    pattern: /\b(politics|political|election|protest|religion|religious)\b/iu,
+    message: 'Touches on politics or religion, which are sensitive topics for UAE business audiences'
+  }
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Word-boundary match that also works for Arabic and other non-Latin scripts
+const termPattern = (term) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term.trim())}(?![\\p{L}\\p{N}])`, 'iu');
+
+const normalizeClaim = (claim) => claim.toLowerCase().replace(/['’\s]+/g, '');
+
+/**
+ * Pre-publish compliance and safety checks
+ * Produces a report of blocking issues (the post must not be published) and warnings
+ * (published, but worth a human look) for a draft.
+ */
+class ComplianceChecker {
+  /**
+   * Check post text against the rules
+   * @param {string} text - Everything that will be published (body, hashtags, poll, slides...)
+   * @param {Object} preferences - user_preferences row (excluded_topics, competitor_names, verified_claims)
+   * @returns {Object} { status: 'passed' | 'warning' | 'blocked', blocking, warnings, checkedAt }
+   */
+  check(text, preferences = {}) {
+    const issues = [];
+    const add = (severity, rule, message, match) => issues.push({ severity, rule, message, match });
+    const sentences = text.split(/(?<=[.!?؟])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean);
+
+    (preferences.excluded_topics || []).filter(topic => topic && topic.trim()).forEach(topic => {
+      const match = text.match(termPattern(topic));
+      if (match) {
+        add(BLOCKING, 'excluded_topic', `Mentions "${topic}", which is in your excluded topics`, match[0]);
+      }
+    });
+
+    const verifiedClaims = (preferences.verified_claims || []).map(normalizeClaim);
+    sentences.forEach(sentence => {
+      REGULATED_BODIES.forEach(regulated => {
+        if (!regulated.pattern.test(sentence)) {
+          return;
+        }
+
+        const verified = verifiedClaims.includes(normalizeClaim(regulated.name));
+        if (CERTIFICATION_WORDING.test(sentence)) {
+          if (regulated.certifies === false) {
+            add(BLOCKING, 'regulated_claim', regulated.note, sentence);
+          } else if (!verified) {
+            add(BLOCKING, 'regulated_claim',
+              `Claims ${regulated.name} certification, which is not in your verified claims`, sentence);
+          }
+        } else if (ASSOCIATION_WORDING.test(sentence) && !verified) {
+          add(WARNING, 'regulated_claim',
+            `Mentions ${regulated.name} approval, registration or membership, which is not in your verified claims`,
+            sentence);
+        }
+      });
+
+      const absolute = sentence.match(ABSOLUTE_SAFETY_CLAIMS);
+      if (absolute) {
+        add(WARNING, 'regulated_claim', 'Absolute safety or compliance claims are hard to substantiate', absolute[0]);
+      }
+
+      if ((STATISTIC.test(sentence) || VAGUE_RESEARCH.test(sentence)) && !SOURCE_CUE.test(sentence)) {
+        add(WARNING, 'unverifiable_statistic', 'States a statistic or research finding without citing a source', sentence);
+      }
+    });
+
+    const profanity = text.match(PROFANITY);
+    if (profanity) {
+      add(BLOCKING, 'profanity', 'Contains profanity', profanity[0]);
+    }
+
+    (preferences.competitor_names || []).filter(name => name && name.trim()).forEach(name => {
+      const match = text.match(termPattern(name));
+      if (match) {
+        add(WARNING, 'competitor_mention', `Mentions competitor "${name}"`, match[0]);
+      }
+    });
+
+    CULTURAL_RULES.forEach(rule => {
+      const match = text.match(rule.pattern);
+      if (match) {
+        add(rule.severity, 'cultural_sensitivity', rule.message, match[0]);
+      }
+    });
+
+    const blocking = issues.filter(issue => issue.severity === BLOCKING);
+    const warnings = issues.filter(issue => issue.severity === WARNING);
+
+    return {
+      status: blocking.length > 0 ? 'blocked' : warnings.length > 0 ? 'warning' : 'passed',
+      blocking,
+      warnings,
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Re-check a saved draft with the owner's current preferences and store the report
+   * @returns {Promise<Object>} Compliance report
+   */
+  async checkContent(contentRow, client) {
+    const preferences = await usersRepository.findPreferences(contentRow.user_id, client);
+    const report = this.check(structuredContent.publishedText(contentRow), preferences || {});
+
+    await contentRepository.saveComplianceReport(contentRow.id, report, client);
+
+    if (report.status !== 'passed') {
+      logger.content('Compliance issues found', {
+        contentId: contentRow.id,
+        userId: contentRow.user_id,
+        status: report.status,
+        rules: [...report.blocking, ...report.warnings].map(issue => issue.rule)
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * One-line summary of the blocking issues, used as the scheduled post's error message
+   */
+  summarizeBlocking(report) {
+    return `Blocked by compliance check: ${report.blocking.map(issue => issue.message).join('; ')}`;
+  }
+}
+
+module.exports = new ComplianceChecker();
@@ -1,364 +1,558 @@
-const OpenAI = require('openai');
+const Joi = require('joi');
 const logger = require('../utils/logger');
+const sourceDocument = require('../utils/sourceDocument');
 const { pool } = require('../database/init');
 const imageGenerator = require('./imageGenerator');
+const llm = require('./llm');
+const structuredContent = require('./structuredContent');
+const brandVoice = require('./brandVoice');
+const complianceChecker = require('./complianceChecker');
+const similarityIndex = require('./similarityIndex');
+const revisionHistory = require('./revisionHistory');
+const knowledgeBase = require('./knowledgeBase');
+const hashtagRecommender = require('./hashtagRecommender');
+const aiUsage = require('./aiUsage');
+const promptLibrary = require('./promptLibrary');
+const generationCache = require('./generationCache');
+const brandKitService = require('./brandKit');
+const mediaLibrary = require('./mediaLibrary');
+const altTextService = require('./altText');
+const accessibilityChecker = require('./accessibilityChecker');
+const {
+  content: contentRepository,
+  series: seriesRepository,
+  brandKits: brandKitsRepository
+} = require('../database/repositories');
+
+const LANGUAGE_NAMES = { en: 'English', ar: 'Arabic', bilingual: 'both Arabic and English' };
+const LIST_ITEM = /^\s*(?:\d+[.)]|[-•*])\s+\S/gmu;
+
+const SERIES_CONTENT_TYPES = ['text', 'multi_image', 'poll', 'document', 'video'];
+const SERIES_MAX_SOURCE_CHARACTERS = parseInt(process.env.SERIES_MAX_SOURCE_CHARACTERS) || 20000;
+const SERIES_MAX_SECTION_CHARACTERS = 6000;
+
+const SERIES_PLAN_SCHEMA = Joi.object({
+  title: Joi.string().trim().min(1).max(200).required(),
+  posts: Joi.array().items(Joi.object({
+    contentType: Joi.string().valid(...SERIES_CONTENT_TYPES).required(),
+    angle: Joi.string().trim().min(1).max(300).required(),
+    keyPoints: Joi.array().items(Joi.string().trim().min(1).max(300)).min(1).max(6).required(),
+    section: Joi.string().trim().max(200).allow('', null).default(null)
+  })).min(2).required()
+});
+
+const SERIES_PLAN_EXAMPLE = {
+  title: 'What 40 facade inspections taught us',
+  posts: [
+    {
+      contentType: 'text',
+      angle: 'The defect we found most often, and why owners miss it',
+      keyPoints: ['Sealant failure on 60% of towers', 'Summer heat speeds up ageing'],
+      section: 'Key findings'
+    },
+    {
+      contentType: 'multi_image',
+      angle: 'Five warning signs building managers can check themselves',
+      keyPoints: ['Stained joints', 'Loose cladding panels', 'Cracked glazing'],
+      section: 'Inspection checklist'
+    },
+    {
+      contentType: 'poll',
+      angle: 'How often should facades be inspected?',
+      keyPoints: ['Current practice varies from 1 to 5 years'],
+      section: 'Recommendations'
+    },
+    {
+      contentType: 'document',
+      angle: 'A maintenance plan owners can adopt this year',
+      keyPoints: ['Annual visual survey', 'Five-yearly rope access inspection'],
+      section: 'Recommendations'
+    }
+  ]
+};
+
+/**
+ * Rewrite operations for existing drafts
+ * instruction(params) tells the model what to change; validate(value, params) returns an
+ * error for a rewrite that ignores it, so the model is asked again.
+ */
+const REWRITE_OPERATIONS = {
+  shorten: {
+    instruction: ({ maxCharacters }) => `Shorten the post so the complete text, including hashtags, is at most ${maxCharacters} characters. Keep the main message and the closing question or call to action.`,
+    validate: (value, { maxCharacters }) => {
+      const length = structuredContent.renderText(value).length;
+      return length > maxCharacters
+        ? `Post is ${length} characters including hashtags; it must be at most ${maxCharacters}`
+        : null;
+    }
+  },
+  change_tone: {
+    instruction: ({ tone }) => `Rewrite the post in a ${tone} tone. Keep the facts, the structure and the hashtags.`
+  },
+  strengthen_hook: {
+    instruction: () => 'Rewrite the opening so the first two lines, which LinkedIn shows before "see more", make professionals want to keep reading: lead with a specific fact, a bold claim or a question. Change the rest of the post only where the new opening requires it.'
+  },
+  add_cta: {
+    instruction: ({ callToAction }) => (callToAction
+      ? `End the post with this call to action, worded to fit the post: ${callToAction}`
+      : 'End the post with a clear call to action that invites readers to comment, share their experience or get in touch.')
+  },
+  listicle: {
+    instruction: () => 'Restructure the body as a numbered list of 3 to 7 points, with a one-line introduction before the list and a short closing line after it.',
+    validate: (value) => ((value.body.match(LIST_ITEM) || []).length < 3
+      ? '"body" must contain a numbered list of at least 3 points'
+      : null)
+  },
+  translate: {
+    instruction: ({ language }) => `Translate the post into ${LANGUAGE_NAMES[language]}. Keep names, figures and the meaning; adapt idioms for professionals in Abu Dhabi and translate hashtags where a natural equivalent exists.`
+  }
+};
 
 class ContentGenerator {
   constructor() {
-    // Support both OpenAI and OpenRouter
-    const useOpenRouter = process.env.USE_OPENROUTER === 'true';
-    
-    if (useOpenRouter) {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENROUTER_API_KEY,
-        baseURL: 'https://openrouter.ai/api/v1'
-      });
-      this.model = process.env.OPENROUTER_MODEL || 'meta-llama/llama-3.1-8b-instruct:free';
-    } else {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
-      this.model = process.env.OPENAI_MODEL || 'gpt-4';
-    }
-    
     this.maxTokens = parseInt(process.env.OPENAI_MAX_TOKENS) || 1000;
-    this.useOpenRouter = useOpenRouter;
   }
 
   /**
    * Generate LinkedIn content based on topic and preferences
+   * @param {Object} options - { provider, model, language, signal, onProgress, series, occasion, feature }
+   *   provider/model override the user's preferred LLM
+   *   language ('en', 'ar' or 'bilingual') overrides the user's content_language
+   *   signal cancels generation when aborted
+   *   onProgress(event, data) receives 'token', 'reset', 'parsed', 'image' and 'saved' events
+   *   series ({ id, position }) links the post to a content series
+   *   occasion ({ date, events }) names the holidays or observances on the planned publishing day
+   *   feature names what the AI usage is charged to (default 'generation')
+   *   cache reuses the result of an identical earlier request while its draft still exists
+   *   imageProvider/imageModel override the user's preferred image provider
    */
-  async generateContent(userId, topicId, contentType = 'text', customPrompt = null, includeImage = false) {
+  async generateContent(userId, topicId, contentType = 'text', customPrompt = null, includeImage = false, options = {}) {
+    const emit = options.onProgress || (() => {});
+
     try {
       const startTime = Date.now();
       
-      // Get user preferences and topic details
-      const [userPrefs, topicDetails] = await Promise.all([
+      // Get user preferences, topic details and the learned brand voice
+      const [userPrefs, topicDetails, voiceProfile] = await Promise.all([
         this.getUserPreferences(userId),
-        this.getTopicDetails(topicId)
+        // A custom prompt carries its own subject, so the topic is optional
+        topicId || !customPrompt ? this.getTopicDetails(topicId) : null,
+        this.getVoiceProfile(userId)
+      ]);
+
+      const language = options.language || userPrefs.content_language || 'en';
+
+      // Refuse once the user's hard monthly AI budget is spent; calls are charged to the feature
+      await aiUsage.assertWithinBudget(userId, userPrefs);
+      const usage = { userId, feature: options.feature || 'generation' };
+
+      // Passages from the user's knowledge base that ground topic prompts in their own services
+      const knowledge = customPrompt ? [] : await this.getKnowledge(userId, topicDetails);
+
+      // Build the AI prompts from the prompt library
+      const [systemPrompt, topicPrompt] = await Promise.all([
+        this.getSystemPrompt(contentType, userPrefs, language),
+        customPrompt ? null : this.buildPrompt(contentType, topicDetails, userPrefs, voiceProfile, knowledge, options.occasion)
       ]);
+      const prompt = customPrompt || topicPrompt.text;
+      const promptVersionIds = [...systemPrompt.versionIds, ...(topicPrompt ? topicPrompt.versionIds : [])];
 
-      // Build the AI prompt
-      const prompt = customPrompt || await this.buildPrompt(contentType, topicDetails, userPrefs);
+      // Identical requests (same prompts, prompt versions, preferences and model) reuse the earlier draft
+      const cacheKey = options.cache && generationCache.hashRequest({
+        userId,
+        topicId,
+        contentType,
+        language,
+        includeImage,
+        provider: options.provider,
+        model: options.model,
+        imageProvider: includeImage ? options.imageProvider || userPrefs.image_provider : null,
+        imageModel: includeImage ? options.imageModel || userPrefs.image_model : null,
+        systemPrompt: systemPrompt.text,
+        prompt,
+        promptVersionIds,
+        hashtags: { auto: userPrefs.auto_hashtags, max: userPrefs.max_hashtags }
+      });
+      const cached = cacheKey && await this.getCachedResult(userId, cacheKey);
+      if (cached) {
+        logger.content('Content served from the generation cache', { userId, topicId, contentType, contentId: cached.id });
+        emit('saved', { id: cached.id, cached: true });
+        return cached;
+      }
       
       logger.content('Generating content', {
         userId,
         topicId,
         contentType,
+        language,
         promptLength: prompt.length
       });
 
-      // Generate content using OpenAI
-      const completion = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [
+      // Generate structured content with the selected provider, falling back if it fails
+      const { structured, completion, formatAttempts } = await this.generateStructuredContent(
+        contentType,
+        [
           {
             role: 'system',
-            content: this.getSystemPrompt(contentType, userPrefs)
+            content: systemPrompt.text
           },
           {
             role: 'user',
             content: prompt
           }
         ],
-        max_tokens: this.maxTokens,
-        temperature: 0.7,
-        presence_penalty: 0.1,
-        frequency_penalty: 0.1
-      });
+        userPrefs,
+        { ...options, language, usage }
+      );
 
-      const generatedText = completion.choices[0].message.content;
-      
-      // Parse the generated content
-      const parsedContent = this.parseGeneratedContent(generatedText, contentType);
+      // Swap the model's hashtags for a ranked mix of broad, niche and local tags
+      if (userPrefs.auto_hashtags !== false) {
+        structured.hashtags = await this.recommendHashtags(userId, structured, topicDetails, userPrefs);
+      }
+
+      const aiModel = llm.formatModelId(completion);
+      const parsedContent = {
+        ...structured,
+        content_text: structuredContent.renderText(structured),
+        media_urls: []
+      };
+      emit('parsed', { content: parsedContent, formatAttempts });
+
+      // Score the draft against the brand voice learned from approved posts
+      const voiceAnalysis = voiceProfile ? brandVoice.scoreDraft(structured.body, voiceProfile) : null;
+
+      // Pre-publish compliance report; the scheduler re-checks it before publishing
+      const compliance = complianceChecker.check(structuredContent.collectText(structured), userPrefs);
+
+      // Compare with the posting history; scheduling enforces SIMILARITY_ACTION
+      const similarity = await this.checkSimilarity(userId, structured);
       
       // Generate image if requested
       let imageData = null;
       if (includeImage) {
+        emit('image', { status: 'started' });
         try {
-          imageData = await this.generateContentImage(parsedContent, contentType, topicDetails);
+          imageData = await this.generateContentImage(userId, structured, contentType, topicDetails, userPrefs, { ...options, usage });
+          for (const image of imageData.type === 'carousel' ? imageData.images : [imageData]) {
+            await aiUsage.recordImages(usage, { provider: image.provider, model: image.model, count: 1 });
+          }
+          emit('image', { status: 'completed', imageData });
         } catch (error) {
           logger.error('Image generation failed, continuing without image:', error);
+          emit('image', { status: 'failed', message: error.message });
         }
       }
       
+      // Alt text, brand contrast and emoji use
+      const accessibility = accessibilityChecker.check(structuredContent.collectText(structured), {
+        imageData,
+        brandKit: imageData ? await brandKitsRepository.findByUser(userId) : null
+      });
+
       // Save to database
       const contentId = await this.saveGeneratedContent({
         userId,
         topicId,
         contentType,
         ...parsedContent,
+        structured,
+        language,
+        languageMetadata: structuredContent.describeLanguage(structured),
+        voiceAnalysis,
+        compliance,
+        accessibility,
+        similarity,
         imageData,
         aiPrompt: prompt,
-        aiModel: this.model
+        aiModel,
+        promptVersionIds,
+        series: options.series,
+        knowledgeSources: knowledgeBase.describeSources(knowledge)
       });
+      emit('saved', { id: contentId });
 
       const duration = Date.now() - startTime;
       logger.performance('Content generation', duration, {
         userId,
         contentType,
-        contentLength: generatedText.length
+        aiModel,
+        formatAttempts,
+        contentLength: parsedContent.content_text.length
       });
 
-      return {
+      const result = {
         id: contentId,
         ...parsedContent,
         imageData,
         metadata: {
-          model: this.model,
-          tokensUsed: completion.usage.total_tokens,
+          provider: completion.provider,
+          model: completion.model,
+          language,
+          tokensUsed: completion.usage.totalTokens,
+          fallbackUsed: completion.attempts > 1,
+          formatAttempts,
+          voice: voiceAnalysis,
+          compliance,
+          accessibility,
+          similarity: similarity && similarityIndex.summarize(similarity),
+          knowledgeSources: knowledgeBase.describeSources(knowledge),
           generationTime: duration
         }
       };
+
+      if (cacheKey) {
+        await generationCache.set(cacheKey, result);
+      }
+      return result;
     } catch (error) {
-      logger.error('Content generation failed:', error);
+      if (options.signal && options.signal.aborted) {
+        logger.content('Content generation cancelled', { userId, topicId, contentType });
+      } else {
+        logger.error('Content generation failed:', error);
+      }
       throw new Error(`Content generation failed: ${error.message}`);
     }
   }
 
   /**
-   * Get system prompt based on content type and user preferences
+   * System prompt from the prompt library: the general prompt, the guidance for the content type
+   * (text guidance for types without their own) and the JSON format instructions
+   * @returns {Promise<Object>} { text, versionIds } with the prompt versions used
    */
-  getSystemPrompt(contentType, userPrefs) {
-    const basePrompt = `You are an expert LinkedIn content creator specializing in the Abu Dhabi/UAE market. You understand:
-- Local business culture and professional norms
-- Optimal posting times (8:30 AM, 1:00 PM, 8:30 PM UAE time)
-- High-engagement content formats
-- Professional Arabic and English communication styles
-
-Key guidelines:
-- Write in a ${userPrefs.tone || 'professional'} tone
-- Focus on value-driven content that educates or inspires
-- Use relevant industry insights and local market knowledge
-- Include call-to-actions that encourage meaningful engagement
-- Respect cultural sensitivities and business etiquette
-- Optimize for LinkedIn's algorithm preferences`;
-
-    const typeSpecificPrompts = {
-      text: `${basePrompt}
-
-For text posts:
-- Keep content between 150-300 words for optimal engagement
-- Use line breaks and emojis strategically
-- Include 3-5 relevant hashtags
-- End with an engaging question or call-to-action`,
-      
-      multi_image: `${basePrompt}
-
-For multi-image carousel posts:
-- Create content for 3-5 slides
-- Each slide should have a clear, concise message (max 50 words)
-- Use storytelling structure: hook → value → conclusion
-- Include slide titles and descriptions
-- Suggest visual elements for each slide`,
-      
-      video: `${basePrompt}
-
-For video posts:
-- Create a script for 60-90 seconds
-- Strong hook in first 3 seconds
-- Include captions/subtitles suggestions
-- Clear value proposition
-- End with strong call-to-action`,
-      
-      poll: `${basePrompt}
+  async getSystemPrompt(contentType, userPrefs, language = 'en') {
+    const scope = { contentType, industry: userPrefs.user_industry, userId: userPrefs.user_id };
+    const values = { tone: userPrefs.tone || 'professional', companyName: userPrefs.company_name };
 
-For poll posts:
-- Create engaging, opinion-sparking questions
-- Provide 2-4 clear poll options
-- Include context that encourages discussion
-- Ask follow-up questions in comments`,
-      
-      document: `${basePrompt}
+    const [basePrompt, typePrompt] = await Promise.all([
+      promptLibrary.render('system', scope, values),
+      promptLibrary.render('content_type', scope, values)
+        .then(prompt => prompt || promptLibrary.render('content_type', { ...scope, contentType: 'text' }, values))
+    ]);
+    const parts = [basePrompt, typePrompt].filter(Boolean);
 
-For document/PDF posts:
-- Create structured, educational content
-- Use clear headings and bullet points
-- Include actionable insights or frameworks
-- Design for easy reading and sharing`
+    return {
+      text: [...parts.map(part => part.text), structuredContent.getInstructions(contentType, language)].join('\n\n'),
+      versionIds: parts.map(part => part.versionId)
     };
-
-    return typeSpecificPrompts[contentType] || typeSpecificPrompts.text;
   }
 
   /**
-   * Build content generation prompt
+   * Cached generation result, as long as its draft still exists and has not been scheduled or posted
    */
-  async buildPrompt(contentType, topicDetails, userPrefs) {
-    const { title, description, keywords, target_audience, industry } = topicDetails;
-    const { brand_voice, excluded_topics } = userPrefs;
-
-    let prompt = `Create a LinkedIn ${contentType} post about: ${title}
-
-`;
-    
-    if (description) {
-      prompt += `Topic Description: ${description}
-
-`;
+  async getCachedResult(userId, cacheKey) {
+    const cached = await generationCache.get(cacheKey);
+    if (!cached) {
+      return null;
     }
-    
-    if (keywords && keywords.length > 0) {
-      prompt += `Key Keywords to include: ${keywords.join(', ')}
 
-`;
+    const draft = await contentRepository.findOne({ id: cached.id, user_id: userId });
+    if (!draft || draft.status !== 'draft') {
+      return null;
     }
-    
-    if (target_audience) {
-      prompt += `Target Audience: ${target_audience}
 
-`;
-    }
-    
-    if (industry) {
-      prompt += `Industry Context: ${industry}
-
-`;
-    }
-    
-    if (brand_voice) {
-      prompt += `Brand Voice Guidelines: ${brand_voice}
-
-`;
-    }
-    
-    if (excluded_topics && excluded_topics.length > 0) {
-      prompt += `Avoid these topics: ${excluded_topics.join(', ')}
+    return { ...cached, metadata: { ...cached.metadata, cached: true } };
+  }
 
-`;
+  /**
+   * Brand voice profile for prompting and scoring
+   * Generation continues without it if the profile cannot be loaded.
+   */
+  async getVoiceProfile(userId) {
+    try {
+      return await brandVoice.getProfile(userId);
+    } catch (error) {
+      logger.error('Failed to load brand voice profile, continuing without it:', error);
+      return null;
     }
-
-    // Add Abu Dhabi/UAE specific context
-    prompt += `Context: This content is for professionals in Abu Dhabi/UAE. Consider:
-`;
-    prompt += `- Local business environment and opportunities
-`;
-    prompt += `- Cultural diversity and international business presence
-`;
-    prompt += `- Innovation and technology adoption in the region
-`;
-    prompt += `- Professional development and networking culture
-
-`;
-
-    // Add content type specific instructions
-    const typeInstructions = {
-      text: 'Format as a complete LinkedIn text post with hashtags.',
-      multi_image: 'Format as: SLIDE 1: [Title] [Content] | SLIDE 2: [Title] [Content] | etc.',
-      video: 'Format as: VIDEO SCRIPT: [Hook] [Main Content] [Call-to-Action] | CAPTIONS: [Key points]',
-      poll: 'Format as: POLL QUESTION: [Question] | OPTIONS: [Option 1, Option 2, etc.] | CONTEXT: [Supporting text]',
-      document: 'Format as: TITLE: [Title] | CONTENT: [Structured content with headings and bullet points]'
-    };
-
-    prompt += typeInstructions[contentType] || typeInstructions.text;
-
-    return prompt;
   }
 
   /**
-   * Parse generated content based on type
+   * Closest post in the user's history
+   * Generation continues without it if the similarity index cannot be queried.
    */
-  parseGeneratedContent(generatedText, contentType) {
-    const result = {
-      title: '',
-      content_text: generatedText,
-      hashtags: [],
-      media_urls: []
-    };
-
+  async checkSimilarity(userId, structured, excludeId = null) {
     try {
-      switch (contentType) {
-        case 'multi_image':
-          result.slides = this.parseCarouselContent(generatedText);
-          break;
-        case 'video':
-          result.script = this.parseVideoContent(generatedText);
-          break;
-        case 'poll':
-          result.poll = this.parsePollContent(generatedText);
-          break;
-        case 'document':
-          result.document = this.parseDocumentContent(generatedText);
-          break;
-        default:
-          // Extract hashtags from text content
-          const hashtagMatch = generatedText.match(/#\w+/g);
-          if (hashtagMatch) {
-            result.hashtags = hashtagMatch;
-          }
-      }
+      return await similarityIndex.check(userId, structuredContent.collectText(structured), { excludeId });
     } catch (error) {
-      logger.error('Error parsing generated content:', error);
+      logger.error('Duplicate detection failed, continuing without it:', error);
+      return null;
     }
-
-    return result;
   }
 
   /**
-   * Parse carousel content into slides
+   * Knowledge base passages relevant to the topic
+   * Generation continues without them if the knowledge base cannot be searched.
    */
-  parseCarouselContent(text) {
-    const slides = [];
-    const slideMatches = text.match(/SLIDE \d+:([^|]+)/g);
-    
-    if (slideMatches) {
-      slideMatches.forEach((match, index) => {
-        const content = match.replace(/SLIDE \d+:\s*/, '').trim();
-        const [title, ...bodyParts] = content.split('\n');
-        slides.push({
-          slideNumber: index + 1,
-          title: title.trim(),
-          content: bodyParts.join('\n').trim()
-        });
-      });
+  async getKnowledge(userId, topicDetails) {
+    try {
+      return await knowledgeBase.retrieveForTopic(userId, topicDetails);
+    } catch (error) {
+      logger.error('Knowledge base retrieval failed, continuing without it:', error);
+      return [];
     }
-    
-    return slides;
   }
 
   /**
-   * Parse video content
+   * Recommended hashtags for a draft, or its own hashtags when the recommender fails or the
+   * recommended tags would push the post over LinkedIn's length limit
    */
-  parseVideoContent(text) {
-    const scriptMatch = text.match(/VIDEO SCRIPT:([^|]+)/s);
-    const captionsMatch = text.match(/CAPTIONS:([^|]+)/s);
-    
-    return {
-      script: scriptMatch ? scriptMatch[1].trim() : text,
-      captions: captionsMatch ? captionsMatch[1].trim() : ''
-    };
+  async recommendHashtags(userId, structured, topicDetails, userPrefs) {
+    try {
+      const { hashtags } = await hashtagRecommender.recommend(userId, {
+        text: structuredContent.collectText({ ...structured, hashtags: [] }),
+        hashtags: structured.hashtags,
+        topic: topicDetails,
+        language: structured.language
+      }, { preferences: userPrefs });
+
+      const recommended = hashtags.map(item => item.tag);
+      if (recommended.length === 0
+        || structuredContent.renderText({ ...structured, hashtags: recommended }).length > structuredContent.maxPostLength) {
+        return structured.hashtags;
+      }
+
+      return recommended;
+    } catch (error) {
+      logger.error('Hashtag recommendation failed, keeping the generated hashtags:', error);
+      return structured.hashtags;
+    }
   }
 
   /**
-   * Parse poll content
+   * Build content generation prompt from the prompt library's topic prompt
+   * @param {Object} voiceProfile - brand_voice_profiles row, if any
+   * @param {Array} knowledge - knowledge base passages to ground the post in
+   * @param {Object} occasion - { date, events } for a post planned on a holiday or observance
+   * @returns {Promise<Object>} { text, versionIds }
    */
-  parsePollContent(text) {
-    const questionMatch = text.match(/POLL QUESTION:([^|]+)/s);
-    const optionsMatch = text.match(/OPTIONS:([^|]+)/s);
-    const contextMatch = text.match(/CONTEXT:([^|]+)/s);
-    
-    let options = [];
-    if (optionsMatch) {
-      options = optionsMatch[1].split(',').map(opt => opt.trim());
+  async buildPrompt(contentType, topicDetails, userPrefs, voiceProfile = null, knowledge = [], occasion = null) {
+    const { title, description, keywords, target_audience, industry } = topicDetails;
+    const { brand_voice, excluded_topics } = userPrefs;
+
+    const prompt = await promptLibrary.render(
+      'topic',
+      { contentType, industry: userPrefs.user_industry, userId: userPrefs.user_id },
+      {
+        contentType,
+        title,
+        description,
+        keywords,
+        targetAudience: target_audience,
+        industry,
+        brandVoice: brand_voice,
+        excludedTopics: excluded_topics,
+        voiceGuidelines: brandVoice.formatForPrompt(voiceProfile),
+        companyKnowledge: knowledgeBase.formatForPrompt(knowledge),
+        occasion: occasion && occasion.events.length > 0 ? `${occasion.date} (${occasion.events.join(', ')})` : null
+      }
+    );
+    if (!prompt) {
+      throw new Error('No topic prompt in the prompt library');
     }
-    
+
     return {
-      question: questionMatch ? questionMatch[1].trim() : '',
-      options,
-      context: contextMatch ? contextMatch[1].trim() : ''
+      text: `${prompt.text}
+
+Return the post as JSON in the format described in your instructions.`,
+      versionIds: [prompt.versionId]
     };
   }
 
   /**
-   * Parse document content
+   * Request content as JSON and validate it against the content type's schema
+   * Output that cannot be repaired locally is sent back to the same provider with the
+   * validation errors, up to CONTENT_FORMAT_RETRIES times.
+   * @param {Object} options - { language, provider, model, signal, onProgress, validate, usage }
+   *   validate(value) returns an error message for valid JSON that breaks an extra requirement
+   *   usage ({ userId, feature }) records each completion in the user's AI usage
+   * @returns {Promise<Object>} { structured, completion, formatAttempts }
    */
-  parseDocumentContent(text) {
-    const titleMatch = text.match(/TITLE:([^|]+)/s);
-    const contentMatch = text.match(/CONTENT:([^|]+)/s);
-    
+  async generateStructuredContent(contentType, messages, userPrefs, options = {}) {
+    const request = {
+      maxTokens: this.maxTokens,
+      temperature: 0.7,
+      presencePenalty: 0.1,
+      frequencyPenalty: 0.1,
+      responseFormat: {
+        type: 'json',
+        example: structuredContent.getExample(contentType, options.language),
+        language: options.language
+      }
+    };
+    const parseOptions = { maxHashtags: userPrefs.max_hashtags, language: options.language };
+    const parse = (text) => {
+      const result = structuredContent.parse(contentType, text, parseOptions);
+      const error = !result.error && options.validate ? options.validate(result.value) : null;
+      return error ? { ...result, value: null, error } : result;
+    };
+    const emit = options.onProgress || (() => {});
+
+    // Streamed text restarts whenever a fallback provider or a format correction takes over
+    let streamed = false;
+    const streaming = {
+      signal: options.signal,
+      onAttempt: ({ provider }) => {
+        if (streamed) {
+          emit('reset', { provider });
+          streamed = false;
+        }
+      },
+      onToken: options.onProgress && ((text, { provider }) => {
+        streamed = true;
+        emit('token', { text, provider });
+      })
+    };
+
+    let conversation = messages;
+    let completion = await llm.complete({ ...request, messages: conversation }, {
+      ...streaming,
+      provider: options.provider,
+      model: options.model,
+      preferences: userPrefs
+    });
+    await aiUsage.recordCompletion(options.usage, completion);
+    let totalTokens = completion.usage.totalTokens;
+    let parsed = parse(completion.text);
+    let formatAttempts = 1;
+
+    while (parsed.error && formatAttempts <= structuredContent.maxRepairAttempts) {
+      logger.content('Generated content failed validation, asking for a corrected response', {
+        contentType,
+        provider: completion.provider,
+        attempt: formatAttempts,
+        error: parsed.error
+      });
+
+      conversation = [
+        ...conversation,
+        { role: 'assistant', content: completion.text },
+        {
+          role: 'user',
+          content: `That response does not match the required JSON format: ${parsed.error}. Reply with the corrected JSON object only.`
+        }
+      ];
+
+      // Keep the provider that produced the draft so the correction has the same context
+      completion = await llm.complete({ ...request, messages: conversation }, {
+        ...streaming,
+        provider: completion.provider,
+        model: completion.model,
+        preferences: userPrefs
+      });
+      await aiUsage.recordCompletion(options.usage, completion);
+      totalTokens += completion.usage.totalTokens;
+      parsed = parse(completion.text);
+      formatAttempts++;
+    }
+
+    if (parsed.error) {
+      throw new Error(`Generated ${contentType} content is invalid after ${formatAttempts} attempt(s): ${parsed.error}`);
+    }
+
     return {
-      title: titleMatch ? titleMatch[1].trim() : '',
-      content: contentMatch ? contentMatch[1].trim() : text
+      structured: parsed.value,
+      completion: { ...completion, usage: { ...completion.usage, totalTokens } },
+      formatAttempts
     };
   }
 
@@ -369,7 +563,7 @@ For document/PDF posts:
     const client = await pool.connect();
     try {
       const result = await client.query(`
-        SELECT up.*, u.company_name, u.timezone
+        SELECT up.*, u.company_name, u.timezone, u.industry as user_industry
         FROM user_preferences up
         JOIN users u ON u.id = up.user_id
         WHERE up.user_id = $1
@@ -379,6 +573,7 @@ For document/PDF posts:
         tone: 'professional',
         brand_voice: null,
         excluded_topics: [],
+        content_language: 'en',
         auto_hashtags: true,
         max_hashtags: 10
       };
@@ -412,72 +607,229 @@ For document/PDF posts:
    * Save generated content to database
    */
   async saveGeneratedContent(contentData) {
+    const {
+      structured, languageMetadata, voiceAnalysis, compliance, accessibility, similarity, series, knowledgeSources,
+      promptVersionIds, ...document
+    } = contentData;
+    const fingerprint = similarity && similarity.fingerprint;
     const client = await pool.connect();
     try {
+      await client.query('BEGIN');
+
       const result = await client.query(`
         INSERT INTO generated_content (
           user_id, topic_id, content_type, title, content_text, 
-          hashtags, image_data, ai_prompt, ai_model, status
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-        RETURNING id
+          hashtags, image_data, ai_prompt, ai_model, status, structured_content,
+          language, language_metadata, voice_score, voice_analysis,
+          compliance_status, compliance_report, compliance_checked_at, accessibility_report,
+          similarity_signature, similarity_bands, similarity_score, duplicate_of,
+          series_id, series_position, knowledge_sources, prompt_version_ids
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18,
+          $19, $20, $21, $22, $23, $24, $25, $26, $27
+        )
+        RETURNING id, user_id, title, content_text, hashtags
       `, [
         contentData.userId,
         contentData.topicId,
         contentData.contentType,
         contentData.title,
-        JSON.stringify(contentData),
+        JSON.stringify(document),
         contentData.hashtags,
         JSON.stringify(contentData.imageData || null),
         contentData.aiPrompt,
         contentData.aiModel,
-        'draft'
+        'draft',
+        JSON.stringify(structured),
+        contentData.language,
+        JSON.stringify(languageMetadata),
+        voiceAnalysis ? voiceAnalysis.score : null,
+        JSON.stringify(voiceAnalysis || null),
+        compliance.status,
+        JSON.stringify(compliance),
+        new Date(compliance.checkedAt),
+        JSON.stringify(accessibility || null),
+        fingerprint ? fingerprint.signature : null,
+        fingerprint ? fingerprint.bands : null,
+        similarity && similarity.match ? similarity.similarity : null,
+        similarity && similarity.duplicate ? similarity.match.contentId : null,
+        series ? series.id : null,
+        series ? series.position : null,
+        JSON.stringify(knowledgeSources && knowledgeSources.length > 0 ? knowledgeSources : null),
+        promptVersionIds && promptVersionIds.length > 0 ? promptVersionIds : null
       ]);
+
+      // First revision: what the AI wrote, before any human edits
+      await revisionHistory.record(result.rows[0], { source: 'ai', aiModel: contentData.aiModel }, client);
+      await mediaLibrary.linkContent(result.rows[0].id, contentData.imageData, client);
+
+      await client.query('COMMIT');
       
       return result.rows[0].id;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally {
       client.release();
     }
   }
 
   /**
-   * Generate image for content
+   * Generate the post's image with the user's image provider and keep it in local storage
+   * Carousel posts get an image per slide.
+   * @param {Object} options - { imageProvider, imageModel, signal, usage }
+   * @returns {Promise<Object>} image_data: a stored image with type 'single', or { type: 'carousel', images }
    */
-  async generateContentImage(parsedContent, contentType, topicDetails) {
+  async generateContentImage(userId, structured, contentType, topicDetails, userPrefs, options = {}) {
     try {
-      const imagePrompt = this.buildImagePrompt(parsedContent, contentType, topicDetails);
-      
-      if (contentType === 'carousel' && parsedContent.slides) {
+      const brandKit = await brandKitsRepository.findByUser(userId);
+      const altTextContext = {
+        slides: structured.slides,
+        title: structured.title,
+        language: structured.language,
+        usage: options.usage,
+        signal: options.signal
+      };
+      const imageOptions = {
+        provider: options.imageProvider,
+        model: options.imageModel,
+        preferences: userPrefs,
+        brandKit,
+        signal: options.signal
+      };
+
+      if (contentType === 'multi_image' && structured.slides) {
         // Generate multiple images for carousel
-        const imageUrls = await imageGenerator.generateCarouselImages(
-          parsedContent.slides.map(slide => `${slide.title}: ${slide.content}`),
-          { style: 'professional', format: 'linkedin' }
-        );
-        
+        const slides = await imageGenerator.generateCarouselImages(structured.slides, topicDetails || {}, imageOptions);
+        if (slides.length === 0) {
+          throw new Error('No slide image could be generated');
+        }
+
         return {
           type: 'carousel',
-          images: imageUrls,
-          prompt: imagePrompt
-        };
-      } else {
-        // Generate single image
-        const imageUrl = await imageGenerator.generateImage(imagePrompt, {
-          style: 'professional',
-          format: 'linkedin',
-          enhance: true
-        });
-        
-        return {
-          type: 'single',
-          url: imageUrl,
-          prompt: imagePrompt
+          images: await Promise.all(slides.map(async image => this.storeImage(
+            userId,
+            await this.withAltText(image, altTextContext)
+          )))
         };
       }
+
+      // Generate single image
+      const imagePrompt = this.buildImagePrompt(structured, contentType, topicDetails);
+      const image = await imageGenerator.generateImage(imagePrompt, {
+        ...imageOptions,
+        content: {
+          ...structured,
+          body: structured.body || structured.bodyEn || structured.bodyAr,
+          companyName: userPrefs.company_name
+        },
+        width: 1200,
+        height: 627 // LinkedIn recommended aspect ratio 1.91:1
+      });
+
+      return {
+        type: 'single',
+        ...await this.storeImage(userId, await this.withAltText(image, altTextContext))
+      };
     } catch (error) {
       logger.error('Image generation failed:', error);
       throw error;
     }
   }
 
+  /**
+   * Add alt text to a generated image before it is stored
+   */
+  async withAltText(image, context) {
+    const { altText, source } = await altTextService.describe(image, context);
+    return { ...image, altText, altTextSource: source };
+  }
+
+  /**
+   * Add an image to the user's media library and describe it for image_data
+   * @param {string} source - 'generated' or 'upload'
+   */
+  async storeImage(userId, image, source = 'generated') {
+    const { asset, errors } = await mediaLibrary.store(userId, image.imageData, {
+      source,
+      metadata: {
+        provider: image.provider,
+        model: image.model,
+        template: image.template,
+        branding: image.branding || [],
+        prompt: image.prompt,
+        altText: image.altText || null,
+        altTextSource: image.altTextSource || null
+      }
+    });
+    if (errors) {
+      throw new Error(`Image rejected: ${errors.join('; ')}`);
+    }
+
+    return {
+      ...(image.slideNumber ? { slideNumber: image.slideNumber } : {}),
+      mediaId: asset.id,
+      path: asset.path,
+      url: image.imageUrl,
+      mimeType: asset.mime_type,
+      dimensions: `${asset.width}x${asset.height}`,
+      provider: image.provider,
+      model: image.model,
+      template: image.template,
+      branding: image.branding || [],
+      prompt: image.prompt,
+      altText: image.altText || null,
+      altTextSource: image.altTextSource || null
+    };
+  }
+
+  /**
+   * Brand an uploaded image with the user's brand kit and make it the post's image
+   * @param {Buffer} data - Uploaded image (PNG or JPEG)
+   * @param {string} altText - Alt text from the user; without it the vision model, when configured, writes it
+   * @returns {Promise<Object|null>} The new image_data, or null when the content does not exist
+   */
+  async attachUploadedImage(userId, contentId, data, altText = null) {
+    const content = await contentRepository.findForUser(userId, contentId);
+    if (!content) {
+      return null;
+    }
+
+    const title = content.title || (content.structured_content && content.structured_content.title);
+    const brandKit = await brandKitsRepository.findByUser(userId);
+    const branding = await brandKitService.applyBranding(data, brandKit, { caption: title });
+
+    const image = {
+      imageData: branding.data,
+      imageUrl: null,
+      mimeType: branding.mimeType,
+      provider: 'upload',
+      model: null,
+      template: null,
+      branding: branding.applied,
+      prompt: null
+    };
+    const imageData = {
+      type: 'single',
+      ...await this.storeImage(userId, altText && altText.trim()
+        ? { ...image, altText: altText.trim(), altTextSource: 'user' }
+        : await this.withAltText(image, { title, language: content.language, usage: { userId, feature: 'alt_text' } }),
+      'upload')
+    };
+
+    const updated = await contentRepository.update(content.id, { image_data: imageData });
+    await mediaLibrary.linkContent(content.id, imageData);
+    await accessibilityChecker.checkContent(updated);
+
+    logger.content('Uploaded image attached', {
+      userId,
+      contentId,
+      branding: branding.applied
+    });
+
+    return imageData;
+  }
+
   /**
    * Build image generation prompt
    */
@@ -488,9 +840,11 @@ For document/PDF posts:
     let prompt = `${baseContext}, ${location}`;
     
     // Add content-specific context
-    if (parsedContent.content) {
-      const visualThemes = imageGenerator.extractVisualThemes(parsedContent.content);
-      prompt += `, ${visualThemes.join(', ')}`;
+    if (parsedContent.body) {
+      const visualThemes = imageGenerator.extractThemes(parsedContent.body);
+      if (visualThemes.length > 0) {
+        prompt += `, ${visualThemes.join(', ')}`;
+      }
     }
     
     // Add topic context
@@ -500,7 +854,7 @@ For document/PDF posts:
     
     // Add content type specific styling
     switch (contentType) {
-      case 'carousel':
+      case 'multi_image':
         prompt += ', infographic style, data visualization';
         break;
       case 'video':
@@ -519,12 +873,15 @@ For document/PDF posts:
   /**
    * Generate multiple content variations
    */
-  async generateMultipleVariations(userId, topicId, contentType = 'text', count = 3, includeImage = false) {
+  async generateMultipleVariations(userId, topicId, contentType = 'text', count = 3, includeImage = false, options = {}) {
     const variations = [];
     
     for (let i = 0; i < count; i++) {
       try {
-        const content = await this.generateContent(userId, topicId, contentType, null, includeImage);
+        const content = await this.generateContent(userId, topicId, contentType, null, includeImage, {
+          ...options,
+          feature: options.feature || 'variations'
+        });
         variations.push(content);
         
         // Add delay between generations to avoid rate limiting
@@ -538,6 +895,438 @@ For document/PDF posts:
     
     return variations;
   }
+
+  /**
+   * Rewrite an existing draft with a targeted operation, saved as a new 'rewrite' revision
+   * @param {Object} contentRow - generated_content row owned by the user
+   * @param {string} operation - shorten, change_tone, strengthen_hook, add_cta, listicle or translate
+   * @param {Object} params - { maxCharacters } for shorten, { tone } for change_tone,
+   *   { callToAction } for add_cta (optional), { language } for translate
+   * @param {Object} options - { provider, model, signal }
+   */
+  async rewriteContent(contentRow, operation, params = {}, options = {}) {
+    const rewrite = REWRITE_OPERATIONS[operation];
+    if (!rewrite) {
+      throw new Error(`Unknown rewrite operation: ${operation}`);
+    }
+
+    const startTime = Date.now();
+    const userId = contentRow.user_id;
+    const contentType = contentRow.content_type;
+    const language = operation === 'translate' ? params.language : (contentRow.language || 'en');
+
+    const [storedPrefs, voiceProfile] = await Promise.all([
+      this.getUserPreferences(userId),
+      this.getVoiceProfile(userId)
+    ]);
+    const userPrefs = operation === 'change_tone' ? { ...storedPrefs, tone: params.tone } : storedPrefs;
+    await aiUsage.assertWithinBudget(userId, storedPrefs);
+
+    const prompt = this.buildRewritePrompt(contentRow, rewrite.instruction(params), userPrefs, voiceProfile);
+    const systemPrompt = await this.getSystemPrompt(contentType, userPrefs, language);
+
+    logger.content('Rewriting content', {
+      userId,
+      contentId: contentRow.id,
+      operation,
+      language
+    });
+
+    const { structured, completion, formatAttempts } = await this.generateStructuredContent(
+      contentType,
+      [
+        {
+          role: 'system',
+          content: systemPrompt.text
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      userPrefs,
+      {
+        ...options,
+        language,
+        validate: rewrite.validate && (value => rewrite.validate(value, params)),
+        usage: { userId, feature: 'rewrite' }
+      }
+    );
+
+    const aiModel = llm.formatModelId(completion);
+    const voiceAnalysis = voiceProfile ? brandVoice.scoreDraft(structured.body, voiceProfile) : null;
+    const compliance = complianceChecker.check(structuredContent.collectText(structured), userPrefs);
+    const similarity = await this.checkSimilarity(userId, structured, contentRow.id);
+    const fingerprint = similarity && similarity.fingerprint;
+
+    // Replace the post fields of the stored document, keeping media and generation details
+    const document = { ...this.parseDocument(contentRow.content_text), ...structured };
+    if (language !== 'bilingual') {
+      delete document.bodyAr;
+      delete document.bodyEn;
+    }
+    document.content_text = structuredContent.renderText(structured);
+
+    const client = await pool.connect();
+    let content;
+    let revision;
+    try {
+      await client.query('BEGIN');
+
+      content = await contentRepository.update(contentRow.id, {
+        title: structured.title,
+        content_text: JSON.stringify(document),
+        hashtags: structured.hashtags,
+        structured_content: structured,
+        language,
+        language_metadata: structuredContent.describeLanguage(structured),
+        voice_score: voiceAnalysis ? voiceAnalysis.score : null,
+        voice_analysis: voiceAnalysis,
+        compliance_status: compliance.status,
+        compliance_report: compliance,
+        compliance_checked_at: new Date(compliance.checkedAt),
+        similarity_signature: fingerprint ? fingerprint.signature : null,
+        similarity_bands: fingerprint ? fingerprint.bands : null,
+        similarity_score: similarity && similarity.match ? similarity.similarity : null,
+        duplicate_of: similarity && similarity.duplicate ? similarity.match.contentId : null
+      }, client);
+
+      revision = await revisionHistory.record(content, { source: 'rewrite', authorId: userId, aiModel }, client);
+      await accessibilityChecker.checkContent(content, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const duration = Date.now() - startTime;
+    logger.performance('Content rewrite', duration, {
+      userId,
+      contentId: contentRow.id,
+      operation,
+      aiModel,
+      formatAttempts
+    });
+
+    return {
+      id: content.id,
+      ...structured,
+      content_text: document.content_text,
+      metadata: {
+        operation,
+        revision: revision && revisionHistory.describe(revision),
+        provider: completion.provider,
+        model: completion.model,
+        language,
+        tokensUsed: completion.usage.totalTokens,
+        fallbackUsed: completion.attempts > 1,
+        formatAttempts,
+        voice: voiceAnalysis,
+        compliance,
+        similarity: similarity && similarityIndex.summarize(similarity),
+        generationTime: duration
+      }
+    };
+  }
+
+  /**
+   * Prompt asking for a rewrite of the post as it currently reads
+   */
+  buildRewritePrompt(contentRow, instruction, userPrefs, voiceProfile = null) {
+    let prompt = `Rewrite this LinkedIn ${contentRow.content_type} post. ${instruction}
+Keep everything the instruction does not ask you to change.
+
+`;
+
+    prompt += this.buildGuidelines(userPrefs, voiceProfile);
+    prompt += `Current post:
+${JSON.stringify(this.currentPost(contentRow), null, 2)}
+
+Return the rewritten post as JSON in the format described in your instructions.`;
+
+    return prompt;
+  }
+
+  /**
+   * Brand voice, excluded topics and learned voice guidelines for prompts without a topic
+   */
+  buildGuidelines(userPrefs, voiceProfile = null) {
+    const { brand_voice, excluded_topics } = userPrefs;
+    let guidelines = '';
+
+    if (brand_voice) {
+      guidelines += `Brand Voice Guidelines: ${brand_voice}
+
+`;
+    }
+
+    if (excluded_topics && excluded_topics.length > 0) {
+      guidelines += `Avoid these topics: ${excluded_topics.join(', ')}
+
+`;
+    }
+
+    const voiceGuidelines = brandVoice.formatForPrompt(voiceProfile);
+    if (voiceGuidelines) {
+      guidelines += `${voiceGuidelines}
+
+`;
+    }
+
+    return guidelines;
+  }
+
+  /**
+   * The post as it is published now: human edits replace content_text, so its text wins
+   * over the structured content saved at generation time
+   */
+  currentPost(contentRow) {
+    const document = this.parseDocument(contentRow.content_text);
+    const { language, bodyAr, bodyEn, ...fields } = contentRow.structured_content || {};
+    const text = document.content_text || document.text || document.body || '';
+
+    return {
+      ...fields,
+      title: contentRow.title || document.title || '',
+      body: String(text).replace(/[\u200E\u200F]/g, '').replace(/(\s*#[\p{L}\p{N}_]+)+\s*$/u, ''),
+      hashtags: contentRow.hashtags || document.hashtags || []
+    };
+  }
+
+  /**
+   * Post document stored in content_text; plain text from older rows becomes { content_text }
+   */
+  parseDocument(contentText) {
+    try {
+      const document = JSON.parse(contentText);
+      return document && typeof document === 'object' ? document : { content_text: contentText };
+    } catch (error) {
+      return { content_text: contentText };
+    }
+  }
+
+  /**
+   * Plan a series of posts from a long source document and generate each post as a draft
+   * @param {Object} source - { text, format, name, title, topicId, postCount, contentTypes }
+   *   format is 'text', 'markdown', 'pdf' or 'docx' (text already extracted from the file)
+   * @param {Object} options - { provider, model, language, signal }
+   * @returns {Promise<Object>} { series, posts, failed }
+   */
+  async generateSeries(userId, source, options = {}) {
+    const startTime = Date.now();
+    const format = source.format || 'text';
+    const sourceText = sourceDocument.normalizeSource(source.text, format);
+    const sections = sourceDocument.splitSections(sourceText);
+
+    const [userPrefs, voiceProfile] = await Promise.all([
+      this.getUserPreferences(userId),
+      this.getVoiceProfile(userId)
+    ]);
+    const language = options.language || userPrefs.content_language || 'en';
+    await aiUsage.assertWithinBudget(userId, userPrefs);
+
+    const { plan, completion } = await this.planSeries(sourceText, sections, userPrefs, {
+      ...options,
+      usage: { userId, feature: 'series' },
+      postCount: source.postCount || 5,
+      contentTypes: source.contentTypes || SERIES_CONTENT_TYPES.filter(type => type !== 'video'),
+      title: source.title
+    });
+
+    const series = await seriesRepository.create({
+      user_id: userId,
+      topic_id: source.topicId || null,
+      title: source.title || plan.title,
+      source_format: format,
+      source_name: source.name || null,
+      source_text: sourceText,
+      plan: plan.posts,
+      language,
+      ai_model: llm.formatModelId(completion)
+    });
+
+    logger.content('Content series planned', {
+      userId,
+      seriesId: series.id,
+      sourceCharacters: sourceText.length,
+      sections: sections.length,
+      posts: plan.posts.length
+    });
+
+    // Posts are generated one by one; a failed post leaves a gap that can be regenerated later
+    const posts = [];
+    const failed = [];
+    for (const [index, post] of plan.posts.entries()) {
+      const position = index + 1;
+      try {
+        const prompt = this.buildSeriesPostPrompt(
+          series, plan.posts, position, sections, sourceText, userPrefs, voiceProfile
+        );
+        const content = await this.generateContent(
+          userId,
+          source.topicId || null,
+          post.contentType,
+          prompt,
+          false,
+          { ...options, language, feature: 'series', series: { id: series.id, position } }
+        );
+        posts.push({ position, ...content });
+        plan.posts[index] = { ...post, contentId: content.id };
+      } catch (error) {
+        if (options.signal && options.signal.aborted) {
+          throw error;
+        }
+        logger.error(`Failed to generate post ${position} of series ${series.id}:`, error);
+        failed.push({ position, contentType: post.contentType, error: error.message });
+      }
+    }
+
+    const saved = await seriesRepository.update(series.id, { plan: plan.posts });
+
+    logger.performance('Content series generation', Date.now() - startTime, {
+      userId,
+      seriesId: series.id,
+      posts: posts.length,
+      failed: failed.length
+    });
+
+    return { series: saved, posts, failed };
+  }
+
+  /**
+   * Ask the model for the series outline: one entry per post with its type, angle and source section
+   * @returns {Promise<Object>} { plan: { title, posts }, completion }
+   */
+  async planSeries(sourceText, sections, userPrefs, options = {}) {
+    const { postCount, contentTypes } = options;
+    const headings = sections.map(section => section.heading).filter(Boolean);
+
+    let prompt = `Plan a series of ${postCount} LinkedIn posts based on the source document below.
+Each post must stand on its own, cover a different point from the document and only use facts it contains.
+Mix these post types: ${contentTypes.join(', ')}. Use "multi_image" for carousel slides.
+For each post give the content type, its angle, 1-6 key points and the document section it draws on.
+`;
+    if (options.title) {
+      prompt += `Series title: ${options.title}
+`;
+    }
+    if (headings.length > 0) {
+      prompt += `
+Document sections: ${headings.join(' | ')}
+`;
+    }
+    prompt += `
+Source document:
+${sourceDocument.excerpt(sourceText, SERIES_MAX_SOURCE_CHARACTERS)}
+
+Reply with a JSON object only, in this format:
+${JSON.stringify(SERIES_PLAN_EXAMPLE, null, 2)}`;
+
+    const request = {
+      maxTokens: this.maxTokens,
+      temperature: 0.5,
+      responseFormat: { type: 'json', example: SERIES_PLAN_EXAMPLE, language: options.language }
+    };
+    const parse = (text) => {
+      let data;
+      try {
+        data = structuredContent.extractJson(text).data;
+      } catch (error) {
+        return { error: `Response is not valid JSON: ${error.message}` };
+      }
+
+      const { value, error } = SERIES_PLAN_SCHEMA.validate(data, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        return { error: error.details.map(detail => detail.message).join('; ') };
+      }
+      const unsupported = value.posts.filter(post => !contentTypes.includes(post.contentType));
+      if (unsupported.length > 0) {
+        return { error: `"contentType" must be one of ${contentTypes.join(', ')}` };
+      }
+
+      return { value: { ...value, posts: value.posts.slice(0, postCount) } };
+    };
+
+    let conversation = [
+      {
+        role: 'system',
+        content: 'You are an expert LinkedIn content strategist for professionals in Abu Dhabi/UAE. You turn long reports and articles into series of posts.'
+      },
+      { role: 'user', content: prompt }
+    ];
+    let completion = await llm.complete({ ...request, messages: conversation }, {
+      signal: options.signal,
+      provider: options.provider,
+      model: options.model,
+      preferences: userPrefs
+    });
+    await aiUsage.recordCompletion(options.usage, completion);
+    let parsed = parse(completion.text);
+    let attempts = 1;
+
+    while (parsed.error && attempts <= structuredContent.maxRepairAttempts) {
+      conversation = [
+        ...conversation,
+        { role: 'assistant', content: completion.text },
+        {
+          role: 'user',
+          content: `That response does not match the required JSON format: ${parsed.error}. Reply with the corrected JSON object only.`
+        }
+      ];
+      completion = await llm.complete({ ...request, messages: conversation }, {
+        signal: options.signal,
+        provider: completion.provider,
+        model: completion.model,
+        preferences: userPrefs
+      });
+      await aiUsage.recordCompletion(options.usage, completion);
+      parsed = parse(completion.text);
+      attempts++;
+    }
+
+    if (parsed.error) {
+      throw new Error(`Series plan is invalid after ${attempts} attempt(s): ${parsed.error}`);
+    }
+
+    return { plan: parsed.value, completion };
+  }
+
+  /**
+   * Prompt for one post of a series: its place in the series, the plan entry and the source section
+   */
+  buildSeriesPostPrompt(series, planPosts, position, sections, sourceText, userPrefs, voiceProfile = null) {
+    const post = planPosts[position - 1];
+    const section = sourceDocument.findSection(sections, post.section);
+    const otherAngles = planPosts
+      .filter((other, index) => index !== position - 1)
+      .map(other => `- ${other.angle}`)
+      .join('\n');
+    const material = section
+      ? `${section.heading}\n${sourceDocument.excerpt(section.text, SERIES_MAX_SECTION_CHARACTERS)}`
+      : sourceDocument.excerpt(sourceText, SERIES_MAX_SECTION_CHARACTERS);
+
+    let prompt = `Create a LinkedIn ${post.contentType} post, part ${position} of ${planPosts.length} in the series "${series.title}".
+
+Angle: ${post.angle}
+Key points:
+${post.keyPoints.map(point => `- ${point}`).join('\n')}
+
+Other posts in the series cover (do not repeat them):
+${otherAngles}
+
+`;
+
+    prompt += this.buildGuidelines(userPrefs, voiceProfile);
+    prompt += `Source material (use only facts from it):
+${material}
+
+Return the post as JSON in the format described in your instructions.`;
+
+    return prompt;
+  }
 }
 
-module.exports = new ContentGenerator();
\ No newline at end of file
+module.exports = new ContentGenerator();
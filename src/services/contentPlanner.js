@@ -0,0 +1,460 @@
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const regionalCalendar = require('./regionalCalendar');
+const optimalTiming = require('./optimalTiming');
+const contentGenerator = require('./contentGenerator');
+const scheduler = require('./scheduler');
+const complianceChecker = require('./complianceChecker');
+const similarityIndex = require('./similarityIndex');
+const {
+  withTransaction,
+  users: usersRepository,
+  topics: topicsRepository,
+  content: contentRepository,
+  scheduledPosts: scheduledPostsRepository,
+  plans: plansRepository,
+  planItems: planItemsRepository
+} = require('../database/repositories');
+
+// Share of posts per content type when the request does not give a mix
+const DEFAULT_CONTENT_MIX = { text: 0.5, multi_image: 0.2, poll: 0.15, document: 0.15 };
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+const formatTime = ({ hour, minute }) => `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+
+/**
+ * Monthly content calendar
+ * Plans a month of posts from the user's posting frequency, preferred days and times, active topics
+ * and the regional calendar, then generates each post as a draft booked into scheduled_posts. Posts
+ * are held as 'awaiting_approval' (which the scheduler never publishes) until the plan is approved.
+ */
+class ContentPlannerService {
+  constructor() {
+    this.timezone = process.env.TIMEZONE || 'Asia/Dubai';
+    this.ramadanTimes = [
+      formatTime(optimalTiming.defaultOptimalTimes.ramadan.iftar),
+      formatTime(optimalTiming.defaultOptimalTimes.ramadan.evening)
+    ];
+  }
+
+  /**
+   * Active topics of the user, optionally limited to the given ids
+   */
+  async loadTopics(userId, topicIds = null) {
+    const criteria = { user_id: userId, is_active: true };
+    if (topicIds && topicIds.length > 0) {
+      criteria.id = topicIds;
+    }
+
+    return topicsRepository.findMany(criteria, { orderBy: 'created_at ASC' });
+  }
+
+  /**
+   * Plan a month without saving it
+   * @param {string} month - 'YYYY-MM'
+   * @param {Array} topics - content_topics rows to rotate through
+   * @param {Object} options - { contentMix, includeHolidays, now }
+   */
+  async previewPlan(userId, month, topics, options = {}) {
+    const preferences = await usersRepository.findPreferences(userId);
+    return this.planMonth(month, { ...options, preferences: preferences || {}, topics });
+  }
+
+  /**
+   * Lay out a month of posts
+   * Posting days are the preferred days from tomorrow to the end of the month, skipping public
+   * holidays unless includeHolidays is set; posting_frequency (posts per week) decides how many of
+   * them get a post, spread evenly. Topics and content types are balanced across the month, with
+   * topics whose seasonal_relevance matches the day's events or month moved forward.
+   * @param {Object} options - { preferences, topics, contentMix, includeHolidays, now }
+   * @returns {Object} { month, settings, events, items, skippedDays }
+   */
+  planMonth(month, { preferences = {}, topics = [], contentMix = DEFAULT_CONTENT_MIX, includeHolidays = false, now = new Date() } = {}) {
+    const start = moment.tz(`${month}-01`, 'YYYY-MM-DD', this.timezone);
+    const end = start.clone().endOf('month');
+    const earliest = moment(now).tz(this.timezone).add(1, 'day').startOf('day');
+    const first = moment.max(start, earliest);
+
+    const postingFrequency = preferences.posting_frequency || 3;
+    const preferredDays = preferences.preferred_days && preferences.preferred_days.length > 0
+      ? preferences.preferred_days
+      : WEEKDAYS;
+    const times = (preferences.optimal_times && preferences.optimal_times.length > 0
+      ? preferences.optimal_times
+      : Object.values(scheduler.optimalTimes)
+    ).map(time => time.slice(0, 5));
+
+    const days = [];
+    const skippedDays = [];
+    for (const day = first.clone(); day.isSameOrBefore(end, 'day'); day.add(1, 'day')) {
+      if (!preferredDays.includes(day.isoWeekday())) {
+        continue;
+      }
+
+      const calendarDay = regionalCalendar.getDay(day);
+      if (calendarDay.isHoliday && !includeHolidays) {
+        skippedDays.push({
+          date: calendarDay.date,
+          reason: calendarDay.events.filter(event => event.type === 'holiday').map(event => event.name).join(', ')
+        });
+        continue;
+      }
+
+      days.push(calendarDay);
+    }
+
+    const remainingDays = end.diff(first, 'days') + 1;
+    const total = remainingDays > 0
+      ? Math.min(days.length, Math.max(1, Math.round(postingFrequency * remainingDays / 7)))
+      : 0;
+
+    // Evenly spaced posting days; total never exceeds days.length, so the picks are distinct
+    const postingDays = Array.from({ length: total }, (_, i) => days[Math.floor((i + 0.5) * days.length / total)]);
+
+    const pickTopic = this.topicPicker(topics);
+    const pickContentType = this.contentTypePicker(contentMix);
+    let ramadanSlot = 0;
+
+    const items = postingDays.map((day, index) => {
+      const optimalTime = day.isRamadan
+        ? this.ramadanTimes[ramadanSlot++ % this.ramadanTimes.length]
+        : times[index % times.length];
+      const topic = pickTopic(day);
+
+      return {
+        position: index + 1,
+        date: day.date,
+        scheduledFor: moment.tz(`${day.date} ${optimalTime}`, 'YYYY-MM-DD HH:mm', this.timezone).toDate(),
+        optimalTime,
+        topicId: topic ? topic.id : null,
+        topicTitle: topic ? topic.title : null,
+        contentType: pickContentType(),
+        occasions: day.events.map(({ key, name, type }) => ({ key, name, type }))
+      };
+    });
+
+    return {
+      month,
+      settings: { postingFrequency, preferredDays, times, contentMix, includeHolidays },
+      events: remainingDays > 0 ? regionalCalendar.getEventsBetween(start, end) : [],
+      items,
+      skippedDays
+    };
+  }
+
+  /**
+   * How well a topic suits a day: 1 when its seasonal events match the day's events, 0.5 when only its
+   * months include the day, 0 for topics without seasonal relevance, null when it is out of season
+   */
+  seasonalFit(topic, day) {
+    const relevance = topic.seasonal_relevance;
+    if (!relevance || (!relevance.events && !relevance.months)) {
+      return 0;
+    }
+
+    const tags = day.events.flatMap(event => event.tags);
+    if ((relevance.events || []).some(event => tags.includes(event))) {
+      return 1;
+    }
+
+    return (relevance.months || []).includes(Number(day.date.slice(5, 7))) ? 0.5 : null;
+  }
+
+  /**
+   * Returns pick(day): the in-season topic used least so far, counting a seasonal match as one use
+   * fewer, and among equals the one used longest ago so the same topic does not run back to back
+   */
+  topicPicker(topics) {
+    const counts = new Map(topics.map(topic => [topic.id, 0]));
+    const lastUsed = new Map(topics.map(topic => [topic.id, -1]));
+    let slot = 0;
+
+    return (day) => {
+      const fits = topics.map(topic => ({ topic, fit: this.seasonalFit(topic, day) }));
+      const inSeason = fits.filter(({ fit }) => fit !== null);
+      const candidates = inSeason.length > 0 ? inSeason : fits.map(({ topic }) => ({ topic, fit: 0 }));
+      if (candidates.length === 0) {
+        return null;
+      }
+
+      const score = ({ topic, fit }) => counts.get(topic.id) - fit;
+      const { topic } = candidates.reduce((best, candidate) => {
+        const difference = score(candidate) - score(best);
+        if (difference !== 0) {
+          return difference < 0 ? candidate : best;
+        }
+        return lastUsed.get(candidate.topic.id) < lastUsed.get(best.topic.id) ? candidate : best;
+      });
+
+      counts.set(topic.id, counts.get(topic.id) + 1);
+      lastUsed.set(topic.id, slot++);
+      return topic;
+    };
+  }
+
+  /**
+   * Returns pick(): the content type furthest behind its share of the posts so far
+   * @param {Object} contentMix - { contentType: weight }
+   */
+  contentTypePicker(contentMix) {
+    const entries = Object.entries(contentMix).filter(([, weight]) => weight > 0);
+    const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    const counts = new Map(entries.map(([type]) => [type, 0]));
+    let picked = 0;
+    let previous = null;
+
+    return () => {
+      picked++;
+      const deficit = ([type, weight]) => weight / totalWeight * picked - counts.get(type);
+      const [type] = entries.reduce((best, entry) => {
+        const difference = deficit(entry) - deficit(best);
+        if (Math.abs(difference) > 1e-9) {
+          return difference > 0 ? entry : best;
+        }
+        return best[0] === previous && entry[0] !== previous ? entry : best;
+      });
+
+      counts.set(type, counts.get(type) + 1);
+      previous = type;
+      return type;
+    };
+  }
+
+  /**
+   * Save a planned month
+   * @param {Object} draft - from previewPlan()
+   * @returns {Promise<Object>} content_plans row
+   */
+  async savePlan(userId, draft) {
+    const planId = await withTransaction(async (client) => {
+      const plan = await plansRepository.create({
+        user_id: userId,
+        month: `${draft.month}-01`,
+        settings: draft.settings,
+        events: draft.events
+      }, client);
+
+      for (const item of draft.items) {
+        await planItemsRepository.create({
+          plan_id: plan.id,
+          position: item.position,
+          scheduled_for: item.scheduledFor,
+          optimal_time: item.optimalTime,
+          topic_id: item.topicId,
+          content_type: item.contentType,
+          occasions: item.occasions
+        }, client);
+      }
+
+      return plan.id;
+    });
+
+    logger.content('Content plan created', {
+      userId,
+      planId,
+      month: draft.month,
+      items: draft.items.length
+    });
+
+    return plansRepository.findForUser(userId, planId);
+  }
+
+  /**
+   * Generate a draft for every planned (or previously failed) item and book it into scheduled_posts
+   * Posts wait for approval when the user's content_approval_required preference is on, and always
+   * when the draft fails the compliance check or repeats an earlier post.
+   * @param {Object} options - { provider, model, language }
+   * @returns {Promise<Object>} { plan, items, generated, failed }
+   */
+  async generatePlan(userId, plan, options = {}) {
+    const preferences = await usersRepository.findPreferences(userId);
+    const approvalRequired = !preferences || preferences.content_approval_required !== false;
+    const items = (await plansRepository.findItems(plan.id))
+      .filter(item => item.status === 'planned' || item.status === 'failed');
+
+    let generated = 0;
+    const failed = [];
+
+    for (const item of items) {
+      if (moment(item.scheduled_for).isSameOrBefore(moment())) {
+        await planItemsRepository.update(item.id, { status: 'failed', error_message: 'The planned publishing time has passed' });
+        failed.push({ itemId: item.id, position: item.position, message: 'The planned publishing time has passed' });
+        continue;
+      }
+
+      try {
+        const eventNames = item.occasions.map(occasion => occasion.name);
+        const content = await contentGenerator.generateContent(userId, item.topic_id, item.content_type, null, false, {
+          ...options,
+          feature: 'content_plan',
+          occasion: eventNames.length > 0
+            ? { date: moment(item.scheduled_for).tz(this.timezone).format('dddd D MMMM YYYY'), events: eventNames }
+            : null
+        });
+
+        const { compliance, similarity } = content.metadata;
+        const autoApprove = !approvalRequired
+          && compliance.status !== 'blocked'
+          && !(similarity && similarity.duplicate && similarity.action === 'reject');
+
+        const scheduledPostId = await scheduler.schedulePost(
+          userId,
+          content.id,
+          item.scheduled_for,
+          'optimal',
+          item.optimal_time && item.optimal_time.slice(0, 5),
+          autoApprove ? 'pending' : 'awaiting_approval'
+        );
+        if (autoApprove) {
+          await contentRepository.update(content.id, { status: 'scheduled' });
+        }
+
+        await planItemsRepository.update(item.id, {
+          status: autoApprove ? 'approved' : 'generated',
+          content_id: content.id,
+          scheduled_post_id: scheduledPostId,
+          error_message: null
+        });
+        generated++;
+      } catch (error) {
+        logger.error('Content plan item generation failed:', error);
+        await planItemsRepository.update(item.id, { status: 'failed', error_message: error.message });
+        failed.push({ itemId: item.id, position: item.position, message: error.message });
+      }
+    }
+
+    const updated = await this.refreshStatus(userId, plan.id);
+
+    logger.content('Content plan generated', {
+      userId,
+      planId: plan.id,
+      generated,
+      failed: failed.length,
+      approvalRequired
+    });
+
+    return { ...updated, generated, failed };
+  }
+
+  /**
+   * Approve generated items: their drafts become scheduled and their posts are released to the
+   * scheduler. Items whose draft fails the compliance check, repeats an earlier post (unless
+   * allowDuplicate) or whose publishing time has passed stay awaiting approval.
+   * @param {Object} options - { itemIds, allowDuplicate }
+   * @returns {Promise<Object>} { plan, items, approved, blocked, duplicates, expired }
+   */
+  async approvePlan(userId, plan, { itemIds = null, allowDuplicate = false } = {}) {
+    const items = (await plansRepository.findItems(plan.id))
+      .filter(item => item.status === 'generated' && (!itemIds || itemIds.includes(item.id)));
+
+    const approved = [];
+    const blocked = [];
+    const duplicates = [];
+    const expired = [];
+
+    for (const item of items) {
+      if (moment(item.scheduled_for).isSameOrBefore(moment())) {
+        expired.push({ itemId: item.id, position: item.position, scheduledFor: item.scheduled_for });
+        continue;
+      }
+
+      const content = await contentRepository.findById(item.content_id);
+      if (!content) {
+        continue;
+      }
+
+      const compliance = await complianceChecker.checkContent(content);
+      if (compliance.status === 'blocked') {
+        blocked.push({ itemId: item.id, position: item.position, contentId: content.id, compliance });
+        continue;
+      }
+
+      const similarity = await similarityIndex.checkContent(content);
+      if (similarity.duplicate && similarity.action === 'reject' && !allowDuplicate) {
+        duplicates.push({
+          itemId: item.id,
+          position: item.position,
+          contentId: content.id,
+          similarity: similarityIndex.summarize(similarity)
+        });
+        continue;
+      }
+
+      await withTransaction(async (client) => {
+        await scheduledPostsRepository.updateWhere(
+          { id: item.scheduled_post_id, status: 'awaiting_approval' },
+          { status: 'pending' },
+          client
+        );
+        await contentRepository.update(content.id, {
+          status: 'scheduled',
+          approved_by: userId,
+          approved_at: new Date()
+        }, client);
+        await planItemsRepository.update(item.id, { status: 'approved' }, client);
+      });
+      approved.push({ itemId: item.id, position: item.position, contentId: content.id, scheduledFor: item.scheduled_for });
+    }
+
+    const updated = await this.refreshStatus(userId, plan.id);
+
+    logger.content('Content plan approved', {
+      userId,
+      planId: plan.id,
+      approved: approved.length,
+      blocked: blocked.length,
+      duplicates: duplicates.length,
+      expired: expired.length
+    });
+
+    return { ...updated, approved, blocked, duplicates, expired };
+  }
+
+  /**
+   * Delete a plan and cancel its posts that are still awaiting approval
+   * Approved posts stay scheduled and generated drafts are kept.
+   * @returns {Promise<number>} Number of cancelled posts
+   */
+  async discardPlan(userId, plan) {
+    const items = await plansRepository.findItems(plan.id);
+    const waiting = items
+      .filter(item => item.scheduled_post_id && item.status === 'generated')
+      .map(item => item.scheduled_post_id);
+
+    const cancelled = await withTransaction(async (client) => {
+      const rows = waiting.length > 0
+        ? await scheduledPostsRepository.updateWhere(
+          { id: waiting, status: 'awaiting_approval' },
+          { status: 'cancelled' },
+          client
+        )
+        : [];
+      await plansRepository.delete(plan.id, client);
+      return rows.length;
+    });
+
+    logger.content('Content plan discarded', { userId, planId: plan.id, cancelled });
+
+    return cancelled;
+  }
+
+  /**
+   * Recompute a plan's status from its items
+   * @returns {Promise<Object>} { plan, items }
+   */
+  async refreshStatus(userId, planId) {
+    const items = await plansRepository.findItems(planId);
+    const status = items.length > 0 && items.every(item => item.status === 'approved')
+      ? 'approved'
+      : items.some(item => item.content_id) ? 'generated' : 'planned';
+
+    await plansRepository.update(planId, { status });
+
+    return {
+      plan: await plansRepository.findForUser(userId, planId),
+      items
+    };
+  }
+}
+
+module.exports = new ContentPlannerService();
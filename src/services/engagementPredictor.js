@@ -0,0 +1,344 @@
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const {
+  users: usersRepository,
+  analytics: analyticsRepository,
+  engagementModels: engagementModelsRepository
+} = require('../database/repositories');
+const brandVoice = require('./brandVoice');
+const structuredContent = require('./structuredContent');
+
+// Engagement rate (%) assumed when neither the user's industry nor the user has published posts
+const DEFAULT_RATE = 2;
+
+// Typical effect of a feature on LinkedIn engagement as a share of the base rate. Every model starts
+// here and moves toward the user's own results as posts come in. The base case the features are
+// measured against is a 600-1,300 character text post opening with a statement, with 1-5 hashtags,
+// published on a weekday morning.
+const PRIOR_LIFTS = {
+  'length:short': -0.1,
+  'length:long': -0.05,
+  'hook:question': 0.1,
+  'hook:statistic': 0.08,
+  'hook:personal_story': 0.15,
+  'hook:short_hook': 0.05,
+  'type:multi_image': 0.1,
+  'type:video': 0.05,
+  'type:poll': 0.2,
+  'type:document': 0.15,
+  'hashtags:none': -0.05,
+  'hashtags:many': -0.1,
+  'slot:midday': -0.05,
+  'slot:evening': -0.1,
+  'slot:night': -0.2,
+  weekend: -0.2
+};
+
+const FEATURE_LABELS = {
+  'length:short': 'Short post (under 600 characters)',
+  'length:long': 'Long post (over 1,300 characters)',
+  'hook:question': 'Opens with a question',
+  'hook:statistic': 'Opens with a number or statistic',
+  'hook:personal_story': 'Opens with a personal story',
+  'hook:short_hook': 'Opens with a short hook line',
+  'type:multi_image': 'Image carousel',
+  'type:video': 'Video post',
+  'type:poll': 'Poll',
+  'type:document': 'Document post',
+  'hashtags:none': 'No hashtags',
+  'hashtags:many': 'More than 5 hashtags',
+  'slot:midday': 'Midday slot (11:00-15:00)',
+  'slot:evening': 'Evening slot (15:00-21:00)',
+  'slot:night': 'Late-night slot (21:00-06:00)',
+  weekend: 'Weekend (Saturday or Sunday)'
+};
+
+// Spread of engagement around the prediction before any history, as a share of the base rate
+const PRIOR_SPREAD = 0.5;
+// Posts a topic needs in the history before it gets a weight of its own
+const TOPIC_MIN_POSTS = 2;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Solve the linear system A·x = b by Gaussian elimination with partial pivoting
+ */
+const solve = (matrix, vector) => {
+  const size = vector.length;
+  const rows = matrix.map((row, index) => [...row, vector[index]]);
+
+  for (let column = 0; column < size; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) {
+        pivot = row;
+      }
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+    for (let row = column + 1; row < size; row++) {
+      const factor = rows[row][column] / rows[column][column];
+      for (let k = column; k <= size; k++) {
+        rows[row][k] -= factor * rows[column][k];
+      }
+    }
+  }
+
+  const solution = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = rows[row][size];
+    for (let k = row + 1; k < size; k++) {
+      sum -= rows[row][k] * solution[k];
+    }
+    solution[row] = sum / rows[row][row];
+  }
+  return solution;
+};
+
+/**
+ * Engagement prediction
+ * Fits a per-user linear model of engagement rate over post features (length, opening hook,
+ * content type, hashtag count, time slot, topic) on the user's published posts. The fit is
+ * regularised toward industry-level starting weights, so new users get the industry picture and
+ * the model follows the user's own audience as their history grows.
+ */
+class EngagementPredictorService {
+  constructor() {
+    this.timezone = process.env.TIMEZONE || 'Asia/Dubai';
+    this.minPosts = parseInt(process.env.ENGAGEMENT_MODEL_MIN_POSTS) || 10;
+    this.refreshHours = parseInt(process.env.ENGAGEMENT_MODEL_REFRESH_HOURS) || 24;
+    this.lookbackDays = parseInt(process.env.ENGAGEMENT_MODEL_LOOKBACK_DAYS) || 365;
+    // Weight of the starting values, in posts: with fewer posts than this they still dominate
+    this.priorStrength = parseFloat(process.env.ENGAGEMENT_PRIOR_STRENGTH) || 5;
+  }
+
+  /**
+   * Feature names present in a post
+   * @param {Object} row - generated_content columns plus topic_title and posted_at or scheduled_for;
+   *   posts without a publishing time are scored as a weekday morning post
+   * @returns {Array<string>}
+   */
+  extractFeatures(row, timezone = this.timezone) {
+    const text = brandVoice.describeText(structuredContent.textFromContent(row) || '');
+    const hashtagCount = (row.hashtags || []).length;
+    const features = [];
+
+    if (text.characters < 600) {
+      features.push('length:short');
+    } else if (text.characters > 1300) {
+      features.push('length:long');
+    }
+
+    if (text.opener !== 'statement') {
+      features.push(`hook:${text.opener}`);
+    }
+
+    if (row.content_type && row.content_type !== 'text') {
+      features.push(`type:${row.content_type}`);
+    }
+
+    if (hashtagCount === 0) {
+      features.push('hashtags:none');
+    } else if (hashtagCount > 5) {
+      features.push('hashtags:many');
+    }
+
+    const publishedAt = row.posted_at || row.scheduled_for;
+    if (publishedAt) {
+      const local = moment.tz(publishedAt, timezone);
+      const hour = local.hour();
+      if (hour >= 11 && hour < 15) {
+        features.push('slot:midday');
+      } else if (hour >= 15 && hour < 21) {
+        features.push('slot:evening');
+      } else if (hour >= 21 || hour < 6) {
+        features.push('slot:night');
+      }
+      if (local.day() === 0 || local.day() === 6) {
+        features.push('weekend');
+      }
+    }
+
+    if (row.topic_id) {
+      features.push(`topic:${row.topic_id}`);
+    }
+
+    return features;
+  }
+
+  /**
+   * Starting weights for a base engagement rate; topics start without an effect
+   */
+  priorWeights(baseRate, topicIds = []) {
+    const weights = { intercept: baseRate };
+    Object.entries(PRIOR_LIFTS).forEach(([feature, lift]) => {
+      weights[feature] = baseRate * lift;
+    });
+    topicIds.forEach(topicId => {
+      weights[`topic:${topicId}`] = 0;
+    });
+    return weights;
+  }
+
+  /**
+   * Least squares pulled toward the prior weights:
+   * w = (XᵀX + λI)⁻¹ (Xᵀy + λ·w_prior), with λ = priorStrength
+   * @param {Array} samples - [{ features, rate }]
+   * @param {Object} prior - feature name -> starting weight, including intercept
+   * @returns {Object} { weights, residualStd }
+   */
+  fit(samples, prior, strength = this.priorStrength) {
+    const names = Object.keys(prior);
+    const index = new Map(names.map((name, position) => [name, position]));
+    const matrix = names.map((_, row) => names.map((__, column) => (row === column ? strength : 0)));
+    const vector = names.map(name => strength * prior[name]);
+
+    samples.forEach(({ features, rate }) => {
+      const active = [0, ...features.filter(name => index.has(name)).map(name => index.get(name))];
+      active.forEach(row => {
+        vector[row] += rate;
+        active.forEach(column => {
+          matrix[row][column] += 1;
+        });
+      });
+    });
+
+    const solution = solve(matrix, vector);
+    const weights = {};
+    names.forEach((name, position) => {
+      weights[name] = round(solution[position], 4);
+    });
+
+    const squaredErrors = samples.reduce((sum, { features, rate }) => {
+      const predicted = features.reduce((total, name) => total + (weights[name] || 0), weights.intercept);
+      return sum + (rate - predicted) ** 2;
+    }, 0);
+    const priorStd = prior.intercept * PRIOR_SPREAD;
+    const residualStd = Math.sqrt((squaredErrors + strength * priorStd ** 2) / (samples.length + strength));
+
+    return { weights, residualStd: round(residualStd, 3) };
+  }
+
+  /**
+   * Model row for a user, retrained when it is missing or older than ENGAGEMENT_MODEL_REFRESH_HOURS
+   * @returns {Promise<Object>} engagement_models row
+   */
+  async getModel(userId, { refresh = false } = {}) {
+    const existing = await engagementModelsRepository.findByUser(userId);
+    const stale = !existing || !existing.trained_at ||
+      Date.now() - new Date(existing.trained_at).getTime() > this.refreshHours * 60 * 60 * 1000;
+
+    if (!refresh && !stale) {
+      return existing;
+    }
+
+    return this.train(userId);
+  }
+
+  /**
+   * Fit the user's model on their published posts and store it
+   */
+  async train(userId) {
+    const since = new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000);
+    const user = await usersRepository.findById(userId);
+    const [history, benchmark] = await Promise.all([
+      analyticsRepository.getEngagementHistory(userId, since),
+      user && user.industry ? analyticsRepository.getIndustryBenchmark(user.industry, since) : null
+    ]);
+
+    const prior = benchmark && benchmark.industry_avg_engagement > 0
+      ? { source: 'industry', industry: user.industry, rate: round(benchmark.industry_avg_engagement) }
+      : { source: 'default', rate: DEFAULT_RATE };
+
+    const timezone = (user && user.timezone) || this.timezone;
+    const samples = history.map(row => ({
+      features: this.extractFeatures(row, timezone),
+      rate: row.engagement_rate
+    }));
+
+    const topicCounts = new Map();
+    history.filter(row => row.topic_id).forEach(row => {
+      topicCounts.set(row.topic_id, (topicCounts.get(row.topic_id) || 0) + 1);
+    });
+    const topicIds = Array.from(topicCounts.entries())
+      .filter(([, count]) => count >= TOPIC_MIN_POSTS)
+      .map(([topicId]) => topicId);
+
+    const { weights, residualStd } = this.fit(samples, this.priorWeights(prior.rate, topicIds));
+    const saved = await engagementModelsRepository.saveModel(userId, {
+      weights,
+      prior,
+      sampleSize: samples.length,
+      residualStd
+    });
+
+    logger.analytics('Engagement model trained', {
+      userId,
+      sampleSize: samples.length,
+      prior: prior.source,
+      residualStd
+    });
+
+    return saved;
+  }
+
+  /**
+   * Predicted engagement rate (%) of a post
+   * @returns {Object} { rate, low, high, confidence, basis, factors } where low-high is one residual
+   *   standard deviation around the rate and factors are the three features moving it most
+   */
+  predict(model, row, timezone = this.timezone) {
+    const { weights } = model;
+    const contributions = this.extractFeatures(row, timezone)
+      .filter(name => weights[name] !== undefined)
+      .map(name => ({
+        feature: name,
+        label: name.startsWith('topic:') ? `Topic: ${row.topic_title || 'untitled'}` : FEATURE_LABELS[name],
+        impact: weights[name]
+      }));
+
+    const rate = Math.max(0, contributions.reduce((sum, item) => sum + item.impact, weights.intercept));
+    const spread = model.residual_std;
+
+    return {
+      rate: round(rate),
+      low: round(Math.max(0, rate - spread)),
+      high: round(rate + spread),
+      confidence: model.sample_size >= this.minPosts * 3 ? 'high' : model.sample_size >= this.minPosts ? 'medium' : 'low',
+      basis: {
+        posts: model.sample_size,
+        prior: model.prior.source,
+        baseRate: round(weights.intercept)
+      },
+      factors: contributions
+        .filter(item => Math.abs(item.impact) >= 0.01)
+        .sort((a, b) => Math.abs(b.impact) - Math.abs(a.impact))
+        .slice(0, 3)
+        .map(item => ({
+          ...item,
+          impact: round(item.impact),
+          direction: item.impact > 0 ? 'positive' : 'negative'
+        }))
+    };
+  }
+
+  /**
+   * Rows with a predicted_engagement field; the field is null when the model cannot be loaded
+   */
+  async withPredictions(userId, rows) {
+    try {
+      const [model, user] = await Promise.all([
+        this.getModel(userId),
+        usersRepository.findById(userId)
+      ]);
+      const timezone = (user && user.timezone) || this.timezone;
+
+      return rows.map(row => ({ ...row, predicted_engagement: this.predict(model, row, timezone) }));
+    } catch (error) {
+      logger.error('Engagement prediction failed, continuing...:', error);
+      return rows.map(row => ({ ...row, predicted_engagement: null }));
+    }
+  }
+}
+
+module.exports = new EngagementPredictorService();
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getAvailableRedis } = require('../database/redis');
+
+// Stable JSON: object keys sorted, strings trimmed with whitespace collapsed, empty values dropped
+const normalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.keys(value).sort().reduce((normalized, key) => {
+      const item = normalize(value[key]);
+      if (item !== undefined && item !== null && item !== '') {
+        normalized[key] = item;
+      }
+      return normalized;
+    }, {});
+  }
+  return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : value;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Generation result cache and request deduplication, backed by Redis
+ * Results of identical generation requests are reused for GENERATION_CACHE_TTL_SECONDS, and requests
+ * sent with the same idempotency key return the in-flight or earlier result instead of generating
+ * again. Without Redis, generation runs uncached and only duplicates within this process are caught.
+ */
+class GenerationCacheService {
+  constructor() {
+    this.ttl = process.env.GENERATION_CACHE_TTL_SECONDS !== undefined
+      ? parseInt(process.env.GENERATION_CACHE_TTL_SECONDS) || 0
+      : 3600;
+    this.idempotencyTtl = parseInt(process.env.IDEMPOTENCY_KEY_TTL_SECONDS) || 86400;
+    this.idempotencyWait = (parseInt(process.env.IDEMPOTENCY_WAIT_SECONDS) || 60) * 1000;
+    this.pollInterval = 500;
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Hash of a request, independent of key order and insignificant whitespace
+   */
+  hashRequest(request) {
+    return crypto.createHash('sha256').update(JSON.stringify(normalize(request))).digest('hex');
+  }
+
+  /**
+   * Cached result for a request hash, null on a miss or while Redis is down
+   */
+  async get(hash) {
+    if (this.ttl <= 0) {
+      return null;
+    }
+
+    try {
+      const redis = await getAvailableRedis();
+      const cached = redis && await redis.get(`generation:result:${hash}`);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      logger.error('Generation cache lookup failed, continuing...:', error);
+      return null;
+    }
+  }
+
+  async set(hash, result) {
+    if (this.ttl <= 0) {
+      return;
+    }
+
+    try {
+      const redis = await getAvailableRedis();
+      if (redis) {
+        await redis.set(`generation:result:${hash}`, JSON.stringify(result), 'EX', this.ttl);
+      }
+    } catch (error) {
+      logger.error('Generation cache write failed, continuing...:', error);
+    }
+  }
+
+  /**
+   * Run a request once per idempotency key
+   * A repeated key returns the result of the first request: immediately once it has completed, or
+   * when it completes if it is still running (in this process or, through Redis, in another one).
+   * A failed request releases the key so it can be retried.
+   * @param {string} fingerprint - hashRequest() of the request; a key reused for a different request is refused
+   * @returns {Promise<Object>} { result, replayed } or { conflict: 'mismatch' | 'in_progress' }
+   */
+  async runOnce(userId, key, fingerprint, run) {
+    const redisKey = `generation:idempotency:${userId}:${this.hashRequest(key)}`;
+
+    const local = this.inFlight.get(redisKey);
+    if (local) {
+      if (local.fingerprint !== fingerprint) {
+        return { conflict: 'mismatch' };
+      }
+      const outcome = await local.promise;
+      return outcome.conflict ? outcome : { result: outcome.result, replayed: true };
+    }
+
+    const promise = this.execute(redisKey, fingerprint, run);
+    this.inFlight.set(redisKey, { fingerprint, promise });
+    try {
+      return await promise;
+    } finally {
+      this.inFlight.delete(redisKey);
+    }
+  }
+
+  async execute(redisKey, fingerprint, run) {
+    const previous = await this.claim(redisKey, fingerprint);
+    if (previous) {
+      return previous;
+    }
+
+    try {
+      const result = await run();
+      await this.store(redisKey, { state: 'completed', fingerprint, result });
+      return { result, replayed: false };
+    } catch (error) {
+      await this.release(redisKey);
+      throw error;
+    }
+  }
+
+  /**
+   * Reserve a key in Redis, or wait for the request that holds it
+   * @returns {Promise<Object|null>} null once the key is ours (or Redis is down), else the runOnce() outcome
+   */
+  async claim(redisKey, fingerprint) {
+    const deadline = Date.now() + this.idempotencyWait;
+
+    try {
+      while (Date.now() < deadline) {
+        const redis = await getAvailableRedis();
+        if (!redis) {
+          return null;
+        }
+
+        const pending = JSON.stringify({ state: 'pending', fingerprint });
+        if (await redis.set(redisKey, pending, 'EX', this.idempotencyTtl, 'NX')) {
+          return null;
+        }
+
+        const entry = JSON.parse(await redis.get(redisKey) || 'null');
+        if (entry && entry.fingerprint !== fingerprint) {
+          return { conflict: 'mismatch' };
+        }
+        if (entry && entry.state === 'completed') {
+          return { result: entry.result, replayed: true };
+        }
+
+        // Still running elsewhere, or released after a failure: look again
+        await sleep(this.pollInterval);
+      }
+    } catch (error) {
+      logger.error('Idempotency key check failed, continuing...:', error);
+      return null;
+    }
+
+    return { conflict: 'in_progress' };
+  }
+
+  async store(redisKey, entry) {
+    try {
+      const redis = await getAvailableRedis();
+      if (redis) {
+        await redis.set(redisKey, JSON.stringify(entry), 'EX', this.idempotencyTtl);
+      }
+    } catch (error) {
+      logger.error('Idempotency key update failed, continuing...:', error);
+    }
+  }
+
+  async release(redisKey) {
+    try {
+      const redis = await getAvailableRedis();
+      if (redis) {
+        await redis.del(redisKey);
+      }
+    } catch (error) {
+      logger.error('Idempotency key release failed, continuing...:', error);
+    }
+  }
+}
+
+module.exports = new GenerationCacheService();
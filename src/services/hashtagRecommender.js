@@ -0,0 +1,264 @@
+const logger = require('../utils/logger');
+const { users: usersRepository, analytics: analyticsRepository } = require('../database/repositories');
+
+// Regional tags offered for every post, by content language
+const LOCAL_HASHTAGS = {
+  en: ['#AbuDhabi', '#UAE', '#UAEBusiness'],
+  ar: ['#أبوظبي', '#الإمارات', '#AbuDhabi']
+};
+const LOCAL_PATTERN = /abudhabi|uae|dubai|sharjah|emirat|gcc|middleeast|أبوظبي|الإمارات|دبي/u;
+
+// Large general-audience LinkedIn tags; anything neither broad nor local counts as niche
+const BROAD_HASHTAGS = [
+  '#Leadership', '#Innovation', '#Business', '#Technology', '#Marketing', '#Sales', '#Sustainability',
+  '#AI', '#ArtificialIntelligence', '#DigitalTransformation', '#Careers', '#Management', '#Strategy',
+  '#Entrepreneurship', '#Startups', '#Productivity', '#FutureOfWork', '#Hiring', '#Finance',
+  '#Education', '#Healthcare', '#Engineering', '#Construction', '#RealEstate', '#Energy', '#Logistics'
+];
+const BROAD_KEYS = new Set(BROAD_HASHTAGS.map(tag => tag.slice(1).toLowerCase()));
+
+// Share of the mix per tier; niche tags fill the rest
+const MIX = { broad: 0.3, local: 0.2 };
+// Posts a tag needs before its own engagement outweighs the user's average
+const PRIOR_POSTS = 3;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Hashtag recommender
+ * Ranks candidate tags for a draft (the model's own tags, topic keywords, tags from the user's
+ * posting history, broad and regional tags) by how relevant they are to the text and how posts
+ * using them have performed, and returns a mix of broad, niche and local tags.
+ */
+class HashtagRecommenderService {
+  constructor() {
+    this.targetCount = parseInt(process.env.HASHTAG_TARGET_COUNT) || 5;
+    this.lookbackDays = parseInt(process.env.HASHTAG_LOOKBACK_DAYS) || 180;
+  }
+
+  /**
+   * Case-insensitive identity of a tag, without the #
+   */
+  key(tag) {
+    return String(tag || '').replace(/^#/, '').toLowerCase();
+  }
+
+  /**
+   * Hashtag for a keyword phrase: 'smart cities' -> '#SmartCities', Arabic words joined with _
+   */
+  toHashtag(phrase) {
+    const words = String(phrase || '').match(WORD) || [];
+    if (words.length === 0) {
+      return null;
+    }
+
+    if (words.some(word => /\p{Script=Arabic}/u.test(word))) {
+      return `#${words.join('_')}`;
+    }
+
+    return `#${words.map(word => (word === word.toLowerCase() ? word[0].toUpperCase() + word.slice(1) : word)).join('')}`;
+  }
+
+  /**
+   * 'local', 'broad' or 'niche'
+   */
+  classify(tag) {
+    const key = this.key(tag);
+    if (LOCAL_PATTERN.test(key)) {
+      return 'local';
+    }
+    return BROAD_KEYS.has(key) ? 'broad' : 'niche';
+  }
+
+  /**
+   * Share of a tag's words that appear in the text; 1 when the whole tag does
+   * @param {Object} text - { squashed, words } from prepareText()
+   */
+  relevance(tag, text) {
+    const key = this.key(tag);
+    if (key.length >= 3 && text.squashed.includes(key)) {
+      return 1;
+    }
+
+    const words = (tag.replace(/^#/, '').replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2').toLowerCase().match(WORD) || [])
+      .filter(word => word.length >= 2);
+    if (words.length === 0) {
+      return 0;
+    }
+
+    return words.filter(word => text.words.has(word)).length / words.length;
+  }
+
+  prepareText(text) {
+    const lower = String(text || '').toLowerCase();
+    return {
+      squashed: (lower.match(WORD) || []).join(''),
+      words: new Set(lower.match(WORD) || [])
+    };
+  }
+
+  /**
+   * Engagement multiplier of a tag: its average engagement rate relative to the user's, pulled
+   * toward 1 until the tag has been used on a few posts
+   */
+  performanceFactor(stats, baseline) {
+    if (!stats || !baseline || baseline.avg_engagement_rate <= 0) {
+      return 1;
+    }
+
+    const lift = stats.avg_engagement_rate / baseline.avg_engagement_rate;
+    const factor = (stats.posts_count * lift + PRIOR_POSTS) / (stats.posts_count + PRIOR_POSTS);
+    return Math.min(2, Math.max(0.5, factor));
+  }
+
+  /**
+   * How many tags of each tier a mix of count tags should have
+   */
+  mixFor(count) {
+    const broad = count >= 2 ? Math.max(1, Math.floor(count * MIX.broad)) : 0;
+    const local = count >= 3 ? Math.max(1, Math.floor(count * MIX.local)) : 0;
+    return { broad, local, niche: count - broad - local };
+  }
+
+  /**
+   * Rank candidates and pick the mix
+   * @param {Object} input - { text, hashtags, keywords, industry, language, stats, baseline, count }
+   *   hashtags are the draft's own tags; stats are getHashtagStats() rows
+   * @returns {Array} [{ tag, tier, score, relevance, source, performance }] best first
+   */
+  buildRecommendations({ text = '', hashtags = [], keywords = [], industry = null, language = 'en', stats = [], baseline = null, count }) {
+    const prepared = this.prepareText([text, ...keywords, industry].filter(Boolean).join('\n'));
+    const statsByKey = new Map(stats.map(row => [this.key(row.hashtag), row]));
+    const candidates = new Map();
+
+    const add = (tag, source, relevance) => {
+      const key = this.key(tag);
+      if (!tag || !key || relevance <= 0) {
+        return;
+      }
+
+      const existing = candidates.get(key);
+      if (existing && existing.relevance >= relevance) {
+        return;
+      }
+
+      const row = statsByKey.get(key);
+      const factor = this.performanceFactor(row, baseline);
+      candidates.set(key, {
+        tag: existing ? existing.tag : (row ? row.hashtag : tag),
+        tier: this.classify(tag),
+        score: Math.round(relevance * factor * 1000) / 1000,
+        relevance: Math.round(relevance * 1000) / 1000,
+        source: existing ? existing.source : source,
+        performance: row
+          ? {
+            posts: row.posts_count,
+            avgEngagementRate: row.avg_engagement_rate,
+            lift: Math.round(factor * 100) / 100
+          }
+          : null
+      });
+    };
+
+    hashtags.forEach(tag => add(tag, 'draft', 1));
+    keywords.forEach(keyword => add(this.toHashtag(keyword), 'topic', 1));
+    stats.forEach(row => add(row.hashtag, 'history', this.relevance(row.hashtag, prepared)));
+    [...BROAD_HASHTAGS, this.toHashtag(industry)]
+      .filter(Boolean)
+      .forEach(tag => add(tag, 'broad', this.relevance(tag, prepared) * 0.8));
+    (LOCAL_HASHTAGS[language === 'en' ? 'en' : 'ar'])
+      .forEach(tag => add(tag, 'local', Math.max(0.5, this.relevance(tag, prepared))));
+
+    const ranked = Array.from(candidates.values()).sort((a, b) => b.score - a.score);
+    const quotas = this.mixFor(count);
+    const selected = [];
+
+    ['niche', 'broad', 'local'].forEach(tier => {
+      selected.push(...ranked.filter(candidate => candidate.tier === tier).slice(0, quotas[tier]));
+    });
+    // Tiers without enough candidates leave room for the best of the rest
+    ranked
+      .filter(candidate => !selected.includes(candidate))
+      .slice(0, count - selected.length)
+      .forEach(candidate => selected.push(candidate));
+
+    return selected.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Recommended hashtags for a draft
+   * @param {Object} draft - { text, hashtags, topic, language }
+   * @param {Object} options - { count, preferences }; count is capped at the user's max_hashtags
+   * @returns {Promise<Object>} { hashtags, mix, baseline }
+   */
+  async recommend(userId, { text, hashtags = [], topic = null, language = 'en' }, options = {}) {
+    const since = new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000);
+    const [preferences, stats, baseline] = await Promise.all([
+      options.preferences || usersRepository.findPreferences(userId),
+      analyticsRepository.getHashtagStats(userId, since),
+      analyticsRepository.getEngagementBaseline(userId, since)
+    ]);
+
+    const maxHashtags = (preferences && preferences.max_hashtags) || 10;
+    const count = Math.min(options.count || this.targetCount, maxHashtags);
+
+    const recommendations = this.buildRecommendations({
+      text,
+      hashtags,
+      keywords: (topic && topic.keywords) || [],
+      industry: topic && topic.industry,
+      language,
+      stats,
+      baseline,
+      count
+    });
+
+    logger.content('Hashtags recommended', {
+      userId,
+      count: recommendations.length,
+      fromHistory: recommendations.filter(item => item.performance).length
+    });
+
+    return {
+      hashtags: recommendations,
+      mix: this.mixFor(count),
+      baseline
+    };
+  }
+
+  /**
+   * Engagement per hashtag compared with the user's average
+   * Tags used on fewer than minPosts posts are reported but marked low confidence.
+   * @returns {Promise<Object>} { baseline, hashtags, top, underperforming }
+   */
+  async getPerformanceReport(userId, since, { limit = 50, minPosts = 3 } = {}) {
+    const [stats, baseline] = await Promise.all([
+      analyticsRepository.getHashtagStats(userId, since),
+      analyticsRepository.getEngagementBaseline(userId, since)
+    ]);
+
+    const hashtags = stats
+      .map(row => {
+        const lift = baseline.avg_engagement_rate > 0 ? row.avg_engagement_rate / baseline.avg_engagement_rate : null;
+        return {
+          ...row,
+          tier: this.classify(row.hashtag),
+          lift: lift === null ? null : Math.round(lift * 100) / 100,
+          confidence: row.posts_count >= minPosts * 3 ? 'high' : row.posts_count >= minPosts ? 'medium' : 'low'
+        };
+      })
+      .sort((a, b) => this.performanceFactor(b, baseline) - this.performanceFactor(a, baseline))
+      .slice(0, limit);
+
+    const reliable = hashtags.filter(row => row.confidence !== 'low' && row.lift !== null);
+
+    return {
+      baseline,
+      hashtags,
+      top: reliable.filter(row => row.lift >= 1.2).slice(0, 10),
+      underperforming: reliable.filter(row => row.lift < 0.8).slice(-10).reverse()
+    };
+  }
+}
+
+module.exports = new HashtagRecommenderService();
@@ -1,11 +1,9 @@
-const axios = require('axios');
 const logger = require('../utils/logger');
-const fs = require('fs').promises;
-const path = require('path');
+const imageProviders = require('./images');
+const brandKitService = require('./brandKit');
 
 class ImageGenerator {
   constructor() {
-    this.baseURL = 'https://image.pollinations.ai/prompt';
     this.defaultOptions = {
       width: 1024,
       height: 1024,
@@ -16,17 +14,21 @@ class ImageGenerator {
   }
 
   /**
-   * Generate image from text prompt using Pollinations.AI
+   * Generate image from text prompt with the selected image provider
    * @param {string} prompt - Text description for image generation
-   * @param {Object} options - Image generation options
+   * @param {Object} options - Image generation options: { width, height, seed, enhance, nologo } plus
+   *   provider/model/preferences to choose the provider, content/brandKit for the branded templates
+   *   and the watermark, frame and caption bar, and signal to cancel
    * @returns {Promise<Object>} Generated image data
    */
   async generateImage(prompt, options = {}) {
     try {
       const startTime = Date.now();
-      
+
+      const { provider, model, preferences, signal, content, brandKit, ...settings } = options;
+
       // Merge options with defaults
-      const imageOptions = { ...this.defaultOptions, ...options };
+      const imageOptions = { ...this.defaultOptions, ...settings };
       
       // Clean and enhance the prompt for better results
       const enhancedPrompt = this.enhancePrompt(prompt);
@@ -36,34 +38,34 @@ class ImageGenerator {
         options: imageOptions
       });
 
-      // Build the image URL
-      const imageUrl = this.buildImageUrl(enhancedPrompt, imageOptions);
-      
-      // Generate the image by making a request
-      const response = await axios.get(imageUrl, {
-        responseType: 'arraybuffer',
-        timeout: 30000, // 30 second timeout
-        headers: {
-          'User-Agent': 'LinkedIn-Automation-Bot/1.0'
-        }
-      });
+      const image = await imageProviders.generate(
+        { ...imageOptions, prompt: enhancedPrompt, content, brandKit },
+        { provider, model, preferences, signal }
+      );
+
+      // Template graphics are drawn with the brand kit already; AI images get its watermark, frame and caption
+      const branding = image.provider === 'template'
+        ? { data: image.data, mimeType: null, applied: [] }
+        : await brandKitService.applyBranding(image.data, brandKit, { caption: content && content.title });
 
       const duration = Date.now() - startTime;
-      
-      logger.performance('Image generation', duration, {
-        promptLength: enhancedPrompt.length,
-        imageSize: response.data.length
-      });
 
       return {
-        imageUrl,
-        imageData: response.data,
+        // The provider's URL serves the unbranded image
+        imageUrl: branding.applied.length > 0 ? null : image.url,
+        imageData: branding.data,
+        mimeType: branding.mimeType || image.mimeType,
+        provider: image.provider,
+        model: image.model,
+        template: image.template || null,
+        branding: branding.applied,
         prompt: enhancedPrompt,
         options: imageOptions,
         metadata: {
           generationTime: duration,
-          size: response.data.length,
-          dimensions: `${imageOptions.width}x${imageOptions.height}`
+          size: branding.data.length,
+          dimensions: `${image.width}x${image.height}`,
+          fallbackUsed: image.attempts > 1
         }
       };
     } catch (error) {
@@ -77,9 +79,10 @@ class ImageGenerator {
    * @param {string} contentText - The LinkedIn post text
    * @param {string} contentType - Type of content (text, carousel, etc.)
    * @param {Object} topicDetails - Topic information
+   * @param {Object} options - provider, model, preferences, content, brandKit and signal for generateImage()
    * @returns {Promise<Object>} Generated image data
    */
-  async generateLinkedInImage(contentText, contentType, topicDetails = {}) {
+  async generateLinkedInImage(contentText, contentType, topicDetails = {}, options = {}) {
     try {
       // Create a visual prompt based on the content
       const visualPrompt = this.createVisualPrompt(contentText, contentType, topicDetails);
@@ -92,7 +95,7 @@ class ImageGenerator {
         nologo: true
       };
 
-      return await this.generateImage(visualPrompt, linkedInOptions);
+      return await this.generateImage(visualPrompt, { ...options, ...linkedInOptions });
     } catch (error) {
       logger.error('LinkedIn image generation failed:', error);
       throw error;
@@ -101,11 +104,12 @@ class ImageGenerator {
 
   /**
    * Generate multiple images for carousel posts
-   * @param {Array} slides - Array of slide content
+   * @param {Array} slides - Array of slide content ({ title, content })
    * @param {Object} topicDetails - Topic information
+   * @param {Object} options - provider, model, preferences, brandKit and signal for generateImage()
    * @returns {Promise<Array>} Array of generated images
    */
-  async generateCarouselImages(slides, topicDetails = {}) {
+  async generateCarouselImages(slides, topicDetails = {}, options = {}) {
     const images = [];
     
     for (let i = 0; i < slides.length; i++) {
@@ -114,6 +118,9 @@ class ImageGenerator {
         const slidePrompt = this.createSlidePrompt(slide, i + 1, topicDetails);
         
         const image = await this.generateImage(slidePrompt, {
+          ...options,
+          // Branded templates lay out the slide itself
+          content: { title: slide.title, body: slide.content },
           width: 1080,
           height: 1080, // Square format for carousel
           enhance: true,
@@ -127,7 +134,7 @@ class ImageGenerator {
         });
         
         // Add delay between requests to avoid rate limiting
-        if (i < slides.length - 1) {
+        if (i < slides.length - 1 && image.provider !== 'template') {
           await new Promise(resolve => setTimeout(resolve, 2000));
         }
       } catch (error) {
@@ -139,57 +146,6 @@ class ImageGenerator {
     return images;
   }
 
-  /**
-   * Save image to local storage
-   * @param {Buffer} imageData - Image buffer data
-   * @param {string} filename - Filename for the image
-   * @returns {Promise<string>} File path of saved image
-   */
-  async saveImage(imageData, filename) {
-    try {
-      const uploadsDir = path.join(process.cwd(), 'uploads', 'images');
-      
-      // Ensure uploads directory exists
-      await fs.mkdir(uploadsDir, { recursive: true });
-      
-      const filePath = path.join(uploadsDir, filename);
-      await fs.writeFile(filePath, imageData);
-      
-      logger.content('Image saved', { filePath, size: imageData.length });
-      
-      return filePath;
-    } catch (error) {
-      logger.error('Failed to save image:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Build image generation URL with parameters
-   * @param {string} prompt - Image prompt
-   * @param {Object} options - Generation options
-   * @returns {string} Complete image URL
-   */
-  buildImageUrl(prompt, options) {
-    const encodedPrompt = encodeURIComponent(prompt);
-    let url = `${this.baseURL}/${encodedPrompt}`;
-    
-    const params = new URLSearchParams();
-    
-    if (options.width) params.append('width', options.width);
-    if (options.height) params.append('height', options.height);
-    if (options.seed) params.append('seed', options.seed);
-    if (options.enhance) params.append('enhance', 'true');
-    if (options.nologo) params.append('nologo', 'true');
-    
-    const paramString = params.toString();
-    if (paramString) {
-      url += `?${paramString}`;
-    }
-    
-    return url;
-  }
-
   /**
    * Enhance prompt for better image generation
    * @param {string} prompt - Original prompt
@@ -0,0 +1,113 @@
+const { fontStack, readableOn, textBlock, wrapText } = require('./brandTemplates');
+
+/**
+ * Layout of the branding added to generated and uploaded images: a frame in the primary colour, a
+ * caption bar along the bottom and the logo as a watermark. The brand kit service composites them
+ * onto the image with sharp.
+ */
+
+const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+/**
+ * Frame width, caption bar and the area left free for the watermark on an image
+ * @param {Object} options - { frameEnabled, caption } where caption is the caption bar text, if any
+ * @returns {Object} { frame, captionBar, area, margin }
+ */
+const brandingLayout = (width, height, { frameEnabled = false, caption = '' } = {}) => {
+  const shortSide = Math.min(width, height);
+  const frame = frameEnabled ? Math.max(4, Math.round(shortSide * 0.025)) : 0;
+  const barHeight = Math.max(24, Math.round(height * 0.11));
+  const captionBar = caption
+    ? { left: frame, top: height - frame - barHeight, width: width - frame * 2, height: barHeight }
+    : null;
+
+  return {
+    frame,
+    captionBar,
+    area: {
+      left: frame,
+      top: frame,
+      right: width - frame,
+      bottom: captionBar ? captionBar.top : height - frame
+    },
+    margin: Math.round(shortSide * 0.04)
+  };
+};
+
+/**
+ * Top-left corner of a watermark of the given size, inside the free area of a layout
+ */
+const watermarkPlacement = (position, layout, watermark) => {
+  const { area, margin } = layout;
+  const centreX = Math.round((area.left + area.right - watermark.width) / 2);
+  const centreY = Math.round((area.top + area.bottom - watermark.height) / 2);
+
+  let left = centreX;
+  if (position.endsWith('left')) {
+    left = area.left + margin;
+  } else if (position.endsWith('right')) {
+    left = area.right - margin - watermark.width;
+  }
+
+  let top = centreY;
+  if (position.startsWith('top')) {
+    top = area.top + margin;
+  } else if (position.startsWith('bottom')) {
+    top = area.bottom - margin - watermark.height;
+  }
+
+  return { left: Math.max(0, left), top: Math.max(0, top) };
+};
+
+// Caption bar text and its colours
+const captionTextColors = (brand) => [
+  { text: 'caption bar', foreground: readableOn(brand.primaryColor), background: brand.primaryColor, large: false }
+];
+
+/**
+ * SVG with the frame and caption bar of a layout, or null when neither is used
+ * @param {Object} brand - resolveBrand() output
+ */
+const overlaySvg = (width, height, layout, brand, caption = '') => {
+  const parts = [];
+
+  if (layout.captionBar) {
+    const bar = layout.captionBar;
+    const size = Math.round(bar.height * 0.4);
+    const padding = Math.round(bar.height * 0.35);
+    const lines = wrapText(caption, Math.max(8, Math.floor((bar.width - padding * 2) / (size * 0.55))), 1);
+
+    parts.push(`<rect x="${bar.left}" y="${bar.top}" width="${bar.width}" height="${bar.height}" fill="${brand.primaryColor}" fill-opacity="0.92"/>`);
+    parts.push(textBlock(lines, {
+      x: bar.left + padding,
+      y: Math.round(bar.top + bar.height / 2 + size * 0.35),
+      width: bar.width - padding * 2,
+      size,
+      lineHeight: 0,
+      fill: readableOn(brand.primaryColor),
+      font: fontStack(brand.fontFamily),
+      weight: 600
+    }));
+  }
+
+  if (layout.frame) {
+    const half = layout.frame / 2;
+    parts.push(`<rect x="${half}" y="${half}" width="${width - layout.frame}" height="${height - layout.frame}" `
+      + `fill="none" stroke="${brand.primaryColor}" stroke-width="${layout.frame}"/>`);
+  }
+
+  if (parts.length === 0) {
+    return null;
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    + `${parts.join('')}</svg>`;
+};
+
+module.exports = {
+  WATERMARK_POSITIONS,
+  brandingLayout,
+  watermarkPlacement,
+  overlaySvg,
+  captionTextColors
+};
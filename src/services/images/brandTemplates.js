@@ -0,0 +1,387 @@
+/**
+ * SVG templates for branded post graphics
+ * Each template lays a post's key message out in the user's brand colours and font; the offline
+ * template provider rasterizes the SVG and adds the logo in logoBox().
+ */
+
+const TEMPLATES = ['quote', 'stat', 'checklist'];
+
+const DEFAULT_BRAND = {
+  primaryColor: '#0A66C2',
+  secondaryColor: '#F5A623',
+  backgroundColor: '#FFFFFF',
+  textColor: '#1D2226',
+  fontFamily: null,
+  watermarkPosition: 'bottom-right',
+  watermarkOpacity: 0.8,
+  watermarkScale: 0.15
+};
+const FONT_STACK = "'Helvetica Neue', Arial, 'Noto Sans Arabic', 'DejaVu Sans', sans-serif";
+
+const ARABIC = /\p{Script=Arabic}/u;
+const STATISTIC = /(?:AED|USD|\$|€|£)\s?\d[\d,.]*(?:\s?(?:k|m|bn|million|billion)\b)?|\d[\d,.]*(?:\s?%|x\b|\s?(?:k|m|bn|million|billion)\b)/i;
+const LIST_ITEM = /^\s*(?:[-•*▪→✓✔✅☑]|\d{1,2}[.)])\s*/u;
+const MAX_ITEMS = 5;
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Hashtags and emoji do not belong on a graphic (and emoji rarely rasterize without a colour font)
+const cleanText = (text) => String(text || '')
+  .replace(/#[\p{L}\p{N}_]+/gu, '')
+  .replace(/[\p{Extended_Pictographic}\u{FE0F}\u{200D}]/gu, '')
+  .replace(/[ \t]+/g, ' ')
+  .trim();
+
+const sentences = (text) => cleanText(text)
+  .split(/(?<=[.!?؟])\s+|\n+/)
+  .map(sentence => sentence.trim())
+  .filter(Boolean);
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text);
+
+const numberOr = (value, fallback) => (value === null || value === undefined ? fallback : Number(value));
+
+/**
+ * Colours, font, logo and image branding settings of a brand_kits row, with defaults for anything unset
+ */
+const resolveBrand = (brandKit) => {
+  const kit = brandKit || {};
+  return {
+    primaryColor: kit.primary_color || DEFAULT_BRAND.primaryColor,
+    secondaryColor: kit.secondary_color || DEFAULT_BRAND.secondaryColor,
+    backgroundColor: kit.background_color || DEFAULT_BRAND.backgroundColor,
+    textColor: kit.text_color || DEFAULT_BRAND.textColor,
+    fontFamily: kit.font_family || DEFAULT_BRAND.fontFamily,
+    logoPath: kit.logo_path || null,
+    watermarkEnabled: kit.watermark_enabled !== false,
+    watermarkPosition: kit.watermark_position || DEFAULT_BRAND.watermarkPosition,
+    watermarkOpacity: numberOr(kit.watermark_opacity, DEFAULT_BRAND.watermarkOpacity),
+    watermarkScale: numberOr(kit.watermark_scale, DEFAULT_BRAND.watermarkScale),
+    frameEnabled: Boolean(kit.frame_enabled),
+    captionBarEnabled: Boolean(kit.caption_bar_enabled),
+    captionText: kit.caption_text || null
+  };
+};
+
+// Font stack with the brand font first
+const fontStack = (fontFamily) => (fontFamily ? `'${fontFamily.replace(/'/g, '')}', ${FONT_STACK}` : FONT_STACK);
+
+/**
+ * Relative luminance of a #RRGGBB colour (WCAG)
+ */
+const luminance = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  const [r, g, b] = [value >> 16, (value >> 8) & 255, value & 255].map((channel) => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+// Text colour that stays readable on a background
+const readableOn = (background) => (luminance(background) > 0.4 ? '#1D2226' : '#FFFFFF');
+
+/**
+ * WCAG contrast ratio of two #RRGGBB colours, from 1 to 21
+ */
+const contrastRatio = (foreground, background) => {
+  const [lighter, darker] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+/**
+ * Break text into lines of at most maxChars characters, ending with … when it does not fit in maxLines
+ */
+const wrapText = (text, maxChars, maxLines) => {
+  const lines = [];
+  let line = '';
+
+  for (const word of cleanText(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length <= maxChars) {
+      line = candidate;
+    } else {
+      if (line) {
+        lines.push(line);
+      }
+      line = word.length > maxChars ? truncate(word, maxChars) : word;
+    }
+  }
+  if (line) {
+    lines.push(line);
+  }
+
+  if (lines.length > maxLines) {
+    // Drop words from the last line that fits until the ellipsis does too
+    const kept = lines.slice(0, maxLines);
+    let last = kept[maxLines - 1].replace(/…$/, '');
+    while (last.length + 1 > maxChars && last.includes(' ')) {
+      last = last.slice(0, last.lastIndexOf(' '));
+    }
+    kept[maxLines - 1] = `${last.slice(0, maxChars - 1)}…`;
+    return kept;
+  }
+  return lines;
+};
+
+/**
+ * Largest font size (down to minSize) at which text fits a box, with its lines
+ * Characters are assumed to average 0.55em wide.
+ */
+const fitText = (text, { width, height, maxSize, minSize, lineHeight = 1.25 }) => {
+  let size = maxSize;
+  for (;;) {
+    const maxChars = Math.max(8, Math.floor(width / (size * 0.55)));
+    const maxLines = Math.max(1, Math.floor(height / (size * lineHeight)));
+    const lines = wrapText(text, maxChars, maxLines);
+    const fits = lines.length === 0 || !lines[lines.length - 1].endsWith('…');
+    if (fits || size <= minSize) {
+      return { size: Math.round(size), lines, lineHeight: Math.round(size * lineHeight) };
+    }
+    size = Math.max(minSize, size * 0.9);
+  }
+};
+
+/**
+ * <text> element for wrapped lines; Arabic text is right-aligned
+ */
+const textBlock = (lines, { x, y, width, size, lineHeight, fill, font, weight = 400 }) => {
+  const rtl = lines.some(line => ARABIC.test(line));
+  const anchorX = rtl ? x + width : x;
+  const tspans = lines
+    .map((line, index) => `<tspan x="${anchorX}" dy="${index === 0 ? 0 : lineHeight}">${escapeXml(line)}</tspan>`)
+    .join('');
+
+  return `<text x="${anchorX}" y="${y}" font-family="${escapeXml(font)}" font-size="${size}" font-weight="${weight}" `
+    + `fill="${fill}"${rtl ? ' direction="rtl" text-anchor="end"' : ''}>${tspans}</text>`;
+};
+
+/**
+ * Area in the bottom-right corner reserved for the logo
+ */
+const logoBox = (width, height) => {
+  const margin = Math.round(Math.min(width, height) * 0.06);
+  const size = Math.round(Math.min(width, height) * 0.14);
+  return { left: width - margin - size, top: height - margin - size, width: size, height: size };
+};
+
+/**
+ * Items of a list in the post: document bullets, slide titles, poll options or list lines in the body
+ */
+const listItems = (content) => {
+  if (content.document && content.document.sections) {
+    return content.document.sections.flatMap(section => section.bullets).map(cleanText);
+  }
+  if (content.slides && content.slides.length > 0) {
+    return content.slides.map(slide => cleanText(slide.title));
+  }
+  if (content.poll && content.poll.options) {
+    return content.poll.options.map(cleanText);
+  }
+  return String(content.body || '')
+    .split('\n')
+    .filter(line => LIST_ITEM.test(line))
+    .map(line => cleanText(line.replace(LIST_ITEM, '')))
+    .filter(Boolean);
+};
+
+/**
+ * Pick a template for a post and extract what it shows
+ * @param {Object} content - structured post ({ title, body, slides, poll, document, script }) plus companyName
+ * @param {string} template - quote, stat or checklist; picked from the content when omitted
+ * @returns {Object} { template, data }
+ */
+const templateData = (content = {}, template = null) => {
+  const text = content.script ? `${content.script.hook}\n${content.body || ''}` : (content.body || '');
+  const items = listItems(content);
+  const statSentence = sentences(text).find(sentence => STATISTIC.test(sentence));
+  const chosen = template
+    || (items.length >= 3 ? 'checklist' : null)
+    || (statSentence ? 'stat' : null)
+    || 'quote';
+  const headline = cleanText((content.document && content.document.title) || content.title);
+
+  switch (chosen) {
+    case 'checklist':
+      return {
+        template: chosen,
+        data: {
+          title: truncate(headline || sentences(text)[0] || '', 90),
+          items: (items.length > 0 ? items : sentences(text)).slice(0, MAX_ITEMS).map(item => truncate(item, 110))
+        }
+      };
+    case 'stat': {
+      const sentence = statSentence || sentences(text)[0] || headline;
+      const match = sentence.match(STATISTIC);
+      return {
+        template: chosen,
+        data: {
+          value: match ? match[0].trim() : '',
+          label: truncate(sentence, 160),
+          caption: truncate(headline, 80)
+        }
+      };
+    }
+    default:
+      return {
+        template: 'quote',
+        data: {
+          text: truncate(sentences(text)[0] || headline, 220),
+          attribution: truncate(cleanText(content.companyName), 60)
+        }
+      };
+  }
+};
+
+// Text each template draws, with its colours; large is headline-sized text
+const TEMPLATE_TEXT_COLORS = {
+  quote: (brand) => [
+    { text: 'quote', foreground: readableOn(brand.primaryColor), background: brand.primaryColor, large: true },
+    { text: 'attribution', foreground: brand.secondaryColor, background: brand.primaryColor, large: false }
+  ],
+  stat: (brand) => [
+    { text: 'statistic', foreground: brand.primaryColor, background: brand.backgroundColor, large: true },
+    { text: 'label', foreground: brand.textColor, background: brand.backgroundColor, large: false },
+    { text: 'caption', foreground: brand.secondaryColor, background: brand.backgroundColor, large: false }
+  ],
+  checklist: (brand) => [
+    { text: 'title', foreground: brand.primaryColor, background: brand.backgroundColor, large: true },
+    { text: 'items', foreground: brand.textColor, background: brand.backgroundColor, large: false }
+  ]
+};
+
+const renderQuote = (data, { width, height, brand, font }) => {
+  const margin = Math.round(width * 0.07);
+  const textColor = readableOn(brand.primaryColor);
+  const logo = logoBox(width, height);
+  const quoteMarkSize = Math.round(height * 0.3);
+  const body = fitText(data.text, {
+    width: width - margin * 2,
+    height: height * 0.52,
+    maxSize: height * 0.085,
+    minSize: height * 0.045
+  });
+  const top = Math.round(height * 0.34);
+
+  return [
+    `<rect width="${width}" height="${height}" fill="${brand.primaryColor}"/>`,
+    `<text x="${margin}" y="${Math.round(margin + quoteMarkSize * 0.7)}" font-family="Georgia, serif" `
+      + `font-size="${quoteMarkSize}" fill="${brand.secondaryColor}">“</text>`,
+    textBlock(body.lines, { x: margin, y: top, width: width - margin * 2, size: body.size, lineHeight: body.lineHeight, fill: textColor, font, weight: 600 }),
+    data.attribution
+      ? textBlock([data.attribution], {
+        x: margin,
+        y: logo.top + Math.round(logo.height * 0.6),
+        width: logo.left - margin * 2,
+        size: Math.round(height * 0.04),
+        lineHeight: 0,
+        fill: brand.secondaryColor,
+        font,
+        weight: 600
+      })
+      : ''
+  ].join('');
+};
+
+const renderStat = (data, { width, height, brand, font }) => {
+  const margin = Math.round(width * 0.08);
+  const accent = Math.round(width * 0.02);
+  const valueSize = Math.round(Math.min(height * 0.3, (width - margin * 2) / (Math.max(data.value.length, 3) * 0.6)));
+  const valueY = Math.round(height * 0.18 + valueSize);
+  const label = fitText(data.label, {
+    width: width - margin * 2,
+    height: height - valueY - height * 0.25,
+    maxSize: height * 0.065,
+    minSize: height * 0.04
+  });
+
+  return [
+    `<rect width="${width}" height="${height}" fill="${brand.backgroundColor}"/>`,
+    `<rect width="${accent}" height="${height}" fill="${brand.primaryColor}"/>`,
+    textBlock([data.value], { x: margin, y: valueY, width: width - margin * 2, size: valueSize, lineHeight: 0, fill: brand.primaryColor, font, weight: 800 }),
+    textBlock(label.lines, { x: margin, y: Math.round(valueY + label.size * 1.6), width: width - margin * 2, size: label.size, lineHeight: label.lineHeight, fill: brand.textColor, font }),
+    data.caption
+      ? textBlock([data.caption], { x: margin, y: height - margin, width: width * 0.6, size: Math.round(height * 0.035), lineHeight: 0, fill: brand.secondaryColor, font, weight: 600 })
+      : ''
+  ].join('');
+};
+
+const renderChecklist = (data, { width, height, brand, font }) => {
+  const margin = Math.round(width * 0.07);
+  const title = fitText(data.title, {
+    width: width - margin * 2,
+    height: height * 0.2,
+    maxSize: height * 0.07,
+    minSize: height * 0.045
+  });
+  const listTop = margin + title.lineHeight * title.lines.length + Math.round(height * 0.05);
+  const rowHeight = Math.floor((height - listTop - margin) / Math.max(data.items.length, 1));
+  const itemSize = Math.round(Math.min(rowHeight * 0.36, height * 0.05));
+  const circle = Math.round(itemSize * 0.7);
+  const textX = margin + circle * 2 + Math.round(itemSize * 0.6);
+
+  const rows = data.items.map((item, index) => {
+    const cy = listTop + rowHeight * index + Math.round(rowHeight / 2);
+    const lines = wrapText(item, Math.floor((width - textX - margin) / (itemSize * 0.55)), 2);
+    const firstBaseline = Math.round(cy + itemSize * 0.35 - ((lines.length - 1) * itemSize * 1.2) / 2);
+    return [
+      `<circle cx="${margin + circle}" cy="${cy}" r="${circle}" fill="${brand.secondaryColor}"/>`,
+      `<path d="M${Math.round(margin + circle * 0.55)} ${cy} l${Math.round(circle * 0.35)} ${Math.round(circle * 0.35)} `
+        + `l${Math.round(circle * 0.6)} ${-Math.round(circle * 0.7)}" `
+        + `fill="none" stroke="${readableOn(brand.secondaryColor)}" stroke-width="${Math.max(2, Math.round(circle * 0.22))}" `
+        + 'stroke-linecap="round" stroke-linejoin="round"/>',
+      textBlock(lines, { x: textX, y: firstBaseline, width: width - textX - margin, size: itemSize, lineHeight: Math.round(itemSize * 1.2), fill: brand.textColor, font })
+    ].join('');
+  });
+
+  return [
+    `<rect width="${width}" height="${height}" fill="${brand.backgroundColor}"/>`,
+    `<rect width="${width}" height="${Math.round(height * 0.015)}" fill="${brand.primaryColor}"/>`,
+    textBlock(title.lines, { x: margin, y: margin + title.size, width: width - margin * 2, size: title.size, lineHeight: title.lineHeight, fill: brand.primaryColor, font, weight: 700 }),
+    ...rows
+  ].join('');
+};
+
+const RENDERERS = {
+  quote: renderQuote,
+  stat: renderStat,
+  checklist: renderChecklist
+};
+
+/**
+ * SVG document for a template
+ * @param {Object} options - { width, height, brandKit } where brandKit is the user's brand_kits row, if any
+ */
+const renderSvg = (template, data, { width, height, brandKit = null }) => {
+  const renderer = RENDERERS[template];
+  if (!renderer) {
+    throw new Error(`Unknown image template: ${template}`);
+  }
+
+  const resolved = resolveBrand(brandKit);
+  const font = fontStack(resolved.fontFamily);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    + `${renderer(data, { width, height, brand: resolved, font })}</svg>`;
+};
+
+module.exports = {
+  TEMPLATES,
+  escapeXml,
+  resolveBrand,
+  fontStack,
+  readableOn,
+  contrastRatio,
+  TEMPLATE_TEXT_COLORS,
+  templateData,
+  renderSvg,
+  textBlock,
+  fitText,
+  logoBox,
+  wrapText
+};
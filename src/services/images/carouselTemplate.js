@@ -0,0 +1,74 @@
+const { escapeXml, resolveBrand, fontStack, readableOn, textBlock, fitText, logoBox } = require('./brandTemplates');
+
+/**
+ * SVG pages for carousel documents: one page per slide with its title, text, page number and the
+ * brand colours; the carousel builder rasterizes them and adds the logo in logoBox().
+ */
+
+// LinkedIn shows document pages at these sizes without cropping
+const CAROUSEL_FORMATS = {
+  square: { width: 1080, height: 1080 },
+  portrait: { width: 1080, height: 1350 }
+};
+
+// Text on every page, with its colours; large is headline-sized text
+const slideTextColors = (brand) => [
+  { text: 'page number', foreground: readableOn(brand.primaryColor), background: brand.primaryColor, large: false },
+  { text: 'slide title', foreground: brand.primaryColor, background: brand.backgroundColor, large: true },
+  { text: 'slide text', foreground: brand.textColor, background: brand.backgroundColor, large: false }
+];
+
+/**
+ * SVG document for one slide
+ * @param {Object} slide - { title, content }
+ * @param {Object} options - { pageNumber, pageCount, width, height, brandKit }
+ */
+const renderSlideSvg = (slide, { pageNumber, pageCount, width, height, brandKit = null }) => {
+  const brand = resolveBrand(brandKit);
+  const font = fontStack(brand.fontFamily);
+  const margin = Math.round(width * 0.08);
+  const logo = logoBox(width, height);
+  const badgeSize = Math.round(width * 0.032);
+
+  const title = fitText(slide.title || '', {
+    width: width - margin * 2,
+    height: height * 0.26,
+    maxSize: width * 0.075,
+    minSize: width * 0.045,
+    lineHeight: 1.15
+  });
+  const titleTop = Math.round(margin * 1.6 + badgeSize + title.size);
+  const bodyTop = titleTop + title.lineHeight * Math.max(title.lines.length - 1, 0) + Math.round(width * 0.07);
+  const body = fitText(slide.content || '', {
+    width: width - margin * 2,
+    height: logo.top - bodyTop - margin * 0.5,
+    maxSize: width * 0.048,
+    minSize: width * 0.03,
+    lineHeight: 1.4
+  });
+
+  const progressWidth = Math.round((logo.left - margin * 2) * (pageNumber / pageCount));
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    + [
+      `<rect width="${width}" height="${height}" fill="${brand.backgroundColor}"/>`,
+      `<rect width="${width}" height="${Math.round(height * 0.012)}" fill="${brand.primaryColor}"/>`,
+      `<rect x="${margin}" y="${margin}" width="${badgeSize * 3}" height="${Math.round(badgeSize * 1.6)}" `
+        + `rx="${Math.round(badgeSize * 0.8)}" fill="${brand.primaryColor}"/>`,
+      `<text x="${margin + Math.round(badgeSize * 1.5)}" y="${margin + Math.round(badgeSize * 1.15)}" font-family="${escapeXml(font)}" `
+        + `font-size="${badgeSize}" font-weight="700" fill="${readableOn(brand.primaryColor)}" text-anchor="middle">${pageNumber}/${pageCount}</text>`,
+      textBlock(title.lines, { x: margin, y: titleTop, width: width - margin * 2, size: title.size, lineHeight: title.lineHeight, fill: brand.primaryColor, font, weight: 800 }),
+      textBlock(body.lines, { x: margin, y: bodyTop + body.size, width: width - margin * 2, size: body.size, lineHeight: body.lineHeight, fill: brand.textColor, font }),
+      `<rect x="${margin}" y="${logo.top + logo.height - Math.round(width * 0.008)}" width="${logo.left - margin * 2}" `
+        + `height="${Math.round(width * 0.008)}" fill="${brand.secondaryColor}" fill-opacity="0.3"/>`,
+      `<rect x="${margin}" y="${logo.top + logo.height - Math.round(width * 0.008)}" width="${progressWidth}" `
+        + `height="${Math.round(width * 0.008)}" fill="${brand.secondaryColor}"/>`
+    ].join('')
+    + '</svg>';
+};
+
+module.exports = {
+  CAROUSEL_FORMATS,
+  slideTextColors,
+  renderSlideSvg
+};
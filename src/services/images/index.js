@@ -0,0 +1,195 @@
+const logger = require('../../utils/logger');
+const PollinationsProvider = require('./pollinationsProvider');
+const OpenAIImageProvider = require('./openAIImageProvider');
+const TemplateProvider = require('./templateProvider');
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Image provider registry
+ * Picks a provider per request (request option -> user preference -> IMAGE_PROVIDER) and falls back
+ * through IMAGE_FALLBACK_PROVIDERS when a provider errors or times out. The offline template provider
+ * is the default fallback, so a post can always get a branded graphic.
+ */
+class ImageService {
+  constructor() {
+    this.providers = new Map();
+    this.timeout = parseInt(process.env.IMAGE_TIMEOUT_MS) || 60000;
+
+    this.register(new PollinationsProvider({
+      defaultModel: process.env.POLLINATIONS_MODEL || 'flux',
+      models: parseList(process.env.POLLINATIONS_MODELS || 'flux,turbo')
+    }));
+
+    this.register(new OpenAIImageProvider({
+      name: 'openai',
+      label: 'OpenAI Images',
+      apiKey: process.env.OPENAI_API_KEY,
+      defaultModel: process.env.OPENAI_IMAGE_MODEL || 'dall-e-3',
+      models: parseList(process.env.OPENAI_IMAGE_MODELS || 'dall-e-3,dall-e-2')
+    }));
+
+    this.register(new OpenAIImageProvider({
+      name: 'local',
+      label: 'Local image server',
+      baseURL: process.env.LOCAL_IMAGE_BASE_URL,
+      defaultModel: process.env.LOCAL_IMAGE_MODEL || 'stable-diffusion',
+      models: parseList(process.env.LOCAL_IMAGE_MODELS),
+      requiresApiKey: false
+    }));
+
+    this.register(new TemplateProvider());
+
+    this.defaultProvider = process.env.IMAGE_PROVIDER || 'pollinations';
+    this.fallbackProviders = parseList(process.env.IMAGE_FALLBACK_PROVIDERS || 'template');
+  }
+
+  /**
+   * Add or replace a provider (tests register fakes under their own names)
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown image provider: ${name}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Providers and their models, for settings screens and request validation
+   */
+  listProviders() {
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      label: provider.label,
+      configured: provider.isConfigured(),
+      defaultModel: provider.defaultModel,
+      models: provider.models,
+      isDefault: provider.name === this.defaultProvider
+    }));
+  }
+
+  /**
+   * Check a provider/model pair from a request or user preference
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateSelection(providerName, model) {
+    if (!providerName) {
+      return model ? 'An image model can only be chosen together with a provider' : null;
+    }
+
+    const provider = this.providers.get(providerName);
+    if (!provider) {
+      return `Unknown image provider: ${providerName}`;
+    }
+    if (model && provider.models.length > 0 && !provider.models.includes(model)) {
+      return `Image model ${model} is not available for ${providerName}`;
+    }
+    return null;
+  }
+
+  /**
+   * Ordered list of { provider, model } attempts for a request
+   * @param {Object} selection - { provider, model } from the request
+   * @param {Object} preferences - user_preferences row (image_provider, image_model)
+   */
+  resolveChain(selection = {}, preferences = {}) {
+    const prefs = preferences || {};
+    const primaryName = selection.provider || prefs.image_provider || this.defaultProvider;
+    const primaryModel = selection.provider
+      ? selection.model
+      : (prefs.image_provider ? prefs.image_model : null);
+
+    const chain = [{ provider: this.getProvider(primaryName), model: primaryModel || null }];
+
+    for (const name of this.fallbackProviders) {
+      if (name !== primaryName && this.providers.has(name)) {
+        chain.push({ provider: this.providers.get(name), model: null });
+      }
+    }
+
+    return chain.filter(({ provider }) => provider.isConfigured());
+  }
+
+  /**
+   * Generate an image, falling back to the next provider on error or timeout
+   * @param {Object} request - { prompt, content, width, height, seed, brandKit }
+   *   prompt drives the AI providers; content (the structured post) and brandKit drive the templates
+   * @param {Object} options - { provider, model, preferences, timeout, signal }
+   * @returns {Promise<Object>} { data, mimeType, url, provider, model, width, height, template, attempts }
+   */
+  async generate(request, options = {}) {
+    const chain = this.resolveChain(
+      { provider: options.provider, model: options.model },
+      options.preferences
+    );
+
+    if (chain.length === 0) {
+      throw new Error('No configured image provider is available');
+    }
+
+    const timeout = options.timeout || this.timeout;
+    const failures = [];
+
+    for (const { provider, model } of chain) {
+      if (options.signal && options.signal.aborted) {
+        break;
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      const cancel = () => controller.abort();
+      const startTime = Date.now();
+
+      if (options.signal) {
+        options.signal.addEventListener('abort', cancel, { once: true });
+      }
+
+      try {
+        const result = await provider.generate({
+          ...request,
+          model: model || provider.defaultModel,
+          timeout,
+          signal: controller.signal
+        });
+
+        logger.performance('Image generation', Date.now() - startTime, {
+          provider: result.provider,
+          model: result.model,
+          imageSize: result.data.length
+        });
+
+        return { ...result, attempts: failures.length + 1 };
+      } catch (error) {
+        if (options.signal && options.signal.aborted) {
+          break;
+        }
+
+        const reason = controller.signal.aborted ? `timed out after ${timeout}ms` : error.message;
+        failures.push(`${provider.name}: ${reason}`);
+        logger.warn('Image provider failed, trying next provider', {
+          provider: provider.name,
+          model: model || provider.defaultModel,
+          reason
+        });
+      } finally {
+        clearTimeout(timer);
+        if (options.signal) {
+          options.signal.removeEventListener('abort', cancel);
+        }
+      }
+    }
+
+    if (options.signal && options.signal.aborted) {
+      throw new Error('Image request was cancelled');
+    }
+
+    throw new Error(`All image providers failed (${failures.join('; ')})`);
+  }
+}
+
+module.exports = new ImageService();
@@ -0,0 +1,82 @@
+/**
+ * LinkedIn image specifications for the media library: accepted formats and limits, and the variants
+ * every stored image gets so it can be used in any post type without resizing at publish time.
+ */
+
+const ACCEPTED_FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif'
+};
+// LinkedIn does not take WebP, so WebP uploads are stored as JPEG or PNG
+const STORED_FORMATS = ['jpeg', 'png', 'gif'];
+
+const MIN_DIMENSION = parseInt(process.env.MEDIA_MIN_DIMENSION) || 200;
+// LinkedIn rejects images above 36,152,320 pixels
+const MAX_PIXELS = 36152320;
+const MAX_ASPECT_RATIO = 3;
+
+const MEDIA_VARIANTS = {
+  single_image: { width: 1200, height: 627 },
+  carousel: { width: 1080, height: 1080 },
+  document_cover: { width: 1080, height: 1350 }
+};
+
+/**
+ * Problems that keep an image out of the library
+ * @param {Object} info - { format, width, height, size } from sharp metadata and the file size
+ * @param {number} maxBytes - Largest accepted file
+ * @returns {Array} Error messages, empty when the image is accepted
+ */
+const validateImage = (info, maxBytes) => {
+  if (!info || !ACCEPTED_FORMATS[info.format]) {
+    return [`Images must be ${Object.keys(ACCEPTED_FORMATS).map(format => format.toUpperCase()).join(', ')}`];
+  }
+
+  const errors = [];
+  if (info.size > maxBytes) {
+    errors.push(`Image is ${(info.size / 1024 / 1024).toFixed(1)} MB; the limit is ${(maxBytes / 1024 / 1024).toFixed(1)} MB`);
+  }
+  if (info.width < MIN_DIMENSION || info.height < MIN_DIMENSION) {
+    errors.push(`Image is ${info.width}x${info.height}; both sides must be at least ${MIN_DIMENSION} pixels`);
+  }
+  if (info.width * info.height > MAX_PIXELS) {
+    errors.push(`Image has ${info.width * info.height} pixels; LinkedIn accepts at most ${MAX_PIXELS}`);
+  }
+  if (Math.max(info.width / info.height, info.height / info.width) > MAX_ASPECT_RATIO) {
+    errors.push(`Image aspect ratio is more extreme than ${MAX_ASPECT_RATIO}:1`);
+  }
+  return errors;
+};
+
+/**
+ * Format an image is stored in: its own unless LinkedIn cannot take it
+ */
+const storedFormat = (info) => {
+  if (STORED_FORMATS.includes(info.format)) {
+    return info.format;
+  }
+  return info.hasAlpha ? 'png' : 'jpeg';
+};
+
+/**
+ * Variant that fits a post type
+ */
+const variantFor = (contentType) => {
+  if (contentType === 'multi_image') {
+    return 'carousel';
+  }
+  if (contentType === 'document') {
+    return 'document_cover';
+  }
+  return 'single_image';
+};
+
+module.exports = {
+  ACCEPTED_FORMATS,
+  MEDIA_VARIANTS,
+  validateImage,
+  storedFormat,
+  variantFor
+};
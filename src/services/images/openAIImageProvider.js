@@ -0,0 +1,94 @@
+const OpenAI = require('openai');
+
+// Sizes the OpenAI image models accept; other servers get the requested size as is
+const MODEL_SIZES = {
+  'dall-e-3': ['1024x1024', '1792x1024', '1024x1792'],
+  'dall-e-2': ['256x256', '512x512', '1024x1024']
+};
+
+/**
+ * Text-to-image provider for any OpenAI-compatible images API
+ * (OpenAI, and local servers exposing /v1/images/generations)
+ */
+class OpenAIImageProvider {
+  /**
+   * @param {Object} config - { name, label, apiKey, baseURL, defaultModel, models, requiresApiKey }
+   *   A provider with requiresApiKey false is only configured when it has a baseURL.
+   */
+  constructor({ name, label, apiKey, baseURL, defaultModel, models = [], requiresApiKey = true }) {
+    this.name = name;
+    this.label = label || name;
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.defaultModel = defaultModel;
+    this.models = Array.from(new Set([defaultModel, ...models].filter(Boolean)));
+    this.requiresApiKey = requiresApiKey;
+    this.client = null;
+  }
+
+  isConfigured() {
+    return this.requiresApiKey ? Boolean(this.apiKey) : Boolean(this.baseURL);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey || 'not-needed',
+        baseURL: this.baseURL,
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Supported size closest to the requested aspect ratio
+   */
+  pickSize(model, width, height) {
+    const sizes = MODEL_SIZES[model];
+    if (!sizes) {
+      return `${width}x${height}`;
+    }
+
+    const ratio = width / height;
+    return sizes
+      .map(size => {
+        const [w, h] = size.split('x').map(Number);
+        return { size, distance: Math.abs(Math.log((w / h) / ratio)), area: w * h };
+      })
+      .sort((a, b) => a.distance - b.distance || b.area - a.area)[0].size;
+  }
+
+  /**
+   * @param {Object} request - { prompt, model, width, height, timeout, signal }
+   * @returns {Promise<Object>} { data, mimeType, url, provider, model, width, height }
+   */
+  async generate(request) {
+    const model = request.model || this.defaultModel;
+    const size = this.pickSize(model, request.width, request.height);
+
+    const response = await this.getClient().images.generate({
+      model,
+      prompt: request.prompt,
+      n: 1,
+      size,
+      response_format: 'b64_json'
+    }, {
+      timeout: request.timeout,
+      signal: request.signal
+    });
+
+    const [width, height] = size.split('x').map(Number);
+    return {
+      data: Buffer.from(response.data[0].b64_json, 'base64'),
+      mimeType: 'image/png',
+      url: null,
+      provider: this.name,
+      model,
+      width,
+      height
+    };
+  }
+}
+
+module.exports = OpenAIImageProvider;
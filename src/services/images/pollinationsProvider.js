@@ -0,0 +1,76 @@
+const axios = require('axios');
+
+/**
+ * Text-to-image provider for Pollinations.AI (free, no API key)
+ * The image is fetched from a URL that encodes the prompt and options.
+ */
+class PollinationsProvider {
+  /**
+   * @param {Object} config - { baseURL, defaultModel, models }
+   */
+  constructor({ baseURL = 'https://image.pollinations.ai/prompt', defaultModel = 'flux', models = [] } = {}) {
+    this.name = 'pollinations';
+    this.label = 'Pollinations.AI';
+    this.baseURL = baseURL;
+    this.defaultModel = defaultModel;
+    this.models = Array.from(new Set([defaultModel, ...models].filter(Boolean)));
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * @param {Object} request - { prompt, model, width, height, seed, enhance, nologo, timeout, signal }
+   * @returns {Promise<Object>} { data, mimeType, url, provider, model, width, height }
+   */
+  async generate(request) {
+    const model = request.model || this.defaultModel;
+    const url = this.buildImageUrl(request.prompt, { ...request, model });
+
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: request.timeout,
+      signal: request.signal,
+      headers: {
+        'User-Agent': 'LinkedIn-Automation-Bot/1.0'
+      }
+    });
+
+    return {
+      data: Buffer.from(response.data),
+      mimeType: response.headers['content-type'] || 'image/jpeg',
+      url,
+      provider: this.name,
+      model,
+      width: request.width,
+      height: request.height
+    };
+  }
+
+  /**
+   * Build image generation URL with parameters
+   */
+  buildImageUrl(prompt, options) {
+    const encodedPrompt = encodeURIComponent(prompt);
+    let url = `${this.baseURL}/${encodedPrompt}`;
+
+    const params = new URLSearchParams();
+
+    if (options.model) params.append('model', options.model);
+    if (options.width) params.append('width', options.width);
+    if (options.height) params.append('height', options.height);
+    if (options.seed) params.append('seed', options.seed);
+    if (options.enhance) params.append('enhance', 'true');
+    if (options.nologo) params.append('nologo', 'true');
+
+    const paramString = params.toString();
+    if (paramString) {
+      url += `?${paramString}`;
+    }
+
+    return url;
+  }
+}
+
+module.exports = PollinationsProvider;
@@ -0,0 +1,65 @@
+const brandKitService = require('../brandKit');
+const { TEMPLATES, templateData, renderSvg, resolveBrand, logoBox } = require('./brandTemplates');
+
+/**
+ * Offline provider that renders branded graphics (quote cards, stat highlights, checklists)
+ * from SVG templates with sharp. It needs no network access or API key, so it also serves as
+ * the last fallback when the AI image providers are unavailable.
+ */
+class TemplateProvider {
+  constructor() {
+    this.name = 'template';
+    this.label = 'Branded templates (offline)';
+    this.defaultModel = 'auto';
+    this.models = ['auto', ...TEMPLATES];
+    this.sharp = null;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  // sharp loads its native binary on first use, so the other providers work without it
+  getSharp() {
+    if (!this.sharp) {
+      this.sharp = require('sharp');
+    }
+    return this.sharp;
+  }
+
+  /**
+   * @param {Object} request - { content, model, width, height, brandKit }
+   *   content: the structured post plus companyName; model: a template name, or 'auto' to pick one
+   * @returns {Promise<Object>} { data, mimeType, url, provider, model, width, height, template }
+   */
+  async generate(request) {
+    const { width, height, brandKit } = request;
+    const requested = request.model && request.model !== 'auto' ? request.model : null;
+    const { template, data } = templateData(request.content || {}, requested);
+
+    const sharp = this.getSharp();
+    const layers = [];
+    const logo = await brandKitService.renderLogo(resolveBrand(brandKit).logoPath, logoBox(width, height));
+    if (logo) {
+      layers.push(logo);
+    }
+
+    const image = await sharp(Buffer.from(renderSvg(template, data, { width, height, brandKit })))
+      .composite(layers)
+      .png()
+      .toBuffer();
+
+    return {
+      data: image,
+      mimeType: 'image/png',
+      url: null,
+      provider: this.name,
+      model: template,
+      width,
+      height,
+      template: { name: template, data }
+    };
+  }
+}
+
+module.exports = TemplateProvider;
@@ -0,0 +1,121 @@
+const logger = require('../utils/logger');
+const sourceDocument = require('../utils/sourceDocument');
+const { withTransaction, knowledge: knowledgeRepository } = require('../database/repositories');
+
+const TERM = /[\p{L}\p{N}\p{M}]{2,}/gu;
+const MAX_QUERY_TERMS = 30;
+
+/**
+ * Company knowledge base
+ * Documents are split into passages and indexed with PostgreSQL full-text search, so generation can
+ * ground posts in the user's own services and case studies and record which passages it used.
+ */
+class KnowledgeBaseService {
+  constructor() {
+    this.chunkCharacters = parseInt(process.env.KNOWLEDGE_CHUNK_CHARACTERS) || 1200;
+    this.maxPassages = parseInt(process.env.KNOWLEDGE_MAX_PASSAGES) || 4;
+  }
+
+  /**
+   * Normalize, chunk and index a document
+   * @param {Object} document - { title, text, format, sourceType, name }
+   * @returns {Promise<Object>} knowledge_documents row
+   */
+  async addDocument(userId, { title, text, format = 'text', sourceType = 'document', name = null }) {
+    const normalized = sourceDocument.normalizeSource(text, format);
+    const chunks = sourceDocument.chunkText(normalized, this.chunkCharacters)
+      .map(chunk => ({ ...chunk, heading: chunk.heading && chunk.heading.slice(0, 200) }));
+
+    const document = await withTransaction(async (client) => {
+      const row = await knowledgeRepository.create({
+        user_id: userId,
+        title,
+        source_type: sourceType,
+        source_format: format,
+        source_name: name,
+        characters: normalized.length,
+        chunk_count: chunks.length
+      }, client);
+      await knowledgeRepository.insertChunks(row, chunks, client);
+      return row;
+    });
+
+    logger.content('Knowledge document indexed', {
+      userId,
+      documentId: document.id,
+      characters: normalized.length,
+      chunks: chunks.length
+    });
+
+    return document;
+  }
+
+  /**
+   * to_tsquery expression matching any word of the text; null when it has no searchable words
+   */
+  buildQuery(text) {
+    const terms = Array.from(new Set((String(text || '').toLowerCase().match(TERM) || [])))
+      .slice(0, MAX_QUERY_TERMS);
+
+    return terms.length > 0 ? terms.join(' | ') : null;
+  }
+
+  /**
+   * Passages most relevant to a free-text query
+   * @returns {Promise<Array>} knowledge_chunks rows with document_title, source_type and rank
+   */
+  async search(userId, text, { limit = this.maxPassages } = {}) {
+    const query = this.buildQuery(text);
+    if (!query) {
+      return [];
+    }
+
+    return knowledgeRepository.search(userId, query, { limit });
+  }
+
+  /**
+   * Passages relevant to a content topic: its title, description, keywords, audience and industry
+   */
+  async retrieveForTopic(userId, topicDetails) {
+    const { title, description, keywords, target_audience, industry } = topicDetails;
+
+    return this.search(userId, [title, description, (keywords || []).join(' '), target_audience, industry]
+      .filter(Boolean)
+      .join(' '));
+  }
+
+  /**
+   * Prompt section listing the retrieved passages, numbered to match describeSources()
+   */
+  formatForPrompt(passages) {
+    if (!passages || passages.length === 0) {
+      return '';
+    }
+
+    const blocks = passages.map((passage, index) => {
+      const label = passage.heading ? `${passage.document_title} - ${passage.heading}` : passage.document_title;
+      return `[${index + 1}] ${label}\n${passage.content}`;
+    });
+
+    return `Company Knowledge (facts about the company's own services and experience; use what is relevant to the topic and do not invent details beyond it):
+${blocks.join('\n\n')}`;
+  }
+
+  /**
+   * Citations stored with a draft: which document passages were in its prompt
+   */
+  describeSources(passages) {
+    return passages.map((passage, index) => ({
+      ref: index + 1,
+      documentId: passage.document_id,
+      title: passage.document_title,
+      sourceType: passage.source_type,
+      chunkId: passage.id,
+      chunkIndex: passage.chunk_index,
+      heading: passage.heading,
+      rank: Math.round(passage.rank * 1000) / 1000
+    }));
+  }
+}
+
+module.exports = new KnowledgeBaseService();
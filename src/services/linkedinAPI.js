@@ -1,10 +1,15 @@
 const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
 const logger = require('../utils/logger');
 const { pool } = require('../database/init');
 
 class LinkedInAPI {
   constructor() {
     this.baseURL = 'https://api.linkedin.com/v2';
+    // Document posts are only available on the versioned REST API
+    this.restURL = 'https://api.linkedin.com/rest';
+    this.restVersion = process.env.LINKEDIN_REST_VERSION || '202401';
     this.clientId = process.env.LINKEDIN_CLIENT_ID;
     this.clientSecret = process.env.LINKEDIN_CLIENT_SECRET;
     this.redirectUri = process.env.LINKEDIN_REDIRECT_URI;
@@ -137,60 +142,51 @@ class LinkedInAPI {
   }
 
   /**
-   * Create a post with images
+   * Create a post with one image, or a multi-image post, each image with its alt text
+   * @param {Object} content - { text, images, imageDescription }; images are URLs or stored files
+   *   ({ path, altText }), and imageDescription is the alt text of URL images
    */
   async createImagePost(accessToken, userId, content) {
     try {
+      const images = content.images.map(image => (
+        typeof image === 'string' ? { url: image, altText: content.imageDescription } : image
+      ));
+
       // First, upload images
-      const uploadedImages = [];
-      for (const imageUrl of content.images) {
-        const uploadedImage = await this.uploadImage(accessToken, userId, imageUrl);
-        uploadedImages.push(uploadedImage);
+      const media = [];
+      for (const image of images) {
+        const id = await this.uploadImage(accessToken, userId, image);
+        media.push(image.altText ? { id, altText: image.altText } : { id });
       }
 
-      const postData = {
+      const response = await axios.post(`${this.restURL}/posts`, {
         author: `urn:li:person:${userId}`,
-        lifecycleState: 'PUBLISHED',
-        specificContent: {
-          'com.linkedin.ugc.ShareContent': {
-            shareCommentary: {
-              text: content.text
-            },
-            shareMediaCategory: 'IMAGE',
-            media: uploadedImages.map(image => ({
-              status: 'READY',
-              description: {
-                text: content.imageDescription || ''
-              },
-              media: image.asset,
-              title: {
-                text: content.imageTitle || ''
-              }
-            }))
-          }
+        commentary: this.formatCommentary(content.text),
+        visibility: 'PUBLIC',
+        distribution: {
+          feedDistribution: 'MAIN_FEED',
+          targetEntities: [],
+          thirdPartyDistributionChannels: []
         },
-        visibility: {
-          'com.linkedin.ugc.MemberNetworkVisibility': 'PUBLIC'
-        }
-      };
-
-      const response = await axios.post(`${this.baseURL}/ugcPosts`, postData, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-          'X-Restli-Protocol-Version': '2.0.0'
-        }
+        content: media.length === 1 ? { media: media[0] } : { multiImage: { images: media } },
+        lifecycleState: 'PUBLISHED',
+        isReshareDisabledByAuthor: false
+      }, {
+        headers: this.restHeaders(accessToken)
       });
 
+      const postId = response.headers['x-restli-id'];
+
       logger.linkedin('Image post created successfully', {
-        postId: response.data.id,
-        imageCount: uploadedImages.length,
+        postId,
+        imageCount: media.length,
+        withAltText: media.filter(image => image.altText).length,
         userId
       });
 
       return {
-        id: response.data.id,
-        url: `https://www.linkedin.com/feed/update/${response.data.id}/`
+        id: postId,
+        url: `https://www.linkedin.com/feed/update/${postId}/`
       };
     } catch (error) {
       logger.error('Failed to create LinkedIn image post:', error.response?.data || error.message);
@@ -199,51 +195,137 @@ class LinkedInAPI {
   }
 
   /**
-   * Upload image to LinkedIn
+   * Upload an image to LinkedIn from a URL or a stored file
+   * @param {Object} image - { url } or { path }
+   * @returns {Promise<string>} Image URN
    */
-  async uploadImage(accessToken, userId, imageUrl) {
+  async uploadImage(accessToken, userId, image) {
     try {
-      // Register upload
-      const registerResponse = await axios.post(`${this.baseURL}/assets?action=registerUpload`, {
-        registerUploadRequest: {
-          recipes: ['urn:li:digitalmediaRecipe:feedshare-image'],
-          owner: `urn:li:person:${userId}`,
-          serviceRelationships: [{
-            relationshipType: 'OWNER',
-            identifier: 'urn:li:userGeneratedContent'
-          }]
+      const registerResponse = await axios.post(`${this.restURL}/images?action=initializeUpload`, {
+        initializeUploadRequest: {
+          owner: `urn:li:person:${userId}`
         }
       }, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-          'X-Restli-Protocol-Version': '2.0.0'
-        }
+        headers: this.restHeaders(accessToken)
       });
 
-      const uploadUrl = registerResponse.data.value.uploadMechanism['com.linkedin.digitalmedia.uploading.MediaUploadHttpRequest'].uploadUrl;
-      const asset = registerResponse.data.value.asset;
+      const { uploadUrl, image: imageUrn } = registerResponse.data.value;
 
-      // Download image
-      const imageResponse = await axios.get(imageUrl, {
-        responseType: 'arraybuffer'
-      });
+      const data = image.path
+        ? await fs.readFile(path.resolve(process.cwd(), image.path))
+        : (await axios.get(image.url, { responseType: 'arraybuffer' })).data;
 
-      // Upload image
-      await axios.put(uploadUrl, imageResponse.data, {
+      await axios.put(uploadUrl, data, {
         headers: {
+          'Authorization': `Bearer ${accessToken}`,
           'Content-Type': 'application/octet-stream'
-        }
+        },
+        maxBodyLength: Infinity
       });
 
-      logger.linkedin('Image uploaded successfully', { asset });
-      return { asset };
+      logger.linkedin('Image uploaded successfully', { image: imageUrn });
+      return imageUrn;
     } catch (error) {
       logger.error('Failed to upload image to LinkedIn:', error.response?.data || error.message);
       throw new Error('Failed to upload image');
     }
   }
 
+  /**
+   * Create a document post (carousel PDF)
+   */
+  async createDocumentPost(accessToken, userId, content) {
+    try {
+      const documentUrn = await this.uploadDocument(accessToken, userId, content.documentPath);
+
+      const response = await axios.post(`${this.restURL}/posts`, {
+        author: `urn:li:person:${userId}`,
+        commentary: this.formatCommentary(content.text),
+        visibility: 'PUBLIC',
+        distribution: {
+          feedDistribution: 'MAIN_FEED',
+          targetEntities: [],
+          thirdPartyDistributionChannels: []
+        },
+        content: {
+          media: {
+            title: content.documentTitle || 'Document',
+            id: documentUrn
+          }
+        },
+        lifecycleState: 'PUBLISHED',
+        isReshareDisabledByAuthor: false
+      }, {
+        headers: this.restHeaders(accessToken)
+      });
+
+      const postId = response.headers['x-restli-id'];
+
+      logger.linkedin('Document post created successfully', {
+        postId,
+        document: documentUrn,
+        userId
+      });
+
+      return {
+        id: postId,
+        url: `https://www.linkedin.com/feed/update/${postId}/`
+      };
+    } catch (error) {
+      logger.error('Failed to create LinkedIn document post:', error.response?.data || error.message);
+      throw new Error('Failed to create LinkedIn document post');
+    }
+  }
+
+  /**
+   * Upload a PDF to LinkedIn
+   * @returns {Promise<string>} Document URN
+   */
+  async uploadDocument(accessToken, userId, documentPath) {
+    const registerResponse = await axios.post(`${this.restURL}/documents?action=initializeUpload`, {
+      initializeUploadRequest: {
+        owner: `urn:li:person:${userId}`
+      }
+    }, {
+      headers: this.restHeaders(accessToken)
+    });
+
+    const { uploadUrl, document } = registerResponse.data.value;
+    const file = await fs.readFile(path.resolve(process.cwd(), documentPath));
+
+    await axios.put(uploadUrl, file, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/octet-stream'
+      },
+      maxBodyLength: Infinity
+    });
+
+    logger.linkedin('Document uploaded successfully', { document, size: file.length });
+    return document;
+  }
+
+  restHeaders(accessToken) {
+    return {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'LinkedIn-Version': this.restVersion,
+      'X-Restli-Protocol-Version': '2.0.0'
+    };
+  }
+
+  /**
+   * Post text in the REST API's "little text" format: reserved characters are escaped and
+   * hashtags become hashtag templates
+   */
+  formatCommentary(text) {
+    const escape = (part) => part.replace(/[\\|{}@[\]()<>#*_~]/g, '\\$&');
+    return String(text || '')
+      .split(/(#[\p{L}\p{N}_]+)/u)
+      .map((part, index) => (index % 2 === 1 ? `{hashtag|\\#|${part.slice(1)}}` : escape(part)))
+      .join('');
+  }
+
   /**
    * Create a poll post
    */
@@ -424,6 +506,9 @@ class LinkedInAPI {
         case 'poll':
           result = await this.createPollPost(access_token, linkedinUserId, content);
           break;
+        case 'document':
+          result = await this.createDocumentPost(access_token, linkedinUserId, content);
+          break;
         default:
           throw new Error(`Unsupported content type: ${content.type}`);
       }
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+
+/**
+ * Deterministic offline provider for tests and local development
+ * The same messages always produce the same text, and no network calls are made.
+ */
+class FakeProvider {
+  /**
+   * @param {Object} options - { name, models, delayMs, chunkDelayMs, failWith, respond }
+   *   chunkDelayMs: pause between streamed words when the request has onToken
+   *   failWith: error message to throw on every call (exercises fallback chains)
+   *   respond: optional (request) => string to override the generated text
+   */
+  constructor({ name = 'fake', models = ['fake-small', 'fake-large'], delayMs = 0, chunkDelayMs = 0, failWith = null, respond = null } = {}) {
+    this.name = name;
+    this.label = 'Fake (deterministic)';
+    this.defaultModel = models[0];
+    this.models = models;
+    this.delayMs = delayMs;
+    this.chunkDelayMs = chunkDelayMs;
+    this.failWith = failWith;
+    this.respond = respond;
+    this.calls = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async complete(request) {
+    this.calls.push(request);
+
+    if (this.delayMs > 0) {
+      await this.wait(this.delayMs, request.signal);
+    }
+
+    if (this.failWith) {
+      throw new Error(this.failWith);
+    }
+
+    const model = request.model || this.defaultModel;
+    const prompt = request.messages.map(message => message.content).join('\n');
+    const text = this.respond ? this.respond(request) : this.generateText(request);
+
+    if (request.onToken) {
+      // Stream word by word, keeping the whitespace so the pieces join back into text
+      for (const token of text.match(/\S+\s*|\s+/g) || []) {
+        if (this.chunkDelayMs > 0) {
+          await this.wait(this.chunkDelayMs, request.signal);
+        }
+        request.onToken(token);
+      }
+    }
+
+    const promptTokens = Math.ceil(prompt.length / 4);
+    const completionTokens = Math.ceil(text.length / 4);
+
+    return {
+      text,
+      provider: this.name,
+      model,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      }
+    };
+  }
+
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new Error('Request was aborted'));
+        return;
+      }
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(new Error('Request was aborted'));
+        }, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Draft post text, or a JSON document shaped like request.responseFormat.example
+   * in responseFormat.language ('en', 'ar' or 'bilingual')
+   */
+  generateText({ messages, responseFormat }) {
+    const digest = crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 8);
+    const userMessage = [...messages].reverse().find(message => message.role === 'user');
+    const lastUserLine = (userMessage ? userMessage.content : '').trim().split('\n')[0].slice(0, 120);
+
+    const body = [
+      `Draft ${digest}: ${lastUserLine}`,
+      '',
+      'Three takeaways for professionals in Abu Dhabi:',
+      '1. Start small and measure results.',
+      '2. Share what you learn with your network.',
+      '3. Build partnerships across the region.',
+      '',
+      'What has worked for your team?'
+    ].join('\n');
+    const hashtags = ['#AbuDhabi', '#UAE', '#Leadership'];
+
+    if (responseFormat && responseFormat.type === 'json') {
+      const { example, language } = responseFormat;
+      const arabicBody = [
+        `مسودة ${digest}`,
+        '',
+        'ثلاث أفكار للمهنيين في أبوظبي:',
+        '1. ابدأ بخطوات صغيرة وقس النتائج.',
+        '2. شارك ما تتعلمه مع شبكتك.',
+        '3. ابنِ شراكات في المنطقة.',
+        '',
+        'ما الذي نجح مع فريقك؟'
+      ].join('\n');
+      const arabicHashtags = ['#أبوظبي', '#الإمارات'];
+
+      if (language === 'ar') {
+        return JSON.stringify({ ...example, title: `Draft ${digest}`, body: arabicBody, hashtags: [...arabicHashtags, '#AbuDhabi'] });
+      }
+      if (language === 'bilingual') {
+        return JSON.stringify({
+          ...example,
+          title: `Draft ${digest}`,
+          bodyAr: arabicBody,
+          bodyEn: body,
+          hashtags: [...arabicHashtags, ...hashtags]
+        });
+      }
+
+      return JSON.stringify({
+        ...example,
+        title: `Draft ${digest}`,
+        body,
+        hashtags
+      });
+    }
+
+    return `${body}\n\n${hashtags.join(' ')}`;
+  }
+}
+
+module.exports = FakeProvider;
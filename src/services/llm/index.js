@@ -0,0 +1,214 @@
+const logger = require('../../utils/logger');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const FakeProvider = require('./fakeProvider');
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * LLM provider registry
+ * Picks a provider per request (request option -> user preference -> LLM_PROVIDER)
+ * and falls back through LLM_FALLBACK_PROVIDERS when a provider errors or times out.
+ */
+class LLMService {
+  constructor() {
+    this.providers = new Map();
+    this.timeout = parseInt(process.env.LLM_TIMEOUT_MS) || parseInt(process.env.CONTENT_GENERATION_TIMEOUT) || 30000;
+
+    this.register(new OpenAICompatibleProvider({
+      name: 'openai',
+      label: 'OpenAI',
+      apiKey: process.env.OPENAI_API_KEY,
+      defaultModel: process.env.OPENAI_MODEL || 'gpt-4',
+      models: parseList(process.env.OPENAI_MODELS || 'gpt-4o,gpt-4o-mini,gpt-4,gpt-3.5-turbo')
+    }));
+
+    this.register(new OpenAICompatibleProvider({
+      name: 'openrouter',
+      label: 'OpenRouter',
+      apiKey: process.env.OPENROUTER_API_KEY,
+      baseURL: 'https://openrouter.ai/api/v1',
+      defaultModel: process.env.OPENROUTER_MODEL || 'meta-llama/llama-3.1-8b-instruct:free',
+      models: parseList(process.env.OPENROUTER_MODELS || 'meta-llama/llama-3.1-8b-instruct:free,microsoft/phi-3-mini-128k-instruct:free')
+    }));
+
+    this.register(new OpenAICompatibleProvider({
+      name: 'ollama',
+      label: 'Ollama (local)',
+      baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+      defaultModel: process.env.OLLAMA_MODEL || 'llama3.1',
+      models: parseList(process.env.OLLAMA_MODELS),
+      requiresApiKey: false
+    }));
+
+    this.register(new FakeProvider());
+
+    // USE_OPENROUTER is the original switch; LLM_PROVIDER takes precedence
+    this.defaultProvider = process.env.LLM_PROVIDER ||
+      (process.env.USE_OPENROUTER === 'true' ? 'openrouter' : 'openai');
+    this.fallbackProviders = parseList(process.env.LLM_FALLBACK_PROVIDERS);
+  }
+
+  /**
+   * Add or replace a provider (tests register fakes under their own names)
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Providers and their models, for settings screens and request validation
+   */
+  listProviders() {
+    return Array.from(this.providers.values())
+      // The fake provider is only offered when explicitly selected
+      .filter(provider => provider.name !== 'fake' || this.defaultProvider === 'fake' || process.env.NODE_ENV === 'test')
+      .map(provider => ({
+        name: provider.name,
+        label: provider.label,
+        configured: provider.isConfigured(),
+        defaultModel: provider.defaultModel,
+        models: provider.models,
+        isDefault: provider.name === this.defaultProvider
+      }));
+  }
+
+  /**
+   * Check a provider/model pair from a request or user preference
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateSelection(providerName, model) {
+    if (!providerName) {
+      return model ? 'A model can only be chosen together with a provider' : null;
+    }
+
+    const provider = this.providers.get(providerName);
+    if (!provider) {
+      return `Unknown LLM provider: ${providerName}`;
+    }
+    if (model && provider.models.length > 0 && !provider.models.includes(model)) {
+      return `Model ${model} is not available for ${providerName}`;
+    }
+    return null;
+  }
+
+  /**
+   * Ordered list of { provider, model } attempts for a request
+   * @param {Object} selection - { provider, model } from the request
+   * @param {Object} preferences - user_preferences row (ai_provider, ai_model)
+   */
+  resolveChain(selection = {}, preferences = {}) {
+    const primaryName = selection.provider || preferences.ai_provider || this.defaultProvider;
+    const primaryModel = selection.provider
+      ? selection.model
+      : (preferences.ai_provider ? preferences.ai_model : null);
+
+    const chain = [{ provider: this.getProvider(primaryName), model: primaryModel || null }];
+
+    for (const name of this.fallbackProviders) {
+      if (name !== primaryName && this.providers.has(name)) {
+        chain.push({ provider: this.providers.get(name), model: null });
+      }
+    }
+
+    return chain.filter(({ provider }) => provider.isConfigured());
+  }
+
+  /**
+   * Run a chat completion, falling back to the next provider on error or timeout
+   * @param {Object} request - { messages, maxTokens, temperature, presencePenalty, frequencyPenalty, responseFormat }
+   * @param {Object} options - { provider, model, preferences, timeout, signal, onToken, onAttempt }
+   *   signal: aborting it cancels the request without trying the fallbacks
+   *   onToken: (delta, { provider }) streams text as it is generated
+   *   onAttempt: ({ provider, attempt }) is called before each provider is tried
+   * @returns {Promise<Object>} { text, provider, model, usage, attempts }
+   */
+  async complete(request, options = {}) {
+    const chain = this.resolveChain(
+      { provider: options.provider, model: options.model },
+      options.preferences
+    );
+
+    if (chain.length === 0) {
+      throw new Error('No configured LLM provider is available');
+    }
+
+    const timeout = options.timeout || this.timeout;
+    const failures = [];
+
+    for (const { provider, model } of chain) {
+      if (options.signal && options.signal.aborted) {
+        break;
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      const cancel = () => controller.abort();
+      const startTime = Date.now();
+
+      if (options.signal) {
+        options.signal.addEventListener('abort', cancel, { once: true });
+      }
+      if (options.onAttempt) {
+        options.onAttempt({ provider: provider.name, attempt: failures.length + 1 });
+      }
+
+      try {
+        const result = await provider.complete({
+          ...request,
+          model: model || provider.defaultModel,
+          timeout,
+          signal: controller.signal,
+          onToken: options.onToken && (delta => options.onToken(delta, { provider: provider.name }))
+        });
+
+        logger.performance('LLM completion', Date.now() - startTime, {
+          provider: result.provider,
+          model: result.model,
+          tokens: result.usage.totalTokens
+        });
+
+        return { ...result, attempts: failures.length + 1 };
+      } catch (error) {
+        if (options.signal && options.signal.aborted) {
+          break;
+        }
+
+        const reason = controller.signal.aborted ? `timed out after ${timeout}ms` : error.message;
+        failures.push(`${provider.name}: ${reason}`);
+        logger.warn('LLM provider failed, trying next provider', {
+          provider: provider.name,
+          model: model || provider.defaultModel,
+          reason
+        });
+      } finally {
+        clearTimeout(timer);
+        if (options.signal) {
+          options.signal.removeEventListener('abort', cancel);
+        }
+      }
+    }
+
+    if (options.signal && options.signal.aborted) {
+      throw new Error('LLM request was cancelled');
+    }
+
+    throw new Error(`All LLM providers failed (${failures.join('; ')})`);
+  }
+
+  /**
+   * Value stored in generated_content.ai_model, e.g. "openrouter/meta-llama/llama-3.1-8b-instruct:free"
+   */
+  formatModelId(result) {
+    return `${result.provider}/${result.model}`;
+  }
+}
+
+module.exports = new LLMService();
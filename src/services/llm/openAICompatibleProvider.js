@@ -0,0 +1,132 @@
+const OpenAI = require('openai');
+
+/**
+ * Chat completion provider for any OpenAI-compatible API
+ * (OpenAI, OpenRouter, and local servers such as Ollama)
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} config - { name, label, apiKey, baseURL, defaultModel, models, requiresApiKey, defaultHeaders }
+   */
+  constructor({ name, label, apiKey, baseURL, defaultModel, models = [], requiresApiKey = true, defaultHeaders }) {
+    this.name = name;
+    this.label = label || name;
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.defaultModel = defaultModel;
+    this.models = Array.from(new Set([defaultModel, ...models].filter(Boolean)));
+    this.requiresApiKey = requiresApiKey;
+    this.defaultHeaders = defaultHeaders;
+    this.client = null;
+  }
+
+  isConfigured() {
+    return !this.requiresApiKey || Boolean(this.apiKey);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        // Local OpenAI-compatible servers ignore the key, but the SDK requires one
+        apiKey: this.apiKey || 'not-needed',
+        baseURL: this.baseURL,
+        defaultHeaders: this.defaultHeaders,
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { messages, model, maxTokens, temperature, presencePenalty, frequencyPenalty, timeout, signal, onToken }
+   *   responseFormat is not forwarded: not every OpenAI-compatible model supports JSON mode,
+   *   so the expected shape is described in the prompt instead.
+   *   When onToken is given the completion is streamed and onToken receives each text delta.
+   * @returns {Promise<Object>} { text, provider, model, usage }
+   */
+  async complete(request) {
+    const model = request.model || this.defaultModel;
+    const params = {
+      model,
+      messages: request.messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      presence_penalty: request.presencePenalty,
+      frequency_penalty: request.frequencyPenalty
+    };
+    const requestOptions = {
+      timeout: request.timeout,
+      signal: request.signal
+    };
+
+    if (request.onToken) {
+      return this.stream(params, requestOptions, request.onToken);
+    }
+
+    const completion = await this.getClient().chat.completions.create(params, requestOptions);
+
+    return {
+      text: completion.choices[0].message.content,
+      provider: this.name,
+      model: completion.model || model,
+      usage: this.mapUsage(completion.usage)
+    };
+  }
+
+  async stream(params, requestOptions, onToken) {
+    const stream = await this.getClient().chat.completions.create({
+      ...params,
+      stream: true,
+      // Without this OpenAI sends no usage on streamed responses
+      stream_options: { include_usage: true }
+    }, requestOptions);
+    let text = '';
+    let model = params.model;
+    let usage;
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+      model = chunk.model || model;
+      // The final chunk carries usage and no choices
+      usage = chunk.usage || usage;
+    }
+
+    return {
+      text,
+      provider: this.name,
+      model,
+      usage: usage ? this.mapUsage(usage) : this.estimateUsage(params.messages, text)
+    };
+  }
+
+  /**
+   * Rough token counts (about four characters per token) for servers that report no usage,
+   * so streamed calls still count towards the AI budget
+   */
+  estimateUsage(messages, text) {
+    const prompt = messages
+      .map(message => (typeof message.content === 'string'
+        ? message.content
+        : (message.content || []).map(part => part.text || '').join(' ')))
+      .join('\n');
+    const promptTokens = Math.ceil(prompt.length / 4);
+    const completionTokens = Math.ceil(text.length / 4);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+
+  mapUsage(usage) {
+    const counts = usage || {};
+    return {
+      promptTokens: counts.prompt_tokens || 0,
+      completionTokens: counts.completion_tokens || 0,
+      totalTokens: counts.total_tokens || 0
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
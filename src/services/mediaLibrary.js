@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const {
+  withTransaction,
+  media: mediaRepository,
+  content: contentRepository
+} = require('../database/repositories');
+const brandKitService = require('./brandKit');
+const accessibilityChecker = require('./accessibilityChecker');
+const { ACCEPTED_FORMATS, MEDIA_VARIANTS, validateImage, storedFormat, variantFor } = require('./images/mediaSpecs');
+
+const MEDIA_DIRECTORY = path.join('uploads', 'media');
+const MAX_BYTES = parseInt(process.env.UPLOAD_MAX_SIZE) || 10 * 1024 * 1024;
+const UNUSED_RETENTION_DAYS = parseInt(process.env.MEDIA_UNUSED_RETENTION_DAYS) || 30;
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', gif: 'gif' };
+
+/**
+ * Media library
+ * Keeps every uploaded and generated image once per user (by content hash), with EXIF stripped and
+ * variants sized for LinkedIn single image, carousel and document cover posts. Posts reference
+ * assets through content_media, so assets no post uses can be cleaned up.
+ */
+class MediaLibraryService {
+  /**
+   * Validate an image and add it to the user's library
+   * The same bytes stored twice return the existing asset.
+   * @param {Buffer} data - Image data
+   * @param {Object} options - { source: 'upload' or 'generated', originalName, tags, metadata }
+   * @returns {Promise<Object>} { asset, duplicate } or { errors } when the image is rejected
+   */
+  async store(userId, data, options = {}) {
+    const contentHash = crypto.createHash('sha256').update(data).digest('hex');
+    const existing = await mediaRepository.findByHash(userId, contentHash);
+    if (existing) {
+      return { asset: existing, duplicate: true };
+    }
+
+    const { info, errors } = await this.inspect(data);
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const sharp = brandKitService.getSharp();
+    const startTime = Date.now();
+    const format = storedFormat(info);
+    const directory = path.join(MEDIA_DIRECTORY, userId);
+    await fs.mkdir(path.join(process.cwd(), directory), { recursive: true });
+
+    // Re-encoding drops EXIF and other metadata; rotate() applies the EXIF orientation first.
+    // GIFs are kept as they are so animations survive.
+    const stored = format === 'gif'
+      ? { data, info: { width: info.width, height: info.height } }
+      : await sharp(data).rotate()[format]().toBuffer({ resolveWithObject: true });
+    const filePath = path.join(directory, `${contentHash}.${EXTENSIONS[format]}`);
+    await fs.writeFile(path.join(process.cwd(), filePath), stored.data);
+
+    const variants = {};
+    for (const [name, size] of Object.entries(MEDIA_VARIANTS)) {
+      variants[name] = await this.writeVariant(stored.data, Boolean(info.hasAlpha), directory, contentHash, name, size);
+    }
+
+    const asset = await mediaRepository.createUnlessDuplicate({
+      user_id: userId,
+      content_hash: contentHash,
+      source: options.source || 'upload',
+      original_name: options.originalName || null,
+      mime_type: ACCEPTED_FORMATS[format],
+      width: stored.info.width,
+      height: stored.info.height,
+      size_bytes: stored.data.length,
+      path: filePath,
+      variants,
+      tags: this.normalizeTags(options.tags),
+      metadata: options.metadata || {}
+    });
+
+    logger.performance('Media asset stored', Date.now() - startTime, {
+      userId,
+      source: options.source || 'upload',
+      format,
+      size: stored.data.length
+    });
+
+    // A concurrent store of the same image won the insert; both files are identical
+    return asset
+      ? { asset, duplicate: false }
+      : { asset: await mediaRepository.findByHash(userId, contentHash), duplicate: true };
+  }
+
+  /**
+   * Read an image and check it against the LinkedIn limits
+   * @returns {Promise<Object>} { info: sharp metadata, or null when unreadable, errors }
+   */
+  async inspect(data) {
+    let info = null;
+    try {
+      info = await brandKitService.getSharp()(data).metadata();
+    } catch (error) {
+      info = null;
+    }
+    return { info, errors: validateImage(info && { ...info, size: data.length }, MAX_BYTES) };
+  }
+
+  /**
+   * Resize an image to a LinkedIn variant, cropping around its most interesting region
+   */
+  async writeVariant(data, hasAlpha, directory, contentHash, name, size) {
+    const format = hasAlpha ? 'png' : 'jpeg';
+    const variant = await brandKitService.getSharp()(data, { animated: false })
+      .resize(size.width, size.height, { fit: 'cover', position: 'attention' })[format]()
+      .toBuffer();
+
+    const variantPath = path.join(directory, `${contentHash}-${name}.${EXTENSIONS[format]}`);
+    await fs.writeFile(path.join(process.cwd(), variantPath), variant);
+    return { path: variantPath, mimeType: ACCEPTED_FORMATS[format], ...size, size: variant.length };
+  }
+
+  normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return Array.from(new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean)));
+  }
+
+  async list(userId, filters, pagination) {
+    return mediaRepository.search(userId, filters, pagination);
+  }
+
+  /**
+   * An asset with the posts that use it
+   * @returns {Promise<Object|null>}
+   */
+  async get(userId, id) {
+    const asset = await mediaRepository.findForUser(userId, id);
+    if (!asset) {
+      return null;
+    }
+    return { ...asset, references: await mediaRepository.findReferences(asset.id) };
+  }
+
+  /**
+   * File of an asset or of one of its variants
+   * @returns {Object|null} { path, mimeType }, or null when the variant does not exist
+   */
+  filePath(asset, variant) {
+    if (!variant) {
+      return { path: asset.path, mimeType: asset.mime_type };
+    }
+    return (asset.variants && asset.variants[variant]) || null;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The updated asset, or null when it does not exist
+   */
+  async updateTags(userId, id, tags) {
+    const asset = await mediaRepository.findForUser(userId, id);
+    if (!asset) {
+      return null;
+    }
+    await mediaRepository.update(asset.id, { tags: this.normalizeTags(tags) });
+    return mediaRepository.findForUser(userId, id);
+  }
+
+  /**
+   * Use an asset as a post's image, in the variant that fits the post type
+   * @param {string} altText - Alt text for this post; by default the asset's own
+   * @returns {Promise<Object|null>} The new image_data, or null when the asset or content does not exist
+   */
+  async attach(userId, mediaId, contentId, altText = null) {
+    const [asset, content] = await Promise.all([
+      mediaRepository.findForUser(userId, mediaId),
+      contentRepository.findForUser(userId, contentId)
+    ]);
+    if (!asset || !content) {
+      return null;
+    }
+
+    const imageData = { type: 'single', ...this.describe(asset, content.content_type) };
+    if (altText && altText.trim()) {
+      imageData.altText = altText.trim();
+      imageData.altTextSource = 'user';
+    }
+
+    const updated = await contentRepository.update(content.id, { image_data: imageData });
+    await this.linkContent(content.id, imageData);
+    await accessibilityChecker.checkContent(updated);
+
+    logger.content('Media asset attached', { userId, mediaId, contentId });
+    return imageData;
+  }
+
+  /**
+   * image_data fields of an asset for a post type
+   */
+  describe(asset, contentType) {
+    const variant = asset.variants && asset.variants[variantFor(contentType)];
+    const file = variant || { path: asset.path, mimeType: asset.mime_type, width: asset.width, height: asset.height };
+    const metadata = asset.metadata || {};
+
+    return {
+      mediaId: asset.id,
+      path: file.path,
+      url: null,
+      mimeType: file.mimeType,
+      dimensions: `${file.width}x${file.height}`,
+      provider: metadata.provider || asset.source,
+      model: metadata.model || null,
+      template: metadata.template || null,
+      branding: metadata.branding || [],
+      prompt: metadata.prompt || null,
+      altText: metadata.altText || null,
+      altTextSource: metadata.altTextSource || null
+    };
+  }
+
+  /**
+   * Record which assets a post's image_data uses
+   */
+  async linkContent(contentId, imageData, client) {
+    const images = !imageData ? [] : imageData.type === 'carousel' ? imageData.images : [imageData];
+    await mediaRepository.setContentMedia(
+      contentId,
+      images.map(image => image.mediaId).filter(Boolean),
+      client
+    );
+  }
+
+  /**
+   * Delete an asset and its files
+   * @param {Object} options - { force: also delete it while posts use it; the image is removed from those
+   *   posts. Assets of posts waiting to be published are never deleted, so they do not lose their image }
+   * @returns {Promise<Object|null>} { deleted, references, scheduled }, or null when it does not exist
+   */
+  async delete(userId, id, options = {}) {
+    const asset = await mediaRepository.findForUser(userId, id);
+    if (!asset) {
+      return null;
+    }
+
+    const references = asset.reference_count > 0 ? await mediaRepository.findReferences(asset.id) : [];
+    const scheduled = references.filter(reference => reference.scheduled).length;
+    if (references.length > 0 && (!options.force || scheduled > 0)) {
+      return { deleted: false, references: references.length, scheduled };
+    }
+
+    await withTransaction(async (client) => {
+      for (const reference of references) {
+        await contentRepository.update(reference.id, {
+          image_data: this.withoutAsset(reference.image_data, asset.id)
+        }, client);
+      }
+      await mediaRepository.delete(asset.id, client);
+    });
+    await this.removeFiles(asset);
+
+    logger.content('Media asset deleted', { userId, mediaId: id, references: references.length });
+    return { deleted: true, references: references.length, scheduled: 0 };
+  }
+
+  /**
+   * image_data without the images of an asset; null when no image is left
+   */
+  withoutAsset(imageData, mediaId) {
+    if (!imageData) {
+      return null;
+    }
+    if (imageData.type === 'carousel') {
+      const images = imageData.images.filter(image => image.mediaId !== mediaId);
+      return images.length > 0 ? { ...imageData, images } : null;
+    }
+    return imageData.mediaId === mediaId ? null : imageData;
+  }
+
+  /**
+   * Delete assets no post has used for a number of days
+   * @param {Object} options - { userId (default everyone), olderThanDays }
+   * @returns {Promise<number>} Number of assets deleted
+   */
+  async cleanupUnused(options = {}) {
+    const days = options.olderThanDays || UNUSED_RETENTION_DAYS;
+    const before = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const assets = await mediaRepository.findUnused(before, options.userId || null);
+
+    for (const asset of assets) {
+      await mediaRepository.delete(asset.id);
+      await this.removeFiles(asset);
+    }
+
+    if (assets.length > 0) {
+      logger.content('Unused media cleaned up', { userId: options.userId, count: assets.length, olderThanDays: days });
+    }
+    return assets.length;
+  }
+
+  async removeFiles(asset) {
+    const files = [asset.path, ...Object.values(asset.variants || {}).map(variant => variant.path)];
+    for (const file of files) {
+      try {
+        await fs.unlink(path.resolve(process.cwd(), file));
+      } catch (error) {
+        logger.warn('Could not remove media file', { path: file, error: error.message });
+      }
+    }
+  }
+}
+
+module.exports = new MediaLibraryService();
@@ -1,6 +1,7 @@
 const moment = require('moment-timezone');
 const logger = require('../utils/logger');
 const { pool } = require('../database/init');
+const regionalCalendar = require('./regionalCalendar');
 
 /**
  * Advanced Optimal Timing Service
@@ -345,15 +346,7 @@ class OptimalTimingService {
    * Check if current period is Ramadan
    */
   isRamadanPeriod(date) {
-    // Simplified Ramadan detection - in production, use proper Islamic calendar
-    const year = date.year();
-    const ramadanDates = {
-      2024: { start: moment.tz('2024-03-10', this.timezone), end: moment.tz('2024-04-09', this.timezone) },
-      2025: { start: moment.tz('2025-02-28', this.timezone), end: moment.tz('2025-03-30', this.timezone) }
-    };
-
-    const ramadan = ramadanDates[year];
-    return ramadan && date.isBetween(ramadan.start, ramadan.end, 'day', '[]');
+    return regionalCalendar.isRamadan(date);
   }
 
   /**
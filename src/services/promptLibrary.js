@@ -0,0 +1,143 @@
+const logger = require('../utils/logger');
+const { parseTemplate, renderTemplate } = require('../utils/promptTemplate');
+const { withTransaction, prompts: promptsRepository } = require('../database/repositories');
+
+// Variables each kind of prompt is rendered with
+const PROMPT_VARIABLES = {
+  system: ['tone', 'companyName'],
+  content_type: ['tone', 'companyName'],
+  topic: [
+    'contentType', 'title', 'description', 'keywords', 'targetAudience', 'industry', 'brandVoice',
+    'excludedTopics', 'voiceGuidelines', 'companyKnowledge', 'occasion'
+  ]
+};
+
+/**
+ * Prompt library
+ * Generation prompts are versioned records. A prompt applies to every user unless it is scoped to a
+ * content type, an industry (the user's) or a single user, and generation renders the most specific
+ * one. Editing a prompt adds a version; rolling back re-activates an earlier one.
+ */
+class PromptLibraryService {
+  /**
+   * Problems with a prompt body: unbalanced sections and variables the prompt is not rendered with
+   * @returns {Array<string>} error messages, empty when the body is valid
+   */
+  validate(promptKey, body) {
+    const allowed = PROMPT_VARIABLES[promptKey] || [];
+    const { variables, errors } = parseTemplate(body);
+
+    variables
+      .filter(name => !allowed.includes(name))
+      .forEach(name => errors.push(`Unknown variable {{${name}}}; available: ${allowed.join(', ') || 'none'}`));
+
+    return errors;
+  }
+
+  /**
+   * Render the active version of the most specific prompt for a key
+   * @param {Object} scope - { contentType, industry, userId }
+   * @returns {Promise<Object|null>} { text, versionId }, null when no prompt applies
+   */
+  async render(promptKey, scope, values) {
+    const prompt = await promptsRepository.resolve(promptKey, scope);
+    if (!prompt) {
+      return null;
+    }
+
+    return {
+      text: renderTemplate(prompt.body, values).trim(),
+      versionId: prompt.version_id
+    };
+  }
+
+  /**
+   * Add a prompt with its first version
+   * @param {Object} data - { promptKey, contentType, industry, userId, body, notes }
+   * @returns {Promise<Object|null>} prompt_templates row, null when the scope already has a prompt
+   */
+  async createPrompt({ promptKey, contentType = null, industry = null, userId = null, body, notes }, createdBy) {
+    const scope = { contentType, industry, userId };
+
+    const prompt = await withTransaction(async (client) => {
+      if (await promptsRepository.findByScope(promptKey, scope, client)) {
+        return null;
+      }
+
+      const template = await promptsRepository.create({
+        prompt_key: promptKey,
+        content_type: contentType,
+        industry,
+        user_id: userId,
+        active_version: 1
+      }, client);
+      await promptsRepository.createVersion(template.id, {
+        body,
+        variables: parseTemplate(body).variables,
+        notes,
+        createdBy
+      }, client);
+      return template;
+    });
+
+    if (prompt) {
+      logger.content('Prompt created', { promptId: prompt.id, promptKey, ...scope, createdBy });
+    }
+    return prompt;
+  }
+
+  /**
+   * Store an edit as the next version and make it active
+   * @returns {Promise<Object>} prompt_versions row
+   */
+  async addVersion(template, { body, notes }, createdBy) {
+    const version = await withTransaction(async (client) => {
+      const row = await promptsRepository.createVersion(template.id, {
+        body,
+        variables: parseTemplate(body).variables,
+        notes,
+        createdBy
+      }, client);
+      await promptsRepository.update(template.id, { active_version: row.version }, client);
+      return row;
+    });
+
+    logger.content('Prompt version added', { promptId: template.id, version: version.version, createdBy });
+    return version;
+  }
+
+  /**
+   * Make an earlier (or later) version the active one
+   * @returns {Promise<Object|null>} prompt_versions row, null when the version does not exist
+   */
+  async activateVersion(template, versionNumber, activatedBy) {
+    const version = await promptsRepository.findVersion(template.id, versionNumber);
+    if (!version) {
+      return null;
+    }
+
+    await promptsRepository.update(template.id, { active_version: version.version });
+
+    logger.content('Prompt version activated', {
+      promptId: template.id,
+      from: template.active_version,
+      to: version.version,
+      activatedBy
+    });
+    return version;
+  }
+
+  /**
+   * Compare a prompt's versions by the drafts they produced and how the published posts performed
+   */
+  async getPerformance(template) {
+    const versions = await promptsRepository.getVersionPerformance(template.id);
+
+    return versions.map(version => ({
+      ...version,
+      active: version.version === template.active_version
+    }));
+  }
+}
+
+module.exports = new PromptLibraryService();
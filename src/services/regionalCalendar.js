@@ -0,0 +1,140 @@
+const moment = require('moment-timezone');
+
+/**
+ * UAE calendar of public holidays, observances and Ramadan used to plan posting around
+ * Fixed-date events repeat every year. Islamic dates follow the Hijri calendar and are listed per
+ * year as expected Gregorian dates; the official dates depend on moon sighting and may move by a day.
+ */
+const FIXED_EVENTS = [
+  { key: 'new_year', name: "New Year's Day", month: 1, day: 1, type: 'holiday', tags: ['new_year'] },
+  { key: 'emirati_womens_day', name: "Emirati Women's Day", month: 8, day: 28, type: 'observance', tags: ['emirati_womens_day'] },
+  { key: 'flag_day', name: 'UAE Flag Day', month: 11, day: 3, type: 'observance', tags: ['flag_day', 'national_day'] },
+  { key: 'commemoration_day', name: 'Commemoration Day', month: 11, day: 30, type: 'observance', tags: ['commemoration_day'] },
+  { key: 'national_day', name: 'UAE National Day', month: 12, day: 2, days: 2, type: 'holiday', tags: ['national_day'] }
+];
+
+const ISLAMIC_EVENTS = {
+  ramadan: { name: 'Ramadan', type: 'season', tags: ['ramadan'] },
+  eid_al_fitr: { name: 'Eid Al Fitr', type: 'holiday', tags: ['eid', 'eid_al_fitr'] },
+  arafat_day: { name: 'Arafat Day', type: 'holiday', tags: ['arafat_day', 'eid_al_adha'] },
+  eid_al_adha: { name: 'Eid Al Adha', type: 'holiday', tags: ['eid', 'eid_al_adha'] },
+  hijri_new_year: { name: 'Islamic New Year', type: 'holiday', tags: ['hijri_new_year'] },
+  prophets_birthday: { name: "Prophet Muhammad's Birthday", type: 'holiday', tags: ['prophets_birthday'] }
+};
+
+// Expected dates: [start, end]
+const ISLAMIC_DATES = {
+  2024: {
+    ramadan: ['2024-03-11', '2024-04-09'],
+    eid_al_fitr: ['2024-04-10', '2024-04-12'],
+    arafat_day: ['2024-06-15', '2024-06-15'],
+    eid_al_adha: ['2024-06-16', '2024-06-18'],
+    hijri_new_year: ['2024-07-07', '2024-07-07'],
+    prophets_birthday: ['2024-09-15', '2024-09-15']
+  },
+  2025: {
+    ramadan: ['2025-03-01', '2025-03-29'],
+    eid_al_fitr: ['2025-03-30', '2025-04-01'],
+    arafat_day: ['2025-06-05', '2025-06-05'],
+    eid_al_adha: ['2025-06-06', '2025-06-08'],
+    hijri_new_year: ['2025-06-26', '2025-06-26'],
+    prophets_birthday: ['2025-09-04', '2025-09-04']
+  },
+  2026: {
+    ramadan: ['2026-02-18', '2026-03-19'],
+    eid_al_fitr: ['2026-03-20', '2026-03-22'],
+    arafat_day: ['2026-05-26', '2026-05-26'],
+    eid_al_adha: ['2026-05-27', '2026-05-29'],
+    hijri_new_year: ['2026-06-16', '2026-06-16'],
+    prophets_birthday: ['2026-08-25', '2026-08-25']
+  },
+  2027: {
+    ramadan: ['2027-02-08', '2027-03-09'],
+    eid_al_fitr: ['2027-03-10', '2027-03-12'],
+    arafat_day: ['2027-05-15', '2027-05-15'],
+    eid_al_adha: ['2027-05-16', '2027-05-18'],
+    hijri_new_year: ['2027-06-06', '2027-06-06'],
+    prophets_birthday: ['2027-08-14', '2027-08-14']
+  }
+};
+
+class RegionalCalendar {
+  constructor() {
+    this.timezone = process.env.TIMEZONE || 'Asia/Dubai';
+  }
+
+  /**
+   * Whether the Islamic holidays of a year are known; fixed-date events are always available
+   */
+  hasIslamicDates(year) {
+    return Boolean(ISLAMIC_DATES[year]);
+  }
+
+  /**
+   * Events of a year
+   * @returns {Array} [{ key, name, type, tags, start, end, approximate }] with YYYY-MM-DD dates,
+   *   type 'holiday' (public holiday), 'observance' or 'season' (Ramadan)
+   */
+  getEvents(year) {
+    const fixed = FIXED_EVENTS.map(({ key, name, type, tags, month, day, days = 1 }) => {
+      const start = moment.tz({ year, month: month - 1, day }, this.timezone);
+      return {
+        key,
+        name,
+        type,
+        tags,
+        start: start.format('YYYY-MM-DD'),
+        end: start.clone().add(days - 1, 'days').format('YYYY-MM-DD'),
+        approximate: false
+      };
+    });
+
+    const islamic = Object.entries(ISLAMIC_DATES[year] || {}).map(([key, [start, end]]) => ({
+      key,
+      ...ISLAMIC_EVENTS[key],
+      start,
+      end,
+      approximate: true
+    }));
+
+    return [...fixed, ...islamic].sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  /**
+   * Events overlapping a date range, inclusive
+   */
+  getEventsBetween(from, to) {
+    const start = moment.tz(from, this.timezone).format('YYYY-MM-DD');
+    const end = moment.tz(to, this.timezone).format('YYYY-MM-DD');
+    const years = [];
+    for (let year = Number(start.slice(0, 4)); year <= Number(end.slice(0, 4)); year++) {
+      years.push(year);
+    }
+
+    return years
+      .flatMap(year => this.getEvents(year))
+      .filter(event => event.end >= start && event.start <= end);
+  }
+
+  /**
+   * Events on one day
+   * @returns {Object} { date, events, isHoliday, isRamadan }
+   */
+  getDay(date) {
+    const day = moment.tz(date, this.timezone).format('YYYY-MM-DD');
+    const events = this.getEventsBetween(day, day);
+
+    return {
+      date: day,
+      events,
+      isHoliday: events.some(event => event.type === 'holiday'),
+      isRamadan: events.some(event => event.key === 'ramadan')
+    };
+  }
+
+  isRamadan(date) {
+    return this.getDay(date).isRamadan;
+  }
+}
+
+module.exports = new RegionalCalendar();
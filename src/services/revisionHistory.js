@@ -0,0 +1,144 @@
+const logger = require('../utils/logger');
+const { diffWords } = require('../utils/wordDiff');
+const { content: contentRepository, revisions: revisionsRepository } = require('../database/repositories');
+const structuredContent = require('./structuredContent');
+
+/**
+ * Revision history for generated content
+ * Every change to a post's title, text or hashtags is kept as a numbered revision, tagged with
+ * where it came from: 'ai' (generation), 'human' (an edit), 'rewrite' or 'restore'.
+ */
+class RevisionHistory {
+  /**
+   * Text compared between revisions: everything that gets published
+   */
+  textOf(revision) {
+    return structuredContent.publishedText(revision);
+  }
+
+  /**
+   * Record the current state of a generated_content row as a new revision
+   * @param {Object} contentRow - { id, user_id, title, content_text, hashtags }
+   * @param {Object} options - { source, authorId, aiModel, restoredFrom }
+   * @param {Object} client - Client of the transaction saving the post; the post's row stays locked until it
+   *   ends, so two saves at once cannot both take the next revision number
+   * @returns {Promise<Object|null>} The revision, or null when nothing changed
+   */
+  async record(contentRow, { source, authorId = null, aiModel = null, restoredFrom = null }, client) {
+    await contentRepository.lock(contentRow.id, client);
+    const previous = await revisionsRepository.findLatest(contentRow.id, client);
+    const text = this.textOf(contentRow);
+
+    if (previous && this.textOf(previous) === text) {
+      return null;
+    }
+
+    const delta = diffWords(previous ? this.textOf(previous) : '', text).stats;
+    const original = previous ? await revisionsRepository.findOriginal(contentRow.id, client) : null;
+    let aiEditRatio = null;
+    if (!previous && source === 'ai') {
+      aiEditRatio = 0;
+    } else if (original) {
+      aiEditRatio = diffWords(this.textOf(original), text).stats.changeRatio;
+    }
+
+    const revision = await revisionsRepository.append({
+      contentId: contentRow.id,
+      userId: contentRow.user_id,
+      source,
+      authorId,
+      aiModel,
+      restoredFrom,
+      title: contentRow.title,
+      contentText: contentRow.content_text,
+      hashtags: contentRow.hashtags,
+      wordsAdded: delta.added,
+      wordsRemoved: delta.removed,
+      aiEditRatio
+    }, client);
+
+    logger.content('Content revision recorded', {
+      contentId: contentRow.id,
+      revision: revision.revision_number,
+      source,
+      wordsAdded: delta.added,
+      wordsRemoved: delta.removed
+    });
+
+    return revision;
+  }
+
+  async list(contentId, client) {
+    return revisionsRepository.findByContent(contentId, client);
+  }
+
+  /**
+   * Word-level diff between two revisions
+   * @param {number} from - Older revision number
+   * @param {number} to - Newer revision number; defaults to the latest
+   * @returns {Promise<Object|null>} { from, to, changes, stats }, or null if a revision does not exist
+   */
+  async diff(contentId, from, to, client) {
+    const newer = to
+      ? await revisionsRepository.findByNumber(contentId, to, client)
+      : await revisionsRepository.findLatest(contentId, client);
+    if (!newer) {
+      return null;
+    }
+
+    const older = await revisionsRepository.findByNumber(contentId, from || Math.max(newer.revision_number - 1, 1), client);
+    if (!older) {
+      return null;
+    }
+
+    const { changes, stats } = diffWords(this.textOf(older), this.textOf(newer));
+
+    return {
+      from: this.describe(older),
+      to: this.describe(newer),
+      changes,
+      stats
+    };
+  }
+
+  /**
+   * Copy an earlier revision back onto the post, as a new 'restore' revision
+   * @returns {Promise<Object|null>} { content, revision }, or null if the revision does not exist
+   */
+  async restore(contentRow, revisionNumber, authorId, client) {
+    const target = await revisionsRepository.findByNumber(contentRow.id, revisionNumber, client);
+    if (!target) {
+      return null;
+    }
+
+    const content = await contentRepository.update(contentRow.id, {
+      title: target.title,
+      content_text: target.content_text,
+      hashtags: target.hashtags
+    }, client);
+
+    const revision = await this.record(content, {
+      source: 'restore',
+      authorId,
+      restoredFrom: revisionNumber
+    }, client);
+
+    return { content, revision };
+  }
+
+  /**
+   * Revision metadata without the stored text
+   */
+  describe(revision) {
+    return {
+      revision: revision.revision_number,
+      source: revision.source,
+      authorId: revision.author_id,
+      aiModel: revision.ai_model,
+      restoredFrom: revision.restored_from,
+      createdAt: revision.created_at
+    };
+  }
+}
+
+module.exports = new RevisionHistory();
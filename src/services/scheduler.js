@@ -4,6 +4,9 @@ const logger = require('../utils/logger');
 const { pool } = require('../database/init');
 const linkedinAPI = require('./linkedinAPI');
 const contentGenerator = require('./contentGenerator');
+const complianceChecker = require('./complianceChecker');
+const similarityIndex = require('./similarityIndex');
+const mediaLibrary = require('./mediaLibrary');
 
 class ContentScheduler {
   constructor() {
@@ -30,6 +33,9 @@ class ContentScheduler {
       // Schedule pending posts check
       this.schedulePendingPostsCheck();
       
+      // Schedule unused media cleanup
+      this.scheduleMediaCleanup();
+      
       // Load existing scheduled posts
       await this.loadScheduledPosts();
       
@@ -71,6 +77,21 @@ class ContentScheduler {
     logger.info('Pending posts check scheduled');
   }
 
+  /**
+   * Schedule cleanup of media no post uses (runs daily at 03:00)
+   */
+  scheduleMediaCleanup() {
+    cron.schedule('0 3 * * *', async () => {
+      try {
+        await mediaLibrary.cleanupUnused();
+      } catch (error) {
+        logger.error('Error in media cleanup:', error);
+      }
+    }, { timezone: this.timezone });
+    
+    logger.info('Unused media cleanup scheduled');
+  }
+
   /**
    * Check if current time matches optimal posting times
    */
@@ -88,7 +109,7 @@ class ContentScheduler {
     const isOptimalTime = Object.values(this.optimalTimes).includes(currentTime);
     
     if (isOptimalTime) {
-      logger.scheduling('Optimal posting time detected', {
+      logger.scheduler('Optimal posting time detected', {
         time: currentTime,
         timezone: this.timezone
       });
@@ -163,18 +184,37 @@ class ContentScheduler {
       
       // Get scheduled post details
       const postResult = await client.query(`
-        SELECT sp.*, gc.content_text, gc.content_type, gc.hashtags
+        SELECT sp.*, gc.title, gc.content_text, gc.content_type, gc.hashtags, gc.image_data, gc.document_data
         FROM scheduled_posts sp
         JOIN generated_content gc ON gc.id = sp.content_id
         WHERE sp.id = $1 AND sp.status = 'pending'
       `, [scheduledPostId]);
 
       if (postResult.rows.length === 0) {
-        logger.warning('Scheduled post not found or already processed', { scheduledPostId });
+        logger.warn('Scheduled post not found or already processed', { scheduledPostId });
         return;
       }
 
       const scheduledPost = postResult.rows[0];
+
+      // Re-check compliance: the draft or the user's rules may have changed since it was generated
+      const compliance = await complianceChecker.checkContent({
+        id: scheduledPost.content_id,
+        user_id: scheduledPost.user_id,
+        title: scheduledPost.title,
+        content_text: scheduledPost.content_text,
+        hashtags: scheduledPost.hashtags
+      }, client);
+      if (compliance.status === 'blocked') {
+        await this.markPostAsFailed(client, scheduledPostId, complianceChecker.summarizeBlocking(compliance));
+        await client.query('COMMIT');
+        logger.scheduler('Scheduled post blocked by compliance check', {
+          scheduledPostId,
+          userId: scheduledPost.user_id,
+          rules: compliance.blocking.map(issue => issue.rule)
+        });
+        return;
+      }
       
       // Check if user has valid LinkedIn connection
       const hasConnection = await linkedinAPI.hasValidConnection(scheduledPost.user_id);
@@ -188,7 +228,7 @@ class ContentScheduler {
       const content = this.prepareContentForPosting(scheduledPost);
       
       // Post to LinkedIn
-      const postResult = await linkedinAPI.postContent(scheduledPost.user_id, content);
+      const publishResult = await linkedinAPI.postContent(scheduledPost.user_id, content);
       
       // Update scheduled post status
       await client.query(`
@@ -199,20 +239,20 @@ class ContentScheduler {
             linkedin_post_url = $2,
             updated_at = CURRENT_TIMESTAMP
         WHERE id = $3
-      `, [postResult.id, postResult.url, scheduledPostId]);
+      `, [publishResult.id, publishResult.url, scheduledPostId]);
 
       // Log analytics entry
       await client.query(`
         INSERT INTO post_analytics (user_id, linkedin_post_id, scheduled_post_id, post_type)
         VALUES ($1, $2, $3, $4)
-      `, [scheduledPost.user_id, postResult.id, scheduledPostId, scheduledPost.post_type]);
+      `, [scheduledPost.user_id, publishResult.id, scheduledPostId, scheduledPost.post_type]);
 
       await client.query('COMMIT');
       
-      logger.scheduling('Scheduled post executed successfully', {
+      logger.scheduler('Scheduled post executed successfully', {
         scheduledPostId,
         userId: scheduledPost.user_id,
-        linkedinPostId: postResult.id
+        linkedinPostId: publishResult.id
       });
       
     } catch (error) {
@@ -245,7 +285,6 @@ class ContentScheduler {
       case 'multi_image':
         baseContent.images = contentData.media_urls || [];
         baseContent.imageDescription = contentData.imageDescription || '';
-        baseContent.imageTitle = contentData.imageTitle || '';
         break;
       case 'poll':
         baseContent.question = contentData.poll?.question || '';
@@ -257,6 +296,21 @@ class ContentScheduler {
         break;
     }
 
+    // Stored images are uploaded from local storage with their alt text
+    const imageData = scheduledPost.image_data;
+    if (imageData && ['text', 'multi_image'].includes(scheduledPost.content_type)) {
+      baseContent.type = scheduledPost.content_type === 'text' ? 'image' : 'multi_image';
+      baseContent.images = (imageData.type === 'carousel' ? imageData.images : [imageData])
+        .map(image => ({ path: image.path, altText: image.altText || '' }));
+    }
+
+    // A carousel built into a PDF is published as a document post
+    if (scheduledPost.document_data) {
+      baseContent.type = 'document';
+      baseContent.documentPath = scheduledPost.document_data.path;
+      baseContent.documentTitle = scheduledPost.document_data.title;
+    }
+
     return baseContent;
   }
 
@@ -275,20 +329,21 @@ class ContentScheduler {
 
   /**
    * Schedule a new post
+   * @param {string} status - 'pending', or 'awaiting_approval' to hold the post until it is approved
    */
-  async schedulePost(userId, contentId, scheduledFor, postType = 'immediate', optimalTime = null) {
+  async schedulePost(userId, contentId, scheduledFor, postType = 'immediate', optimalTime = null, status = 'pending') {
     const client = await pool.connect();
     try {
       const result = await client.query(`
         INSERT INTO scheduled_posts (
           user_id, content_id, scheduled_for, post_type, optimal_time, status
-        ) VALUES ($1, $2, $3, $4, $5, 'pending')
+        ) VALUES ($1, $2, $3, $4, $5, $6)
         RETURNING id
-      `, [userId, contentId, scheduledFor, postType, optimalTime]);
+      `, [userId, contentId, scheduledFor, postType, optimalTime, status]);
 
       const scheduledPostId = result.rows[0].id;
       
-      logger.scheduling('Post scheduled successfully', {
+      logger.scheduler('Post scheduled successfully', {
         scheduledPostId,
         userId,
         contentId,
@@ -318,9 +373,10 @@ class ContentScheduler {
 
   /**
    * Get next optimal date/time
+   * @param {Date} after - Earliest time to consider; defaults to now
    */
-  getNextOptimalDateTime(optimalTime) {
-    const now = moment().tz(this.timezone);
+  getNextOptimalDateTime(optimalTime, after = null) {
+    const now = moment(after || undefined).tz(this.timezone);
     const [hours, minutes] = optimalTime.split(':').map(Number);
     
     let nextTime = now.clone().hours(hours).minutes(minutes).seconds(0).milliseconds(0);
@@ -338,18 +394,82 @@ class ContentScheduler {
     return nextTime.toDate();
   }
 
+  /**
+   * Publishing times for a series: optimal times at least spacingDays apart, rotating through timeSlots
+   * @param {Object} options - { startDate, spacingDays, timeSlots }
+   * @returns {Array} [{ scheduledFor, timeSlot, optimalTime }]
+   */
+  getSeriesSchedule(count, { startDate = null, spacingDays = 2, timeSlots = ['morning'] } = {}) {
+    const schedule = [];
+    let after = startDate;
+
+    for (let i = 0; i < count; i++) {
+      const timeSlot = timeSlots[i % timeSlots.length];
+      const optimalTime = this.optimalTimes[timeSlot];
+      if (!optimalTime) {
+        throw new Error(`Invalid time slot: ${timeSlot}`);
+      }
+
+      const scheduledFor = this.getNextOptimalDateTime(optimalTime, after);
+      schedule.push({ scheduledFor, timeSlot, optimalTime });
+
+      after = moment(scheduledFor).tz(this.timezone).add(spacingDays, 'days').startOf('day').toDate();
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Schedule the posts of a series in order
+   * @param {Array} posts - generated_content rows in series order
+   * @param {Array} schedule - from getSeriesSchedule
+   * @returns {Promise<Array>} [{ contentId, scheduledPostId, scheduledFor, timeSlot }]
+   */
+  async scheduleSeries(userId, seriesId, posts, schedule) {
+    const scheduled = [];
+
+    for (const [index, post] of posts.entries()) {
+      const { scheduledFor, timeSlot, optimalTime } = schedule[index];
+      const scheduledPostId = await this.schedulePost(userId, post.id, scheduledFor, 'optimal', optimalTime);
+      await pool.query('UPDATE generated_content SET status = $1 WHERE id = $2', ['scheduled', post.id]);
+      scheduled.push({ contentId: post.id, position: post.series_position, scheduledPostId, scheduledFor, timeSlot });
+    }
+
+    await pool.query(
+      'UPDATE content_series SET status = $1 WHERE id = $2 AND user_id = $3',
+      ['scheduled', seriesId, userId]
+    );
+
+    logger.scheduler('Content series scheduled', {
+      userId,
+      seriesId,
+      posts: scheduled.length,
+      firstPost: scheduled.length > 0 ? scheduled[0].scheduledFor : null
+    });
+
+    return scheduled;
+  }
+
   /**
    * Auto-generate and schedule content for user
    */
   async autoGenerateAndSchedule(userId, topicId, contentType = 'text', timeSlot = 'morning') {
     try {
       // Generate content
-      const generatedContent = await contentGenerator.generateContent(userId, topicId, contentType);
+      const generatedContent = await contentGenerator.generateContent(userId, topicId, contentType, null, false, {
+        feature: 'auto_schedule'
+      });
+
+      // Leave near-duplicates of earlier posts as unscheduled drafts
+      const { similarity } = generatedContent.metadata;
+      if (similarity && similarity.duplicate && similarity.action === 'reject') {
+        throw new Error(`Generated content ${generatedContent.id} is ${similarityIndex.describeMatch(similarity)}`);
+      }
       
       // Schedule for optimal time
       const scheduledPostId = await this.scheduleForOptimalTime(userId, generatedContent.id, timeSlot);
       
-      logger.scheduling('Auto-generated content scheduled', {
+      logger.scheduler('Auto-generated content scheduled', {
         userId,
         contentId: generatedContent.id,
         scheduledPostId,
@@ -426,7 +546,7 @@ class ContentScheduler {
         throw new Error('Scheduled post not found or cannot be cancelled');
       }
 
-      logger.scheduling('Scheduled post cancelled', {
+      logger.scheduler('Scheduled post cancelled', {
         scheduledPostId,
         userId
       });
@@ -455,7 +575,7 @@ class ContentScheduler {
         throw new Error('Scheduled post not found or cannot be updated');
       }
 
-      logger.scheduling('Scheduled post time updated', {
+      logger.scheduler('Scheduled post time updated', {
         scheduledPostId,
         userId,
         newScheduledFor
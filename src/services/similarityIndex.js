@@ -0,0 +1,231 @@
+const logger = require('../utils/logger');
+const { content: contentRepository } = require('../database/repositories');
+const structuredContent = require('./structuredContent');
+
+const NUM_HASHES = 128;
+const BAND_ROWS = 4;
+const SHINGLE_SIZE = 2;
+
+// 32-bit FNV-1a
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Integer finaliser that spreads one shingle hash into independent MinHash permutations
+const mix = (value) => {
+  let x = value;
+  x ^= x >>> 16;
+  x = Math.imul(x, 0x7feb352d);
+  x ^= x >>> 15;
+  x = Math.imul(x, 0x846ca68b);
+  x ^= x >>> 16;
+  return x >>> 0;
+};
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (value, index) => mix(index + 1));
+
+/**
+ * Near-duplicate detection over a user's posting history
+ * Posts are reduced to MinHash signatures of word pairs; locality-sensitive hashing bands
+ * (32 bands of 4 rows) find candidate posts in the database, and the signatures estimate
+ * their Jaccard similarity.
+ */
+class SimilarityIndex {
+  constructor() {
+    const threshold = parseFloat(process.env.SIMILARITY_THRESHOLD);
+    this.threshold = threshold > 0 && threshold <= 1 ? threshold : 0.7;
+    this.action = process.env.SIMILARITY_ACTION === 'warn' ? 'warn' : 'reject';
+    this.lookbackDays = parseInt(process.env.SIMILARITY_LOOKBACK_DAYS) || 365;
+  }
+
+  /**
+   * Words of a post, ignoring case, links, hashtags, punctuation and Arabic diacritics
+   */
+  tokenize(text) {
+    return (text || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/#[\p{L}\p{N}_]+/gu, ' ')
+      .replace(/[\u064B-\u065F\u0670]/g, '')
+      .match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  shingles(text) {
+    const words = this.tokenize(text);
+    if (words.length === 0) {
+      return [];
+    }
+    if (words.length < SHINGLE_SIZE) {
+      return [words.join(' ')];
+    }
+
+    const shingles = new Set();
+    for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+      shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    return Array.from(shingles);
+  }
+
+  /**
+   * MinHash signature and LSH band hashes, as signed 32-bit integers for INTEGER[] columns
+   * @returns {Object|null} { signature, bands }, or null for text without words
+   */
+  fingerprint(text) {
+    const hashes = this.shingles(text).map(fnv1a);
+    if (hashes.length === 0) {
+      return null;
+    }
+
+    const signature = SEEDS.map(seed => {
+      let min = 0xffffffff;
+      hashes.forEach(hash => {
+        const value = mix(hash ^ seed);
+        if (value < min) {
+          min = value;
+        }
+      });
+      return min | 0;
+    });
+
+    const bands = [];
+    for (let band = 0; band < NUM_HASHES / BAND_ROWS; band++) {
+      const rows = signature.slice(band * BAND_ROWS, (band + 1) * BAND_ROWS);
+      bands.push(fnv1a(`${band}:${rows.join(',')}`) | 0);
+    }
+
+    return { signature, bands };
+  }
+
+  /**
+   * Estimated Jaccard similarity of two signatures (0-1)
+   */
+  estimate(a, b) {
+    let equal = 0;
+    for (let i = 0; i < NUM_HASHES; i++) {
+      if (a[i] === b[i]) {
+        equal++;
+      }
+    }
+    return equal / NUM_HASHES;
+  }
+
+  /**
+   * Fingerprint posting history saved before the index existed
+   */
+  async indexHistory(userId, client) {
+    const rows = await contentRepository.findUnindexedHistory(userId, 200, client);
+
+    for (const row of rows) {
+      const fingerprint = this.fingerprint(structuredContent.publishedText(row));
+      if (fingerprint) {
+        await contentRepository.saveSimilaritySignature(row.id, fingerprint.signature, fingerprint.bands, client);
+      }
+    }
+
+    if (rows.length > 0) {
+      logger.content('Indexed posting history for duplicate detection', { userId, indexed: rows.length });
+    }
+  }
+
+  /**
+   * Compare text with the user's approved, scheduled and posted content
+   * @param {Object} options - { excludeId, client }
+   * @returns {Promise<Object>} { similarity, threshold, duplicate, action, match, fingerprint }
+   *   match is the closest earlier post, with its LinkedIn URL once published
+   */
+  async check(userId, text, { excludeId = null, client } = {}) {
+    const fingerprint = this.fingerprint(text);
+    const result = {
+      similarity: 0,
+      threshold: this.threshold,
+      duplicate: false,
+      action: this.action,
+      match: null,
+      fingerprint
+    };
+
+    if (!fingerprint) {
+      return result;
+    }
+
+    await this.indexHistory(userId, client);
+
+    const since = new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000);
+    const candidates = await contentRepository.findSimilarityCandidates(userId, fingerprint.bands, since, excludeId, client);
+
+    candidates.forEach(candidate => {
+      const similarity = this.estimate(fingerprint.signature, candidate.similarity_signature);
+      if (similarity > result.similarity) {
+        result.similarity = similarity;
+        result.match = {
+          contentId: candidate.id,
+          title: candidate.title,
+          status: candidate.status,
+          createdAt: candidate.created_at,
+          postedAt: candidate.posted_at,
+          linkedinPostUrl: candidate.linkedin_post_url
+        };
+      }
+    });
+
+    result.similarity = Math.round(result.similarity * 1000) / 1000;
+    result.duplicate = result.similarity >= this.threshold;
+
+    return result;
+  }
+
+  /**
+   * Check a saved draft, refreshing its signature and closest match
+   */
+  async checkContent(contentRow, client) {
+    const result = await this.check(contentRow.user_id, structuredContent.publishedText(contentRow), {
+      excludeId: contentRow.id,
+      client
+    });
+
+    if (result.fingerprint) {
+      await contentRepository.saveSimilaritySignature(
+        contentRow.id, result.fingerprint.signature, result.fingerprint.bands, client
+      );
+    }
+    await contentRepository.saveSimilarityMatch(
+      contentRow.id,
+      result.match ? result.similarity : null,
+      result.duplicate ? result.match.contentId : null,
+      client
+    );
+
+    if (result.duplicate) {
+      logger.content('Near-duplicate content detected', {
+        contentId: contentRow.id,
+        userId: contentRow.user_id,
+        duplicateOf: result.match.contentId,
+        similarity: result.similarity
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Report for API responses and generation metadata (without the raw signature)
+   */
+  summarize(result) {
+    const { fingerprint, ...summary } = result;
+    return summary;
+  }
+
+  describeMatch(result) {
+    const { match } = result;
+    const link = match.linkedinPostUrl ? ` (${match.linkedinPostUrl})` : '';
+    return `${Math.round(result.similarity * 100)}% similar to ${match.status} post "${match.title || match.contentId}"${link}`;
+  }
+}
+
+module.exports = new SimilarityIndex();
@@ -0,0 +1,475 @@
+const Joi = require('joi');
+
+// LinkedIn limits: 3,000 characters per post, 140 per poll question, 30 per poll option
+const MAX_POST_LENGTH = 3000;
+const hashtag = Joi.string().pattern(/^#[\p{L}\p{N}_]+$/u).max(100);
+
+// Direction marks keep Arabic lines right-to-left when they start with a number, Latin word or hashtag
+const RLM = '\u200F';
+const LRM = '\u200E';
+const ARABIC_LETTER = /\p{Script=Arabic}/u;
+const ARABIC_LETTERS = /\p{Script=Arabic}/gu;
+const LATIN_LETTERS = /\p{Script=Latin}/gu;
+const BILINGUAL_SEPARATOR = '• • •';
+
+const baseFields = {
+  title: Joi.string().trim().max(200).allow('').default(''),
+  body: Joi.string().trim().min(1).max(3000).required(),
+  hashtags: Joi.array().items(hashtag).unique().max(30).default([])
+};
+
+const SCHEMAS = {
+  text: Joi.object(baseFields),
+
+  multi_image: Joi.object({
+    ...baseFields,
+    slides: Joi.array().min(2).max(10).required().items(Joi.object({
+      title: Joi.string().trim().min(1).max(100).required(),
+      content: Joi.string().trim().min(1).max(500).required(),
+      visualSuggestion: Joi.string().trim().max(300).allow('').default('')
+    }))
+  }),
+
+  poll: Joi.object({
+    ...baseFields,
+    poll: Joi.object({
+      question: Joi.string().trim().min(1).max(140).required(),
+      options: Joi.array().items(Joi.string().trim().min(1).max(30)).min(2).max(4).unique().required(),
+      durationDays: Joi.number().valid(1, 3, 7, 14).default(7)
+    }).required()
+  }),
+
+  video: Joi.object({
+    ...baseFields,
+    script: Joi.object({
+      hook: Joi.string().trim().min(1).max(300).required(),
+      mainContent: Joi.string().trim().min(1).max(3000).required(),
+      callToAction: Joi.string().trim().min(1).max(300).required(),
+      captions: Joi.array().items(Joi.string().trim().min(1).max(200)).default([])
+    }).required()
+  }),
+
+  document: Joi.object({
+    ...baseFields,
+    document: Joi.object({
+      title: Joi.string().trim().min(1).max(200).required(),
+      sections: Joi.array().min(1).max(20).required().items(Joi.object({
+        heading: Joi.string().trim().min(1).max(200).required(),
+        bullets: Joi.array().items(Joi.string().trim().min(1).max(500)).min(1).required()
+      }))
+    }).required()
+  })
+};
+
+// Bilingual posts replace "body" with an Arabic and an English block
+const bilingualFields = {
+  body: Joi.any().strip(),
+  bodyAr: Joi.string().trim().min(1).max(MAX_POST_LENGTH).required(),
+  bodyEn: Joi.string().trim().min(1).max(MAX_POST_LENGTH).required()
+};
+
+// Shapes shown to the model; each one must validate against its schema
+const EXAMPLES = {
+  text: {
+    title: 'Short internal title',
+    body: 'The full post text, with line breaks as \\n. No hashtags here.',
+    hashtags: ['#AbuDhabi', '#Leadership']
+  },
+  multi_image: {
+    title: 'Short internal title',
+    body: 'Caption shown above the carousel.',
+    hashtags: ['#AbuDhabi'],
+    slides: [
+      { title: 'Slide title', content: 'Slide text, max 50 words', visualSuggestion: 'What the slide image shows' },
+      { title: 'Slide title', content: 'Slide text, max 50 words', visualSuggestion: 'What the slide image shows' }
+    ]
+  },
+  poll: {
+    title: 'Short internal title',
+    body: 'Context that frames the poll and invites discussion.',
+    hashtags: ['#AbuDhabi'],
+    poll: { question: 'Poll question (max 140 characters)', options: ['Option A', 'Option B'], durationDays: 7 }
+  },
+  video: {
+    title: 'Short internal title',
+    body: 'Caption posted with the video.',
+    hashtags: ['#AbuDhabi'],
+    script: {
+      hook: 'First 3 seconds',
+      mainContent: 'Spoken script',
+      callToAction: 'Closing call-to-action',
+      captions: ['On-screen caption']
+    }
+  },
+  document: {
+    title: 'Short internal title',
+    body: 'Caption posted with the document.',
+    hashtags: ['#AbuDhabi'],
+    document: {
+      title: 'Document title',
+      sections: [{ heading: 'Section heading', bullets: ['Actionable point'] }]
+    }
+  }
+};
+
+const LANGUAGE_EXAMPLES = {
+  ar: {
+    body: 'نص المنشور الكامل باللغة العربية، مع فواصل الأسطر \\n. بدون وسوم هنا.',
+    hashtags: ['#أبوظبي', '#الإمارات', '#AbuDhabi']
+  },
+  bilingual: {
+    bodyAr: 'النص العربي الكامل للمنشور.',
+    bodyEn: 'The same post in English.',
+    hashtags: ['#أبوظبي', '#AbuDhabi']
+  }
+};
+
+const countMatches = (text, pattern) => ((text || '').match(pattern) || []).length;
+
+/**
+ * Share of letters in Arabic script (0-1); null when the text has no letters
+ */
+const arabicShare = (text) => {
+  const arabic = countMatches(text, ARABIC_LETTERS);
+  const latin = countMatches(text, LATIN_LETTERS);
+  return arabic + latin === 0 ? null : arabic / (arabic + latin);
+};
+
+const markLines = (text, mark) => text
+  .split('\n')
+  .map(line => (line.trim() ? `${mark}${line}` : line))
+  .join('\n');
+
+/**
+ * Structured output for generated posts
+ * Describes the JSON shape the model must return for each content type, repairs
+ * common formatting slips, and validates the result with Joi.
+ */
+class StructuredContent {
+  constructor() {
+    const retries = parseInt(process.env.CONTENT_FORMAT_RETRIES);
+    this.maxRepairAttempts = Number.isNaN(retries) ? 1 : retries;
+    this.maxPostLength = MAX_POST_LENGTH;
+  }
+
+  getSchema(contentType, language = 'en') {
+    const schema = SCHEMAS[contentType] || SCHEMAS.text;
+    return language === 'bilingual' ? schema.keys(bilingualFields) : schema;
+  }
+
+  getExample(contentType, language = 'en') {
+    const example = EXAMPLES[contentType] || EXAMPLES.text;
+    if (!LANGUAGE_EXAMPLES[language]) {
+      return example;
+    }
+
+    const { body, ...rest } = example;
+    return { ...rest, ...LANGUAGE_EXAMPLES[language] };
+  }
+
+  /**
+   * Output format instructions appended to the system prompt
+   */
+  getInstructions(contentType, language = 'en') {
+    const languageRules = {
+      en: 'Write everything in English.',
+      ar: 'Write everything in Modern Standard Arabic, including slides, poll, script and document text. '
+        + 'Include Arabic hashtags (words joined with _), optionally followed by English ones.',
+      bilingual: 'Write "bodyAr" in Modern Standard Arabic and "bodyEn" in English with the same message; '
+        + 'slides, poll, script and document text are in Arabic. Include both Arabic and English hashtags.'
+    };
+
+    return `Respond with a single JSON object and nothing else: no markdown fences and no commentary.
+Use exactly this shape:
+${JSON.stringify(this.getExample(contentType, language), null, 2)}
+
+${languageRules[language] || languageRules.en}
+The published post, including hashtags${language === 'bilingual' ? ' and both language blocks' : ''}, must stay under ${MAX_POST_LENGTH} characters.
+Put hashtags only in the "hashtags" array, each starting with # and without spaces.`;
+  }
+
+  /**
+   * Parse, repair and validate model output
+   * @param {string} contentType - Content type the output must match
+   * @param {string} text - Raw model output
+   * @param {Object} options - { maxHashtags, language }
+   * @returns {Object} { value, error, repaired } where error is a readable message or null
+   */
+  parse(contentType, text, options = {}) {
+    const language = options.language || 'en';
+    let data;
+    let repaired = false;
+
+    try {
+      ({ data, repaired } = this.extractJson(text));
+    } catch (error) {
+      return { value: null, error: `Response is not valid JSON: ${error.message}`, repaired };
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { value: null, error: 'Response must be a JSON object', repaired };
+    }
+
+    const normalized = this.normalize(contentType, data, options);
+    const { value, error } = this.getSchema(contentType, language).validate(normalized, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return { value: null, error: error.details.map(detail => detail.message).join('; '), repaired };
+    }
+
+    value.language = language;
+    if (language === 'bilingual') {
+      value.body = `${value.bodyAr}\n\n${value.bodyEn}`;
+    }
+
+    const languageError = this.checkLanguage(value);
+    if (languageError) {
+      return { value: null, error: languageError, repaired };
+    }
+
+    const length = this.renderText(value).length;
+    if (length > MAX_POST_LENGTH) {
+      return {
+        value: null,
+        error: `Post is ${length} characters including hashtags; LinkedIn allows ${MAX_POST_LENGTH}`,
+        repaired
+      };
+    }
+
+    return {
+      value,
+      error: null,
+      repaired: repaired || JSON.stringify(normalized) !== JSON.stringify(data)
+    };
+  }
+
+  /**
+   * Pull a JSON object out of model output, fixing fences, smart quotes and trailing commas
+   */
+  extractJson(text) {
+    const source = String(text || '').trim();
+
+    try {
+      return { data: JSON.parse(source), repaired: false };
+    } catch (error) {
+      // Fall through to repairs
+    }
+
+    let candidate = source.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      candidate = candidate.slice(start, end + 1);
+    }
+
+    candidate = candidate
+      .replace(/[“”]/g, '"')
+      .replace(/,\s*([}\]])/g, '$1');
+
+    return { data: JSON.parse(candidate), repaired: true };
+  }
+
+  /**
+   * Fix slips that are safe to correct without asking the model again
+   */
+  normalize(contentType, data, { maxHashtags, language } = {}) {
+    const result = { ...data };
+
+    if (typeof result.body !== 'string') {
+      result.body = result.content_text || result.text || result.content || result.body;
+    }
+    delete result.content_text;
+    delete result.text;
+    delete result.content;
+
+    if (language === 'bilingual') {
+      result.bodyAr = result.bodyAr || result.arabic;
+      result.bodyEn = result.bodyEn || result.english;
+      delete result.arabic;
+      delete result.english;
+    }
+
+    let hashtags = result.hashtags;
+    if (typeof hashtags === 'string') {
+      hashtags = hashtags.split(/[\s,]+/);
+    }
+    if (!Array.isArray(hashtags) || hashtags.length === 0) {
+      // Models often leave hashtags at the end of the body instead
+      hashtags = [];
+      ['body', 'bodyAr', 'bodyEn'].forEach(field => {
+        if (typeof result[field] !== 'string') {
+          return;
+        }
+        const trailing = result[field].match(/(\s*#[\p{L}\p{N}_]+)+\s*$/u);
+        if (trailing) {
+          hashtags.push(...trailing[0].match(/#[\p{L}\p{N}_]+/gu));
+          result[field] = result[field].slice(0, trailing.index);
+        }
+      });
+    }
+    hashtags = Array.from(new Set(hashtags
+      .filter(tag => typeof tag === 'string')
+      .map(tag => `#${tag.replace(/^#+/, '').replace(/[^\p{L}\p{N}_]/gu, '')}`)
+      .filter(tag => tag.length > 1)));
+    if (maxHashtags) {
+      hashtags = hashtags.slice(0, maxHashtags);
+    }
+    result.hashtags = hashtags;
+
+    if (contentType === 'poll' && result.poll && typeof result.poll.options === 'string') {
+      result.poll = { ...result.poll, options: result.poll.options.split(',').map(option => option.trim()) };
+    }
+
+    return result;
+  }
+
+  /**
+   * Post body (without hashtags) of a generated_content row
+   * Rows saved before structured output hold the whole generation result as JSON in content_text.
+   */
+  textFromContent(row) {
+    if (row.structured_content && typeof row.structured_content.body === 'string') {
+      return row.structured_content.body;
+    }
+
+    let text = row.content_text;
+    try {
+      const document = JSON.parse(row.content_text);
+      text = document.body || document.content_text || document.text || row.content_text;
+    } catch (error) {
+      // Plain text content
+    }
+
+    return typeof text === 'string' ? text.replace(/(\s*#[\p{L}\p{N}_]+)+\s*$/u, '') : '';
+  }
+
+  /**
+   * All user-visible text of a structured post
+   */
+  collectText(structured) {
+    const parts = [structured.title, structured.body];
+
+    (structured.slides || []).forEach(slide => parts.push(slide.title, slide.content));
+    if (structured.poll) {
+      parts.push(structured.poll.question, ...(structured.poll.options || []));
+    }
+    if (structured.script) {
+      parts.push(structured.script.hook, structured.script.mainContent, structured.script.callToAction);
+    }
+    if (structured.document) {
+      parts.push(structured.document.title);
+      (structured.document.sections || []).forEach(section => parts.push(section.heading, ...(section.bullets || [])));
+    }
+    parts.push((structured.hashtags || []).join(' '));
+
+    return parts.filter(part => typeof part === 'string' && part.trim()).join('\n');
+  }
+
+  /**
+   * Text of a generated_content row as the scheduler publishes it
+   * content_text holds the post document (edits replace it), so it wins over structured_content.
+   */
+  publishedText(row) {
+    let document;
+    try {
+      document = JSON.parse(row.content_text) || {};
+    } catch (error) {
+      document = { content_text: row.content_text };
+    }
+
+    return this.collectText({
+      ...document,
+      title: row.title || document.title,
+      body: document.content_text || document.text || document.body,
+      hashtags: row.hashtags || document.hashtags
+    });
+  }
+
+  /**
+   * Check the text is written in the requested language
+   * @returns {string|null} Error message, or null when the language matches
+   */
+  checkLanguage(structured) {
+    const hasArabicHashtag = structured.hashtags.some(tag => ARABIC_LETTER.test(tag));
+
+    if (structured.language === 'ar') {
+      if ((arabicShare(structured.body) || 0) < 0.6) {
+        return '"body" must be written in Arabic';
+      }
+      if (!hasArabicHashtag) {
+        return '"hashtags" must include at least one Arabic hashtag';
+      }
+    }
+
+    if (structured.language === 'bilingual') {
+      if ((arabicShare(structured.bodyAr) || 0) < 0.6) {
+        return '"bodyAr" must be written in Arabic';
+      }
+      if ((arabicShare(structured.bodyEn) || 0) > 0.2) {
+        return '"bodyEn" must be written in English';
+      }
+      if (!hasArabicHashtag || structured.hashtags.every(tag => ARABIC_LETTER.test(tag))) {
+        return '"hashtags" must include both Arabic and English hashtags';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Post text published to LinkedIn: body followed by hashtags
+   * Arabic lines get a right-to-left mark so LinkedIn lays them out correctly; bilingual
+   * posts put the Arabic block and its hashtags first, then the English block.
+   */
+  renderText(structured) {
+    const hashtags = structured.hashtags || [];
+    const withHashtags = (text, tags) => (tags.length > 0 ? `${text}\n\n${tags.join(' ')}` : text);
+
+    if (structured.language === 'ar') {
+      return markLines(withHashtags(structured.body, hashtags), RLM);
+    }
+
+    if (structured.language === 'bilingual') {
+      const arabicTags = hashtags.filter(tag => ARABIC_LETTER.test(tag));
+      const englishTags = hashtags.filter(tag => !ARABIC_LETTER.test(tag));
+
+      return [
+        markLines(withHashtags(structured.bodyAr, arabicTags), RLM),
+        BILINGUAL_SEPARATOR,
+        markLines(withHashtags(structured.bodyEn, englishTags), LRM)
+      ].join('\n\n');
+    }
+
+    return withHashtags(structured.body, hashtags);
+  }
+
+  /**
+   * Language metadata stored with generated content for analytics
+   */
+  describeLanguage(structured) {
+    const text = structured.language === 'bilingual'
+      ? `${structured.bodyAr}\n${structured.bodyEn}`
+      : structured.body;
+    const hashtags = structured.hashtags || [];
+    const arabicHashtags = hashtags.filter(tag => ARABIC_LETTER.test(tag)).length;
+
+    return {
+      language: structured.language || 'en',
+      direction: { en: 'ltr', ar: 'rtl', bilingual: 'mixed' }[structured.language] || 'ltr',
+      characters: {
+        total: this.renderText(structured).length,
+        arabicLetters: countMatches(text, ARABIC_LETTERS),
+        latinLetters: countMatches(text, LATIN_LETTERS)
+      },
+      hashtags: {
+        arabic: arabicHashtags,
+        latin: hashtags.length - arabicHashtags
+      }
+    };
+  }
+}
+
+module.exports = new StructuredContent();
@@ -0,0 +1,36 @@
+/**
+ * Engagement metric helpers
+ * Rates are percentages rounded to two decimals, matching post_analytics DECIMAL(5,2) columns
+ */
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+const percentage = (part, total) => {
+  const denominator = toNumber(total);
+  if (denominator <= 0) {
+    return 0;
+  }
+  return Math.round((toNumber(part) / denominator) * 10000) / 100;
+};
+
+/**
+ * (likes + comments + shares) / impressions
+ */
+const calculateEngagementRate = (likes, comments, shares, impressions) =>
+  percentage(toNumber(likes) + toNumber(comments) + toNumber(shares), impressions);
+
+/**
+ * Unique reach / impressions
+ */
+const calculateReachRate = (reach, impressions) => percentage(reach, impressions);
+
+/**
+ * Clicks / impressions
+ */
+const calculateClickThroughRate = (clicks, impressions) => percentage(clicks, impressions);
+
+module.exports = {
+  calculateEngagementRate,
+  calculateReachRate,
+  calculateClickThroughRate
+};
@@ -0,0 +1,85 @@
+/**
+ * Minimal PDF writer for documents made of full-page images (carousel PDFs)
+ * Each page shows one JPEG, embedded as is with the DCTDecode filter, so no PDF library is needed.
+ */
+
+// Page size in points for a pixel size, at 96 pixels per inch
+const POINTS_PER_PIXEL = 72 / 96;
+
+// Text strings as UTF-16BE hex so Arabic titles survive
+const textString = (text) => `<FEFF${Buffer.from(String(text), 'utf16le').swap16().toString('hex').toUpperCase()}>`;
+
+const pdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+/**
+ * Build a PDF with one page per image
+ * @param {Array} pages - [{ jpeg: Buffer, width, height }] with the image size in pixels; the image must be RGB
+ * @param {Object} info - { title, author, createdAt }
+ * @returns {Buffer} PDF file
+ */
+const buildImagePdf = (pages, info = {}) => {
+  if (!pages || pages.length === 0) {
+    throw new Error('A PDF needs at least one page');
+  }
+
+  // Objects 1-3 are the catalog, page tree and document info; each page adds a page, content and image object
+  const pageIds = pages.map((_, index) => 4 + index * 3);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    [
+      '<<',
+      info.title ? `/Title ${textString(info.title)}` : '',
+      info.author ? `/Author ${textString(info.author)}` : '',
+      `/Producer ${textString('LinkedIn Automation System')}`,
+      `/CreationDate (${pdfDate(info.createdAt || new Date())})`,
+      '>>'
+    ].filter(Boolean).join(' ')
+  ];
+
+  pages.forEach((page, index) => {
+    const id = pageIds[index];
+    const width = Math.round(page.width * POINTS_PER_PIXEL * 100) / 100;
+    const height = Math.round(page.height * POINTS_PER_PIXEL * 100) / 100;
+    const drawing = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] `
+        + `/Resources << /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`,
+      [`<< /Length ${drawing.length} >>\nstream\n`, drawing, '\nendstream'],
+      [
+        `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace /DeviceRGB `
+          + `/BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`,
+        page.jpeg,
+        '\nendstream'
+      ]
+    );
+  });
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+  const write = (part) => {
+    const chunk = Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1');
+    chunks.push(chunk);
+    length += chunk.length;
+  };
+
+  objects.forEach((object, index) => {
+    offsets.push(length);
+    write(`${index + 1} 0 obj\n`);
+    (Array.isArray(object) ? object : [object]).forEach(write);
+    write('\nendobj\n');
+  });
+
+  const xrefOffset = length;
+  write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+  write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  buildImagePdf
+};
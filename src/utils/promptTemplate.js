@@ -0,0 +1,65 @@
+/**
+ * Mustache-style prompt templates from the prompt library
+ * {{name}} inserts a variable (lists are joined with ", "), {{#name}}...{{/name}} keeps its content
+ * only when the variable has a value and {{^name}}...{{/name}} only when it does not.
+ */
+
+const TAG = /\{\{\s*([#^/]?)\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
+const hasValue = (value) => (Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== '' && value !== false);
+
+const formatValue = (value) => {
+  if (!hasValue(value)) {
+    return '';
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value);
+};
+
+/**
+ * Variables a template uses and any structural problems
+ * @returns {Object} { variables, errors }
+ */
+const parseTemplate = (body) => {
+  const variables = new Set();
+  const errors = [];
+  const open = [];
+
+  for (const [, kind, name] of String(body || '').matchAll(TAG)) {
+    variables.add(name);
+    if (kind === '#' || kind === '^') {
+      open.push(name);
+    } else if (kind === '/') {
+      const expected = open.pop();
+      if (expected !== name) {
+        errors.push(expected ? `{{/${name}}} closes {{#${expected}}}` : `{{/${name}}} has no opening tag`);
+      }
+    }
+  }
+  open.forEach(name => errors.push(`{{#${name}}} is never closed`));
+
+  return { variables: Array.from(variables), errors };
+};
+
+/**
+ * Fill a template in; unknown variables render as empty text
+ */
+const renderTemplate = (body, values = {}) => {
+  let text = String(body || '');
+  const section = /\{\{\s*([#^])\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}([\s\S]*?)\{\{\s*\/\s*\2\s*\}\}/;
+
+  // Sections resolve from the outside in; kept content is scanned again for the sections inside it
+  let match = text.match(section);
+  while (match) {
+    const [whole, kind, name, inner] = match;
+    const keep = kind === '#' ? hasValue(values[name]) : !hasValue(values[name]);
+    text = text.replace(whole, () => (keep ? inner : ''));
+    match = text.match(section);
+  }
+
+  return text.replace(TAG, (tag, kind, name) => (kind ? '' : formatValue(values[name])));
+};
+
+module.exports = {
+  parseTemplate,
+  renderTemplate
+};
@@ -0,0 +1,183 @@
+/**
+ * Helpers for long source documents (reports, articles) that content series are planned from
+ */
+
+const SOURCE_FORMATS = ['text', 'markdown', 'pdf', 'docx'];
+
+// A line holding only a page number: "12", "Page 3", "Page 3 of 40", "3/40"
+const PAGE_NUMBER = /^\s*(?:page\s+)?\d{1,4}(?:\s*(?:of|\/)\s*\d{1,4})?\s*$/i;
+const MARKDOWN_HEADING = /^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/;
+// "1. Introduction", "2.3 Key findings"
+const NUMBERED_HEADING = /^\s*\d+(?:\.\d+)*\.?\s+(\p{Lu}[^.!?:;]{2,70})$/u;
+// "EXECUTIVE SUMMARY"
+const CAPITALS_HEADING = /^\s*([\p{Lu}\d][\p{Lu}\d &,'’/-]{2,60})\s*$/u;
+
+/**
+ * Clean up text extracted from a source document
+ * PDF text gets page numbers removed and hyphenated or wrapped lines joined back together;
+ * Markdown keeps its headings but loses images, link targets and inline HTML.
+ * @param {string} format - 'text', 'markdown', 'pdf' or 'docx'
+ */
+const normalizeSource = (text, format = 'text') => {
+  let result = String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\f/g, '\n\n')
+    .replace(/\t/g, ' ')
+    // Control characters and soft hyphens
+    .replace(/[\u0000-\u0008\u000B\u000E-\u001F\u00AD]/g, '');
+
+  if (format === 'markdown') {
+    result = result
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/<[^>\n]+>/g, '')
+      .replace(/^\s*(?:[-*_]\s*){3,}$/gm, '');
+  }
+
+  if (format === 'pdf') {
+    result = result
+      .split('\n')
+      .filter(line => !PAGE_NUMBER.test(line))
+      .join('\n')
+      .replace(/(\p{L})-\n(\p{Ll})/gu, '$1$2')
+      .replace(/([^\n.!?:;])\n(?=\p{Ll})/gu, '$1 ');
+  }
+
+  return result
+    .split('\n')
+    .map(line => line.replace(/ {2,}/g, ' ').trimEnd())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Heading text of a line, or null when the line is not a heading
+ */
+const headingOf = (line) => {
+  const match = line.match(MARKDOWN_HEADING) || line.match(NUMBERED_HEADING);
+  if (match) {
+    return match[1].trim();
+  }
+
+  const capitals = line.match(CAPITALS_HEADING);
+  return capitals && /\p{Lu}{3}/u.test(capitals[1]) ? capitals[1].trim() : null;
+};
+
+/**
+ * Split a normalized document into sections at its headings
+ * Text before the first heading is a section with a null heading.
+ * @returns {Array} [{ heading, text }]
+ */
+const splitSections = (text) => {
+  const sections = [];
+  let current = { heading: null, lines: [] };
+
+  String(text || '').split('\n').forEach(line => {
+    const heading = headingOf(line);
+    if (heading) {
+      sections.push(current);
+      current = { heading, lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  });
+  sections.push(current);
+
+  return sections
+    .map(({ heading, lines }) => ({ heading, text: lines.join('\n').trim() }))
+    .filter(section => section.text);
+};
+
+/**
+ * Section whose heading matches, ignoring case; falls back to a heading that contains it
+ */
+const findSection = (sections, heading) => {
+  if (!heading) {
+    return null;
+  }
+
+  const wanted = heading.trim().toLowerCase();
+  return sections.find(section => section.heading && section.heading.toLowerCase() === wanted)
+    || sections.find(section => section.heading && section.heading.toLowerCase().includes(wanted))
+    || null;
+};
+
+/**
+ * First maxCharacters of a text, cut at a paragraph break where possible
+ */
+const excerpt = (text, maxCharacters) => {
+  if (text.length <= maxCharacters) {
+    return text;
+  }
+
+  const cut = text.slice(0, maxCharacters);
+  const paragraphEnd = cut.lastIndexOf('\n\n');
+  return `${(paragraphEnd > maxCharacters / 2 ? cut.slice(0, paragraphEnd) : cut).trim()}\n[…]`;
+};
+
+/**
+ * Split a paragraph longer than maxCharacters at sentence ends, cutting sentences only as a last resort
+ */
+const splitParagraph = (paragraph, maxCharacters) => {
+  if (paragraph.length <= maxCharacters) {
+    return [paragraph];
+  }
+
+  const pieces = [];
+  let current = '';
+  (paragraph.match(/[^.!?؟]+(?:[.!?؟]+|$)\s*/gu) || [paragraph]).forEach(sentence => {
+    if (current && current.length + sentence.length > maxCharacters) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+    while (current.length > maxCharacters) {
+      pieces.push(current.slice(0, maxCharacters).trim());
+      current = current.slice(maxCharacters);
+    }
+  });
+  if (current.trim()) {
+    pieces.push(current.trim());
+  }
+
+  return pieces;
+};
+
+/**
+ * Split a normalized document into passages of at most maxCharacters for retrieval
+ * Paragraphs are kept whole where possible and each passage remembers its section heading.
+ * @returns {Array} [{ heading, text }]
+ */
+const chunkText = (text, maxCharacters = 1200) => {
+  const chunks = [];
+
+  splitSections(text).forEach(section => {
+    let current = '';
+    section.text
+      .split(/\n{2,}/)
+      .flatMap(paragraph => splitParagraph(paragraph.trim(), maxCharacters))
+      .filter(Boolean)
+      .forEach(paragraph => {
+        if (current && current.length + paragraph.length + 2 > maxCharacters) {
+          chunks.push({ heading: section.heading, text: current });
+          current = '';
+        }
+        current = current ? `${current}\n\n${paragraph}` : paragraph;
+      });
+    if (current) {
+      chunks.push({ heading: section.heading, text: current });
+    }
+  });
+
+  return chunks;
+};
+
+module.exports = {
+  SOURCE_FORMATS,
+  normalizeSource,
+  splitSections,
+  findSection,
+  excerpt,
+  chunkText
+};
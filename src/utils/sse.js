@@ -0,0 +1,59 @@
+/**
+ * Server-Sent Events helpers
+ */
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Switch an Express response to an event stream
+ * The returned signal is aborted when the client disconnects, so long-running
+ * work (LLM calls, image generation) can stop early.
+ * @returns {Object} { send(event, data), close(), signal }
+ */
+const createEventStream = (req, res) => {
+  const controller = new AbortController();
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  const cleanup = () => clearInterval(heartbeat);
+
+  res.on('close', () => {
+    cleanup();
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  return {
+    signal: controller.signal,
+
+    send(event, data) {
+      if (res.writableEnded || controller.signal.aborted) {
+        return;
+      }
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      cleanup();
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  };
+};
+
+module.exports = {
+  createEventStream
+};
@@ -0,0 +1,112 @@
+/**
+ * Word-level diff helpers for comparing content revisions
+ */
+
+// Above this many comparisons the changed middle is reported as one replacement
+const MAX_DIFF_CELLS = 4000000;
+
+const WORD = /[\p{L}\p{N}\p{M}]/u;
+
+/**
+ * Split text into words, whitespace and punctuation, keeping every character
+ */
+const tokenize = (text) => (text || '').match(/\s+|[\p{L}\p{N}\p{M}'’_#@-]+|[^\s\p{L}\p{N}\p{M}]/gu) || [];
+
+const isWord = (token) => WORD.test(token);
+
+/**
+ * Append an operation, merging it into the previous one when they have the same type
+ */
+const push = (ops, type, text) => {
+  const last = ops[ops.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    ops.push({ type, text });
+  }
+};
+
+/**
+ * Longest-common-subsequence diff of two token lists
+ */
+const diffTokens = (a, b) => {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  a.slice(0, start).forEach(token => push(ops, 'equal', token));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    midA.forEach(token => push(ops, 'delete', token));
+    midB.forEach(token => push(ops, 'insert', token));
+  } else {
+    // lengths[i * cols + j] = LCS length of midA[i..] and midB[j..]
+    const lengths = new Uint32Array(rows * cols);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lengths[i * cols + j] = midA[i] === midB[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        push(ops, 'equal', midA[i]);
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+        push(ops, 'delete', midA[i++]);
+      } else {
+        push(ops, 'insert', midB[j++]);
+      }
+    }
+    midA.slice(i).forEach(token => push(ops, 'delete', token));
+    midB.slice(j).forEach(token => push(ops, 'insert', token));
+  }
+
+  a.slice(endA).forEach(token => push(ops, 'equal', token));
+  return ops;
+};
+
+/**
+ * Diff two texts word by word
+ * @returns {Object} { changes: [{ type: 'equal' | 'insert' | 'delete', text }], stats }
+ *   stats counts words only: { added, removed, unchanged, changeRatio }, where changeRatio is
+ *   0 for identical texts and 1 when they share no words
+ */
+const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const changes = diffTokens(a, b);
+
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  const counters = { insert: 'added', delete: 'removed', equal: 'unchanged' };
+  changes.forEach(change => {
+    stats[counters[change.type]] += tokenize(change.text).filter(isWord).length;
+  });
+
+  const total = a.filter(isWord).length + b.filter(isWord).length;
+  stats.changeRatio = total === 0 ? 0 : Math.round(((stats.added + stats.removed) / total) * 10000) / 10000;
+
+  return { changes, stats };
+};
+
+module.exports = {
+  diffWords
+};
@@ -1,7 +1,9 @@
 const cron = require('node-cron');
-const logger = require('../../logger');
+const logger = require('../utils/logger');
 const linkedinAPI = require('../services/linkedinAPI');
-const db = require('../database/init');
+const { calculateEngagementRate, calculateClickThroughRate } = require('../utils/metrics');
+const { initializeDatabase, closeDatabase } = require('../database/init');
+const { users, scheduledPosts, analytics } = require('../database/repositories');
 
 /**
  * Dedicated analytics worker process
@@ -27,7 +29,7 @@ class AnalyticsWorker {
       logger.analytics('Initializing analytics worker...');
       
       // Initialize database connection
-      await db.init();
+      await initializeDatabase();
       
       // Setup cron jobs
       this.setupCronJobs();
@@ -134,16 +136,9 @@ class AnalyticsWorker {
     
     try {
       // Get posts from last 48 hours that need analytics updates
-      const recentPosts = await db.all(`
-        SELECT sp.*, u.linkedin_access_token, u.linkedin_token_expires
-        FROM scheduled_posts sp
-        JOIN users u ON sp.user_id = u.id
-        WHERE sp.status = 'posted' 
-        AND sp.posted_at > datetime('now', '-48 hours')
-        AND u.linkedin_access_token IS NOT NULL
-        AND u.linkedin_token_expires > datetime('now')
-        ORDER BY sp.posted_at DESC
-      `);
+      const recentPosts = await scheduledPosts.findPostedWithLinkedInToken(
+        new Date(Date.now() - 48 * 60 * 60 * 1000)
+      );
 
       if (recentPosts.length === 0) {
         logger.analytics('No recent posts found for analytics update');
@@ -188,16 +183,9 @@ class AnalyticsWorker {
   async fullAnalyticsRefresh() {
     try {
       // Get all posted content from last 30 days
-      const allPosts = await db.all(`
-        SELECT sp.*, u.linkedin_access_token, u.linkedin_token_expires
-        FROM scheduled_posts sp
-        JOIN users u ON sp.user_id = u.id
-        WHERE sp.status = 'posted' 
-        AND sp.posted_at > datetime('now', '-30 days')
-        AND u.linkedin_access_token IS NOT NULL
-        AND u.linkedin_token_expires > datetime('now')
-        ORDER BY sp.posted_at DESC
-      `);
+      const allPosts = await scheduledPosts.findPostedWithLinkedInToken(
+        new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+      );
 
       logger.analytics(`Starting full analytics refresh for ${allPosts.length} posts`);
       
@@ -250,51 +238,23 @@ class AnalyticsWorker {
       const yesterdayStr = yesterday.toISOString().split('T')[0];
       
       // Generate summary report for yesterday
-      const dailyStats = await db.get(`
-        SELECT 
-          COUNT(*) as posts_published,
-          AVG(CAST(pa.likes as REAL)) as avg_likes,
-          AVG(CAST(pa.comments as REAL)) as avg_comments,
-          AVG(CAST(pa.shares as REAL)) as avg_shares,
-          AVG(CAST(pa.impressions as REAL)) as avg_impressions,
-          AVG(CAST(pa.engagement_rate as REAL)) as avg_engagement_rate
-        FROM scheduled_posts sp
-        LEFT JOIN post_analytics pa ON sp.id = pa.post_id
-        WHERE DATE(sp.posted_at) = ?
-        AND sp.status = 'posted'
-      `, [yesterdayStr]);
+      const dailyStats = await analytics.getDailySummary(yesterdayStr);
       
       // Get top performing post
-      const topPost = await db.get(`
-        SELECT sp.*, pa.*, gc.content_preview
-        FROM scheduled_posts sp
-        LEFT JOIN post_analytics pa ON sp.id = pa.post_id
-        LEFT JOIN generated_content gc ON sp.content_id = gc.id
-        WHERE DATE(sp.posted_at) = ?
-        AND sp.status = 'posted'
-        ORDER BY CAST(pa.engagement_rate as REAL) DESC
-        LIMIT 1
-      `, [yesterdayStr]);
+      const topPost = await analytics.getTopPostForDate(yesterdayStr);
       
       // Store daily report
-      await db.run(`
-        INSERT OR REPLACE INTO daily_reports (
-          report_date, posts_published, avg_likes, avg_comments, 
-          avg_shares, avg_impressions, avg_engagement_rate,
-          top_post_id, top_post_engagement, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        yesterdayStr,
-        dailyStats.posts_published || 0,
-        dailyStats.avg_likes || 0,
-        dailyStats.avg_comments || 0,
-        dailyStats.avg_shares || 0,
-        dailyStats.avg_impressions || 0,
-        dailyStats.avg_engagement_rate || 0,
-        topPost?.id || null,
-        topPost?.engagement_rate || 0,
-        new Date().toISOString()
-      ]);
+      await analytics.saveDailyReport({
+        reportDate: yesterdayStr,
+        postsPublished: dailyStats.posts_published,
+        avgLikes: dailyStats.avg_likes,
+        avgComments: dailyStats.avg_comments,
+        avgShares: dailyStats.avg_shares,
+        avgImpressions: dailyStats.avg_impressions,
+        avgEngagementRate: dailyStats.avg_engagement_rate,
+        topPostId: topPost?.id,
+        topPostEngagement: topPost?.engagement_rate
+      });
       
       logger.analytics(`Daily report generated for ${yesterdayStr}: ${dailyStats.posts_published} posts, ${dailyStats.avg_engagement_rate?.toFixed(2)}% avg engagement`);
       
@@ -308,44 +268,24 @@ class AnalyticsWorker {
    */
   async updateUserInsights() {
     try {
-      const users = await db.all(`
-        SELECT DISTINCT u.id, u.email
-        FROM users u
-        JOIN scheduled_posts sp ON u.id = sp.user_id
-        WHERE u.linkedin_connected = 1
-        AND sp.status = 'posted'
-        AND sp.posted_at > datetime('now', '-30 days')
-      `);
-      
-      for (const user of users) {
+      const activeUsers = await users.findActivePosters(
+        new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+      );
+      
+      for (const user of activeUsers) {
         try {
           // Calculate user-specific insights
           const insights = await this.calculateUserInsights(user.id);
           
           // Store insights
-          await db.run(`
-            INSERT OR REPLACE INTO user_insights (
-              user_id, best_posting_time, best_content_type,
-              avg_engagement_rate, total_posts, total_engagement,
-              recommendations, updated_at
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-          `, [
-            user.id,
-            insights.bestPostingTime,
-            insights.bestContentType,
-            insights.avgEngagementRate,
-            insights.totalPosts,
-            insights.totalEngagement,
-            JSON.stringify(insights.recommendations),
-            new Date().toISOString()
-          ]);
+          await analytics.saveUserSummary(user.id, insights);
           
         } catch (error) {
           logger.error(`Failed to update insights for user ${user.id}:`, error);
         }
       }
       
-      logger.analytics(`Updated insights for ${users.length} users`);
+      logger.analytics(`Updated insights for ${activeUsers.length} users`);
       
     } catch (error) {
       logger.error('Error updating user insights:', error);
@@ -357,20 +297,10 @@ class AnalyticsWorker {
    */
   async calculateUserInsights(userId) {
     // Get user's posting performance
-    const performance = await db.all(`
-      SELECT 
-        sp.*,
-        pa.likes, pa.comments, pa.shares, pa.impressions, pa.engagement_rate,
-        gc.content_type,
-        strftime('%H', sp.posted_at) as posting_hour
-      FROM scheduled_posts sp
-      LEFT JOIN post_analytics pa ON sp.id = pa.post_id
-      LEFT JOIN generated_content gc ON sp.content_id = gc.id
-      WHERE sp.user_id = ?
-      AND sp.status = 'posted'
-      AND sp.posted_at > datetime('now', '-30 days')
-      ORDER BY sp.posted_at DESC
-    `, [userId]);
+    const performance = await analytics.getUserPostPerformance(
+      userId,
+      new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+    );
     
     if (performance.length === 0) {
       return {
@@ -464,22 +394,13 @@ class AnalyticsWorker {
   /**
    * Save analytics data to database
    */
-  async saveAnalytics(postId, analytics) {
-    await db.run(`
-      INSERT OR REPLACE INTO post_analytics (
-        post_id, likes, comments, shares, impressions, 
-        engagement_rate, click_through_rate, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      postId,
-      analytics.likes || 0,
-      analytics.comments || 0,
-      analytics.shares || 0,
-      analytics.impressions || 0,
-      analytics.engagementRate || 0,
-      analytics.clickThroughRate || 0,
-      new Date().toISOString()
-    ]);
+  async saveAnalytics(postId, metrics) {
+    await analytics.recordSnapshot(postId, {
+      ...metrics,
+      engagementRate: calculateEngagementRate(metrics.likes, metrics.comments, metrics.shares, metrics.impressions),
+      clickThroughRate: calculateClickThroughRate(metrics.clicks, metrics.impressions)
+    });
+    await scheduledPosts.refreshEngagementTotals(postId);
   }
 
   /**
@@ -487,11 +408,11 @@ class AnalyticsWorker {
    */
   async updateHealthStats() {
     try {
-      const dbStats = await db.get(`
-        SELECT 
-          (SELECT COUNT(*) FROM post_analytics WHERE updated_at > datetime('now', '-1 hour')) as recent_updates,
-          (SELECT COUNT(*) FROM scheduled_posts WHERE status = 'posted' AND posted_at > datetime('now', '-24 hours')) as posts_24h
-      `);
+      const [recentUpdates, queue] = await Promise.all([
+        analytics.countUpdatedSince(new Date(Date.now() - 60 * 60 * 1000)),
+        scheduledPosts.getHealthSnapshot()
+      ]);
+      const dbStats = { recent_updates: recentUpdates, posts_24h: queue.posts_24h };
       
       const uptimeHours = Math.floor((Date.now() - this.stats.uptime) / (1000 * 60 * 60));
       
@@ -521,7 +442,7 @@ class AnalyticsWorker {
       
       // Close database connection
       try {
-        await db.close();
+        await closeDatabase();
         logger.analytics('Database connection closed');
       } catch (error) {
         logger.error('Error closing database:', error);
@@ -474,7 +474,7 @@ class OptimalTimingWorker {
               INSERT INTO user_insights (
                 user_id, insight_type, insight_data, confidence_score, created_at
               ) VALUES ($1, $2, $3, $4, $5)
-              ON CONFLICT (user_id, insight_type) 
+              ON CONFLICT (user_id, insight_type) WHERE insight_type = 'next_optimal_time'
               DO UPDATE SET 
                 insight_data = $3,
                 confidence_score = $4,
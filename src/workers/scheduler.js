@@ -1,9 +1,10 @@
 const cron = require('node-cron');
-const logger = require('../../logger');
+const logger = require('../utils/logger');
 const scheduler = require('../services/scheduler');
 const optimalTimingService = require('../services/optimalTiming');
 const optimalTimingWorker = require('./optimalTimingWorker');
-const db = require('../database/init');
+const { initializeDatabase, closeDatabase } = require('../database/init');
+const { users, scheduledPosts, analytics } = require('../database/repositories');
 
 /**
  * Dedicated scheduler worker process
@@ -30,7 +31,7 @@ class SchedulerWorker {
       logger.scheduler('Initializing scheduler worker...');
       
       // Initialize database connection
-      await db.init();
+      await initializeDatabase();
       
       // Initialize scheduler service
       await scheduler.init();
@@ -195,20 +196,11 @@ class SchedulerWorker {
   async checkOptimalPostingOpportunities() {
     try {
       // Get users with pending content that could be optimally scheduled
-      const users = await db.all(`
-        SELECT DISTINCT u.id, u.email, COUNT(sp.id) as pending_count
-        FROM users u
-        JOIN scheduled_posts sp ON sp.user_id = u.id
-        WHERE sp.status = 'pending'
-        AND sp.scheduled_time > datetime('now')
-        AND u.linkedin_access_token IS NOT NULL
-        GROUP BY u.id, u.email
-        HAVING COUNT(sp.id) > 0
-      `);
+      const candidates = await users.findWithUpcomingPosts();
 
       let optimizationCount = 0;
 
-      for (const user of users) {
+      for (const user of candidates) {
         try {
           // Get next optimal time for this user
           const nextOptimalTime = await optimalTimingService.getNextOptimalTime(user.id);
@@ -238,22 +230,13 @@ class SchedulerWorker {
   async rescheduleToOptimalTime(userId, optimalTime) {
     try {
       // Get posts that could benefit from rescheduling
-      const posts = await db.all(`
-        SELECT id, scheduled_time, content_type
-        FROM scheduled_posts
-        WHERE user_id = ?
-        AND status = 'pending'
-        AND scheduled_time > datetime('now', '+1 hour')
-        AND scheduled_time < datetime('now', '+7 days')
-        ORDER BY scheduled_time ASC
-        LIMIT 3
-      `, [userId]);
+      const posts = await scheduledPosts.findReschedulable(userId);
 
       let rescheduledCount = 0;
 
       for (const post of posts) {
         // Check if the optimal time is significantly better than current time
-        const currentTime = new Date(post.scheduled_time);
+        const currentTime = new Date(post.scheduled_for);
         const optimalDateTime = new Date(optimalTime.dateTime);
         
         // Only reschedule if optimal time is within reasonable range and different enough
@@ -261,13 +244,7 @@ class SchedulerWorker {
         const hoursDiff = timeDiff / (1000 * 60 * 60);
         
         if (hoursDiff >= 2 && hoursDiff <= 48) {
-          await db.run(`
-            UPDATE scheduled_posts 
-            SET scheduled_time = ?, 
-                updated_at = datetime('now'),
-                optimization_applied = 1
-            WHERE id = ?
-          `, [optimalDateTime.toISOString(), post.id]);
+          await scheduledPosts.reschedule(post.id, optimalDateTime);
           
           rescheduledCount++;
           logger.scheduler(`Rescheduled post ${post.id} to optimal time: ${optimalDateTime.toISOString()}`);
@@ -290,20 +267,12 @@ class SchedulerWorker {
       cutoffDate.setDate(cutoffDate.getDate() - 90); // Keep 90 days of data
       
       // Cleanup old analytics data
-      const analyticsResult = await db.run(`
-        DELETE FROM post_analytics 
-        WHERE created_at < ? AND post_id NOT IN (
-          SELECT id FROM scheduled_posts WHERE status = 'posted' AND created_at > ?
-        )
-      `, [cutoffDate.toISOString(), cutoffDate.toISOString()]);
+      const analyticsRemoved = await analytics.deleteStaleSnapshots(cutoffDate);
       
       // Cleanup old API usage logs
-      const apiResult = await db.run(`
-        DELETE FROM api_usage 
-        WHERE created_at < ?
-      `, [cutoffDate.toISOString()]);
+      const apiLogsRemoved = await users.deleteApiUsageBefore(cutoffDate);
       
-      logger.scheduler(`Cleanup completed: ${analyticsResult.changes} analytics records, ${apiResult.changes} API logs removed`);
+      logger.scheduler(`Cleanup completed: ${analyticsRemoved} analytics records, ${apiLogsRemoved} API logs removed`);
       
     } catch (error) {
       logger.error('Error in cleanup:', error);
@@ -316,12 +285,11 @@ class SchedulerWorker {
   async updateHealthStats() {
     try {
       // Get database stats
-      const dbStats = await db.get(`
-        SELECT 
-          (SELECT COUNT(*) FROM scheduled_posts WHERE status = 'pending') as pending_posts,
-          (SELECT COUNT(*) FROM scheduled_posts WHERE status = 'posted' AND created_at > datetime('now', '-24 hours')) as posts_24h,
-          (SELECT COUNT(*) FROM users WHERE linkedin_connected = 1) as connected_users
-      `);
+      const [queue, connectedUsers] = await Promise.all([
+        scheduledPosts.getHealthSnapshot(),
+        users.countLinkedInConnected()
+      ]);
+      const dbStats = { ...queue, connected_users: connectedUsers };
       
       // Calculate uptime
       const uptimeHours = Math.floor((Date.now() - this.stats.uptime) / (1000 * 60 * 60));
@@ -357,7 +325,7 @@ class SchedulerWorker {
       
       // Close database connection
       try {
-        await db.close();
+        await closeDatabase();
         logger.scheduler('Database connection closed');
       } catch (error) {
         logger.error('Error closing database:', error);
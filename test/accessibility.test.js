@@ -0,0 +1,111 @@
+const altTextService = require('../src/services/altText');
+const accessibilityChecker = require('../src/services/accessibilityChecker');
+const { contrastRatio } = require('../src/services/images/brandTemplates');
+
+const readableKit = {
+  primary_color: '#0A3D62',
+  secondary_color: '#FFFFFF',
+  background_color: '#FFFFFF',
+  text_color: '#1D2226'
+};
+
+describe('alt text', () => {
+  test('reads out the text of a branded template', () => {
+    expect(altTextService.fromContent({
+      template: { name: 'stat', data: { value: '40%', label: 'of renewals happen in the last week', caption: 'Licensing' } }
+    })).toEqual({ altText: '40% – of renewals happen in the last week – Licensing', source: 'template' });
+  });
+
+  test('uses the slide text for carousel images', () => {
+    const slides = [{ title: 'Intro', content: 'One' }, { title: 'Renew early 🚀', content: 'Start 30 days before #expiry' }];
+
+    expect(altTextService.fromContent({ slideNumber: 2, prompt: 'ignored' }, { slides }))
+      .toEqual({ altText: 'Renew early. Start 30 days before expiry', source: 'slide' });
+  });
+
+  test('keeps the subject of the image prompt and drops style words', () => {
+    const { altText, source } = altTextService.fromContent(
+      { prompt: 'professional, high quality, Professional LinkedIn post image, solar panels on a warehouse roof, related to Energy' },
+      { title: 'Cutting energy costs' }
+    );
+
+    expect(source).toBe('prompt');
+    expect(altText).toBe('Illustration for "Cutting energy costs": solar panels on a warehouse roof, related to Energy');
+  });
+
+  test('has nothing to say about an upload without a vision model', async () => {
+    expect(await altTextService.describe({ imageData: Buffer.from('x') })).toEqual({ altText: null, source: null });
+  });
+
+  test('cuts long text at a word boundary', () => {
+    const altText = altTextService.normalize('word '.repeat(100));
+
+    expect(altText.length).toBeLessThanOrEqual(altTextService.maxLength);
+    expect(altText.endsWith('word…')).toBe(true);
+  });
+
+  test('applies edits per slide and clears empty alt text', () => {
+    const imageData = {
+      type: 'carousel',
+      images: [{ slideNumber: 1, altText: 'Old', altTextSource: 'slide' }, { slideNumber: 2, altText: 'Keep' }]
+    };
+
+    expect(altTextService.applyEdits(imageData, { images: [{ slideNumber: 1, altText: ' ' }] }).images).toEqual([
+      { slideNumber: 1, altText: null, altTextSource: null },
+      { slideNumber: 2, altText: 'Keep' }
+    ]);
+    expect(altTextService.applyEdits({ type: 'single', altText: null }, { altText: 'Team at the site' }))
+      .toEqual({ type: 'single', altText: 'Team at the site', altTextSource: 'user' });
+  });
+});
+
+describe('accessibility check', () => {
+  test('passes plain text with described images', () => {
+    const report = accessibilityChecker.check('Renewing your trade licence early avoids fines. #Licensing', {
+      imageData: { type: 'single', altText: 'Checklist of renewal documents', template: { name: 'checklist' } },
+      brandKit: readableKit
+    });
+
+    expect(report.status).toBe('passed');
+    expect(report.warnings).toEqual([]);
+  });
+
+  test('flags emoji-heavy and Unicode-styled text', () => {
+    const rules = accessibilityChecker.check('🚀🔥💡🎉 Big news 𝗧𝗼𝗱𝗮𝘆 we launch ✅').warnings.map(warning => warning.rule);
+
+    expect(rules).toEqual(['emoji_heavy', 'emoji_heavy', 'styled_text']);
+  });
+
+  test('flags missing and redundant alt text per slide', () => {
+    const report = accessibilityChecker.check('Three steps to renew', {
+      imageData: {
+        type: 'carousel',
+        images: [{ slideNumber: 1, altText: 'Image of a licence' }, { slideNumber: 2, altText: null }]
+      },
+      brandKit: readableKit
+    });
+
+    expect(report.warnings.map(warning => [warning.rule, warning.match])).toEqual([
+      ['redundant_alt_text', 'Image of a licence'],
+      ['missing_alt_text', 'Slide 2']
+    ]);
+  });
+
+  test('flags brand colours with low text contrast once per graphic', () => {
+    const brandKit = { ...readableKit, primary_color: '#7FB2E5', text_color: '#AAAAAA' };
+    const report = accessibilityChecker.check('Post', {
+      imageData: {
+        type: 'carousel',
+        images: [1, 2].map(slideNumber => ({ slideNumber, altText: 'Chart', template: { name: 'stat' } }))
+      },
+      documentData: { path: 'uploads/carousels/x/carousel.pdf' },
+      brandKit
+    });
+    const messages = report.warnings.map(warning => warning.message);
+
+    expect(contrastRatio('#FFFFFF', '#000000')).toBeCloseTo(21);
+    expect(messages.filter(message => message.startsWith('Stat graphic: label text'))).toHaveLength(1);
+    expect(messages.some(message => message.startsWith('Carousel PDF: slide text'))).toBe(true);
+    expect(report.warnings.every(warning => warning.rule === 'low_contrast')).toBe(true);
+  });
+});
@@ -0,0 +1,56 @@
+const aiUsage = require('../src/services/aiUsage');
+
+describe('aiUsage pricing', () => {
+  const original = aiUsage.prices;
+
+  afterEach(() => {
+    aiUsage.prices = original;
+  });
+
+  test('prices tokens per million from the model entry', () => {
+    expect(aiUsage.computeCost('openai', 'gpt-4o', { promptTokens: 1200, completionTokens: 400 }))
+      .toEqual({ cost: 0.007, priced: true });
+  });
+
+  test('prices the dated snapshots providers answer with', () => {
+    expect(aiUsage.computeCost('openai', 'gpt-4o-2024-08-06', { promptTokens: 1200, completionTokens: 400 }))
+      .toEqual({ cost: 0.007, priced: true });
+    expect(aiUsage.priceFor('openai', 'gpt-4o-mini-2024-07-18')).toEqual({ prompt: 0.15, completion: 0.6 });
+    expect(aiUsage.priceFor('openai', 'gpt-4-0613')).toEqual({ prompt: 30, completion: 60 });
+    expect(aiUsage.priceFor('openai', 'gpt-3.5-turbo-0125')).toEqual({ prompt: 0.5, completion: 1.5 });
+  });
+
+  test('charges paid OpenRouter models without their own entry', () => {
+    expect(aiUsage.computeCost('openrouter', 'anthropic/some-model', { promptTokens: 1000000, completionTokens: 0 }))
+      .toEqual({ cost: 2.5, priced: true });
+    expect(aiUsage.priceFor('openrouter', 'microsoft/phi-3-mini-128k-instruct:free')).toEqual({ prompt: 0, completion: 0 });
+  });
+
+  test('falls back to the longest matching wildcard entry', () => {
+    aiUsage.prices = {
+      ...original,
+      'openrouter/*': { prompt: 1, completion: 2 }
+    };
+
+    expect(aiUsage.priceFor('openrouter', 'meta-llama/llama-3.1-8b-instruct:free')).toEqual({ prompt: 0, completion: 0 });
+    expect(aiUsage.computeCost('openrouter', 'mistralai/mixtral-8x7b', { promptTokens: 1000000, completionTokens: 500000 }))
+      .toEqual({ cost: 2, priced: true });
+  });
+
+  test('charges images per image', () => {
+    aiUsage.prices = { ...original, 'pollinations/*': { image: 0.02 } };
+
+    expect(aiUsage.computeCost('pollinations', 'default', { images: 3 })).toEqual({ cost: 0.06, priced: true });
+  });
+
+  test('marks models without a price as unpriced', () => {
+    expect(aiUsage.computeCost('openai', 'gpt-5-preview', { promptTokens: 10, completionTokens: 10 }))
+      .toEqual({ cost: 0, priced: false });
+  });
+
+  test('reads price overrides from JSON and ignores invalid JSON', () => {
+    expect(aiUsage.parsePrices('{"openai/gpt-4o": {"prompt": 5, "completion": 15}}'))
+      .toEqual({ 'openai/gpt-4o': { prompt: 5, completion: 15 } });
+    expect(aiUsage.parsePrices('not json')).toEqual({});
+  });
+});
@@ -0,0 +1,65 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../src/database/init', () => {
+  const query = async (sql, params = []) => (sql.includes('FROM users')
+    ? { rows: [{ id: params[0], email: 'user@example.com', is_active: true }] }
+    : { rows: [] });
+  return { pool: { query, connect: async () => ({ query, release: () => {} }) } };
+});
+
+const analyticsRoutes = require('../src/routes/analytics');
+const analyticsService = require('../src/services/analytics');
+const hashtagRecommender = require('../src/services/hashtagRecommender');
+
+describe('analytics routes', () => {
+  const userId = '0b5e3f4c-2a6d-4d1e-9f7a-3c8b2e1d4a5f';
+  let app;
+  let token;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+    token = jwt.sign({ userId }, process.env.JWT_SECRET);
+    app = express();
+    app.use(express.json());
+    app.use('/api/analytics', analyticsRoutes);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const get = (url) => request(app).get(url).set('Authorization', `Bearer ${token}`);
+
+  test('requires a token', async () => {
+    expect((await request(app).get('/api/analytics/hashtags')).status).toBe(401);
+  });
+
+  test('reports hashtag performance for the user', async () => {
+    const report = jest.spyOn(hashtagRecommender, 'getPerformanceReport')
+      .mockResolvedValue({ averageEngagementRate: 2.1, hashtags: [{ hashtag: '#AbuDhabi', posts: 4 }] });
+
+    const res = await get('/api/analytics/hashtags?period=30d&minPosts=2');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ period: '30d', hashtags: [{ hashtag: '#AbuDhabi', posts: 4 }] });
+    expect(report).toHaveBeenCalledWith(userId, expect.anything(), { limit: 50, minPosts: 2 });
+    expect((await get('/api/analytics/hashtags?minPosts=0')).status).toBe(400);
+  });
+
+  test('reports AI edit metrics per model', async () => {
+    const metrics = jest.spyOn(analyticsService, 'getAIEditMetrics')
+      .mockResolvedValue([{ provider: 'openai', model: 'gpt-4o', posts: 3, averageEditRatio: 0.2 }]);
+
+    const res = await get('/api/analytics/ai-edits?period=7d');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({
+      models: [{ provider: 'openai', model: 'gpt-4o', posts: 3, averageEditRatio: 0.2 }],
+      period: '7d'
+    });
+    expect(metrics).toHaveBeenCalledWith(userId, expect.any(Date));
+    expect((await get('/api/analytics/ai-edits?period=2d')).status).toBe(400);
+  });
+});
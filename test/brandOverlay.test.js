@@ -0,0 +1,53 @@
+const { brandingLayout, watermarkPlacement, overlaySvg } = require('../src/services/images/brandOverlay');
+const { resolveBrand } = require('../src/services/images/brandTemplates');
+const brandKitService = require('../src/services/brandKit');
+
+describe('image branding layout', () => {
+  test('keeps the watermark inside the frame and above the caption bar', () => {
+    const layout = brandingLayout(1000, 500, { frameEnabled: true, caption: 'Trade licence checklist' });
+
+    expect(layout.frame).toBe(13);
+    expect(layout.captionBar).toEqual({ left: 13, top: 432, width: 974, height: 55 });
+    expect(watermarkPlacement('bottom-right', layout, { width: 100, height: 40 })).toEqual({ left: 867, top: 372 });
+    expect(watermarkPlacement('top-left', layout, { width: 100, height: 40 })).toEqual({ left: 33, top: 33 });
+    expect(watermarkPlacement('center', layout, { width: 100, height: 40 })).toEqual({ left: 450, top: 203 });
+  });
+
+  test('uses the whole image without frame or caption', () => {
+    const layout = brandingLayout(1200, 627);
+
+    expect(layout.frame).toBe(0);
+    expect(layout.captionBar).toBeNull();
+    expect(overlaySvg(1200, 627, layout, resolveBrand(null))).toBeNull();
+  });
+
+  test('draws the frame and caption in the brand colours', () => {
+    const brand = resolveBrand({ primary_color: '#FFFFFF', frame_enabled: true, caption_bar_enabled: true });
+    const layout = brandingLayout(1200, 627, { frameEnabled: true, caption: 'Ports & logistics #UAE' });
+    const svg = overlaySvg(1200, 627, layout, brand, 'Ports & logistics #UAE');
+
+    expect(svg).toContain('stroke="#FFFFFF"');
+    expect(svg).toContain('fill="#1D2226"');
+    expect(svg).toContain('>Ports &amp; logistics</tspan>');
+  });
+});
+
+describe('brand kit branding', () => {
+  test('leaves images unchanged when there is nothing to apply', async () => {
+    const image = Buffer.from('image');
+
+    expect(await brandKitService.applyBranding(image, null)).toEqual({ data: image, mimeType: null, applied: [] });
+    expect(await brandKitService.applyBranding(image, { caption_bar_enabled: true, logo_path: null }))
+      .toEqual({ data: image, mimeType: null, applied: [] });
+  });
+
+  test('reads watermark settings with defaults', () => {
+    expect(resolveBrand({ watermark_opacity: '0.5', watermark_enabled: false })).toMatchObject({
+      watermarkEnabled: false,
+      watermarkPosition: 'bottom-right',
+      watermarkOpacity: 0.5,
+      watermarkScale: 0.15,
+      frameEnabled: false
+    });
+  });
+});
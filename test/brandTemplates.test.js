@@ -0,0 +1,81 @@
+const { templateData, renderSvg, wrapText } = require('../src/services/images/brandTemplates');
+const images = require('../src/services/images');
+
+describe('brand templates', () => {
+  test('picks a template from the content', () => {
+    expect(templateData({
+      body: 'Before you renew a trade licence:\n- Check activities\n- Update tenancy\n- Renew visas'
+    }).template).toBe('checklist');
+    expect(templateData({ body: 'Cross-border payments grew 42% in 2024. Here is why.' }).data.value).toBe('42%');
+    expect(templateData({ body: 'Good logistics is invisible. #Logistics 🚚', companyName: 'Acme' }).data)
+      .toEqual({ text: 'Good logistics is invisible.', attribution: 'Acme' });
+  });
+
+  test('honours a requested template', () => {
+    const { template, data } = templateData({ title: 'Q3', body: 'We shipped on time.' }, 'checklist');
+
+    expect(template).toBe('checklist');
+    expect(data.items).toEqual(['We shipped on time.']);
+  });
+
+  test('wraps text and ends with an ellipsis when it does not fit', () => {
+    expect(wrapText('one two three four', 9, 3)).toEqual(['one two', 'three', 'four']);
+    expect(wrapText('one two three four five six', 9, 2)).toEqual(['one two', 'three…']);
+  });
+
+  test('renders the brand colours and escapes text', () => {
+    const svg = renderSvg('quote', { text: 'R&D <matters>', attribution: '' }, {
+      width: 1200,
+      height: 627,
+      brandKit: { primary_color: '#112233', font_family: 'Inter' }
+    });
+
+    expect(svg).toContain('fill="#112233"');
+    expect(svg).toContain("font-family=\"&apos;Inter&apos;");
+    expect(svg).toContain('R&amp;D &lt;matters&gt;');
+    expect(() => renderSvg('poster', {}, { width: 10, height: 10 })).toThrow('Unknown image template');
+  });
+
+  test('right-aligns Arabic text', () => {
+    const { data } = templateData({ body: 'الخدمات اللوجستية الجيدة لا تُرى.' });
+    const svg = renderSvg('quote', data, { width: 1200, height: 627 });
+
+    expect(svg).toContain('direction="rtl" text-anchor="end"');
+  });
+});
+
+describe('image provider fallback', () => {
+  const fakeProvider = (name, generate) => ({
+    name,
+    label: name,
+    defaultModel: 'test',
+    models: ['test'],
+    isConfigured: () => true,
+    generate
+  });
+
+  test('falls back to the next provider when one fails', async () => {
+    images.register(fakeProvider('broken', async () => {
+      throw new Error('down');
+    }));
+    images.register(fakeProvider('template', async (request) => ({
+      data: Buffer.from('png'),
+      provider: 'template',
+      model: request.model,
+      width: request.width,
+      height: request.height
+    })));
+
+    const result = await images.generate({ prompt: 'x', width: 100, height: 50 }, { provider: 'broken' });
+
+    expect(result.provider).toBe('template');
+    expect(result.attempts).toBe(2);
+  });
+
+  test('validates provider and model selections', () => {
+    expect(images.validateSelection('pollinations', 'flux')).toBeNull();
+    expect(images.validateSelection('pollinations', 'dall-e-3')).toMatch('not available');
+    expect(images.validateSelection('nope')).toMatch('Unknown image provider');
+    expect(images.validateSelection(null, 'flux')).toMatch('together with a provider');
+  });
+});
@@ -0,0 +1,58 @@
+const brandVoice = require('../src/services/brandVoice');
+
+const approvedPosts = [
+  'Did you know 70% of Abu Dhabi logistics firms now track shipments in real time?\nPort automation is changing how we plan.\nWhat is your team measuring? Let me know in the comments.',
+  'Is your supply chain ready for the next peak season?\nWe mapped every port delay from last year.\nThe pattern surprised us. Let me know in the comments.',
+  'How fast can a port really turn around a vessel?\nAt Khalifa Port, automation cut the wait by hours.\nWhich supply chain metric matters most to you? Let me know in the comments.'
+];
+
+const profileRow = (bannedPhrases = []) => ({
+  profile: brandVoice.analyzeTexts(approvedPosts),
+  banned_phrases: bannedPhrases
+});
+
+describe('brandVoice', () => {
+  test('learns openers, calls-to-action and vocabulary from approved posts', () => {
+    const profile = brandVoice.analyzeTexts(approvedPosts);
+
+    expect(profile.sampleSize).toBe(3);
+    expect(profile.openers.styles).toEqual({ question: 1 });
+    expect(profile.callsToAction.styles).toEqual({ comment_prompt: 1 });
+    expect(profile.emoji.perPost).toBe(0);
+    expect(profile.vocabulary.signatureTerms.map(item => item.term)).toEqual(
+      expect.arrayContaining(['port', 'supply', 'chain'])
+    );
+  });
+
+  test('scores a draft in the same voice higher than an off-brand one', () => {
+    const row = profileRow();
+    const onBrand = brandVoice.scoreDraft(
+      'Where will port automation take us next?\nOur supply chain data shows a clear shift.\nWhat are you seeing? Let me know in the comments.',
+      row
+    );
+    const offBrand = brandVoice.scoreDraft(
+      '🚀🚀 Huge news!!! 🎉\nFollow our page for more updates 🔥',
+      row
+    );
+
+    expect(onBrand.score).toBeGreaterThan(offBrand.score);
+    expect(onBrand.rating).toBe('consistent');
+    expect(offBrand.explanation.join(' ')).toMatch(/emoji/);
+  });
+
+  test('penalises banned phrases and puts them first in the explanation', () => {
+    const text = 'Where will port automation take us next?\nThis is a game-changer for supply chain teams.\nLet me know in the comments.';
+    const clean = brandVoice.scoreDraft(text, profileRow());
+    const banned = brandVoice.scoreDraft(text, profileRow(['Game-changer']));
+
+    expect(banned.score).toBe(Math.max(0, clean.score - 20));
+    expect(banned.bannedPhrases).toEqual(['Game-changer']);
+    expect(banned.explanation[0]).toMatch(/banned phrase/);
+    expect(brandVoice.formatForPrompt(profileRow(['Game-changer']))).toContain('Never use these phrases: "Game-changer"');
+  });
+
+  test('does not score drafts before a voice has been learned', () => {
+    expect(brandVoice.scoreDraft('Anything at all', { profile: {}, banned_phrases: [] })).toBeNull();
+    expect(brandVoice.formatForPrompt(null)).toBe('');
+  });
+});
@@ -0,0 +1,71 @@
+const { buildImagePdf } = require('../src/utils/pdfDocument');
+const { CAROUSEL_FORMATS, renderSlideSvg } = require('../src/services/images/carouselTemplate');
+const carouselBuilder = require('../src/services/carouselBuilder');
+
+describe('carousel PDF', () => {
+  const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xD9]);
+
+  test('writes one page per image with a valid cross-reference table', () => {
+    const pdf = buildImagePdf([
+      { jpeg, width: 1080, height: 1080 },
+      { jpeg, width: 1080, height: 1350 }
+    ], { title: 'دليل الرخصة', createdAt: new Date('2024-04-15T08:00:00Z') });
+    const text = pdf.toString('latin1');
+
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text).toContain('/Count 2');
+    expect(text).toContain('/MediaBox [0 0 810 810]');
+    expect(text).toContain('/MediaBox [0 0 810 1012.5]');
+    expect(text).toContain('/Filter /DCTDecode /Length 4');
+    expect(text).toContain('/Title <FEFF062F0644064A0644');
+    expect(text).toContain('/CreationDate (D:20240415080000Z)');
+
+    const xref = Number(text.match(/startxref\n(\d+)/)[1]);
+    expect(text.slice(xref, xref + 4)).toBe('xref');
+    const offsets = text.slice(xref).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+    expect(offsets).toHaveLength(9);
+    offsets.forEach((offset, index) => {
+      const header = `${index + 1} 0 obj\n`;
+      expect(text.slice(offset, offset + header.length)).toBe(header);
+    });
+  });
+
+  test('refuses an empty document', () => {
+    expect(() => buildImagePdf([])).toThrow('at least one page');
+  });
+});
+
+describe('carousel pages', () => {
+  test('lays out the slide with its page number and brand colours', () => {
+    const svg = renderSlideSvg(
+      { title: 'Renew <early>', content: 'Start 30 days before expiry. #TradeLicence' },
+      { pageNumber: 2, pageCount: 5, ...CAROUSEL_FORMATS.portrait, brandKit: { primary_color: '#112233' } }
+    );
+
+    expect(svg).toContain('height="1350"');
+    expect(svg).toContain('>2/5</text>');
+    expect(svg).toContain('Renew &lt;early&gt;');
+    expect(svg).toContain('fill="#112233"');
+    expect(svg).not.toContain('#TradeLicence');
+  });
+
+  test('right-aligns Arabic slides', () => {
+    const svg = renderSlideSvg(
+      { title: 'جدد مبكرا', content: 'ابدأ قبل ثلاثين يوما من انتهاء الرخصة.' },
+      { pageNumber: 1, pageCount: 3, ...CAROUSEL_FORMATS.square }
+    );
+
+    expect(svg).toContain('direction="rtl" text-anchor="end"');
+  });
+
+  test('takes slides from the edited post before the generated ones', () => {
+    const structured = { slides: [{ title: 'Generated', content: 'One' }] };
+
+    expect(carouselBuilder.getSlides({
+      content_text: JSON.stringify({ slides: [{ title: 'Edited', content: 'Two' }, { title: '', content: '' }] }),
+      structured_content: structured
+    })).toEqual([{ title: 'Edited', content: 'Two' }]);
+    expect(carouselBuilder.getSlides({ content_text: 'plain text', structured_content: structured }))
+      .toEqual(structured.slides);
+  });
+});
@@ -0,0 +1,72 @@
+const complianceChecker = require('../src/services/complianceChecker');
+const structuredContent = require('../src/services/structuredContent');
+
+const rules = (issues) => issues.map(issue => issue.rule);
+
+describe('complianceChecker', () => {
+  test('passes an ordinary post', () => {
+    const report = complianceChecker.check('Khalifa Port keeps growing.\nWhat are you seeing in your supply chain?');
+
+    expect(report.status).toBe('passed');
+    expect(report.blocking).toEqual([]);
+    expect(report.warnings).toEqual([]);
+  });
+
+  test('blocks excluded topics and profanity', () => {
+    const report = complianceChecker.check('Crypto is a damn good bet for ports.', { excluded_topics: ['crypto'] });
+
+    expect(report.status).toBe('blocked');
+    expect(rules(report.blocking)).toEqual(['excluded_topic', 'profanity']);
+  });
+
+  test('blocks certification claims that are inaccurate or not verified', () => {
+    expect(complianceChecker.check('Our divers are IMCA certified.', { verified_claims: ['IMCA'] }).blocking[0].message)
+      .toMatch(/IMCA is a membership body/);
+    expect(complianceChecker.check('We are a proud IMCA member.', { verified_claims: ['IMCA'] }).status).toBe('passed');
+    expect(complianceChecker.check('We are ISO 9001 certified.').blocking[0].message)
+      .toMatch(/ISO 9001 certification/);
+    expect(complianceChecker.check('We are ISO 9001 certified.', { verified_claims: ['iso 9001'] }).status).toBe('passed');
+    expect(complianceChecker.check('Proudly ADNOC certified.', { verified_claims: ['ADNOC'] }).blocking[0].message)
+      .toMatch(/ADNOC does not certify companies/);
+  });
+
+  test('only warns about approval, registration and membership wording', () => {
+    const report = complianceChecker.check('We are an ADNOC-approved vendor and a registered IMCA member.');
+
+    expect(report.status).toBe('warning');
+    expect(report.warnings.map(issue => issue.message)).toEqual([
+      'Mentions IMCA approval, registration or membership, which is not in your verified claims',
+      'Mentions ADNOC approval, registration or membership, which is not in your verified claims'
+    ]);
+    expect(complianceChecker.check('ADNOC awarded new offshore contracts this week.').status).toBe('passed');
+    expect(complianceChecker.check('We are a registered IMCA member.', { verified_claims: ['IMCA'] }).status).toBe('passed');
+  });
+
+  test('warns about unsourced statistics, competitors and sensitive references', () => {
+    const report = complianceChecker.check(
+      'Downtime fell 40% this year.\nAccording to the 2023 port survey, 60% of operators agree.\nUnlike Acme Marine, we sail the Persian Gulf.',
+      { competitor_names: ['Acme Marine'] }
+    );
+
+    expect(report.status).toBe('warning');
+    expect(report.warnings.map(issue => issue.match)).toEqual([
+      'Downtime fell 40% this year.',
+      'Acme Marine',
+      'Persian Gulf'
+    ]);
+  });
+
+  test('checks every published part of a post', () => {
+    const text = structuredContent.publishedText({
+      title: 'Weekend plans',
+      content_text: JSON.stringify({
+        content_text: 'Which do you prefer?',
+        poll: { question: 'Pick one', options: ['Beach', 'Casino'] }
+      }),
+      hashtags: ['#AbuDhabi']
+    });
+
+    expect(text).toContain('Casino');
+    expect(complianceChecker.check(text).status).toBe('blocked');
+  });
+});
@@ -0,0 +1,71 @@
+const contentPlanner = require('../src/services/contentPlanner');
+const regionalCalendar = require('../src/services/regionalCalendar');
+
+const topics = [
+  { id: 'leadership', title: 'Leadership', seasonal_relevance: null },
+  { id: 'ramadan', title: 'Ramadan business tips', seasonal_relevance: { months: [3, 4], events: ['ramadan'] } },
+  { id: 'national-day', title: 'National Day', seasonal_relevance: { months: [12], events: ['national_day'] } }
+];
+
+const preferences = {
+  posting_frequency: 3,
+  preferred_days: [1, 2, 3, 4, 5],
+  optimal_times: ['08:30:00', '13:00:00']
+};
+
+describe('regionalCalendar', () => {
+  test('marks public holidays and Ramadan days', () => {
+    expect(regionalCalendar.getDay('2026-03-20')).toMatchObject({ isHoliday: true, isRamadan: false });
+    expect(regionalCalendar.isRamadan('2026-03-01')).toBe(true);
+    expect(regionalCalendar.getDay('2026-12-03').events.map(event => event.key)).toEqual(['national_day']);
+  });
+
+  test('only lists Islamic holidays for years with known dates', () => {
+    expect(regionalCalendar.hasIslamicDates(2027)).toBe(true);
+    expect(regionalCalendar.getEvents(2040).map(event => event.key)).toEqual([
+      'new_year', 'emirati_womens_day', 'flag_day', 'commemoration_day', 'national_day'
+    ]);
+  });
+});
+
+describe('contentPlanner.planMonth', () => {
+  const plan = contentPlanner.planMonth('2026-03', {
+    preferences,
+    topics,
+    now: new Date('2026-02-27T10:00:00Z')
+  });
+
+  test('spreads posting_frequency posts per week over preferred days, skipping holidays', () => {
+    expect(plan.items).toHaveLength(13);
+    expect(plan.skippedDays).toEqual([{ date: '2026-03-20', reason: 'Eid Al Fitr' }]);
+    expect(plan.items.every(item => [1, 2, 3, 4, 5].includes(new Date(`${item.date}T12:00:00Z`).getUTCDay()))).toBe(true);
+  });
+
+  test('posts in the evening during Ramadan and at preferred times afterwards', () => {
+    const times = plan.items.map(item => item.optimalTime);
+
+    expect(new Set(times.slice(0, 9))).toEqual(new Set(['19:30', '22:00']));
+    expect(times.slice(9).every(time => ['08:30', '13:00'].includes(time))).toBe(true);
+    expect(plan.items[0].occasions).toEqual([{ key: 'ramadan', name: 'Ramadan', type: 'season' }]);
+  });
+
+  test('balances in-season topics without repeating one back to back', () => {
+    const topicIds = plan.items.map(item => item.topicId);
+
+    expect(topicIds).not.toContain('national-day');
+    expect(topicIds.filter(id => id === 'leadership').length).toBeGreaterThanOrEqual(6);
+    expect(topicIds.some((id, index) => index > 0 && topicIds[index - 1] === id)).toBe(false);
+  });
+
+  test('follows the content mix', () => {
+    const counts = plan.items.reduce((acc, item) => ({ ...acc, [item.contentType]: (acc[item.contentType] || 0) + 1 }), {});
+
+    expect(counts).toEqual({ text: 6, multi_image: 3, poll: 2, document: 2 });
+  });
+
+  test('plans nothing for a month that is over', () => {
+    const past = contentPlanner.planMonth('2026-01', { preferences, topics, now: new Date('2026-02-27T10:00:00Z') });
+
+    expect(past.items).toEqual([]);
+  });
+});
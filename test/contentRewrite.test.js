@@ -0,0 +1,41 @@
+const contentGenerator = require('../src/services/contentGenerator');
+const llm = require('../src/services/llm');
+const FakeProvider = require('../src/services/llm/fakeProvider');
+
+describe('content rewrites', () => {
+  test('rewrites start from the edited text, not the original generation', () => {
+    const post = contentGenerator.currentPost({
+      content_type: 'text',
+      title: 'Ports',
+      content_text: JSON.stringify({ body: 'Original draft.', content_text: '‏Edited by hand.\n\n#Ports' }),
+      hashtags: ['#Ports'],
+      structured_content: { title: 'Ports', body: 'Original draft.', hashtags: ['#Ports'], language: 'en' }
+    });
+
+    expect(post).toEqual({ title: 'Ports', body: 'Edited by hand.', hashtags: ['#Ports'] });
+  });
+
+  test('asks again when a rewrite breaks the requested limit', async () => {
+    const replies = [
+      JSON.stringify({ title: 'Ports', body: 'Khalifa Port handled record volumes this quarter. '.repeat(4), hashtags: ['#Ports'] }),
+      JSON.stringify({ title: 'Ports', body: 'Record volumes at Khalifa Port.', hashtags: ['#Ports'] })
+    ];
+    const fake = new FakeProvider({ name: 'rewriter', respond: () => replies.shift() });
+    llm.register(fake);
+
+    const { structured, formatAttempts } = await contentGenerator.generateStructuredContent(
+      'text',
+      [{ role: 'user', content: 'Shorten this post' }],
+      { max_hashtags: 5 },
+      {
+        provider: 'rewriter',
+        language: 'en',
+        validate: value => (value.body.length > 100 ? 'too long' : null)
+      }
+    );
+
+    expect(formatAttempts).toBe(2);
+    expect(structured.body).toBe('Record volumes at Khalifa Port.');
+    expect(fake.calls[1].messages[fake.calls[1].messages.length - 1].content).toContain('too long');
+  });
+});
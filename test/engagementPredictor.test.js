@@ -0,0 +1,81 @@
+const engagementPredictor = require('../src/services/engagementPredictor');
+
+const post = (overrides = {}) => ({
+  content_text: 'A clear statement about how logistics teams in Abu Dhabi are changing the way they plan.\n' +
+    'More detail follows here.'.repeat(30),
+  content_type: 'text',
+  hashtags: ['#Logistics', '#AbuDhabi'],
+  topic_id: null,
+  ...overrides
+});
+
+describe('engagementPredictor.extractFeatures', () => {
+  test('describes length, hook, type, hashtags and time slot', () => {
+    const features = engagementPredictor.extractFeatures(post({
+      content_text: 'Is your team ready for AI?\nShort post.',
+      content_type: 'poll',
+      hashtags: [],
+      topic_id: 'topic-1',
+      scheduled_for: new Date('2026-10-17T15:00:00Z')
+    }), 'Asia/Dubai');
+
+    expect(features).toEqual(['length:short', 'hook:question', 'type:poll', 'hashtags:none', 'slot:evening', 'weekend', 'topic:topic-1']);
+  });
+
+  test('treats a medium text post on a weekday morning as the base case', () => {
+    const features = engagementPredictor.extractFeatures(post({ scheduled_for: new Date('2026-10-19T05:00:00Z') }), 'Asia/Dubai');
+
+    expect(features).toEqual([]);
+  });
+});
+
+describe('engagementPredictor.fit', () => {
+  const prior = engagementPredictor.priorWeights(2);
+
+  test('returns the prior when there is no history', () => {
+    const { weights, residualStd } = engagementPredictor.fit([], prior);
+
+    expect(weights.intercept).toBe(2);
+    expect(weights['type:poll']).toBe(0.4);
+    expect(residualStd).toBe(1);
+  });
+
+  test('moves toward the user results as history grows', () => {
+    const history = [];
+    for (let i = 0; i < 40; i++) {
+      history.push({ features: [], rate: 4 });
+      history.push({ features: ['type:poll'], rate: 3 });
+    }
+
+    const { weights } = engagementPredictor.fit(history, prior);
+
+    expect(weights.intercept).toBeGreaterThan(3.5);
+    expect(weights['type:poll']).toBeLessThan(-0.5);
+  });
+});
+
+describe('engagementPredictor.predict', () => {
+  test('returns a range and the features that move the rate most', () => {
+    const model = {
+      weights: { ...engagementPredictor.priorWeights(2), 'topic:topic-1': 0.6 },
+      prior: { source: 'industry' },
+      sample_size: 12,
+      residual_std: 0.5
+    };
+
+    const prediction = engagementPredictor.predict(model, post({
+      content_text: 'I learned this the hard way last year.\nShort.',
+      content_type: 'document',
+      topic_id: 'topic-1',
+      topic_title: 'Port automation'
+    }));
+
+    expect(prediction).toMatchObject({ rate: 3, low: 2.5, high: 3.5, confidence: 'medium' });
+    expect(prediction.factors.map(factor => factor.label)).toEqual([
+      'Topic: Port automation',
+      'Opens with a personal story',
+      'Document post'
+    ]);
+    expect(prediction.factors[0]).toMatchObject({ impact: 0.6, direction: 'positive' });
+  });
+});
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const mockRows = {};
+
+jest.mock('../src/database/init', () => {
+  const query = async (sql, params = []) => {
+    if (sql.includes('FROM users')) {
+      return { rows: [{ id: params[0], email: 'user@example.com', is_active: true }] };
+    }
+    const table = Object.keys(mockRows).find(name => sql.includes(name));
+    return { rows: table ? mockRows[table] : [] };
+  };
+  return { pool: { query, connect: async () => ({ query, release: () => {} }) } };
+});
+
+const contentRoutes = require('../src/routes/content');
+const mediaRoutes = require('../src/routes/media');
+
+describe('file downloads', () => {
+  const userId = '0b5e3f4c-2a6d-4d1e-9f7a-3c8b2e1d4a5f';
+  const id = '6f1c2d3e-4b5a-4c6d-8e7f-9a0b1c2d3e4f';
+  let app;
+  let token;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+    token = jwt.sign({ userId }, process.env.JWT_SECRET);
+    app = express();
+    app.use(express.json());
+    app.use('/api/content', contentRoutes);
+    app.use('/api/media', mediaRoutes);
+  });
+
+  afterEach(() => {
+    Object.keys(mockRows).forEach(table => delete mockRows[table]);
+  });
+
+  const get = (url) => request(app).get(url).set('Authorization', `Bearer ${token}`);
+
+  test('answers with JSON when the carousel files are gone', async () => {
+    mockRows['FROM generated_content'] = [{
+      document_data: {
+        title: 'Renewal steps',
+        path: 'uploads/carousels/missing/carousel.pdf',
+        pages: [{ pageNumber: 1, path: 'uploads/carousels/missing/page-1.png' }]
+      }
+    }];
+
+    for (const url of [`/api/content/generated/${id}/carousel/pdf`, `/api/content/generated/${id}/carousel/pages/1`]) {
+      const res = await get(url);
+
+      expect(res.status).toBe(404);
+      expect(res.headers['content-type']).toMatch(/json/);
+      expect(res.headers['content-disposition']).toBeUndefined();
+      expect(res.body).toEqual({ success: false, message: 'Document file not found' });
+    }
+  });
+
+  test('answers with JSON when a media variant is gone', async () => {
+    mockRows['FROM media_assets'] = [{
+      id,
+      path: 'uploads/media/missing/original.png',
+      mime_type: 'image/png',
+      variants: { carousel: { path: 'uploads/media/missing/carousel.jpg', mimeType: 'image/jpeg' } }
+    }];
+
+    const res = await get(`/api/media/${id}/file?variant=carousel`);
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ success: false, message: 'Media file not found' });
+  });
+});
@@ -0,0 +1,48 @@
+jest.mock('../src/database/redis', () => ({ getAvailableRedis: async () => null }));
+
+const generationCache = require('../src/services/generationCache');
+
+describe('generationCache', () => {
+  test('hashes requests independently of key order, whitespace and empty values', () => {
+    const hash = generationCache.hashRequest({ topicId: 't1', contentType: 'text', customPrompt: 'Ports  and\ntrade ' });
+
+    expect(generationCache.hashRequest({ customPrompt: 'Ports and trade', contentType: 'text', topicId: 't1', model: null }))
+      .toBe(hash);
+    expect(generationCache.hashRequest({ topicId: 't1', contentType: 'poll', customPrompt: 'Ports and trade' }))
+      .not.toBe(hash);
+  });
+
+  test('runs concurrent requests with the same idempotency key once', async () => {
+    let runs = 0;
+    const generate = () => new Promise(resolve => setTimeout(() => resolve({ id: `draft-${++runs}` }), 20));
+
+    const [first, second] = await Promise.all([
+      generationCache.runOnce('user-1', 'key-1', 'fingerprint', generate),
+      generationCache.runOnce('user-1', 'key-1', 'fingerprint', generate)
+    ]);
+
+    expect(runs).toBe(1);
+    expect(first).toEqual({ result: { id: 'draft-1' }, replayed: false });
+    expect(second).toEqual({ result: { id: 'draft-1' }, replayed: true });
+  });
+
+  test('refuses a key reused for a different request', async () => {
+    const generate = () => new Promise(resolve => setTimeout(() => resolve({ id: 'draft' }), 20));
+
+    const [, reused] = await Promise.all([
+      generationCache.runOnce('user-1', 'key-2', 'fingerprint-a', generate),
+      generationCache.runOnce('user-1', 'key-2', 'fingerprint-b', generate)
+    ]);
+
+    expect(reused).toEqual({ conflict: 'mismatch' });
+  });
+
+  test('releases the key when generation fails', async () => {
+    await expect(generationCache.runOnce('user-1', 'key-3', 'fingerprint', async () => {
+      throw new Error('LLM unavailable');
+    })).rejects.toThrow('LLM unavailable');
+
+    await expect(generationCache.runOnce('user-1', 'key-3', 'fingerprint', async () => ({ id: 'draft' })))
+      .resolves.toEqual({ result: { id: 'draft' }, replayed: false });
+  });
+});
@@ -0,0 +1,57 @@
+const hashtagRecommender = require('../src/services/hashtagRecommender');
+
+describe('hashtagRecommender', () => {
+  test('formats keywords as hashtags and classifies them', () => {
+    expect(hashtagRecommender.toHashtag('smart cities')).toBe('#SmartCities');
+    expect(hashtagRecommender.toHashtag('IoT devices')).toBe('#IoTDevices');
+    expect(hashtagRecommender.toHashtag('ذكاء اصطناعي')).toBe('#ذكاء_اصطناعي');
+    expect(hashtagRecommender.classify('#AbuDhabiJobs')).toBe('local');
+    expect(hashtagRecommender.classify('#leadership')).toBe('broad');
+    expect(hashtagRecommender.classify('#PortAutomation')).toBe('niche');
+  });
+
+  test('splits the count into broad, local and niche tags', () => {
+    expect(hashtagRecommender.mixFor(1)).toEqual({ broad: 0, local: 0, niche: 1 });
+    expect(hashtagRecommender.mixFor(5)).toEqual({ broad: 1, local: 1, niche: 3 });
+    expect(hashtagRecommender.mixFor(10)).toEqual({ broad: 3, local: 2, niche: 5 });
+  });
+
+  test('pulls the engagement of rarely used tags toward the average', () => {
+    const baseline = { avg_engagement_rate: 2 };
+
+    expect(hashtagRecommender.performanceFactor(null, baseline)).toBe(1);
+    expect(hashtagRecommender.performanceFactor({ posts_count: 1, avg_engagement_rate: 4 }, baseline)).toBe(1.25);
+    expect(hashtagRecommender.performanceFactor({ posts_count: 9, avg_engagement_rate: 4 }, baseline)).toBe(1.75);
+    expect(hashtagRecommender.performanceFactor({ posts_count: 30, avg_engagement_rate: 0 }, baseline)).toBe(0.5);
+  });
+
+  test('ranks relevant, well-performing tags and keeps the mix', () => {
+    const recommendations = hashtagRecommender.buildRecommendations({
+      text: 'Smart ports in Abu Dhabi use AI to cut logistics costs. Our team led the digital twin rollout.',
+      hashtags: ['#SmartPorts', '#DigitalTwin', '#Tech'],
+      keywords: ['port automation'],
+      stats: [
+        { hashtag: '#PortAutomation', posts_count: 6, avg_engagement_rate: 4.2 },
+        { hashtag: '#DigitalTwin', posts_count: 4, avg_engagement_rate: 1 },
+        { hashtag: '#Fintech', posts_count: 5, avg_engagement_rate: 9 }
+      ],
+      baseline: { posts_count: 20, avg_engagement_rate: 2.1 },
+      count: 5
+    });
+
+    expect(recommendations.map(item => item.tag)).toEqual(['#PortAutomation', '#SmartPorts', '#Tech', '#AbuDhabi', '#AI']);
+    expect(recommendations[0]).toMatchObject({ tier: 'niche', source: 'topic', performance: { posts: 6, lift: 1.67 } });
+    expect(recommendations.map(item => item.tier).sort()).toEqual(['broad', 'local', 'niche', 'niche', 'niche']);
+  });
+
+  test('offers Arabic regional tags for Arabic posts', () => {
+    const recommendations = hashtagRecommender.buildRecommendations({
+      text: 'نصائح للقادة في أبوظبي',
+      hashtags: ['#القيادة'],
+      language: 'ar',
+      count: 3
+    });
+
+    expect(recommendations.map(item => item.tag)).toEqual(['#القيادة', '#أبوظبي', '#الإمارات']);
+  });
+});
@@ -0,0 +1,43 @@
+const knowledgeBase = require('../src/services/knowledgeBase');
+
+const passages = [
+  {
+    id: 'chunk-1',
+    document_id: 'doc-1',
+    document_title: 'Our services',
+    source_type: 'service',
+    chunk_index: 0,
+    heading: 'Diving system inspection',
+    content: 'We inspect saturation diving systems against IMCA D 024.',
+    rank: 0.53333
+  },
+  {
+    id: 'chunk-2',
+    document_id: 'doc-2',
+    document_title: 'Case study: Mubarraz field',
+    source_type: 'case_study',
+    chunk_index: 3,
+    heading: null,
+    content: 'We found 14 defects before mobilisation.',
+    rank: 0.2
+  }
+];
+
+describe('knowledgeBase', () => {
+  test('searches for any word of the topic, ignoring punctuation and repeats', () => {
+    expect(knowledgeBase.buildQuery('Diving-system inspections: IMCA & diving!')).toBe('diving | system | inspections | imca');
+    expect(knowledgeBase.buildQuery('فحص أنظمة الغوص')).toBe('فحص | أنظمة | الغوص');
+    expect(knowledgeBase.buildQuery('& ! ?')).toBeNull();
+  });
+
+  test('numbers passages in the prompt to match the stored citations', () => {
+    const prompt = knowledgeBase.formatForPrompt(passages);
+    const sources = knowledgeBase.describeSources(passages);
+
+    expect(prompt).toContain('[1] Our services - Diving system inspection\nWe inspect saturation diving systems');
+    expect(prompt).toContain('[2] Case study: Mubarraz field\nWe found 14 defects');
+    expect(sources.map(source => [source.ref, source.documentId, source.chunkIndex, source.rank]))
+      .toEqual([[1, 'doc-1', 0, 0.533], [2, 'doc-2', 3, 0.2]]);
+    expect(knowledgeBase.formatForPrompt([])).toBe('');
+  });
+});
@@ -0,0 +1,158 @@
+const llm = require('../src/services/llm');
+const FakeProvider = require('../src/services/llm/fakeProvider');
+const OpenAICompatibleProvider = require('../src/services/llm/openAICompatibleProvider');
+const aiUsage = require('../src/services/aiUsage');
+
+const messages = [
+  { role: 'system', content: 'You write LinkedIn posts.' },
+  { role: 'user', content: 'Write about smart cities' }
+];
+
+describe('LLM providers', () => {
+  const original = {};
+
+  beforeEach(() => {
+    original.defaultProvider = llm.defaultProvider;
+    original.fallbackProviders = llm.fallbackProviders;
+  });
+
+  afterEach(() => {
+    llm.defaultProvider = original.defaultProvider;
+    llm.fallbackProviders = original.fallbackProviders;
+  });
+
+  test('fake provider is deterministic', async () => {
+    const fake = new FakeProvider();
+    const first = await fake.complete({ messages });
+    const second = await fake.complete({ messages });
+
+    expect(first.text).toBe(second.text);
+    expect(first.text).toContain('Write about smart cities');
+    expect(first.model).toBe('fake-small');
+  });
+
+  test('falls back to the next provider when one fails', async () => {
+    llm.register(new FakeProvider({ name: 'broken', failWith: 'upstream 503' }));
+    llm.register(new FakeProvider({ name: 'backup', models: ['backup-1'] }));
+    llm.defaultProvider = 'broken';
+    llm.fallbackProviders = ['backup'];
+
+    const result = await llm.complete({ messages });
+
+    expect(result.provider).toBe('backup');
+    expect(result.attempts).toBe(2);
+    expect(llm.formatModelId(result)).toBe('backup/backup-1');
+  });
+
+  test('treats a timeout as a failure', async () => {
+    llm.register(new FakeProvider({ name: 'slow', delayMs: 1000 }));
+    llm.register(new FakeProvider({ name: 'backup' }));
+    llm.fallbackProviders = ['backup'];
+
+    const result = await llm.complete({ messages }, { provider: 'slow', timeout: 20 });
+
+    expect(result.provider).toBe('backup');
+  });
+
+  test('reports every failure when the chain is exhausted', async () => {
+    llm.register(new FakeProvider({ name: 'broken', failWith: 'upstream 503' }));
+    llm.fallbackProviders = [];
+
+    await expect(llm.complete({ messages }, { provider: 'broken' }))
+      .rejects.toThrow('All LLM providers failed (broken: upstream 503)');
+  });
+
+  test('streams tokens that join back into the completion', async () => {
+    const tokens = [];
+
+    const result = await llm.complete({ messages }, {
+      provider: 'fake',
+      onToken: (text, { provider }) => tokens.push({ text, provider })
+    });
+
+    expect(tokens.map(token => token.text).join('')).toBe(result.text);
+    expect(tokens.every(token => token.provider === 'fake')).toBe(true);
+  });
+
+  test('cancellation skips the fallback providers', async () => {
+    const backup = new FakeProvider({ name: 'backup' });
+    llm.register(new FakeProvider({ name: 'slow', delayMs: 1000 }));
+    llm.register(backup);
+    llm.fallbackProviders = ['backup'];
+    const controller = new AbortController();
+
+    setTimeout(() => controller.abort(), 10);
+
+    await expect(llm.complete({ messages }, { provider: 'slow', signal: controller.signal }))
+      .rejects.toThrow('LLM request was cancelled');
+    expect(backup.calls).toHaveLength(0);
+  });
+
+  test('request selection overrides the user preference', () => {
+    llm.register(new FakeProvider({ name: 'preferred', models: ['p-1', 'p-2'] }));
+    llm.fallbackProviders = [];
+    const preferences = { ai_provider: 'preferred', ai_model: 'p-2' };
+
+    const [fromPreference] = llm.resolveChain({}, preferences);
+    expect(fromPreference.provider.name).toBe('preferred');
+    expect(fromPreference.model).toBe('p-2');
+
+    const [fromRequest] = llm.resolveChain({ provider: 'fake' }, preferences);
+    expect(fromRequest.provider.name).toBe('fake');
+    expect(fromRequest.model).toBeNull();
+  });
+
+  test('validates provider and model selections', () => {
+    expect(llm.validateSelection()).toBeNull();
+    expect(llm.validateSelection('fake', 'fake-large')).toBeNull();
+    expect(llm.validateSelection('nope')).toBe('Unknown LLM provider: nope');
+    expect(llm.validateSelection('fake', 'gpt-4')).toBe('Model gpt-4 is not available for fake');
+    expect(llm.validateSelection(null, 'gpt-4')).toMatch(/together with a provider/);
+  });
+});
+
+describe('OpenAI-compatible streaming', () => {
+  const streamingProvider = (chunks) => {
+    const provider = new OpenAICompatibleProvider({ name: 'openai', apiKey: 'key', defaultModel: 'gpt-4o' });
+    const create = jest.fn(async () => (async function* () {
+      yield* chunks;
+    })());
+    provider.client = { chat: { completions: { create } } };
+    return { provider, create };
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('asks for usage and records it', async () => {
+    const { provider, create } = streamingProvider([
+      { model: 'gpt-4o-2024-08-06', choices: [{ delta: { content: 'Hello ' } }] },
+      { model: 'gpt-4o-2024-08-06', choices: [{ delta: { content: 'world' } }] },
+      { model: 'gpt-4o-2024-08-06', choices: [], usage: { prompt_tokens: 1200, completion_tokens: 400, total_tokens: 1600 } }
+    ]);
+    const record = jest.spyOn(aiUsage, 'record').mockResolvedValue();
+
+    const result = await provider.complete({ messages, onToken: () => {} });
+    await aiUsage.recordCompletion({ userId: 'u1', feature: 'generation' }, result);
+
+    expect(create.mock.calls[0][0]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    expect(result.text).toBe('Hello world');
+    expect(record).toHaveBeenCalledWith({ userId: 'u1', feature: 'generation' }, expect.objectContaining({
+      model: 'gpt-4o-2024-08-06',
+      prompt_tokens: 1200,
+      completion_tokens: 400
+    }));
+    expect(aiUsage.computeCost(result.provider, result.model, result.usage).cost).toBe(0.007);
+  });
+
+  test('estimates usage when the server reports none', async () => {
+    const { provider } = streamingProvider([{ choices: [{ delta: { content: 'x'.repeat(40) } }] }]);
+
+    const result = await provider.complete({ messages, onToken: () => {} });
+
+    expect(result.usage.completionTokens).toBe(10);
+    expect(result.usage.promptTokens).toBeGreaterThan(0);
+    expect(result.usage.totalTokens).toBe(result.usage.promptTokens + 10);
+  });
+});
@@ -0,0 +1,88 @@
+const { validateImage, storedFormat, variantFor } = require('../src/services/images/mediaSpecs');
+const mediaLibrary = require('../src/services/mediaLibrary');
+
+describe('media specs', () => {
+  const maxBytes = 10 * 1024 * 1024;
+
+  test('accepts images within LinkedIn limits', () => {
+    expect(validateImage({ format: 'jpeg', width: 1200, height: 627, size: 250000 }, maxBytes)).toEqual([]);
+    expect(validateImage({ format: 'webp', width: 1080, height: 1350, size: 90000 }, maxBytes)).toEqual([]);
+  });
+
+  test('rejects unreadable, oversized, tiny, huge and extreme images', () => {
+    expect(validateImage(null, maxBytes)).toEqual(['Images must be JPEG, PNG, WEBP, GIF']);
+    expect(validateImage({ format: 'tiff', width: 1200, height: 627, size: 1000 }, maxBytes)).toHaveLength(1);
+
+    const errors = validateImage({ format: 'png', width: 150, height: 600, size: 11 * 1024 * 1024 }, maxBytes);
+    expect(errors).toEqual([
+      'Image is 11.0 MB; the limit is 10.0 MB',
+      'Image is 150x600; both sides must be at least 200 pixels',
+      'Image aspect ratio is more extreme than 3:1'
+    ]);
+    expect(validateImage({ format: 'jpeg', width: 7000, height: 7000, size: 1000 }, maxBytes))
+      .toEqual(['Image has 49000000 pixels; LinkedIn accepts at most 36152320']);
+  });
+
+  test('stores WebP as a format LinkedIn takes', () => {
+    expect(storedFormat({ format: 'jpeg' })).toBe('jpeg');
+    expect(storedFormat({ format: 'gif' })).toBe('gif');
+    expect(storedFormat({ format: 'webp', hasAlpha: true })).toBe('png');
+    expect(storedFormat({ format: 'webp', hasAlpha: false })).toBe('jpeg');
+  });
+
+  test('picks the variant for the post type', () => {
+    expect(variantFor('multi_image')).toBe('carousel');
+    expect(variantFor('document')).toBe('document_cover');
+    expect(variantFor('text')).toBe('single_image');
+  });
+});
+
+describe('media library', () => {
+  test('normalizes tags from lists and comma-separated text', () => {
+    expect(mediaLibrary.normalizeTags(' Team, events,,team ')).toEqual(['team', 'events']);
+    expect(mediaLibrary.normalizeTags(['Launch', 'launch', ' '])).toEqual(['launch']);
+    expect(mediaLibrary.normalizeTags(undefined)).toEqual([]);
+  });
+
+  test('describes an asset with the variant of the post type', () => {
+    const asset = {
+      id: 'a1',
+      source: 'generated',
+      path: 'uploads/media/u1/abc.png',
+      mime_type: 'image/png',
+      width: 1600,
+      height: 1600,
+      variants: {
+        carousel: { path: 'uploads/media/u1/abc-carousel.jpg', mimeType: 'image/jpeg', width: 1080, height: 1080 }
+      },
+      metadata: { provider: 'template', template: 'quote', branding: ['watermark'] }
+    };
+
+    expect(mediaLibrary.describe(asset, 'multi_image')).toMatchObject({
+      mediaId: 'a1',
+      path: 'uploads/media/u1/abc-carousel.jpg',
+      dimensions: '1080x1080',
+      provider: 'template',
+      template: 'quote',
+      branding: ['watermark']
+    });
+    // No single_image variant: the original is used
+    expect(mediaLibrary.describe(asset, 'text')).toMatchObject({
+      path: 'uploads/media/u1/abc.png',
+      mimeType: 'image/png',
+      dimensions: '1600x1600'
+    });
+  });
+
+  test('removes a deleted asset from the images of a post', () => {
+    const carousel = {
+      type: 'carousel',
+      images: [{ slideNumber: 1, mediaId: 'a1' }, { slideNumber: 2, mediaId: 'a2' }]
+    };
+
+    expect(mediaLibrary.withoutAsset(carousel, 'a1')).toEqual({ type: 'carousel', images: [{ slideNumber: 2, mediaId: 'a2' }] });
+    expect(mediaLibrary.withoutAsset({ type: 'carousel', images: [{ mediaId: 'a1' }] }, 'a1')).toBeNull();
+    expect(mediaLibrary.withoutAsset({ type: 'single', mediaId: 'a1' }, 'a1')).toBeNull();
+    expect(mediaLibrary.withoutAsset({ type: 'single', mediaId: 'a2' }, 'a1')).toEqual({ type: 'single', mediaId: 'a2' });
+  });
+});
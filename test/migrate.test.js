@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Migrator } = require('../src/database/migrate');
+
+/**
+ * Minimal stand-in for a pg pool that records queries and keeps an in-memory ledger
+ */
+const createFakePool = () => {
+  const ledger = new Map();
+  const executed = [];
+
+  const client = {
+    query: async (sql, params = []) => {
+      executed.push(sql.trim());
+
+      if (sql.includes('INSERT INTO schema_migrations')) {
+        const [version, name, checksum] = params;
+        ledger.set(version, { version, name, checksum, applied_at: new Date() });
+      } else if (sql.includes('DELETE FROM schema_migrations')) {
+        ledger.delete(params[0]);
+      } else if (sql.includes('FROM schema_migrations')) {
+        return { rows: Array.from(ledger.values()) };
+      }
+      return { rows: [] };
+    },
+    release: () => {}
+  };
+
+  return {
+    ledger,
+    executed,
+    connect: async () => client
+  };
+};
+
+describe('Migrator', () => {
+  let migrationsDir;
+
+  beforeEach(() => {
+    migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    fs.writeFileSync(path.join(migrationsDir, '002_add_role.up.sql'), 'ALTER TABLE users ADD COLUMN role TEXT;');
+    fs.writeFileSync(path.join(migrationsDir, '002_add_role.down.sql'), 'ALTER TABLE users DROP COLUMN role;');
+    fs.writeFileSync(path.join(migrationsDir, '001_baseline.up.sql'), 'CREATE TABLE users (id UUID);');
+    fs.writeFileSync(path.join(migrationsDir, '001_baseline.down.sql'), 'DROP TABLE users;');
+  });
+
+  afterEach(() => {
+    fs.rmSync(migrationsDir, { recursive: true, force: true });
+  });
+
+  test('loads up/down pairs ordered by version', () => {
+    const migrations = new Migrator(createFakePool(), migrationsDir).loadMigrations();
+
+    expect(migrations.map(m => m.version)).toEqual(['001', '002']);
+    expect(migrations[1].name).toBe('add_role');
+    expect(migrations[1].down).toMatch(/002_add_role\.down\.sql$/);
+    expect(migrations[0].checksum).toHaveLength(64);
+  });
+
+  test('applies only pending migrations and records them in the ledger', async () => {
+    const pool = createFakePool();
+    const migrator = new Migrator(pool, migrationsDir);
+
+    expect(await migrator.migrate()).toEqual(['001', '002']);
+    expect(await migrator.migrate()).toEqual([]);
+    expect(Array.from(pool.ledger.keys())).toEqual(['001', '002']);
+    expect(pool.executed.filter(sql => sql.startsWith('ALTER TABLE users ADD'))).toHaveLength(1);
+  });
+
+  test('stops at the requested target version', async () => {
+    const pool = createFakePool();
+
+    expect(await new Migrator(pool, migrationsDir).migrate({ to: '001' })).toEqual(['001']);
+  });
+
+  test('rolls back the latest migrations using their down scripts', async () => {
+    const pool = createFakePool();
+    const migrator = new Migrator(pool, migrationsDir);
+    await migrator.migrate();
+
+    expect(await migrator.rollback()).toEqual(['002']);
+    expect(pool.executed).toContain('ALTER TABLE users DROP COLUMN role;');
+
+    const status = await migrator.status();
+    expect(status.map(entry => entry.state)).toEqual(['applied', 'pending']);
+  });
+
+  test('refuses to roll back a migration without a down script', async () => {
+    fs.unlinkSync(path.join(migrationsDir, '002_add_role.down.sql'));
+    const migrator = new Migrator(createFakePool(), migrationsDir);
+    await migrator.migrate();
+
+    await expect(migrator.rollback()).rejects.toThrow('has no down script');
+  });
+
+  test('reports migrations edited after they were applied', async () => {
+    const pool = createFakePool();
+    const migrator = new Migrator(pool, migrationsDir);
+    await migrator.migrate();
+
+    fs.writeFileSync(path.join(migrationsDir, '001_baseline.up.sql'), 'CREATE TABLE users (id UUID, email TEXT);');
+
+    const status = await migrator.status();
+    expect(status[0].state).toBe('modified');
+  });
+});
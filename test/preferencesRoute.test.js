@@ -0,0 +1,100 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const mockQueries = [];
+
+jest.mock('../src/database/init', () => {
+  const query = async (sql, params = []) => {
+    mockQueries.push({ sql, params });
+    if (sql.includes('FROM users')) {
+      return { rows: [{ id: params[0], email: 'user@example.com', is_active: true }] };
+    }
+    // Echo the upserted columns back as the stored row
+    const columns = sql.match(/INSERT INTO user_preferences \(([^)]+)\)/)[1].split(',').map(column => column.trim());
+    return { rows: [Object.fromEntries(columns.map((column, index) => [column, params[index]]))] };
+  };
+  return { pool: { query, connect: async () => ({ query, release: () => {} }) } };
+});
+
+const authRoutes = require('../src/routes/auth');
+
+describe('PUT /api/auth/preferences', () => {
+  const userId = '0b5e3f4c-2a6d-4d1e-9f7a-3c8b2e1d4a5f';
+  let app;
+  let token;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+    token = jwt.sign({ userId }, process.env.JWT_SECRET);
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+  });
+
+  beforeEach(() => {
+    mockQueries.length = 0;
+  });
+
+  const put = (body) => request(app)
+    .put('/api/auth/preferences')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const upsert = () => mockQueries.find(query => query.sql.includes('INSERT INTO user_preferences'));
+
+  test('requires a token', async () => {
+    const res = await request(app).put('/api/auth/preferences').send({ contentLanguage: 'ar' });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('saves the LLM provider and model', async () => {
+    const res = await put({ aiProvider: 'openai', aiModel: 'gpt-4o-mini' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.preferences).toMatchObject({ aiProvider: 'openai', aiModel: 'gpt-4o-mini' });
+    expect(upsert().params).toEqual([userId, 'openai', 'gpt-4o-mini']);
+  });
+
+  test('rejects an unknown provider without saving', async () => {
+    const res = await put({ aiProvider: 'nope' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Unknown LLM provider: nope');
+    expect(upsert()).toBeUndefined();
+  });
+
+  test('saves the image provider and model', async () => {
+    const res = await put({ imageProvider: 'template', imageModel: null });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.preferences).toMatchObject({ imageProvider: 'template', imageModel: null });
+    expect(upsert().params).toEqual([userId, 'template', null]);
+    expect((await put({ imageProvider: 'nope' })).body.message).toBe('Unknown image provider: nope');
+  });
+
+  test('saves the content language', async () => {
+    const res = await put({ contentLanguage: 'bilingual' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.preferences.contentLanguage).toBe('bilingual');
+    expect((await put({ contentLanguage: 'fr' })).status).toBe(400);
+  });
+
+  test('saves the compliance lists', async () => {
+    const res = await put({
+      excludedTopics: ['politics'],
+      competitorNames: [' Acme Consulting '],
+      verifiedClaims: ['ISO 9001']
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.preferences).toMatchObject({
+      excludedTopics: ['politics'],
+      competitorNames: ['Acme Consulting'],
+      verifiedClaims: ['ISO 9001']
+    });
+    expect((await put({ verifiedClaims: [''] })).status).toBe(400);
+  });
+});
@@ -0,0 +1,38 @@
+const { parseTemplate, renderTemplate } = require('../src/utils/promptTemplate');
+const promptLibrary = require('../src/services/promptLibrary');
+
+describe('prompt templates', () => {
+  test('fills in variables and joins lists', () => {
+    expect(renderTemplate('Write in a {{tone}} tone about {{ keywords }}.', {
+      tone: 'friendly',
+      keywords: ['fintech', 'Abu Dhabi']
+    })).toBe('Write in a friendly tone about fintech, Abu Dhabi.');
+  });
+
+  test('keeps sections only when their variable has a value', () => {
+    const body = '{{#description}}About: {{description}}\n{{/description}}{{^keywords}}No keywords{{/keywords}}';
+
+    expect(renderTemplate(body, { description: 'Trade', keywords: [] })).toBe('About: Trade\nNo keywords');
+    expect(renderTemplate(body, { description: '', keywords: ['ports'] })).toBe('');
+  });
+
+  test('resolves nested sections', () => {
+    const body = '{{#title}}{{title}}{{#occasion}} on {{occasion}}{{/occasion}}{{/title}}';
+
+    expect(renderTemplate(body, { title: 'Launch', occasion: 'National Day' })).toBe('Launch on National Day');
+    expect(renderTemplate(body, { title: 'Launch' })).toBe('Launch');
+  });
+
+  test('lists variables and reports unbalanced sections', () => {
+    expect(parseTemplate('{{#a}}{{b}}{{/a}}')).toEqual({ variables: ['a', 'b'], errors: [] });
+    expect(parseTemplate('{{#a}}{{/b}}').errors).toEqual(['{{/b}} closes {{#a}}']);
+    expect(parseTemplate('{{#a}}text').errors).toEqual(['{{#a}} is never closed']);
+  });
+
+  test('rejects variables a prompt is not rendered with', () => {
+    expect(promptLibrary.validate('system', 'Write in a {{tone}} tone')).toEqual([]);
+    expect(promptLibrary.validate('system', 'About {{title}}')).toEqual([
+      'Unknown variable {{title}}; available: tone, companyName'
+    ]);
+  });
+});
@@ -0,0 +1,71 @@
+const { buildWhere, buildInsert, buildUpdate, buildPagination } = require('../src/database/queryBuilder');
+const Repository = require('../src/database/repositories/base');
+
+describe('queryBuilder', () => {
+  test('builds parameterized WHERE clauses', () => {
+    const since = new Date('2024-01-01');
+    const where = buildWhere({
+      user_id: 'u1',
+      status: ['pending', 'failed'],
+      posted_at: { gte: since },
+      error_message: null,
+      topic_id: undefined
+    });
+
+    expect(where.clause).toBe('WHERE user_id = $1 AND status = ANY($2) AND posted_at >= $3 AND error_message IS NULL');
+    expect(where.params).toEqual(['u1', ['pending', 'failed'], since]);
+    expect(where.nextIndex).toBe(4);
+  });
+
+  test('rejects unknown operators', () => {
+    expect(() => buildWhere({ likes: { between: 1 } })).toThrow('Unsupported query operator');
+  });
+
+  test('continues placeholder numbering after SET values', () => {
+    const { text, params } = buildUpdate('scheduled_posts', { status: 'posted' }, { id: 'p1' });
+
+    expect(text).toMatch(/SET status = \$1\s+WHERE id = \$2/);
+    expect(params).toEqual(['posted', 'p1']);
+  });
+
+  test('refuses unscoped updates and empty inserts', () => {
+    expect(() => buildUpdate('users', { role: 'admin' }, {})).toThrow('without criteria');
+    expect(() => buildInsert('users', { email: undefined })).toThrow('No columns');
+  });
+
+  test('appends pagination placeholders', () => {
+    expect(buildPagination({ orderBy: 'created_at DESC', limit: 10, offset: 20 }, 3))
+      .toEqual({ clause: 'ORDER BY created_at DESC LIMIT $3 OFFSET $4', params: [10, 20] });
+  });
+});
+
+describe('Repository', () => {
+  const repository = new Repository('post_analytics', {
+    columns: ['id', 'likes', 'engagement_rate', 'created_at', 'updated_at'],
+    jsonColumns: ['likes']
+  });
+
+  test('maps BIGINT and NUMERIC strings to numbers', () => {
+    const row = repository.mapRow(
+      { id: 'a', likes: '12', engagement_rate: '4.25', created_at: null },
+      [
+        { name: 'id', dataTypeID: 2950 },
+        { name: 'likes', dataTypeID: 20 },
+        { name: 'engagement_rate', dataTypeID: 1700 },
+        { name: 'created_at', dataTypeID: 1114 }
+      ]
+    );
+
+    expect(row).toEqual({ id: 'a', likes: 12, engagement_rate: 4.25, created_at: null });
+  });
+
+  test('only accepts whitelisted columns', async () => {
+    await expect(repository.findMany({ 'id; DROP TABLE users': 1 })).rejects.toThrow('Unknown column');
+    expect(() => repository.sanitizeOrderBy('likes DESC, created_at')).not.toThrow();
+    expect(() => repository.sanitizeOrderBy('random()')).toThrow('Invalid order');
+  });
+
+  test('serializes JSON columns', () => {
+    expect(repository.serialize({ likes: [1, 2], id: 'a' })).toEqual({ likes: '[1,2]', id: 'a' });
+  });
+});
@@ -0,0 +1,33 @@
+const revisionHistory = require('../src/services/revisionHistory');
+const { content: contentRepository, revisions: revisionsRepository } = require('../src/database/repositories');
+
+describe('revisionHistory.record', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('locks the post before numbering the next revision', async () => {
+    const calls = [];
+    const client = {};
+    jest.spyOn(contentRepository, 'lock').mockImplementation(async () => calls.push('lock'));
+    jest.spyOn(revisionsRepository, 'findLatest').mockImplementation(async () => {
+      calls.push('findLatest');
+      return { title: 'Post', content_text: 'Old text', hashtags: [], revision_number: 1 };
+    });
+    jest.spyOn(revisionsRepository, 'findOriginal').mockResolvedValue({ title: 'Post', content_text: 'Old text', hashtags: [] });
+    const append = jest.spyOn(revisionsRepository, 'append').mockImplementation(async revision => {
+      calls.push('append');
+      return { ...revision, revision_number: 2 };
+    });
+
+    await revisionHistory.record(
+      { id: 'c1', user_id: 'u1', title: 'Post', content_text: 'New text', hashtags: [] },
+      { source: 'human', authorId: 'u1' },
+      client
+    );
+
+    expect(calls).toEqual(['lock', 'findLatest', 'append']);
+    expect(contentRepository.lock).toHaveBeenCalledWith('c1', client);
+    expect(append.mock.calls[0][1]).toBe(client);
+  });
+});
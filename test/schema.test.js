@@ -0,0 +1,32 @@
+const { verifySchema } = require('../src/database/schema');
+
+const createFakeDb = (columns) => ({
+  query: async () => ({
+    rows: columns.map(([table_name, column_name]) => ({ table_name, column_name }))
+  })
+});
+
+describe('verifySchema', () => {
+  const expected = {
+    users: ['id', 'email', 'role'],
+    user_linkedin_tokens: ['id', 'user_id']
+  };
+
+  test('passes when every expected column exists', async () => {
+    const db = createFakeDb([
+      ['users', 'id'], ['users', 'email'], ['users', 'role'],
+      ['user_linkedin_tokens', 'id'], ['user_linkedin_tokens', 'user_id']
+    ]);
+
+    expect(await verifySchema(db, expected)).toEqual({ ok: true, missingTables: [], missingColumns: [] });
+  });
+
+  test('reports missing tables and columns instead of throwing', async () => {
+    const db = createFakeDb([['users', 'id'], ['users', 'email']]);
+
+    const report = await verifySchema(db, expected);
+    expect(report.ok).toBe(false);
+    expect(report.missingTables).toEqual(['user_linkedin_tokens']);
+    expect(report.missingColumns).toEqual(['users.role']);
+  });
+});
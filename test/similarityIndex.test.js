@@ -0,0 +1,43 @@
+const similarityIndex = require('../src/services/similarityIndex');
+
+const original = `Khalifa Port handled record volumes this quarter.
+Automation and new berths cut vessel waiting times across the terminal.
+What does this mean for regional supply chains? #Logistics #AbuDhabi`;
+
+const similarity = (a, b) => similarityIndex.estimate(
+  similarityIndex.fingerprint(a).signature,
+  similarityIndex.fingerprint(b).signature
+);
+
+describe('similarityIndex', () => {
+  test('identical posts match regardless of case, punctuation and hashtags', () => {
+    const copy = original.toUpperCase().replace(/[.?]/g, '!').replace(/#\w+/g, '#Ports');
+
+    expect(similarity(original, copy)).toBe(1);
+  });
+
+  test('a light rewrite is a near-duplicate and an unrelated post is not', () => {
+    const rewrite = original.replace('this quarter', 'this year').replace('What does', 'What will');
+    const unrelated = 'Three lessons from hiring our first data team in Abu Dhabi, and what we would do differently.';
+
+    expect(similarity(original, rewrite)).toBeGreaterThan(0.6);
+    expect(similarity(original, unrelated)).toBeLessThan(0.1);
+  });
+
+  test('near-duplicates share at least one band, so the database finds them', () => {
+    const rewrite = original.replace('this quarter', 'this year');
+    const a = similarityIndex.fingerprint(original).bands;
+    const b = similarityIndex.fingerprint(rewrite).bands;
+
+    expect(a).toHaveLength(32);
+    expect(a.some(band => b.includes(band))).toBe(true);
+  });
+
+  test('ignores Arabic diacritics', () => {
+    expect(similarity('مَرْحَبًا بِكُمْ فِي أَبُوظَبِي', 'مرحبا بكم في أبوظبي')).toBe(1);
+  });
+
+  test('has no fingerprint for text without words', () => {
+    expect(similarityIndex.fingerprint('#Logistics 🚢')).toBeNull();
+  });
+});
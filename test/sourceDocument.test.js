@@ -0,0 +1,55 @@
+const { normalizeSource, splitSections, findSection, excerpt, chunkText } = require('../src/utils/sourceDocument');
+
+const pdfText = `EXECUTIVE SUMMARY
+We inspected 40 commercial towers in Abu Dhabi. Most facades were in good condi-
+tion, but sealant failure
+was common.
+
+Page 3 of 12
+
+1. Key findings
+Sealant failure affected 60% of towers.`;
+
+describe('sourceDocument', () => {
+  test('removes page numbers and rejoins broken lines in PDF text', () => {
+    expect(normalizeSource(pdfText, 'pdf')).toBe([
+      'EXECUTIVE SUMMARY',
+      'We inspected 40 commercial towers in Abu Dhabi. Most facades were in good condition, but sealant failure was common.',
+      '',
+      '1. Key findings',
+      'Sealant failure affected 60% of towers.'
+    ].join('\n'));
+  });
+
+  test('keeps Markdown headings and link text', () => {
+    const markdown = '# Findings\n![chart](chart.png)\nSee the [full report](https://example.com/report).';
+
+    expect(normalizeSource(markdown, 'markdown')).toBe('# Findings\n\nSee the full report.');
+  });
+
+  test('splits sections at Markdown, numbered and capitalised headings', () => {
+    const sections = splitSections(`Intro line.\n\n## Background\nContext.\n\n2.1 Key findings\nResults.\n\nNEXT STEPS\nPlan.`);
+
+    expect(sections.map(section => section.heading)).toEqual([null, 'Background', 'Key findings', 'NEXT STEPS']);
+    expect(findSection(sections, 'key findings').text).toBe('Results.');
+    expect(findSection(sections, 'next')).toEqual({ heading: 'NEXT STEPS', text: 'Plan.' });
+    expect(findSection(sections, 'Budget')).toBeNull();
+  });
+
+  test('cuts long text at a paragraph break', () => {
+    const text = `${'a'.repeat(60)}\n\n${'b'.repeat(60)}`;
+
+    expect(excerpt(text, 200)).toBe(text);
+    expect(excerpt(text, 100)).toBe(`${'a'.repeat(60)}\n[…]`);
+  });
+
+  test('chunks sections into passages without splitting sentences', () => {
+    const sentence = 'Saturation systems are inspected offshore. ';
+    const chunks = chunkText(`## Services\nShort intro.\n\n${sentence.repeat(5)}\n\n## History\nFounded in 2009.`, 100);
+
+    expect(chunks.map(chunk => chunk.heading)).toEqual(['Services', 'Services', 'Services', 'History']);
+    expect(chunks.every(chunk => chunk.text.length <= 100)).toBe(true);
+    expect(chunks[0].text).toBe(`Short intro.\n\n${sentence.repeat(2).trim()}`);
+    expect(chunks[1].text).toBe(sentence.repeat(2).trim());
+  });
+});
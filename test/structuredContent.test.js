@@ -0,0 +1,90 @@
+const structuredContent = require('../src/services/structuredContent');
+
+const contentTypes = ['text', 'multi_image', 'poll', 'video', 'document'];
+
+describe('structuredContent', () => {
+  test.each(contentTypes)('example shown to the model for %s is valid', (contentType) => {
+    const example = structuredContent.getExample(contentType);
+    const { value, error } = structuredContent.parse(contentType, JSON.stringify(example));
+
+    expect(error).toBeNull();
+    expect(value.body).toBe(example.body);
+  });
+
+  test('repairs fenced output, trailing commas and hashtags left in the body', () => {
+    const output = [
+      'Here is your post:',
+      '```json',
+      '{ "title": "Ports", "body": "Khalifa Port keeps growing.\\n\\n#Logistics #AbuDhabi", },',
+      '```'
+    ].join('\n');
+
+    const { value, error, repaired } = structuredContent.parse('text', output, { maxHashtags: 1 });
+
+    expect(error).toBeNull();
+    expect(repaired).toBe(true);
+    expect(value.body).toBe('Khalifa Port keeps growing.');
+    expect(value.hashtags).toEqual(['#Logistics']);
+    expect(structuredContent.renderText(value)).toBe('Khalifa Port keeps growing.\n\n#Logistics');
+  });
+
+  test('reports schema violations that need a new response', () => {
+    const output = JSON.stringify({
+      body: 'Which matters most?',
+      poll: { question: 'Pick one', options: ['Only one option'] }
+    });
+
+    const { value, error } = structuredContent.parse('poll', output);
+
+    expect(value).toBeNull();
+    expect(error).toMatch(/"poll.options" must contain at least 2 items/);
+  });
+
+  test.each(['ar', 'bilingual'])('example shown to the model for %s posts is valid', (language) => {
+    const example = structuredContent.getExample('poll', language);
+
+    expect(structuredContent.parse('poll', JSON.stringify(example), { language }).error).toBeNull();
+  });
+
+  test('renders bilingual posts as an Arabic block then an English block', () => {
+    const output = JSON.stringify({
+      bodyAr: 'مرحبا بكم في أبوظبي',
+      bodyEn: 'Welcome to Abu Dhabi',
+      hashtags: ['#أبوظبي', '#AbuDhabi']
+    });
+
+    const { value, error } = structuredContent.parse('text', output, { language: 'bilingual' });
+    const lines = structuredContent.renderText(value).split('\n').filter(Boolean);
+
+    expect(error).toBeNull();
+    expect(lines).toEqual([
+      '\u200Fمرحبا بكم في أبوظبي',
+      '\u200F#أبوظبي',
+      '• • •',
+      '\u200EWelcome to Abu Dhabi',
+      '\u200E#AbuDhabi'
+    ]);
+    expect(structuredContent.describeLanguage(value).hashtags).toEqual({ arabic: 1, latin: 1 });
+  });
+
+  test('asks for Arabic when an Arabic post comes back in English', () => {
+    const output = JSON.stringify({ body: 'Welcome to Abu Dhabi', hashtags: ['#أبوظبي'] });
+
+    expect(structuredContent.parse('text', output, { language: 'ar' }).error).toBe('"body" must be written in Arabic');
+  });
+
+  test('enforces the LinkedIn length limit across both language blocks', () => {
+    const output = JSON.stringify({
+      bodyAr: 'أ'.repeat(1600),
+      bodyEn: 'a'.repeat(1500),
+      hashtags: ['#أبوظبي', '#AbuDhabi']
+    });
+
+    expect(structuredContent.parse('text', output, { language: 'bilingual' }).error)
+      .toMatch(/LinkedIn allows 3000/);
+  });
+
+  test('rejects output that is not JSON', () => {
+    expect(structuredContent.parse('text', 'Just a plain post').error).toMatch(/not valid JSON/);
+  });
+});
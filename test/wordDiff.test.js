@@ -0,0 +1,38 @@
+const { diffWords } = require('../src/utils/wordDiff');
+
+const render = (changes) => changes.map(({ type, text }) => {
+  if (type === 'insert') {
+    return `{+${text}+}`;
+  }
+  if (type === 'delete') {
+    return `[-${text}-]`;
+  }
+  return text;
+}).join('');
+
+describe('diffWords', () => {
+  test('marks replaced words and counts only words', () => {
+    const { changes, stats } = diffWords(
+      'Khalifa Port handled record volumes this quarter.',
+      'Khalifa Port handled record volumes this year!'
+    );
+
+    expect(render(changes)).toBe('Khalifa Port handled record volumes this [-quarter.-]{+year!+}');
+    expect(stats).toEqual({ added: 1, removed: 1, unchanged: 6, changeRatio: 0.1429 });
+  });
+
+  test('keeps both texts recoverable from the changes', () => {
+    const before = 'What does this mean for supply chains?\n\n#Logistics';
+    const after = 'What will this mean for regional supply chains?\n\n#Logistics #AbuDhabi';
+    const { changes } = diffWords(before, after);
+
+    expect(changes.filter(change => change.type !== 'insert').map(change => change.text).join('')).toBe(before);
+    expect(changes.filter(change => change.type !== 'delete').map(change => change.text).join('')).toBe(after);
+  });
+
+  test('reports identical and completely different texts', () => {
+    expect(diffWords('مرحبا بكم', 'مرحبا بكم').stats.changeRatio).toBe(0);
+    expect(diffWords('one two', 'three four').stats.changeRatio).toBe(1);
+    expect(diffWords('', '').stats.changeRatio).toBe(0);
+  });
+});